@@ -0,0 +1,112 @@
+/**
+ * Append-only audit log
+ * One JSON object per line in AUDIT_LOG_PATH. When the file would grow past
+ * AUDIT_MAX_BYTES it is rotated to .1, .2, ... keeping AUDIT_MAX_FILES old
+ * files; entries are never rewritten in place.
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+/**
+ * Path of a rotated log file
+ * @param {number} index - Rotation index (1 = most recent)
+ * @returns {string}
+ */
+function rotatedPath(index) {
+  const ext = path.extname(config.AUDIT_LOG_PATH);
+  return `${config.AUDIT_LOG_PATH.slice(0, config.AUDIT_LOG_PATH.length - ext.length)}.${index}${ext}`;
+}
+
+/**
+ * Rotates the log when appending would exceed the size limit
+ * @param {number} incomingBytes - Size of the entry about to be written
+ */
+function rotateIfNeeded(incomingBytes) {
+  if (!fs.existsSync(config.AUDIT_LOG_PATH)) return;
+
+  const { size } = fs.statSync(config.AUDIT_LOG_PATH);
+  if (size === 0 || size + incomingBytes <= config.AUDIT_MAX_BYTES) return;
+
+  const oldest = rotatedPath(config.AUDIT_MAX_FILES);
+  if (fs.existsSync(oldest)) fs.unlinkSync(oldest);
+
+  for (let index = config.AUDIT_MAX_FILES - 1; index >= 1; index--) {
+    if (fs.existsSync(rotatedPath(index))) {
+      fs.renameSync(rotatedPath(index), rotatedPath(index + 1));
+    }
+  }
+  fs.renameSync(config.AUDIT_LOG_PATH, rotatedPath(1));
+  console.error(`[AUDIT] Rotated audit log (${size} bytes)`);
+}
+
+/**
+ * Appends an entry to the audit log
+ * @param {object} entry - Audit entry
+ */
+function appendAuditEntry(entry) {
+  const line = `${JSON.stringify(entry)}\n`;
+  rotateIfNeeded(Buffer.byteLength(line));
+  fs.appendFileSync(config.AUDIT_LOG_PATH, line, { mode: 0o600 });
+}
+
+/**
+ * Reads all entries, oldest first, across rotated files
+ * @returns {Array<object>} - Audit entries
+ */
+function readAuditEntries() {
+  const files = [];
+  for (let index = config.AUDIT_MAX_FILES; index >= 1; index--) {
+    files.push(rotatedPath(index));
+  }
+  files.push(config.AUDIT_LOG_PATH);
+
+  return files
+    .filter(file => fs.existsSync(file))
+    .flatMap(file => fs.readFileSync(file, 'utf8').split('\n'))
+    .filter(line => line.trim())
+    .map(line => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        // A torn last line (e.g. crash mid-write) is skipped, not fatal
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Queries the audit log
+ * @param {object} filters - { since, until, tool, target, account, outcome, maxResults }
+ * @returns {Array<object>} - Matching entries, newest first
+ */
+function queryAuditLog(filters = {}) {
+  const { since, until, tool, target, account, outcome, maxResults = 50 } = filters;
+  const from = since ? new Date(since) : null;
+  const to = until ? new Date(until) : null;
+  const wantedTarget = target ? target.toLowerCase() : null;
+
+  return readAuditEntries()
+    .filter(entry => {
+      const time = new Date(entry.timestamp);
+      if (from && time < from) return false;
+      if (to && time > to) return false;
+      if (tool && entry.tool !== tool) return false;
+      if (account && entry.account !== account) return false;
+      if (outcome && entry.outcome !== outcome) return false;
+      if (wantedTarget) {
+        const haystack = [...(entry.targets || []), ...(entry.graph || []).map(request => request.path)];
+        if (!haystack.some(value => String(value).toLowerCase().includes(wantedTarget))) return false;
+      }
+      return true;
+    })
+    .reverse()
+    .slice(0, maxResults);
+}
+
+module.exports = {
+  appendAuditEntry,
+  readAuditEntries,
+  queryAuditLog
+};
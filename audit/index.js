@@ -0,0 +1,237 @@
+/**
+ * Audit module
+ * The dispatcher wraps every call in auditToolCall, which appends the calls that
+ * can modify Microsoft 365 data or write local files (profiles, rules, saved
+ * searches, downloads) - who did what to which items, with the Graph status
+ * codes - to the audit log. Denied and refused calls are logged too. The `audit` tool queries
+ * the log for compliance reviews.
+ */
+const config = require('../config');
+const { getCurrentProfileName } = require('../auth/profiles');
+const { traceGraphRequests } = require('../utils/graph-trace');
+const { resolveOperation, isReadCall, writesLocalFiles } = require('../policy');
+const { appendAuditEntry, queryAuditLog } = require('./audit-log');
+
+// Argument values that are never written to the log
+const SENSITIVE_KEY_PATTERN = /^(body|content|contentBytes|fileContent|password|clientSecret|secret|token|accessToken|refreshToken)$/i;
+
+// Longest string kept from an argument value
+const MAX_VALUE_CHARS = 200;
+
+/**
+ * Copies tool arguments with sensitive values redacted and long values truncated
+ * @param {*} value - Arguments (or a nested value)
+ * @param {string} [key] - Key the value was found under
+ * @returns {*} - Sanitised copy
+ */
+function sanitizeArgs(value, key = '') {
+  if (key && SENSITIVE_KEY_PATTERN.test(key) && value !== undefined && value !== null) {
+    return `[redacted ${typeof value === 'string' ? `${value.length} chars` : typeof value}]`;
+  }
+  if (Array.isArray(value)) return value.map(item => sanitizeArgs(item));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, sanitizeArgs(v, k)]));
+  }
+  if (typeof value === 'string' && value.length > MAX_VALUE_CHARS) {
+    return `${value.substring(0, MAX_VALUE_CHARS)}... [${value.length} chars]`;
+  }
+  return value;
+}
+
+/**
+ * Collects item IDs from arguments such as emailId, fileId or taskIds
+ * @param {object} args - Tool arguments
+ * @returns {string[]} - IDs
+ */
+function collectTargetIds(args = {}) {
+  return Object.entries(args)
+    .filter(([key]) => /Ids?$/.test(key))
+    .flatMap(([, value]) => (Array.isArray(value) ? value : [value]))
+    .filter(value => typeof value === 'string' && value);
+}
+
+/**
+ * Whether a call is written to the audit log: it can modify Microsoft 365 data or
+ * writes local files. Independent of the read-only exemptions of the policy.
+ * @param {string} toolName - Tool name
+ * @param {object} args - Handler arguments
+ * @returns {boolean}
+ */
+function isAuditedCall(toolName, args) {
+  const operation = resolveOperation(toolName, args);
+  return !isReadCall(toolName, operation) || writesLocalFiles(toolName, operation, args);
+}
+
+/**
+ * Derives the outcome of a call from its result and Graph writes
+ * @param {object} result - MCP response
+ * @param {Array} requests - Graph requests the call made
+ * @param {Error} [error] - Error thrown by the handler
+ * @param {boolean} [localWrite] - Whether the call writes local files (a success needs no Graph request)
+ * @returns {string} - success, partial, failed, no_changes or error
+ */
+function determineOutcome(result, requests, error, localWrite = false) {
+  if (error || result?.error || result?.isError) return 'error';
+  if (requests.length === 0) return localWrite ? 'success' : 'no_changes';
+
+  const succeeded = requests.filter(request => request.status >= 200 && request.status < 300).length;
+  if (succeeded === requests.length) return 'success';
+  return succeeded === 0 ? 'failed' : 'partial';
+}
+
+/**
+ * Builds the common part of an audit entry
+ */
+function baseEntry(toolName, args) {
+  return {
+    timestamp: new Date().toISOString(),
+    account: getCurrentProfileName(),
+    tool: toolName,
+    operation: resolveOperation(toolName, args),
+    args: sanitizeArgs(args),
+    targets: collectTargetIds(args)
+  };
+}
+
+/**
+ * Appends an entry, logging (not throwing) if the log cannot be written
+ */
+function writeEntry(entry) {
+  if (!config.AUDIT_ENABLED) return;
+
+  try {
+    appendAuditEntry(entry);
+  } catch (error) {
+    console.error('[AUDIT] Failed to write audit entry:', error.message);
+  }
+}
+
+/**
+ * Runs a tool call, logging it if it can modify data
+ * @param {string} toolName - Tool name
+ * @param {object} args - Handler arguments
+ * @param {Function} fn - Runs the handler and returns the MCP response
+ * @returns {Promise<object>} - MCP response
+ */
+async function auditToolCall(toolName, args, fn) {
+  if (!config.AUDIT_ENABLED || !isAuditedCall(toolName, args)) {
+    return fn();
+  }
+
+  const entry = baseEntry(toolName, args);
+  const localWrite = writesLocalFiles(toolName, entry.operation, args);
+  const startedAt = Date.now();
+  const { result, requests, error } = await traceGraphRequests(fn);
+
+  writeEntry({
+    ...entry,
+    outcome: determineOutcome(result, requests, error, localWrite),
+    graph: requests,
+    durationMs: Date.now() - startedAt,
+    message: error ? error.message : (result?.error?.message || result?.content?.[0]?.text || '').substring(0, MAX_VALUE_CHARS)
+  });
+
+  if (error) throw error;
+  return result;
+}
+
+/**
+ * Logs a call that was stopped before its handler ran
+ * @param {string} toolName - Tool name
+ * @param {object} args - Handler arguments
+ * @param {string} outcome - e.g. "denied" or "confirmation_refused"
+ * @param {string} reason - Why the call was stopped
+ */
+function recordBlockedCall(toolName, args, outcome, reason) {
+  writeEntry({ ...baseEntry(toolName, args), outcome, graph: [], message: reason });
+}
+
+/**
+ * Formats one audit entry for display
+ */
+function formatEntry(entry) {
+  const label = entry.operation ? `${entry.tool}.${entry.operation}` : entry.tool;
+  const lines = [`${entry.timestamp} [${entry.account}] ${label}: ${entry.outcome}`];
+
+  if (entry.targets?.length > 0) lines.push(`   Targets: ${entry.targets.join(', ')}`);
+  (entry.graph || []).forEach(request => {
+    lines.push(`   ${request.method} ${request.path} -> ${request.status ?? 'no response'}`);
+  });
+  if (entry.message) lines.push(`   ${entry.message.split('\n')[0]}`);
+  lines.push(`   Args: ${JSON.stringify(entry.args)}`);
+
+  return lines.join('\n');
+}
+
+/**
+ * Audit tool handler
+ * @param {object} args - Tool arguments
+ * @returns {object} - MCP response
+ */
+async function handleAudit(args = {}) {
+  const { since, until, tool, target, profile, outcome, maxResults = 50 } = args;
+
+  try {
+    for (const [name, value] of [['since', since], ['until', until]]) {
+      if (value && isNaN(new Date(value).getTime())) {
+        return {
+          content: [{ type: "text", text: `Invalid ${name} date: ${value}. Use an ISO date such as 2025-08-01 or 2025-08-01T09:00:00Z` }]
+        };
+      }
+    }
+
+    const entries = queryAuditLog({ since, until, tool, target, account: profile, outcome, maxResults });
+
+    if (entries.length === 0) {
+      return {
+        content: [{ type: "text", text: `No audit entries found${config.AUDIT_ENABLED ? '' : ' (audit logging is disabled)'}.` }]
+      };
+    }
+
+    return {
+      content: [{
+        type: "text",
+        text: `Found ${entries.length} audit entr${entries.length === 1 ? 'y' : 'ies'} (newest first):\n\n${entries.map(formatEntry).join('\n\n')}`
+      }]
+    };
+  } catch (error) {
+    console.error('Error in audit:', error);
+    return {
+      content: [{ type: "text", text: `Error reading audit log: ${error.message}` }]
+    };
+  }
+}
+
+// Tool definitions
+const auditTools = [
+  {
+    name: "audit",
+    description: "Query the audit log of calls that modified Microsoft 365 data (and calls blocked by policy), by time range, tool, target item or outcome",
+    inputSchema: {
+      type: "object",
+      properties: {
+        since: { type: "string", description: "Only entries at or after this ISO date/time" },
+        until: { type: "string", description: "Only entries at or before this ISO date/time" },
+        tool: { type: "string", description: "Only entries for this tool (e.g. email, files)" },
+        target: { type: "string", description: "Only entries whose target IDs or Graph paths contain this text" },
+        profile: { type: "string", description: "Only entries made with this account profile" },
+        outcome: {
+          type: "string",
+          enum: ["success", "partial", "failed", "no_changes", "error", "denied", "confirmation_refused"],
+          description: "Only entries with this outcome"
+        },
+        maxResults: { type: "number", description: "Maximum entries to return (default: 50)" }
+      },
+      required: []
+    },
+    handler: handleAudit
+  }
+];
+
+module.exports = {
+  auditTools,
+  auditToolCall,
+  recordBlockedCall,
+  sanitizeArgs,
+  collectTargetIds
+};
@@ -3,25 +3,26 @@
  * Handles refreshing access tokens using refresh tokens without user interaction
  */
 const https = require('https');
-const fs = require('fs');
 const config = require('../config');
+const { resolveProfile } = require('./profiles');
+const { readTokenFile, writeTokenFile } = require('./token-store');
 
 /**
  * Refreshes the access token using the stored refresh token
+ * @param {object} [profile] - Resolved account profile (default: current profile)
  * @returns {Promise<object>} - New token data including access_token and refresh_token
  */
-async function refreshAccessToken() {
-  console.error('[AUTO-REFRESH] Starting token refresh process');
+async function refreshAccessToken(profile = resolveProfile()) {
+  console.error(`[AUTO-REFRESH] Starting token refresh process (profile ${profile.name})`);
   
   try {
     // Load existing tokens
-    const tokenPath = config.AUTH_CONFIG.tokenStorePath;
-    if (!fs.existsSync(tokenPath)) {
+    const tokenPath = profile.tokenStorePath;
+    const tokens = readTokenFile(tokenPath);
+    if (!tokens) {
       throw new Error('Token file not found. Initial authentication required.');
     }
     
-    const tokens = JSON.parse(fs.readFileSync(tokenPath, 'utf8'));
-    
     if (!tokens.refresh_token) {
       throw new Error('No refresh token available. Re-authentication required.');
     }
@@ -29,21 +30,25 @@ async function refreshAccessToken() {
     console.error('[AUTO-REFRESH] Found refresh token, attempting refresh');
     
     // Prepare refresh request
-    const clientId = process.env.OFFICE_CLIENT_ID || config.AUTH_CONFIG.clientId;
-    const clientSecret = process.env.OFFICE_CLIENT_SECRET || config.AUTH_CONFIG.clientSecret;
-    const tenantId = process.env.OFFICE_TENANT_ID || 'common';
+    const { clientId, clientSecret, tenantId } = profile;
+    
+    // Public clients (no secret configured, or tokens from the device-code flow) refresh without a secret
+    const isPublicClient = !clientSecret || tokens.auth_flow === 'device_code';
     
-    if (!clientId || !clientSecret) {
-      throw new Error('Missing client credentials. Check OFFICE_CLIENT_ID and OFFICE_CLIENT_SECRET.');
+    if (!clientId) {
+      throw new Error('Missing client credentials. Check OFFICE_CLIENT_ID.');
     }
     
-    const refreshData = new URLSearchParams({
+    const refreshParams = new URLSearchParams({
       client_id: clientId,
-      client_secret: clientSecret,
       refresh_token: tokens.refresh_token,
       grant_type: 'refresh_token',
       scope: config.AUTH_CONFIG.scopes.join(' ')
-    }).toString();
+    });
+    if (!isPublicClient) {
+      refreshParams.set('client_secret', clientSecret);
+    }
+    const refreshData = refreshParams.toString();
     
     // Make refresh request to Microsoft
     return new Promise((resolve, reject) => {
@@ -73,13 +78,16 @@ async function refreshAccessToken() {
               const expiresAt = Date.now() + (newTokens.expires_in * 1000);
               newTokens.expires_at = expiresAt;
               
-              // Preserve email if it exists
+              // Preserve email and sign-in flow if they exist
               if (tokens.email) {
                 newTokens.email = tokens.email;
               }
+              if (tokens.auth_flow) {
+                newTokens.auth_flow = tokens.auth_flow;
+              }
               
               // Save refreshed tokens
-              fs.writeFileSync(tokenPath, JSON.stringify(newTokens, null, 2), 'utf8');
+              writeTokenFile(tokenPath, newTokens);
               console.error('[AUTO-REFRESH] Token refresh successful');
               console.error(`[AUTO-REFRESH] New token expires at: ${new Date(expiresAt).toLocaleString()}`);
               
@@ -138,20 +146,19 @@ function needsRefresh(tokens, bufferMinutes = 5) {
 
 /**
  * Gets a valid access token, refreshing if necessary
+ * @param {object} [profile] - Resolved account profile (default: current profile)
  * @returns {Promise<string>} - Valid access token
  */
-async function getValidAccessToken() {
-  const tokenPath = config.AUTH_CONFIG.tokenStorePath;
+async function getValidAccessToken(profile = resolveProfile()) {
+  let tokens = readTokenFile(profile.tokenStorePath);
   
-  if (!fs.existsSync(tokenPath)) {
+  if (!tokens) {
     throw new Error('No tokens found. Initial authentication required.');
   }
   
-  let tokens = JSON.parse(fs.readFileSync(tokenPath, 'utf8'));
-  
   if (needsRefresh(tokens)) {
     console.error('[AUTO-REFRESH] Token needs refresh, initiating refresh');
-    tokens = await refreshAccessToken();
+    tokens = await refreshAccessToken(profile);
   }
   
   if (!tokens.access_token) {
@@ -0,0 +1,205 @@
+/**
+ * OAuth device-code flow for Office MCP
+ * Signs in without the local callback server: the user enters a short code at
+ * microsoft.com/devicelogin on any device while this process polls for tokens.
+ * The app registration must have "Allow public client flows" enabled.
+ */
+const https = require('https');
+const config = require('../config');
+const { saveTokenCache } = require('./token-manager');
+
+// Marks tokens obtained from a public-client flow (refreshed without client secret)
+const DEVICE_CODE_FLOW = 'device_code';
+
+// Seconds added to the polling interval when Microsoft answers slow_down
+const SLOW_DOWN_SECONDS = 5;
+
+// Device-code sign-ins per profile name
+const pendingFlows = new Map();
+
+/**
+ * Posts a form to the Microsoft identity platform endpoint of a tenant
+ * @param {string} tenantId - Tenant ID or domain
+ * @param {string} endpoint - "devicecode" or "token"
+ * @param {object} form - Form fields
+ * @returns {Promise<object>} - { statusCode, body } with the parsed JSON body
+ */
+function postIdentityForm(tenantId, endpoint, form) {
+  const postData = new URLSearchParams(form).toString();
+
+  return new Promise((resolve, reject) => {
+    const options = {
+      hostname: 'login.microsoftonline.com',
+      path: `/${tenantId}/oauth2/v2.0/${endpoint}`,
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Content-Length': Buffer.byteLength(postData)
+      }
+    };
+
+    const req = https.request(options, (res) => {
+      let data = '';
+
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+
+      res.on('end', () => {
+        try {
+          resolve({ statusCode: res.statusCode, body: JSON.parse(data) });
+        } catch (parseError) {
+          reject(new Error(`Failed to parse ${endpoint} response: ${parseError.message}`));
+        }
+      });
+    });
+
+    req.on('error', (error) => {
+      reject(new Error(`Network error during ${endpoint} request: ${error.message}`));
+    });
+
+    req.write(postData);
+    req.end();
+  });
+}
+
+/**
+ * Reads the signed-in user's address from an ID token
+ * @param {string} idToken - JWT ID token
+ * @returns {string|undefined} - Email or UPN
+ */
+function emailFromIdToken(idToken) {
+  if (!idToken) return undefined;
+
+  try {
+    const payload = JSON.parse(Buffer.from(idToken.split('.')[1], 'base64').toString());
+    return payload.preferred_username || payload.email || payload.upn;
+  } catch (error) {
+    console.error('[DEVICE-CODE] Error decoding ID token:', error.message);
+    return undefined;
+  }
+}
+
+/**
+ * Polls the token endpoint until the user completes, declines or the code expires
+ * @param {object} profile - Resolved account profile
+ * @param {object} flow - Pending flow entry (updated in place)
+ */
+function scheduleDeviceCodePoll(profile, flow) {
+  flow.timer = setTimeout(async () => {
+    if (Date.now() >= flow.expiresAt) {
+      flow.status = 'expired';
+      flow.error = 'The device code expired before sign-in was completed';
+      console.error(`[DEVICE-CODE] Code expired (profile ${profile.name})`);
+      return;
+    }
+
+    try {
+      const { statusCode, body } = await postIdentityForm(profile.tenantId, 'token', {
+        grant_type: 'urn:ietf:params:oauth:grant-type:device_code',
+        client_id: profile.clientId,
+        device_code: flow.deviceCode
+      });
+
+      if (statusCode >= 200 && statusCode < 300) {
+        const tokens = {
+          ...body,
+          expires_at: Date.now() + (body.expires_in * 1000),
+          auth_flow: DEVICE_CODE_FLOW
+        };
+        const email = emailFromIdToken(body.id_token);
+        if (email) tokens.email = email;
+
+        if (!saveTokenCache(tokens, profile.name)) {
+          throw new Error('Tokens were received but could not be saved');
+        }
+
+        flow.status = 'completed';
+        flow.email = tokens.email;
+        console.error(`[DEVICE-CODE] Sign-in completed (profile ${profile.name})`);
+        return;
+      }
+
+      switch (body.error) {
+        case 'authorization_pending':
+          break;
+        case 'slow_down':
+          flow.interval += SLOW_DOWN_SECONDS;
+          break;
+        default:
+          flow.status = 'failed';
+          flow.error = body.error_description || body.error || `HTTP ${statusCode}`;
+          console.error(`[DEVICE-CODE] Sign-in failed (profile ${profile.name}):`, flow.error);
+          return;
+      }
+    } catch (error) {
+      // Network hiccups are retried until the code expires
+      console.error('[DEVICE-CODE] Polling error:', error.message);
+    }
+
+    scheduleDeviceCodePoll(profile, flow);
+  }, flow.interval * 1000);
+
+  // Polling must not keep the process alive on shutdown
+  flow.timer.unref();
+}
+
+/**
+ * Starts a device-code sign-in for a profile, or returns the one in progress
+ * @param {object} profile - Resolved account profile
+ * @param {boolean} [force] - Discard a pending flow and request a new code
+ * @returns {Promise<object>} - Pending flow ({ userCode, verificationUri, message, expiresAt, status })
+ */
+async function startDeviceCodeFlow(profile, force = false) {
+  const existing = pendingFlows.get(profile.name);
+  if (existing && existing.status === 'pending' && !force) {
+    return existing;
+  }
+  if (existing) clearTimeout(existing.timer);
+
+  if (!profile.clientId) {
+    throw new Error('Missing client ID. Check OFFICE_CLIENT_ID or the profile settings.');
+  }
+
+  const { statusCode, body } = await postIdentityForm(profile.tenantId, 'devicecode', {
+    client_id: profile.clientId,
+    scope: ['offline_access', ...config.AUTH_CONFIG.scopes].join(' ')
+  });
+
+  if (statusCode < 200 || statusCode >= 300) {
+    throw new Error(`Device code request failed: ${body.error_description || body.error || `HTTP ${statusCode}`}`);
+  }
+
+  const flow = {
+    deviceCode: body.device_code,
+    userCode: body.user_code,
+    verificationUri: body.verification_uri,
+    message: body.message,
+    interval: body.interval || 5,
+    expiresAt: Date.now() + (body.expires_in * 1000),
+    status: 'pending',
+    error: null,
+    timer: null
+  };
+
+  pendingFlows.set(profile.name, flow);
+  scheduleDeviceCodePoll(profile, flow);
+  console.error(`[DEVICE-CODE] Waiting for user code ${flow.userCode} (profile ${profile.name})`);
+
+  return flow;
+}
+
+/**
+ * Gets the latest device-code sign-in of a profile
+ * @param {string} profileName - Profile name
+ * @returns {object|null} - Flow entry or null if none was started
+ */
+function getDeviceCodeFlow(profileName) {
+  return pendingFlows.get(profileName) || null;
+}
+
+module.exports = {
+  DEVICE_CODE_FLOW,
+  startDeviceCodeFlow,
+  getDeviceCodeFlow
+};
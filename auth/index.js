@@ -2,6 +2,7 @@
  * Authentication module for Office MCP server
  */
 const tokenManager = require('./token-manager');
+const profiles = require('./profiles');
 const { authTools } = require('./tools');
 
 /**
@@ -29,7 +30,9 @@ async function ensureAuthenticated(forceNew = false) {
     
     // If refresh failed, throw authentication required error
     if (error.message.includes('refresh') || error.message.includes('authentication')) {
-      throw new Error('Authentication required - please run the authenticate tool');
+      const profileName = profiles.getCurrentProfileName();
+      const forProfile = profileName === profiles.DEFAULT_PROFILE ? '' : ` for account "${profileName}"`;
+      throw new Error(`Authentication required${forProfile} - please run the authenticate tool`);
     }
     
     throw error;
@@ -38,6 +41,7 @@ async function ensureAuthenticated(forceNew = false) {
 
 module.exports = {
   tokenManager,
+  profiles,
   authTools,
   ensureAuthenticated
 };
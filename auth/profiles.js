@@ -0,0 +1,286 @@
+/**
+ * Account profiles for Office MCP
+ * A profile is a named Microsoft 365 account with its own app registration
+ * (client/tenant) and token file. The "default" profile always exists and
+ * uses the environment configuration, so single-account setups are unchanged.
+ */
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
+const { sealSecret, openSecret, isEncryptedEnvelope } = require('./token-store');
+
+const DEFAULT_PROFILE = 'default';
+const PROFILE_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,40}$/;
+
+// Schema fragment added to every tool's inputSchema
+const ACCOUNT_PROPERTY = {
+  type: 'string',
+  description: 'Account profile to run this call against (default: the active profile). See authenticate operation "list_profiles".'
+};
+
+// Profile selected for the tool call currently executing
+const accountStorage = new AsyncLocalStorage();
+
+/**
+ * Loads the profile registry
+ * @returns {object} - { active, profiles }
+ */
+function loadProfiles() {
+  try {
+    if (fs.existsSync(config.PROFILES_PATH)) {
+      const data = JSON.parse(fs.readFileSync(config.PROFILES_PATH, 'utf8'));
+      return {
+        active: data.active || DEFAULT_PROFILE,
+        profiles: data.profiles || {}
+      };
+    }
+  } catch (error) {
+    console.error('[PROFILES] Error loading profiles:', error.message);
+  }
+
+  return { active: DEFAULT_PROFILE, profiles: {} };
+}
+
+/**
+ * Saves the profile registry
+ * @param {object} registry - { active, profiles }
+ */
+function saveProfiles(registry) {
+  fs.writeFileSync(config.PROFILES_PATH, JSON.stringify(registry, null, 2), { mode: 0o600 });
+}
+
+/**
+ * Derives a per-profile file path from a base path
+ * (e.g. ~/.office-mcp-delta.json -> ~/.office-mcp-delta.work.json)
+ * @param {string} basePath - Path used by the default profile
+ * @param {string} name - Profile name
+ * @returns {string} - Path for the profile
+ */
+function profileScopedPath(basePath, name = getCurrentProfileName()) {
+  if (name === DEFAULT_PROFILE) return basePath;
+
+  const ext = path.extname(basePath);
+  return `${basePath.slice(0, basePath.length - ext.length)}.${name}${ext}`;
+}
+
+/**
+ * Lists profile names, default first
+ * @returns {string[]} - Profile names
+ */
+function listProfileNames() {
+  return [DEFAULT_PROFILE, ...Object.keys(loadProfiles().profiles).filter(name => name !== DEFAULT_PROFILE)];
+}
+
+/**
+ * Whether a profile exists
+ * @param {string} name - Profile name
+ * @returns {boolean}
+ */
+function profileExists(name) {
+  return name === DEFAULT_PROFILE || Boolean(loadProfiles().profiles[name]);
+}
+
+/**
+ * Reads a profile's client secret, encrypting one still stored in plaintext
+ * @param {object} registry - Profile registry
+ * @param {string} name - Profile name
+ * @returns {string|undefined} - Client secret, or undefined to use the default
+ */
+function readClientSecret(registry, name) {
+  const profile = registry.profiles[name];
+  if (isEncryptedEnvelope(profile.clientSecret)) {
+    return openSecret(profile.clientSecret);
+  }
+
+  if (profile.clientSecret) {
+    profile.clientSecret = sealSecret(profile.clientSecret);
+    saveProfiles(registry);
+    return openSecret(profile.clientSecret);
+  }
+  return profile.clientSecret;
+}
+
+/**
+ * Resolves a profile to its full configuration
+ * @param {string} [name] - Profile name (default: current profile)
+ * @returns {object} - { name, clientId, clientSecret, tenantId, tokenStorePath }
+ */
+function resolveProfile(name = getCurrentProfileName()) {
+  const defaults = {
+    name: DEFAULT_PROFILE,
+    clientId: config.AUTH_CONFIG.clientId,
+    clientSecret: config.AUTH_CONFIG.clientSecret,
+    tenantId: config.AUTH_CONFIG.tenantId,
+    tokenStorePath: config.AUTH_CONFIG.tokenStorePath
+  };
+
+  if (name === DEFAULT_PROFILE) return defaults;
+
+  const registry = loadProfiles();
+  const profile = registry.profiles[name];
+  if (!profile) {
+    throw new Error(`Unknown account profile: ${name}. Known profiles: ${listProfileNames().join(', ')}`);
+  }
+
+  const clientSecret = readClientSecret(registry, name);
+  return {
+    name,
+    clientId: profile.clientId || defaults.clientId,
+    clientSecret: clientSecret !== undefined ? clientSecret : defaults.clientSecret,
+    tenantId: profile.tenantId || defaults.tenantId,
+    // Always derived from the name, so a profile can only ever own its own token file
+    tokenStorePath: profileScopedPath(defaults.tokenStorePath, name)
+  };
+}
+
+/**
+ * Adds or updates a profile. The client secret is stored encrypted.
+ * @param {string} name - Profile name
+ * @param {object} settings - { clientId, clientSecret, tenantId }
+ * @returns {object} - Resolved profile
+ */
+function addProfile(name, settings = {}) {
+  if (!PROFILE_NAME_PATTERN.test(name || '')) {
+    throw new Error('Profile name must be 1-40 letters, digits, "-" or "_"');
+  }
+  if (name === DEFAULT_PROFILE) {
+    throw new Error('The default profile is configured through environment variables (OFFICE_CLIENT_ID, OFFICE_CLIENT_SECRET, OFFICE_TENANT_ID)');
+  }
+  if (settings.tokenStorePath !== undefined) {
+    throw new Error(`The token file of a profile cannot be chosen; it is always ${profileScopedPath(config.AUTH_CONFIG.tokenStorePath, name)}`);
+  }
+
+  const registry = loadProfiles();
+  const existing = registry.profiles[name] || { createdAt: new Date().toISOString() };
+  const updates = {};
+  ['clientId', 'clientSecret', 'tenantId'].forEach(key => {
+    if (settings[key] !== undefined) updates[key] = settings[key];
+  });
+  if (updates.clientSecret) {
+    updates.clientSecret = sealSecret(updates.clientSecret);
+  }
+
+  // Token paths saved by earlier versions are dropped
+  delete existing.tokenStorePath;
+  registry.profiles[name] = { ...existing, ...updates };
+  saveProfiles(registry);
+  return resolveProfile(name);
+}
+
+/**
+ * Removes a profile; its token file and local sync data are deleted too
+ * @param {string} name - Profile name
+ * @returns {boolean} - Whether the token file was deleted
+ */
+function removeProfile(name) {
+  if (name === DEFAULT_PROFILE) {
+    throw new Error('The default profile cannot be removed');
+  }
+
+  const registry = loadProfiles();
+  if (!registry.profiles[name]) {
+    throw new Error(`Unknown account profile: ${name}`);
+  }
+
+  const tokenStorePath = profileScopedPath(config.AUTH_CONFIG.tokenStorePath, name);
+  delete registry.profiles[name];
+  if (registry.active === name) registry.active = DEFAULT_PROFILE;
+  saveProfiles(registry);
+
+  [
+    config.DELTA_STORE_PATH,
+    config.MAIL_INDEX_PATH,
+    config.UPLOAD_SESSIONS_PATH,
+    config.FILE_SYNC_MANIFEST_PATH,
+    config.SAVED_SEARCHES_PATH,
+    config.NEWSLETTER_RULES_PATH,
+    config.NEWSLETTER_FEEDBACK_PATH
+  ]
+    .map(basePath => profileScopedPath(basePath, name))
+    .filter(dataPath => fs.existsSync(dataPath))
+    .forEach(dataPath => fs.unlinkSync(dataPath));
+
+  if (fs.existsSync(tokenStorePath)) {
+    fs.unlinkSync(tokenStorePath);
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Makes a profile the one used when no account argument is given
+ * @param {string} name - Profile name
+ */
+function setActiveProfile(name) {
+  if (!profileExists(name)) {
+    throw new Error(`Unknown account profile: ${name}. Known profiles: ${listProfileNames().join(', ')}`);
+  }
+
+  const registry = loadProfiles();
+  registry.active = name;
+  saveProfiles(registry);
+}
+
+/**
+ * Gets the persisted active profile name
+ * @returns {string}
+ */
+function getActiveProfileName() {
+  const { active } = loadProfiles();
+  return profileExists(active) ? active : DEFAULT_PROFILE;
+}
+
+/**
+ * Gets the profile for the current call: the account argument if one was
+ * given, otherwise the active profile
+ * @returns {string}
+ */
+function getCurrentProfileName() {
+  return accountStorage.getStore() || getActiveProfileName();
+}
+
+/**
+ * Runs a function with a given profile as the current account
+ * @param {string} [name] - Profile name; falsy keeps the active profile
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} - Result of fn
+ */
+function runWithAccount(name, fn) {
+  if (!name) return fn();
+
+  if (!profileExists(name)) {
+    throw new Error(`Unknown account profile: ${name}. Known profiles: ${listProfileNames().join(', ')}`);
+  }
+  return accountStorage.run(name, fn);
+}
+
+/**
+ * Adds the `account` argument to a tool input schema
+ * @param {object} inputSchema - Tool input schema
+ * @returns {object} - Schema including the account property
+ */
+function withAccountProperty(inputSchema = { type: 'object', properties: {} }) {
+  return {
+    ...inputSchema,
+    properties: {
+      ...(inputSchema.properties || {}),
+      account: ACCOUNT_PROPERTY
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  listProfileNames,
+  profileExists,
+  resolveProfile,
+  addProfile,
+  removeProfile,
+  setActiveProfile,
+  getActiveProfileName,
+  getCurrentProfileName,
+  runWithAccount,
+  profileScopedPath,
+  withAccountProperty
+};
@@ -1,48 +1,41 @@
 /**
  * Token management for Microsoft Graph API authentication
+ * Tokens are cached per account profile; every function defaults to the
+ * profile of the tool call currently executing.
  */
-const fs = require('fs');
-const config = require('../config');
+const { readTokenFile, writeTokenFile } = require('./token-store');
 const { refreshAccessToken, needsRefresh } = require('./auto-refresh');
+const { resolveProfile, getCurrentProfileName } = require('./profiles');
 
-// Global variable to store tokens
-let cachedTokens = null;
+// Tokens per profile name
+const cachedTokens = new Map();
 
-// Debounce concurrent refresh requests
-let refreshPromise = null;
+// Debounce concurrent refresh requests, per profile
+const refreshPromises = new Map();
 
 /**
  * Loads authentication tokens from the token file
+ * @param {string} [profileName] - Profile to load (default: current profile)
  * @returns {object|null} - The loaded tokens or null if not available
  */
-function loadTokenCache() {
+function loadTokenCache(profileName = getCurrentProfileName()) {
   try {
-    const tokenPath = config.AUTH_CONFIG.tokenStorePath;
-    
-    // Quick existence check without stat
-    if (!fs.existsSync(tokenPath)) {
-      console.error('[TOKEN-MANAGER] Token file does not exist');
+    const tokens = readTokenFile(resolveProfile(profileName).tokenStorePath);
+
+    if (!tokens) {
+      console.error(`[TOKEN-MANAGER] Token file does not exist for profile ${profileName}`);
       return null;
     }
-    
-    const tokenData = fs.readFileSync(tokenPath, 'utf8');
-    
-    try {
-      const tokens = JSON.parse(tokenData);
-      
-      // Check for access token presence
-      if (!tokens.access_token) {
-        console.error('[TOKEN-MANAGER] No access_token found in tokens');
-        return null;
-      }
-      
-      // Update the cache
-      cachedTokens = tokens;
-      return tokens;
-    } catch (parseError) {
-      console.error('[TOKEN-MANAGER] Error parsing token JSON:', parseError.message);
+
+    // Check for access token presence
+    if (!tokens.access_token) {
+      console.error('[TOKEN-MANAGER] No access_token found in tokens');
       return null;
     }
+
+    // Update the cache
+    cachedTokens.set(profileName, tokens);
+    return tokens;
   } catch (error) {
     console.error('[TOKEN-MANAGER] Error loading token cache:', error.message);
     return null;
@@ -52,18 +45,19 @@ function loadTokenCache() {
 /**
  * Saves authentication tokens to the token file
  * @param {object} tokens - The tokens to save
+ * @param {string} [profileName] - Profile to save for (default: current profile)
  * @returns {boolean} - Whether the save was successful
  */
-function saveTokenCache(tokens) {
+function saveTokenCache(tokens, profileName = getCurrentProfileName()) {
   try {
-    const tokenPath = config.AUTH_CONFIG.tokenStorePath;
+    const tokenPath = resolveProfile(profileName).tokenStorePath;
     console.error(`Saving tokens to: ${tokenPath}`);
-    
-    fs.writeFileSync(tokenPath, JSON.stringify(tokens, null, 2));
+
+    writeTokenFile(tokenPath, tokens);
     console.error('Tokens saved successfully');
-    
+
     // Update the cache
-    cachedTokens = tokens;
+    cachedTokens.set(profileName, tokens);
     return true;
   } catch (error) {
     console.error('Error saving token cache:', error);
@@ -71,98 +65,111 @@ function saveTokenCache(tokens) {
   }
 }
 
+/**
+ * Drops cached tokens so the next call reads the token file again
+ * @param {string} [profileName] - Profile to forget; omit to clear all
+ */
+function clearTokenCache(profileName) {
+  if (profileName) {
+    cachedTokens.delete(profileName);
+  } else {
+    cachedTokens.clear();
+  }
+}
+
+/**
+ * Refreshes the tokens of a profile, sharing one request between concurrent callers
+ * @param {string} profileName - Profile to refresh
+ * @returns {Promise<object>} - New tokens
+ */
+function refreshProfileTokens(profileName) {
+  if (!refreshPromises.has(profileName)) {
+    refreshPromises.set(profileName, refreshAccessToken(resolveProfile(profileName))
+      .then(newTokens => {
+        cachedTokens.set(profileName, newTokens);
+        refreshPromises.delete(profileName);
+        return newTokens;
+      })
+      .catch(error => {
+        console.error(`[TOKEN-MANAGER] Auto-refresh failed for profile ${profileName}:`, error.message);
+        refreshPromises.delete(profileName);
+        throw error;
+      }));
+  }
+
+  return refreshPromises.get(profileName);
+}
+
 /**
  * Gets the current access token, loading from cache if necessary
  * @param {boolean} autoRefresh - Whether to automatically refresh expired tokens
+ * @param {string} [profileName] - Profile to use (default: current profile)
  * @returns {Promise<string>|string|null} - The access token or null if not available
  */
-async function getAccessToken(autoRefresh = true) {
-  // First check cache
-  if (cachedTokens && cachedTokens.access_token) {
-    if (autoRefresh && needsRefresh(cachedTokens)) {
-      console.error('[TOKEN-MANAGER] Cached token needs refresh');
-      
-      // Debounce concurrent refresh requests
-      if (!refreshPromise) {
-        refreshPromise = refreshAccessToken()
-          .then(newTokens => {
-            cachedTokens = newTokens;
-            refreshPromise = null;
-            return newTokens;
-          })
-          .catch(error => {
-            console.error('[TOKEN-MANAGER] Auto-refresh failed:', error.message);
-            refreshPromise = null;
-            throw error;
-          });
-      }
-      
-      try {
-        const newTokens = await refreshPromise;
-        return newTokens.access_token;
-      } catch (error) {
-        // Return existing token if refresh fails (might still work briefly)
-        return cachedTokens.access_token;
-      }
-    }
-    return cachedTokens.access_token;
-  }
-  
-  // Load from file
-  const tokens = loadTokenCache();
+async function getAccessToken(autoRefresh = true, profileName = getCurrentProfileName()) {
+  // First check cache, then the token file
+  const tokens = cachedTokens.get(profileName) || loadTokenCache(profileName);
   if (!tokens || !tokens.access_token) {
     return null;
   }
-  
+
   // Check if refresh needed
   if (autoRefresh && needsRefresh(tokens)) {
-    console.error('[TOKEN-MANAGER] Token needs refresh');
-    
-    // Debounce concurrent refresh requests
-    if (!refreshPromise) {
-      refreshPromise = refreshAccessToken()
-        .then(newTokens => {
-          cachedTokens = newTokens;
-          refreshPromise = null;
-          return newTokens;
-        })
-        .catch(error => {
-          console.error('[TOKEN-MANAGER] Auto-refresh failed:', error.message);
-          refreshPromise = null;
-          throw error;
-        });
-    }
-    
+    console.error(`[TOKEN-MANAGER] Token needs refresh (profile ${profileName})`);
+
     try {
-      const newTokens = await refreshPromise;
+      const newTokens = await refreshProfileTokens(profileName);
       return newTokens.access_token;
     } catch (error) {
-      // Return existing token if refresh fails
+      // Return existing token if refresh fails (might still work briefly)
       return tokens.access_token;
     }
   }
-  
+
   return tokens.access_token;
 }
 
+/**
+ * Gets a new access token after Graph rejected one with 401, even if the
+ * token has not reached its expiry time (e.g. it was revoked or the clock drifted)
+ * @param {string} rejectedToken - Access token Graph answered 401 to
+ * @param {string} [profileName] - Profile to refresh (default: current profile)
+ * @returns {Promise<string>} - New access token
+ * @throws {Error} - If the refresh fails
+ */
+async function refreshAfterUnauthorized(rejectedToken, profileName = getCurrentProfileName()) {
+  // Another request may already have refreshed the token
+  const tokens = cachedTokens.get(profileName) || loadTokenCache(profileName);
+  if (tokens?.access_token && tokens.access_token !== rejectedToken) {
+    return tokens.access_token;
+  }
+
+  console.error(`[TOKEN-MANAGER] Access token rejected, refreshing (profile ${profileName})`);
+  const newTokens = await refreshProfileTokens(profileName);
+  return newTokens.access_token;
+}
+
 /**
  * Creates a test access token for use in test mode
+ * @param {string} [profileName] - Profile to create tokens for (default: current profile)
  * @returns {object} - The test tokens
  */
-function createTestTokens() {
+function createTestTokens(profileName = getCurrentProfileName()) {
   const testTokens = {
     access_token: "test_access_token_" + Date.now(),
     refresh_token: "test_refresh_token_" + Date.now(),
     expires_at: Date.now() + (3600 * 1000) // 1 hour
   };
-  
-  saveTokenCache(testTokens);
+
+  saveTokenCache(testTokens, profileName);
   return testTokens;
 }
 
 module.exports = {
   loadTokenCache,
   saveTokenCache,
+  clearTokenCache,
   getAccessToken,
+  refreshAfterUnauthorized,
   createTestTokens
 };
@@ -0,0 +1,232 @@
+/**
+ * Encrypted token file storage for Office MCP
+ * Token files are AES-256-GCM envelopes written with owner-only permissions.
+ * The key comes from TOKEN_ENCRYPTION_KEY, a passphrase (TOKEN_PASSPHRASE,
+ * scrypt with a per-file salt) or a key file generated on first use.
+ * Plaintext token files from earlier versions are still read and are
+ * re-written encrypted the first time they are loaded.
+ *
+ * Used by token-manager, auto-refresh and office-auth-server so every token
+ * file goes through the same code.
+ */
+const fs = require('fs');
+const crypto = require('crypto');
+const config = require('../config');
+
+const ENVELOPE_FORMAT = 'office-mcp-encrypted-tokens';
+const ENVELOPE_VERSION = 1;
+const ALGORITHM = 'aes-256-gcm';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const SALT_BYTES = 16;
+
+// scrypt is deliberately slow; derived keys are reused per passphrase and salt
+const derivedKeys = new Map();
+
+/**
+ * Parses a raw key given as 64 hex characters or base64 of 32 bytes
+ * @param {string} value - Key text
+ * @returns {Buffer} - 32-byte key
+ */
+function parseRawKey(value) {
+  const text = value.trim();
+  const key = /^[0-9a-fA-F]{64}$/.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+
+  if (key.length !== KEY_BYTES) {
+    throw new Error(`Token encryption key must be ${KEY_BYTES} bytes (64 hex characters or base64)`);
+  }
+  return key;
+}
+
+/**
+ * Reads the key file, creating it with a random key when missing
+ * @param {boolean} create - Whether a missing key file may be created
+ * @returns {Buffer|null} - Key, or null if missing and not created
+ */
+function loadKeyFile(create) {
+  const keyPath = config.TOKEN_STORE.keyFilePath;
+
+  if (!fs.existsSync(keyPath)) {
+    if (!create) return null;
+
+    fs.writeFileSync(keyPath, crypto.randomBytes(KEY_BYTES).toString('base64'), { mode: 0o600 });
+    console.error(`[TOKEN-STORE] Generated token encryption key file: ${keyPath}`);
+  }
+
+  hardenPermissions(keyPath);
+  return parseRawKey(fs.readFileSync(keyPath, 'utf8'));
+}
+
+/**
+ * Gets the key to encrypt or decrypt with
+ * @param {string} kdf - "scrypt" (passphrase) or "none" (raw key)
+ * @param {Buffer} [salt] - Salt for the passphrase
+ * @param {boolean} [create] - Whether a missing key file may be created
+ * @returns {Buffer} - 32-byte key
+ */
+function resolveKey(kdf, salt, create = false) {
+  const { key, passphrase } = config.TOKEN_STORE;
+
+  if (kdf === 'scrypt') {
+    if (!passphrase) {
+      throw new Error('Token file is protected by a passphrase; set TOKEN_PASSPHRASE');
+    }
+
+    const cacheKey = `${passphrase}:${salt.toString('base64')}`;
+    if (!derivedKeys.has(cacheKey)) {
+      derivedKeys.set(cacheKey, crypto.scryptSync(passphrase, salt, KEY_BYTES));
+    }
+    return derivedKeys.get(cacheKey);
+  }
+
+  if (key) return parseRawKey(key);
+
+  const fileKey = loadKeyFile(create);
+  if (!fileKey) {
+    throw new Error(`Token encryption key not found; set TOKEN_ENCRYPTION_KEY or restore ${config.TOKEN_STORE.keyFilePath}`);
+  }
+  return fileKey;
+}
+
+/**
+ * Restricts a file to its owner (no-op where the OS ignores POSIX modes)
+ * @param {string} filePath - File to restrict
+ */
+function hardenPermissions(filePath) {
+  try {
+    if ((fs.statSync(filePath).mode & 0o077) !== 0) {
+      fs.chmodSync(filePath, 0o600);
+    }
+  } catch (error) {
+    console.error(`[TOKEN-STORE] Could not restrict permissions on ${filePath}:`, error.message);
+  }
+}
+
+/**
+ * Encrypts tokens into a file envelope
+ * @param {object} tokens - Token object
+ * @returns {object} - Envelope
+ */
+function encryptTokens(tokens) {
+  const usePassphrase = !config.TOKEN_STORE.key && Boolean(config.TOKEN_STORE.passphrase);
+  const salt = usePassphrase ? crypto.randomBytes(SALT_BYTES) : null;
+  const key = resolveKey(usePassphrase ? 'scrypt' : 'none', salt, true);
+  const iv = crypto.randomBytes(IV_BYTES);
+
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(tokens), 'utf8'), cipher.final()]);
+
+  return {
+    format: ENVELOPE_FORMAT,
+    version: ENVELOPE_VERSION,
+    algorithm: ALGORITHM,
+    kdf: usePassphrase ? 'scrypt' : 'none',
+    salt: salt ? salt.toString('base64') : undefined,
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Decrypts a file envelope
+ * @param {object} envelope - Envelope read from disk
+ * @returns {object} - Token object
+ */
+function decryptTokens(envelope) {
+  if (envelope.version !== ENVELOPE_VERSION || envelope.algorithm !== ALGORITHM) {
+    throw new Error(`Unsupported token file format (version ${envelope.version}, ${envelope.algorithm})`);
+  }
+
+  const salt = envelope.salt ? Buffer.from(envelope.salt, 'base64') : null;
+  const key = resolveKey(envelope.kdf, salt);
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(envelope.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+
+  try {
+    const plain = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+    return JSON.parse(plain.toString('utf8'));
+  } catch (error) {
+    throw new Error('Token file could not be decrypted; the key or passphrase does not match');
+  }
+}
+
+/**
+ * Whether a parsed token file is an encrypted envelope
+ * @param {object} content - Parsed file content
+ * @returns {boolean}
+ */
+function isEncryptedEnvelope(content) {
+  return Boolean(content) && content.format === ENVELOPE_FORMAT;
+}
+
+/**
+ * Writes tokens to a token file (encrypted unless TOKEN_ENCRYPTION=false)
+ * @param {string} tokenPath - Token file path
+ * @param {object} tokens - Token object
+ */
+function writeTokenFile(tokenPath, tokens) {
+  const content = config.TOKEN_STORE.encryption ? encryptTokens(tokens) : tokens;
+  const tempPath = `${tokenPath}.tmp`;
+
+  fs.writeFileSync(tempPath, JSON.stringify(content, null, 2), { mode: 0o600 });
+  fs.renameSync(tempPath, tokenPath);
+  hardenPermissions(tokenPath);
+}
+
+/**
+ * Reads tokens from a token file, migrating a plaintext file to the encrypted format
+ * @param {string} tokenPath - Token file path
+ * @returns {object|null} - Token object, or null if the file does not exist
+ * @throws {Error} - If the file cannot be parsed or decrypted
+ */
+function readTokenFile(tokenPath) {
+  if (!fs.existsSync(tokenPath)) {
+    return null;
+  }
+
+  hardenPermissions(tokenPath);
+  const content = JSON.parse(fs.readFileSync(tokenPath, 'utf8'));
+
+  if (isEncryptedEnvelope(content)) {
+    return decryptTokens(content);
+  }
+
+  if (config.TOKEN_STORE.encryption) {
+    try {
+      writeTokenFile(tokenPath, content);
+      console.error(`[TOKEN-STORE] Migrated plaintext token file to encrypted storage: ${tokenPath}`);
+    } catch (error) {
+      console.error('[TOKEN-STORE] Could not encrypt plaintext token file:', error.message);
+    }
+  }
+
+  return content;
+}
+
+/**
+ * Encrypts a single secret kept outside token files (e.g. a profile client secret).
+ * Always encrypted, whatever TOKEN_ENCRYPTION says.
+ * @param {string} value - Secret
+ * @returns {object} - Envelope
+ */
+function sealSecret(value) {
+  return encryptTokens({ secret: value });
+}
+
+/**
+ * Decrypts a secret sealed by sealSecret
+ * @param {object} envelope - Envelope
+ * @returns {string} - Secret
+ */
+function openSecret(envelope) {
+  return decryptTokens(envelope).secret;
+}
+
+module.exports = {
+  readTokenFile,
+  writeTokenFile,
+  isEncryptedEnvelope,
+  sealSecret,
+  openSecret
+};
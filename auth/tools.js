@@ -1,8 +1,11 @@
 /**
  * Authentication-related tools for the Office MCP server
  */
+const fs = require('fs');
 const config = require('../config');
 const tokenManager = require('./token-manager');
+const profiles = require('./profiles');
+const deviceCode = require('./device-code');
 
 /**
  * About tool handler
@@ -22,8 +25,46 @@ async function handleAbout() {
  * @param {object} args - Tool arguments
  * @returns {object} - MCP response
  */
-async function handleAuthenticate(args) {
-  const force = args && args.force === true;
+async function handleAuthenticate(args = {}) {
+  const { operation = 'login', force = false } = args;
+  
+  try {
+    switch (operation) {
+      case 'login':
+        return startLogin();
+      case 'device_code':
+        return await startDeviceCodeLogin(force);
+      case 'list_profiles':
+        return listProfiles();
+      case 'add_profile':
+        return addProfile(args);
+      case 'switch_profile':
+        return switchProfile(args);
+      case 'remove_profile':
+        return removeProfile(args);
+      default:
+        return {
+          content: [{
+            type: "text",
+            text: `Invalid operation: ${operation}. Valid operations are: login, device_code, list_profiles, add_profile, switch_profile, remove_profile`
+          }]
+        };
+    }
+  } catch (error) {
+    console.error(`Error in authenticate ${operation}:`, error);
+    return {
+      content: [{ type: "text", text: `Error in authenticate ${operation}: ${error.message}` }],
+      isError: true
+    };
+  }
+}
+
+/**
+ * Starts sign-in for the current account profile
+ */
+function startLogin() {
+  const profile = profiles.resolveProfile();
+  const forProfile = profile.name === profiles.DEFAULT_PROFILE ? '' : ` (account "${profile.name}")`;
   
   // For test mode, create a test token
   if (config.USE_TEST_MODE) {
@@ -33,29 +74,182 @@ async function handleAuthenticate(args) {
     return {
       content: [{
         type: "text",
-        text: 'Successfully authenticated with Microsoft Graph API (test mode)'
+        text: `Successfully authenticated with Microsoft Graph API (test mode)${forProfile}`
       }]
     };
   }
   
   // For real authentication, generate an auth URL and instruct the user to visit it
-  const authUrl = `${config.AUTH_CONFIG.authServerUrl}/auth?client_id=${config.AUTH_CONFIG.clientId}`;
+  const authParams = new URLSearchParams({ client_id: profile.clientId });
+  if (profile.name !== profiles.DEFAULT_PROFILE) {
+    authParams.set('profile', profile.name);
+  }
+  const authUrl = `${config.AUTH_CONFIG.authServerUrl}/auth?${authParams}`;
+  
+  return {
+    content: [{
+      type: "text",
+      text: `Authentication required${forProfile}. Please visit the following URL to authenticate with Microsoft: ${authUrl}\n\nAfter authentication, you will be redirected back to this application.`
+    }]
+  };
+}
+
+/**
+ * Starts (or reports) a device-code sign-in for the current account profile
+ * @param {boolean} force - Request a new code even if one is pending
+ */
+async function startDeviceCodeLogin(force) {
+  const profile = profiles.resolveProfile();
+  const forProfile = profile.name === profiles.DEFAULT_PROFILE ? '' : ` (account "${profile.name}")`;
+  
+  if (config.USE_TEST_MODE) {
+    tokenManager.createTestTokens();
+    
+    return {
+      content: [{
+        type: "text",
+        text: `Successfully authenticated with Microsoft Graph API (test mode, device code)${forProfile}`
+      }]
+    };
+  }
+  
+  const previous = deviceCode.getDeviceCodeFlow(profile.name);
+  if (previous && previous.status === 'completed' && !force) {
+    return {
+      content: [{
+        type: "text",
+        text: `Device code sign-in completed${forProfile}${previous.email ? ` as ${previous.email}` : ''}. Use force: true to sign in again.`
+      }]
+    };
+  }
+  
+  const flow = await deviceCode.startDeviceCodeFlow(profile, force);
+  const minutesLeft = Math.max(0, (flow.expiresAt - Date.now()) / 1000 / 60);
+  
+  return {
+    content: [{
+      type: "text",
+      text: `Device code sign-in${forProfile}:\n\n1. Open ${flow.verificationUri} on any device\n2. Enter the code: ${flow.userCode}\n3. Sign in with your Microsoft 365 account\n\nThe code expires in ${minutesLeft.toFixed(0)} minutes. Tokens are saved automatically once sign-in completes; run check-auth-status to confirm.`
+    }]
+  };
+}
+
+/**
+ * Describes a device-code sign-in that has not completed yet
+ * @param {string} profileName - Profile name
+ * @returns {string} - Status line, or empty string if none
+ */
+function describeDeviceCodeFlow(profileName) {
+  const flow = deviceCode.getDeviceCodeFlow(profileName);
+  if (!flow || flow.status === 'completed') return '';
+  
+  if (flow.status === 'pending') {
+    return `\nDevice code sign-in pending: enter ${flow.userCode} at ${flow.verificationUri}`;
+  }
+  return `\nDevice code sign-in ${flow.status}: ${flow.error}`;
+}
+
+/**
+ * Lists account profiles with their sign-in state
+ */
+function listProfiles() {
+  const active = profiles.getActiveProfileName();
+  
+  const list = profiles.listProfileNames().map(name => {
+    const profile = profiles.resolveProfile(name);
+    const tokens = fs.existsSync(profile.tokenStorePath) ? tokenManager.loadTokenCache(name) : null;
+    const status = tokens ? `signed in${tokens.email ? ` as ${tokens.email}` : ''}` : 'not signed in';
+    const clientId = profile.clientId ? `${profile.clientId.substring(0, 8)}...` : 'NOT SET';
+    
+    return `${name === active ? '* ' : '  '}${name}\n    Tenant: ${profile.tenantId}\n    Client ID: ${clientId}\n    Status: ${status}${describeDeviceCodeFlow(name).replace('\n', '\n    ')}`;
+  }).join('\n');
+  
+  return {
+    content: [{
+      type: "text",
+      text: `Account profiles (* = active):\n\n${list}`
+    }]
+  };
+}
+
+/**
+ * Adds or updates an account profile
+ */
+function addProfile(args) {
+  const { profile: name, clientId, clientSecret, tenantId } = args;
+  
+  if (!name) {
+    return {
+      content: [{ type: "text", text: "Missing required parameter: profile" }]
+    };
+  }
+  
+  const profile = profiles.addProfile(name, { clientId, clientSecret, tenantId, tokenStorePath: args.tokenStorePath });
+  
+  return {
+    content: [{
+      type: "text",
+      text: `Profile "${profile.name}" saved.\nTenant: ${profile.tenantId}\nClient ID: ${profile.clientId || 'NOT SET'}\nToken file: ${profile.tokenStorePath}\n\nRun authenticate with account "${profile.name}" to sign in.`
+    }]
+  };
+}
+
+/**
+ * Sets the profile used when a tool call has no account argument
+ */
+function switchProfile(args) {
+  const { profile: name } = args;
+  
+  if (!name) {
+    return {
+      content: [{ type: "text", text: "Missing required parameter: profile" }]
+    };
+  }
+  
+  profiles.setActiveProfile(name);
+  
+  return {
+    content: [{ type: "text", text: `Active profile is now "${name}".` }]
+  };
+}
+
+/**
+ * Removes an account profile and its token file
+ */
+function removeProfile(args) {
+  const { profile: name } = args;
+  
+  if (!name) {
+    return {
+      content: [{ type: "text", text: "Missing required parameter: profile" }]
+    };
+  }
+  
+  const tokensDeleted = profiles.removeProfile(name);
+  tokenManager.clearTokenCache(name);
   
   return {
     content: [{
       type: "text",
-      text: `Authentication required. Please visit the following URL to authenticate with Microsoft: ${authUrl}\n\nAfter authentication, you will be redirected back to this application.`
+      text: `Profile "${name}" removed${tokensDeleted ? ' and its token file deleted' : ''}. Active profile: ${profiles.getActiveProfileName()}.`
     }]
   };
 }
 
 /**
  * Check authentication status tool handler
+ * @param {object} args - Tool arguments
  * @returns {object} - MCP response
  */
-async function handleCheckAuthStatus() {
+async function handleCheckAuthStatus(args = {}) {
+  if (args.operation === 'list_profiles') {
+    return listProfiles();
+  }
+  
   console.error('[CHECK-AUTH-STATUS] Starting authentication status check');
   
+  const profileName = profiles.getCurrentProfileName();
+  const forProfile = profileName === profiles.DEFAULT_PROFILE ? '' : ` (account "${profileName}")`;
   const tokens = tokenManager.loadTokenCache();
   
   console.error(`[CHECK-AUTH-STATUS] Tokens loaded: ${tokens ? 'YES' : 'NO'}`);
@@ -63,7 +257,7 @@ async function handleCheckAuthStatus() {
   if (!tokens || !tokens.access_token) {
     console.error('[CHECK-AUTH-STATUS] No valid access token found');
     return {
-      content: [{ type: "text", text: "Not authenticated" }]
+      content: [{ type: "text", text: `Not authenticated${forProfile}${describeDeviceCodeFlow(profileName)}` }]
     };
   }
   
@@ -78,7 +272,7 @@ async function handleCheckAuthStatus() {
     return {
       content: [{ 
         type: "text", 
-        text: `Authenticated - token expires in ${timeLeft.toFixed(1)} minutes (will auto-refresh)` 
+        text: `Authenticated${forProfile} - token expires in ${timeLeft.toFixed(1)} minutes (will auto-refresh)` 
       }]
     };
   }
@@ -87,7 +281,7 @@ async function handleCheckAuthStatus() {
   return {
     content: [{ 
       type: "text", 
-      text: `Authenticated and ready - token valid for ${timeLeft.toFixed(1)} minutes` 
+      text: `Authenticated and ready${forProfile} - token valid for ${timeLeft.toFixed(1)} minutes` 
     }]
   };
 }
@@ -110,9 +304,30 @@ const authTools = [
     inputSchema: {
       type: "object",
       properties: {
+        operation: {
+          type: "string",
+          enum: ["login", "device_code", "list_profiles", "add_profile", "switch_profile", "remove_profile"],
+          description: "login (default): sign in the account given by the account argument (or the active profile) through the local auth server; device_code: sign in with a code entered at microsoft.com/devicelogin (no callback server needed); the other operations manage account profiles"
+        },
         force: {
           type: "boolean",
-          description: "Force re-authentication even if already authenticated"
+          description: "Force re-authentication even if already authenticated (device_code: request a new code)"
+        },
+        profile: {
+          type: "string",
+          description: "Profile name (for add_profile, switch_profile, remove_profile)"
+        },
+        clientId: {
+          type: "string",
+          description: "Azure app client ID (for add_profile; default: OFFICE_CLIENT_ID)"
+        },
+        clientSecret: {
+          type: "string",
+          description: "Azure app client secret (for add_profile; stored encrypted; default: OFFICE_CLIENT_SECRET)"
+        },
+        tenantId: {
+          type: "string",
+          description: "Tenant ID or domain (for add_profile; default: OFFICE_TENANT_ID or common)"
         }
       },
       required: []
@@ -121,10 +336,16 @@ const authTools = [
   },
   {
     name: "check-auth-status",
-    description: "Check the current authentication status with Microsoft Graph API",
+    description: "Check the current authentication status with Microsoft Graph API, or list account profiles",
     inputSchema: {
       type: "object",
-      properties: {},
+      properties: {
+        operation: {
+          type: "string",
+          enum: ["status", "list_profiles"],
+          description: "status (default): sign-in state of the account; list_profiles: all profiles and their sign-in state"
+        }
+      },
       required: []
     },
     handler: handleCheckAuthStatus
@@ -4,7 +4,7 @@
  */
 
 const { ensureAuthenticated } = require('../auth');
-const { callGraphAPI } = require('../utils/graph-api');
+const { callGraphAPI, collectGraphItems } = require('../utils/graph-api');
 const config = require('../config');
 
 /**
@@ -61,8 +61,7 @@ async function listCalendarEvents(accessToken, params) {
   
   const queryParams = {
     $select: config.CALENDAR_SELECT_FIELDS,
-    $orderby: 'start/dateTime',
-    $top: maxResults
+    $orderby: 'start/dateTime'
   };
   
   // Add date filter if provided
@@ -100,25 +99,21 @@ async function listCalendarEvents(accessToken, params) {
       
       const viewParams = {
         $select: config.CALENDAR_SELECT_FIELDS,
-        $orderby: 'start/dateTime',
-        $top: maxResults
+        $orderby: 'start/dateTime'
       };
       
-      const viewResponse = await callGraphAPI(
-        accessToken,
-        'GET',
-        'me/calendar/calendarView',
-        null,
-        {
-          ...viewParams,
-          startDateTime: formattedStartDateTime,
-          endDateTime: formattedEndDateTime
-        }
-      );
+      const viewEvents = await collectGraphItems(accessToken, 'me/calendar/calendarView', {
+        ...viewParams,
+        startDateTime: formattedStartDateTime,
+        endDateTime: formattedEndDateTime
+      }, {
+        maxItems: maxResults,
+        pageSize: config.GRAPH_PAGE_SIZE.events
+      });
       
-      if (viewResponse.value && viewResponse.value.length > 0) {
-        console.error(`calendarView returned ${viewResponse.value.length} events`);
-        return formatCalendarResponse(viewResponse);
+      if (viewEvents.length > 0) {
+        console.error(`calendarView returned ${viewEvents.length} events`);
+        return formatCalendarResponse(viewEvents);
       }
       console.error('calendarView returned no events, falling back to regular query');
     } catch (viewError) {
@@ -126,28 +121,25 @@ async function listCalendarEvents(accessToken, params) {
     }
   }
   
-  const response = await callGraphAPI(
-    accessToken,
-    'GET',
-    'me/calendar/events',
-    null,
-    queryParams
-  );
+  const events = await collectGraphItems(accessToken, 'me/calendar/events', queryParams, {
+    maxItems: maxResults,
+    pageSize: config.GRAPH_PAGE_SIZE.events
+  });
   
-  return formatCalendarResponse(response);
+  return formatCalendarResponse(events);
 }
 
 /**
- * Helper function to format calendar response
+ * Helper function to format a list of calendar events
  */
-function formatCalendarResponse(response) {
-  if (!response.value || response.value.length === 0) {
+function formatCalendarResponse(events) {
+  if (events.length === 0) {
     return {
       content: [{ type: "text", text: "No calendar events found." }]
     };
   }
   
-  const eventsList = response.value.map((event, index) => {
+  const eventsList = events.map((event, index) => {
     const startTime = new Date(event.start.dateTime);
     const endTime = new Date(event.end.dateTime);
     return `${index + 1}. ${event.subject}\n   Start: ${startTime.toLocaleString()}\n   End: ${endTime.toLocaleString()}\n   Location: ${event.location.displayName || 'N/A'}\n   ID: ${event.id}\n`;
@@ -156,7 +148,7 @@ function formatCalendarResponse(response) {
   return {
     content: [{ 
       type: "text", 
-      text: `Found ${response.value.length} calendar events:\n\n${eventsList}` 
+      text: `Found ${events.length} calendar events:\n\n${eventsList}` 
     }]
   }
 }
@@ -447,4 +439,8 @@ const calendarTools = [
   }
 ];
 
-module.exports = { calendarTools };
\ No newline at end of file
+module.exports = {
+  calendarTools,
+  listCalendarEvents,
+  getCalendarEvent
+};
\ No newline at end of file
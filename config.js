@@ -17,6 +17,8 @@ module.exports = {
   HTTP_PORT: process.env.HTTP_PORT || 3333,
   HTTP_HOST: process.env.HTTP_HOST || '127.0.0.1',
   SERVICE_MODE: process.env.SERVICE_MODE === 'true',
+  HTTP_AUTH_TOKEN: process.env.MCP_HTTP_TOKEN || '', // Bearer token required by the HTTP listener
+  HTTP_SESSION_IDLE_MINUTES: parseInt(process.env.HTTP_SESSION_IDLE_MINUTES || '30', 10),
   
   // Test mode setting
   USE_TEST_MODE: process.env.USE_TEST_MODE === 'true',
@@ -25,6 +27,7 @@ module.exports = {
   AUTH_CONFIG: {
     clientId: process.env.OFFICE_CLIENT_ID || '',
     clientSecret: process.env.OFFICE_CLIENT_SECRET || '',
+    tenantId: process.env.OFFICE_TENANT_ID || 'common',
     redirectUri: 'http://localhost:3000/auth/callback',
     scopes: [
       'Mail.Read', 'Mail.ReadWrite', 'Mail.Send', 'MailboxSettings.ReadWrite', 
@@ -43,6 +46,48 @@ module.exports = {
     authServerUrl: 'http://localhost:3000'
   },
   
+  // Token file encryption (AES-256-GCM); the key comes from TOKEN_ENCRYPTION_KEY,
+  // TOKEN_PASSPHRASE, or a key file generated on first use
+  TOKEN_STORE: {
+    encryption: process.env.TOKEN_ENCRYPTION !== 'false',
+    key: process.env.TOKEN_ENCRYPTION_KEY || '',
+    passphrase: process.env.TOKEN_PASSPHRASE || '',
+    keyFilePath: process.env.TOKEN_KEY_FILE || path.join(homeDir, '.office-mcp-token.key')
+  },
+  
+  // Named account profiles (client/tenant and token file per profile)
+  PROFILES_PATH: process.env.PROFILES_PATH || path.join(homeDir, '.office-mcp-profiles.json'),
+  
+  // Tool permission policy (allow/deny rules, recipient domains) and global read-only mode
+  POLICY_PATH: process.env.POLICY_PATH || path.join(homeDir, '.office-mcp-policy.json'),
+  READ_ONLY: process.env.OFFICE_MCP_READ_ONLY === 'true',
+  
+  // Dry-run previews: confirm tokens lifetime, and whether mutating calls always need one
+  REQUIRE_CONFIRMATION: process.env.REQUIRE_CONFIRMATION === 'true',
+  CONFIRM_TOKEN_TTL_MINUTES: parseInt(process.env.CONFIRM_TOKEN_TTL_MINUTES || '10', 10),
+  
+  // Audit log of calls that modify data (JSONL, rotated by size)
+  AUDIT_ENABLED: process.env.AUDIT_LOG !== 'false',
+  AUDIT_LOG_PATH: process.env.AUDIT_LOG_PATH || path.join(homeDir, '.office-mcp-audit.jsonl'),
+  AUDIT_MAX_BYTES: parseInt(process.env.AUDIT_MAX_BYTES || String(5 * 1024 * 1024), 10),
+  AUDIT_MAX_FILES: parseInt(process.env.AUDIT_MAX_FILES || '5', 10),
+  
+  // Delta query state (deltaLinks and known item IDs) used by the sync tool
+  DELTA_STORE_PATH: process.env.DELTA_STORE_PATH || path.join(homeDir, '.office-mcp-delta.json'),
+  
+  // Local mail index built from mail sync, used by email_search/search with source local or auto
+  MAIL_INDEX_PATH: process.env.MAIL_INDEX_PATH || path.join(homeDir, '.office-mcp-mail-index.json'),
+  MAIL_INDEX_MAX_AGE_MINUTES: parseInt(process.env.MAIL_INDEX_MAX_AGE_MINUTES || '15', 10),
+  
+  // Named searches rerun by the saved_search tool, with the results already seen
+  SAVED_SEARCHES_PATH: process.env.SAVED_SEARCHES_PATH || path.join(homeDir, '.office-mcp-saved-searches.json'),
+
+  // Newsletter whitelist/blacklist/patterns (edited by the newsletter_rules tool, one file per profile,
+  // starting from the defaults shipped in config/) and the feedback it learns from
+  NEWSLETTER_RULES_PATH: process.env.NEWSLETTER_RULES_PATH || path.join(homeDir, '.office-mcp-newsletter-rules.json'),
+  NEWSLETTER_RULES_DEFAULTS_PATH: path.join(__dirname, 'config', 'newsletter-rules.json'),
+  NEWSLETTER_FEEDBACK_PATH: process.env.NEWSLETTER_FEEDBACK_PATH || path.join(homeDir, '.office-mcp-newsletter-feedback.json'),
+  
   // Microsoft Graph API
   GRAPH_API_ENDPOINT: 'https://graph.microsoft.com/v1.0/',
   
@@ -64,6 +109,47 @@ module.exports = {
   // Pagination
   DEFAULT_PAGE_SIZE: 25,
   MAX_RESULT_COUNT: 50,
+  // $top requested per page when a list follows @odata.nextLink (Graph maximums differ per resource)
+  GRAPH_PAGE_SIZE: {
+    mail: 250,
+    contacts: 250,
+    events: 250,
+    drive: 200,
+    chats: 50,
+    chatMessages: 50,
+    channelMessages: 50
+  },
+  
+  // Graph requests run at once per account and resource (Outlook allows 4 per mailbox)
+  GRAPH_CONCURRENCY: {
+    mailbox: parseInt(process.env.GRAPH_CONCURRENCY_MAILBOX || '4', 10),
+    drive: parseInt(process.env.GRAPH_CONCURRENCY_DRIVE || '4', 10),
+    teams: parseInt(process.env.GRAPH_CONCURRENCY_TEAMS || '4', 10),
+    planner: parseInt(process.env.GRAPH_CONCURRENCY_PLANNER || '4', 10),
+    other: parseInt(process.env.GRAPH_CONCURRENCY_OTHER || '8', 10)
+  },
+  
+  // Files larger than this are uploaded through a resumable upload session
+  SIMPLE_UPLOAD_MAX_BYTES: 4 * 1024 * 1024,
+  // Upload session chunk size (Graph requires a multiple of 320 KiB)
+  UPLOAD_CHUNK_SIZE: Math.max(1, Math.round(parseInt(process.env.UPLOAD_CHUNK_SIZE || String(10 * 1024 * 1024), 10) / (320 * 1024))) * 320 * 1024,
+  // Upload sessions of unfinished uploads, so they can resume
+  UPLOAD_SESSIONS_PATH: process.env.UPLOAD_SESSIONS_PATH || path.join(homeDir, '.office-mcp-uploads.json'),
+  // State of each synced folder at the end of its last files_sync
+  FILE_SYNC_MANIFEST_PATH: process.env.FILE_SYNC_MANIFEST_PATH || path.join(homeDir, '.office-mcp-file-sync.json'),
+  // Directories tools may save downloads and reports to, upload from and sync (comma-separated)
+  LOCAL_FILES_ROOTS: process.env.LOCAL_FILES_ROOTS
+    ? process.env.LOCAL_FILES_ROOTS.split(',').map(root => root.trim()).filter(Boolean).map(root => path.resolve(root))
+    : [homeDir, os.tmpdir()],
+  
+  // Largest binary download returned inline as base64 (bigger files must be saved to disk)
+  MAX_INLINE_DOWNLOAD_BYTES: parseInt(process.env.MAX_INLINE_DOWNLOAD_BYTES || String(1024 * 1024), 10),
+  
+  // Text extraction from documents found by search (extractContent): larger files are not downloaded,
+  // at most MAX_FILES documents per search, text cut at MAX_CHARS per document
+  CONTENT_EXTRACTION_MAX_BYTES: parseInt(process.env.CONTENT_EXTRACTION_MAX_BYTES || String(10 * 1024 * 1024), 10),
+  CONTENT_EXTRACTION_MAX_FILES: parseInt(process.env.CONTENT_EXTRACTION_MAX_FILES || '5', 10),
+  CONTENT_EXTRACTION_MAX_CHARS: parseInt(process.env.CONTENT_EXTRACTION_MAX_CHARS || '4000', 10),
   
   // Local file paths - MUST be configured via environment variables for your specific setup
   SHAREPOINT_SYNC_PATH: process.env.SHAREPOINT_SYNC_PATH || path.join(homeDir, 'SharePoint'),
@@ -4,7 +4,7 @@
  */
 
 const { ensureAuthenticated } = require('../auth');
-const { callGraphAPI } = require('../utils/graph-api');
+const { callGraphAPI, collectGraphItems } = require('../utils/graph-api');
 const config = require('../config');
 
 /**
@@ -71,7 +71,6 @@ async function listContacts(accessToken, params) {
   } = params;
   
   const queryParams = {
-    $top: top,
     $skip: skip,
     $orderby: orderBy
   };
@@ -84,21 +83,18 @@ async function listContacts(accessToken, params) {
     ? `/me/contactFolders/${folderId}/contacts`
     : '/me/contacts';
   
-  const response = await callGraphAPI(
-    accessToken,
-    'GET',
-    endpoint,
-    null,
-    queryParams
-  );
+  const contacts = await collectGraphItems(accessToken, endpoint, queryParams, {
+    maxItems: top,
+    pageSize: config.GRAPH_PAGE_SIZE.contacts
+  });
   
-  if (!response.value || response.value.length === 0) {
+  if (contacts.length === 0) {
     return {
       content: [{ type: "text", text: "No contacts found." }]
     };
   }
   
-  const contactsList = response.value.map((contact, index) => {
+  const contactsList = contacts.map((contact, index) => {
     const emails = contact.emailAddresses || [];
     const phones = contact.businessPhones || [];
     // Handle both string and array formats for emails
@@ -118,7 +114,7 @@ async function listContacts(accessToken, params) {
   return {
     content: [{ 
       type: "text", 
-      text: `Found ${response.value.length} contacts:\n\n${contactsList}` 
+      text: `Found ${contacts.length} contacts:\n\n${contactsList}` 
     }]
   };
 }
@@ -145,7 +141,7 @@ async function searchContacts(accessToken, params) {
   }
   
   const lowerQuery = query.toLowerCase();
-  let response;
+  let contacts;
   
   // Check if query looks like an email address
   const isEmailSearch = query.includes('@');
@@ -155,99 +151,83 @@ async function searchContacts(accessToken, params) {
     // Microsoft Graph only supports exact email matching with specific syntax
     const queryParams = {
       $filter: `emailAddresses/any(a:a/address eq '${query}')`,
-      $top: top,
       $orderby: 'displayName'
     };
     
     try {
-      response = await callGraphAPI(
-        accessToken,
-        'GET',
-        '/me/contacts',
-        null,
-        queryParams
-      );
+      contacts = await collectGraphItems(accessToken, '/me/contacts', queryParams, {
+        maxItems: top,
+        pageSize: config.GRAPH_PAGE_SIZE.contacts
+      });
     } catch (error) {
       // If exact match fails, fall back to fetching all and filtering client-side
       console.error('Email filter failed, falling back to client-side search:', error);
       const fallbackParams = {
-        $top: top,
         $orderby: 'displayName'
       };
-      response = await callGraphAPI(
-        accessToken,
-        'GET',
-        '/me/contacts',
-        null,
-        fallbackParams
-      );
+      contacts = await collectGraphItems(accessToken, '/me/contacts', fallbackParams, {
+        maxItems: top,
+        pageSize: config.GRAPH_PAGE_SIZE.contacts
+      });
       
       // Filter client-side for partial email matches
-      if (response.value) {
-        response.value = response.value.filter(contact => {
-          const emails = contact.emailAddresses || [];
-          return emails.some(e => e.address && e.address.toLowerCase().includes(lowerQuery));
-        });
-      }
+      contacts = contacts.filter(contact => {
+        const emails = contact.emailAddresses || [];
+        return emails.some(e => e.address && e.address.toLowerCase().includes(lowerQuery));
+      });
     }
   } else {
     // For name searches, fetch all contacts and filter client-side
     // This is necessary because Microsoft Graph doesn't support filtering by name fields
     const queryParams = {
-      $top: top,
       $orderby: 'displayName',
       $select: 'id,displayName,givenName,surname,middleName,nickName,companyName,jobTitle,department,emailAddresses,businessPhones,mobilePhone'
     };
     
-    response = await callGraphAPI(
-      accessToken,
-      'GET',
-      '/me/contacts',
-      null,
-      queryParams
-    );
+    contacts = await collectGraphItems(accessToken, '/me/contacts', queryParams, {
+      maxItems: top,
+      pageSize: config.GRAPH_PAGE_SIZE.contacts
+    });
     
     // Client-side filtering for name fields
-    if (response.value) {
-      response.value = response.value.filter(contact => {
-        // Check each field for matches
-        const fieldsToCheck = [];
-        
-        if (searchFields.includes('displayName') && contact.displayName) {
-          fieldsToCheck.push(contact.displayName);
-        }
-        if (searchFields.includes('givenName') && contact.givenName) {
-          fieldsToCheck.push(contact.givenName);
-        }
-        if (searchFields.includes('surname') && contact.surname) {
-          fieldsToCheck.push(contact.surname);
-        }
-        if (searchFields.includes('companyName') && contact.companyName) {
-          fieldsToCheck.push(contact.companyName);
-        }
-        if (searchFields.includes('emailAddresses') && contact.emailAddresses) {
-          contact.emailAddresses.forEach(email => {
-            if (email.address) fieldsToCheck.push(email.address);
-            if (email.name) fieldsToCheck.push(email.name);
-          });
-        }
-        
-        // Check if any field contains the search query
-        return fieldsToCheck.some(field => 
-          field.toLowerCase().includes(lowerQuery)
-        );
-      });
-    }
+    contacts = contacts.filter(contact => {
+      // Check each field for matches
+      const fieldsToCheck = [];
+      
+      if (searchFields.includes('displayName') && contact.displayName) {
+        fieldsToCheck.push(contact.displayName);
+      }
+      if (searchFields.includes('givenName') && contact.givenName) {
+        fieldsToCheck.push(contact.givenName);
+      }
+      if (searchFields.includes('surname') && contact.surname) {
+        fieldsToCheck.push(contact.surname);
+      }
+      if (searchFields.includes('companyName') && contact.companyName) {
+        fieldsToCheck.push(contact.companyName);
+      }
+      if (searchFields.includes('emailAddresses') && contact.emailAddresses) {
+        contact.emailAddresses.forEach(email => {
+          if (email.address) fieldsToCheck.push(email.address);
+          if (email.name) fieldsToCheck.push(email.name);
+        });
+      }
+      
+      // Check if any field contains the search query
+      return fieldsToCheck.some(field => 
+        field.toLowerCase().includes(lowerQuery)
+      );
+    });
   }
   
-  if (!response.value || response.value.length === 0) {
+  if (contacts.length === 0) {
     return {
       content: [{ type: "text", text: `No contacts found matching "${query}".` }]
     };
   }
   
   // Limit results for display
-  const displayResults = response.value.slice(0, 25);
+  const displayResults = contacts.slice(0, 25);
   
   const contactsList = displayResults.map((contact, index) => {
     const emails = contact.emailAddresses || [];
@@ -268,7 +248,7 @@ async function searchContacts(accessToken, params) {
    ID: ${contact.id}`;
   }).join('\n\n');
   
-  const resultCount = response.value.length;
+  const resultCount = contacts.length;
   const displayCount = displayResults.length;
   const countMessage = resultCount > displayCount 
     ? `Showing ${displayCount} of ${resultCount} contacts matching "${query}":`
@@ -570,25 +550,21 @@ async function listContactFolders(accessToken, params) {
   const { top = 20 } = params;
   
   const queryParams = {
-    $top: top,
     $orderby: 'displayName'
   };
   
-  const response = await callGraphAPI(
-    accessToken,
-    'GET',
-    '/me/contactFolders',
-    null,
-    queryParams
-  );
+  const folders = await collectGraphItems(accessToken, '/me/contactFolders', queryParams, {
+    maxItems: top,
+    pageSize: 100
+  });
   
-  if (!response.value || response.value.length === 0) {
+  if (folders.length === 0) {
     return {
       content: [{ type: "text", text: "No contact folders found." }]
     };
   }
   
-  const foldersList = response.value.map((folder, index) => {
+  const foldersList = folders.map((folder, index) => {
     return `${index + 1}. ${folder.displayName}
    ID: ${folder.id}
    Parent: ${folder.parentFolderId || 'Root'}`;
@@ -597,7 +573,7 @@ async function listContactFolders(accessToken, params) {
   return {
     content: [{ 
       type: "text", 
-      text: `Found ${response.value.length} contact folders:\n\n${foldersList}` 
+      text: `Found ${folders.length} contact folders:\n\n${foldersList}` 
     }]
   };
 }
@@ -4,12 +4,16 @@
  */
 
 const { ensureAuthenticated } = require('../auth');
-const { callGraphAPI } = require('../utils/graph-api');
+const { callGraphAPI, collectGraphItems } = require('../utils/graph-api');
+const batchRequestManager = require('../utils/batch');
 const config = require('../config');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const { extractContactsFromEmails } = require('../tools/email-contact-extractor');
+const { triageEmails, TRIAGE_CLASSES } = require('../tools/email-triage');
+const { newsletterRulesTools } = require('../tools/newsletter-rules');
+const { searchMailIndex, hasMailIndex, isMailIndexCurrent, getMailIndexStats } = require('../sync/mail-index');
 
 /**
  * Helper function to convert SharePoint URLs to local sync paths
@@ -87,29 +91,23 @@ async function downloadEmbeddedAttachment(attachment, emailId, accessToken) {
     const fileName = `${timestamp}_${hash}_${sanitizedName}`;
     const filePath = path.join(tempDir, fileName);
     
-    let fileData;
-    
     // Check if contentBytes is available (small files < 3MB)
     if (attachment.contentBytes) {
       // Use existing base64 data
-      fileData = Buffer.from(attachment.contentBytes, 'base64');
+      fs.writeFileSync(filePath, Buffer.from(attachment.contentBytes, 'base64'));
     } else {
-      // Large file - fetch using /$value endpoint
-      const binaryData = await callGraphAPI(
+      // Large file - stream the /$value endpoint to disk
+      await callGraphAPI(
         accessToken,
         'GET',
         `me/messages/${emailId}/attachments/${attachment.id}/$value`,
         null,
-        {}
+        {},
+        {},
+        { saveTo: filePath }
       );
-      
-      // callGraphAPI returns raw data for non-JSON responses
-      fileData = Buffer.from(binaryData, 'binary');
     }
     
-    // Save to file
-    fs.writeFileSync(filePath, fileData);
-    
     console.error(`Attachment saved to: ${filePath}`);
     return filePath;
     
@@ -161,6 +159,8 @@ function scheduleAttachmentCleanup() {
       console.error('Error during scheduled attachment cleanup:', err.message);
     }
   }, 6 * 60 * 60 * 1000); // 6 hours
+  // Cleanup alone should not keep the process alive
+  cleanupInterval.unref();
   
   // Also run once at startup
   setTimeout(() => {
@@ -169,7 +169,7 @@ function scheduleAttachmentCleanup() {
     } catch (err) {
       console.error('Error during startup attachment cleanup:', err.message);
     }
-  }, 5000); // 5 seconds after startup
+  }, 5000).unref(); // 5 seconds after startup
 }
 
 // Initialize cleanup schedule
@@ -266,12 +266,18 @@ async function handleEmailSearch(args) {
     folderName,      // Optional: folder name (auto-converts to ID)
     maxResults = 25, // Optional: max 1000
     useRelevance = false, // Optional: relevance vs date sort
-    includeDeleted = false // Optional: include deleted items
+    includeDeleted = false, // Optional: include deleted items
+    source = 'graph' // Optional: graph, local (synced index) or auto
   } = args;
 
   // Handle empty query string - skip $search and use $filter directly
   const isEmptyQuery = !query || query === "" || (typeof query === 'string' && query.trim() === "");
   
+  // Answer from the local mail index when asked to, or in auto mode when the folder was synced recently
+  if (source === 'local' || (source === 'auto' && isMailIndexCurrent(folderId || folderName))) {
+    return searchUsingLocalIndex(args);
+  }
+  
   try {
     const accessToken = await ensureAuthenticated();
     
@@ -415,6 +421,12 @@ async function handleEmailSearch(args) {
     }
   } catch (error) {
     console.error('Error in unified email search:', error);
+    
+    // In auto mode keep answering from the local index when Graph fails (e.g. throttling)
+    if (source === 'auto' && hasMailIndex()) {
+      return searchUsingLocalIndex(args, `Graph search failed (${error.message}); showing results from the local index.`);
+    }
+    
     return {
       content: [{ type: "text", text: `Error in email search: ${error.message}` }]
     };
@@ -544,26 +556,22 @@ async function listEmails(accessToken, params) {
     'me/messages';
   
   const queryParams = {
-    $top: maxResults,
     $select: config.EMAIL_SELECT_FIELDS,
     $orderby: 'receivedDateTime desc'
   };
   
-  const response = await callGraphAPI(
-    accessToken,
-    'GET',
-    endpoint,
-    null,
-    queryParams
-  );
+  const emails = await collectGraphItems(accessToken, endpoint, queryParams, {
+    maxItems: maxResults,
+    pageSize: config.GRAPH_PAGE_SIZE.mail
+  });
   
-  if (!response.value || response.value.length === 0) {
+  if (emails.length === 0) {
     return {
       content: [{ type: "text", text: "No emails found." }]
     };
   }
 
-  const emailsList = response.value.map(email => {
+  const emailsList = emails.map(email => {
     const attachments = email.hasAttachments ? ' 📎' : '';
     const fromAddress = email.from?.emailAddress?.address || email.from?.address || 'Unknown sender';
     const fromName = email.from?.emailAddress?.name || email.from?.name || '';
@@ -574,7 +582,7 @@ async function listEmails(accessToken, params) {
   return {
     content: [{
       type: "text",
-      text: `Found ${response.value.length} emails:\n\n${emailsList}`
+      text: `Found ${emails.length} emails:\n\n${emailsList}`
     }]
   };
 }
@@ -1014,27 +1022,23 @@ async function listDrafts(accessToken, params) {
     const { maxResults = 10 } = params;
     
     const queryParams = {
-      $top: maxResults,
       $select: config.EMAIL_SELECT_FIELDS,
       $orderby: 'lastModifiedDateTime desc'
     };
     
     // Get drafts from the Drafts folder
-    const response = await callGraphAPI(
-      accessToken,
-      'GET',
-      'me/mailFolders/drafts/messages',
-      null,
-      queryParams
-    );
+    const drafts = await collectGraphItems(accessToken, 'me/mailFolders/drafts/messages', queryParams, {
+      maxItems: maxResults,
+      pageSize: config.GRAPH_PAGE_SIZE.mail
+    });
     
-    if (!response.value || response.value.length === 0) {
+    if (drafts.length === 0) {
       return {
         content: [{ type: "text", text: "No drafts found." }]
       };
     }
     
-    const draftsList = response.value.map((draft, index) => {
+    const draftsList = drafts.map((draft, index) => {
       const toRecipients = draft.toRecipients?.map(r => r.emailAddress.address).join(', ') || '(No recipients)';
       const attachments = draft.hasAttachments ? ' 📎' : '';
       return `${index + 1}. ${draft.subject || '(No subject)'}${attachments}
@@ -1046,7 +1050,7 @@ async function listDrafts(accessToken, params) {
     return {
       content: [{ 
         type: "text", 
-        text: `Found ${response.value.length} drafts:\n\n${draftsList}` 
+        text: `Found ${drafts.length} drafts:\n\n${draftsList}` 
       }]
     };
   } catch (error) {
@@ -1325,26 +1329,22 @@ async function searchUsingGraphSearch(accessToken, params) {
   
   const queryParams = {
     $search: `"${query}"`,
-    $top: Math.min(maxResults, 250),
     $select: config.EMAIL_SELECT_FIELDS
     // Note: $orderby cannot be used with $search
   };
   
-  const response = await callGraphAPI(
-    accessToken,
-    'GET',
-    endpoint,
-    null,
-    queryParams
-  );
+  const emails = await collectGraphItems(accessToken, endpoint, queryParams, {
+    maxItems: maxResults,
+    pageSize: config.GRAPH_PAGE_SIZE.mail
+  });
   
-  if (!response.value || response.value.length === 0) {
+  if (emails.length === 0) {
     console.error('Graph $search returned 0 results, falling back to $filter');
     // Don't return, fall through to let handler try $filter
     throw new Error('No results from $search, trigger fallback');
   }
   
-  const emailsList = response.value.map(email => {
+  const emailsList = emails.map(email => {
     const attachments = email.hasAttachments ? ' 📎' : '';
     const importance = email.importance !== 'normal' ? ` [${email.importance}]` : '';
     const unread = !email.isRead ? ' *' : '';
@@ -1356,7 +1356,7 @@ async function searchUsingGraphSearch(accessToken, params) {
   return {
     content: [{ 
       type: "text", 
-      text: `Found ${response.value.length} emails:\n\n${emailsList}` 
+      text: `Found ${emails.length} emails:\n\n${emailsList}` 
     }]
   };
 }
@@ -1439,7 +1439,6 @@ async function searchUsingFilter(accessToken, params) {
   const shouldIncludeOrderBy = !hasFolderSpecificEndpoint || filters.length === 0;
 
   const queryParams = {
-    $top: Math.min(maxResults, 250),
     $select: config.EMAIL_SELECT_FIELDS
   };
 
@@ -1451,21 +1450,18 @@ async function searchUsingFilter(accessToken, params) {
     queryParams.$filter = filterQuery;
   }
   
-  const response = await callGraphAPI(
-    accessToken,
-    'GET',
-    endpoint,
-    null,
-    queryParams
-  );
+  const emails = await collectGraphItems(accessToken, endpoint, queryParams, {
+    maxItems: maxResults,
+    pageSize: config.GRAPH_PAGE_SIZE.mail
+  });
   
-  if (!response.value || response.value.length === 0) {
+  if (emails.length === 0) {
     return {
       content: [{ type: "text", text: "No emails found matching your search." }]
     };
   }
   
-  const emailsList = response.value.map(email => {
+  const emailsList = emails.map(email => {
     const attachments = email.hasAttachments ? ' 📎' : '';
     const importance = email.importance !== 'normal' ? ` [${email.importance}]` : '';
     const unread = !email.isRead ? ' *' : '';
@@ -1477,7 +1473,56 @@ async function searchUsingFilter(accessToken, params) {
   return {
     content: [{ 
       type: "text", 
-      text: `Found ${response.value.length} emails (using filter fallback):\n\n${emailsList}` 
+      text: `Found ${emails.length} emails (using filter fallback):\n\n${emailsList}` 
+    }]
+  };
+}
+
+/**
+ * Search the local mail index built by the sync tool
+ * @param {object} params - email_search arguments
+ * @param {string} [notice] - Optional line shown above the results
+ */
+function searchUsingLocalIndex(params, notice) {
+  const { folderId, folderName, startDate, endDate, maxResults = 25, ...filters } = params;
+  const stats = getMailIndexStats();
+  const header = notice ? `${notice}\n` : '';
+
+  if (stats.count === 0) {
+    return {
+      content: [{ 
+        type: "text", 
+        text: `${header}The local mail index is empty. Run the sync tool with resource "mail" (and folderId for other folders) to build it.` 
+      }]
+    };
+  }
+
+  const results = searchMailIndex({
+    ...filters,
+    folder: folderId || folderName,
+    startDate: startDate ? parseRelativeDate(startDate) : undefined,
+    endDate: endDate ? parseRelativeDate(endDate) : undefined,
+    maxResults
+  });
+
+  if (results.length === 0) {
+    return {
+      content: [{ type: "text", text: `${header}No emails found in the local index matching your search (index updated ${stats.updatedAt}).` }]
+    };
+  }
+
+  const emailsList = results.map(email => {
+    const attachments = email.hasAttachments ? ' 📎' : '';
+    const importance = email.importance !== 'normal' ? ` [${email.importance}]` : '';
+    const unread = !email.isRead ? ' *' : '';
+
+    return `- ${email.subject || '(No subject)'}${attachments}${importance}${unread}\n  From: ${email.from || 'Unknown sender'}\n  Date: ${new Date(email.receivedDateTime).toLocaleString()}\n  Folder: ${email.folder}\n  ID: ${email.id}\n`;
+  }).join('\n');
+
+  return {
+    content: [{ 
+      type: "text", 
+      text: `${header}Found ${results.length} emails (from local index, updated ${stats.updatedAt}):\n\n${emailsList}` 
     }]
   };
 }
@@ -1485,7 +1530,7 @@ async function searchUsingFilter(accessToken, params) {
 // ============== ORIGINAL SEARCH FUNCTIONS (DEPRECATED) ==============
 
 async function searchEmailsBasic(accessToken, params) {
-  const { query, from, subject, maxResults } = params;
+  const { query, from, subject, maxResults = 25 } = params;
   
   let searchQuery = query;
   if (from) searchQuery = `from:${from} AND ${searchQuery}`;
@@ -1493,26 +1538,22 @@ async function searchEmailsBasic(accessToken, params) {
   
   const queryParams = {
     $search: `"${searchQuery}"`,
-    $top: maxResults,
     $select: config.EMAIL_SELECT_FIELDS
     // Note: $orderby cannot be used with $search - results are automatically sorted by sentDateTime
   };
   
-  const response = await callGraphAPI(
-    accessToken,
-    'GET',
-    'me/messages',
-    null,
-    queryParams
-  );
+  const emails = await collectGraphItems(accessToken, 'me/messages', queryParams, {
+    maxItems: maxResults,
+    pageSize: config.GRAPH_PAGE_SIZE.mail
+  });
   
-  if (!response.value || response.value.length === 0) {
+  if (emails.length === 0) {
     return {
       content: [{ type: "text", text: "No emails found matching your search." }]
     };
   }
   
-  const emailsList = response.value.map(email => {
+  const emailsList = emails.map(email => {
     const attachments = email.hasAttachments ? ' 📎' : '';
     const fromAddress = email.from?.emailAddress?.address || email.from?.address || 'Unknown sender';
     return `- ${email.subject || '(No subject)'}${attachments}\n  From: ${fromAddress}\n  Date: ${new Date(email.receivedDateTime).toLocaleString()}\n  ID: ${email.id}\n`;
@@ -1521,7 +1562,7 @@ async function searchEmailsBasic(accessToken, params) {
   return {
     content: [{ 
       type: "text", 
-      text: `Found ${response.value.length} emails:\n\n${emailsList}` 
+      text: `Found ${emails.length} emails:\n\n${emailsList}` 
     }]
   };
 }
@@ -1580,7 +1621,7 @@ async function searchEmailsEnhanced(accessToken, params) {
 }
 
 async function searchEmailsSimple(accessToken, params) {
-  const { query, filterType = 'subject', maxResults } = params;
+  const { query, filterType = 'subject', maxResults = 25 } = params;
   
   let filterQuery;
   switch (filterType) {
@@ -1598,26 +1639,22 @@ async function searchEmailsSimple(accessToken, params) {
   
   const queryParams = {
     $filter: filterQuery,
-    $top: maxResults,
     $select: config.EMAIL_SELECT_FIELDS,
     $orderby: 'receivedDateTime desc'
   };
   
-  const response = await callGraphAPI(
-    accessToken,
-    'GET',
-    'me/messages',
-    null,
-    queryParams
-  );
+  const emails = await collectGraphItems(accessToken, 'me/messages', queryParams, {
+    maxItems: maxResults,
+    pageSize: config.GRAPH_PAGE_SIZE.mail
+  });
   
-  if (!response.value || response.value.length === 0) {
+  if (emails.length === 0) {
     return {
       content: [{ type: "text", text: "No emails found matching your search." }]
     };
   }
   
-  const emailsList = response.value.map(email => {
+  const emailsList = emails.map(email => {
     const attachments = email.hasAttachments ? ' 📎' : '';
     const fromAddress = email.from?.emailAddress?.address || email.from?.address || 'Unknown sender';
     return `- ${email.subject || '(No subject)'}${attachments}\n  From: ${fromAddress}\n  Date: ${new Date(email.receivedDateTime).toLocaleString()}\n  ID: ${email.id}\n`;
@@ -1626,7 +1663,7 @@ async function searchEmailsSimple(accessToken, params) {
   return {
     content: [{ 
       type: "text", 
-      text: `Found ${response.value.length} emails:\n\n${emailsList}` 
+      text: `Found ${emails.length} emails:\n\n${emailsList}` 
     }]
   };
 }
@@ -1666,45 +1703,30 @@ async function moveEmails(accessToken, params) {
 async function batchMoveEmails(accessToken, params) {
   const { emailIds, destinationFolderId } = params;
   
-  const batchSize = 20;
-  const results = [];
-  
-  for (let i = 0; i < emailIds.length; i += batchSize) {
-    const batch = emailIds.slice(i, i + batchSize);
-    const requests = batch.map((emailId, index) => ({
-      id: `${index}`,
-      method: 'POST',
-      url: `/me/messages/${emailId}/move`,
-      body: { destinationId: destinationFolderId },
-      headers: { 'Content-Type': 'application/json' }
-    }));
-    
-    try {
-      const batchResponse = await callGraphAPI(
-        accessToken,
-        'POST',
-        '$batch',
-        { requests }
-      );
-      
-      batchResponse.responses.forEach((response, index) => {
-        // Email move operations return 201 (Created) on success
-        if (response.status === 200 || response.status === 201) {
-          results.push({ emailId: batch[index], status: 'success' });
-        } else {
-          results.push({ 
-            emailId: batch[index], 
-            status: 'failed', 
-            error: response.body?.error?.message || 'Unknown error' 
-          });
-        }
-      });
-    } catch (error) {
-      batch.forEach(emailId => {
-        results.push({ emailId, status: 'failed', error: error.message });
-      });
+  // The batch manager splits into batches of 20 and resends sub-requests Graph throttles
+  const requests = emailIds.map((emailId, index) => batchRequestManager.createBatchRequest(
+    index,
+    'POST',
+    `/me/messages/${emailId}/move`,
+    { destinationId: destinationFolderId },
+    { 'Content-Type': 'application/json' }
+  ));
+  
+  const responses = new Map((await batchRequestManager.executeBatch(requests, accessToken))
+    .map(response => [String(response.id), response]));
+  
+  const results = emailIds.map((emailId, index) => {
+    const response = responses.get(String(index));
+    // Email move operations return 201 (Created) on success
+    if (response && (response.status === 200 || response.status === 201)) {
+      return { emailId, status: 'success' };
     }
-  }
+    return {
+      emailId,
+      status: 'failed',
+      error: response?.body?.error?.message || response?.body?.error?.details || 'No response for this email'
+    };
+  });
   
   const successCount = results.filter(r => r.status === 'success').length;
   const failureCount = results.filter(r => r.status === 'failed').length;
@@ -1897,24 +1919,19 @@ async function createEmailRuleEnhanced(accessToken, params) {
 
 // Folder operation implementations
 async function listEmailFolders(accessToken) {
-  const response = await callGraphAPI(
-    accessToken,
-    'GET',
-    'me/mailFolders',
-    null,
-    {
-      $top: 100,
-      $select: 'id,displayName,parentFolderId,childFolderCount,unreadItemCount,totalItemCount'
-    }
-  );
+  const folders = await collectGraphItems(accessToken, 'me/mailFolders', {
+    $select: 'id,displayName,parentFolderId,childFolderCount,unreadItemCount,totalItemCount'
+  }, {
+    pageSize: 100
+  });
   
-  if (!response.value || response.value.length === 0) {
+  if (folders.length === 0) {
     return {
       content: [{ type: "text", text: "No email folders found." }]
     };
   }
   
-  const foldersList = response.value
+  const foldersList = folders
     .filter(folder => folder.displayName !== 'Conversation History')
     .map((folder, index) => {
       return `${index + 1}. ${folder.displayName}\n   ID: ${folder.id}\n   Messages: ${folder.totalItemCount} (${folder.unreadItemCount} unread)\n`;
@@ -1923,7 +1940,7 @@ async function listEmailFolders(accessToken) {
   return {
     content: [{ 
       type: "text", 
-      text: `Found ${response.value.length} email folders:\n\n${foldersList}` 
+      text: `Found ${folders.length} email folders:\n\n${foldersList}` 
     }]
   };
 }
@@ -1970,25 +1987,21 @@ async function getFocusedInbox(accessToken, params) {
   const queryParams = {
     $filter: 'inferenceClassification eq \'Focused\'',
     $select: config.EMAIL_SELECT_FIELDS,
-    $orderby: 'receivedDateTime DESC',
-    $top: maxResults
+    $orderby: 'receivedDateTime DESC'
   };
   
-  const response = await callGraphAPI(
-    accessToken,
-    'GET',
-    'me/messages',
-    null,
-    queryParams
-  );
+  const messages = await collectGraphItems(accessToken, 'me/messages', queryParams, {
+    maxItems: maxResults,
+    pageSize: config.GRAPH_PAGE_SIZE.mail
+  });
   
-  if (!response.value || response.value.length === 0) {
+  if (messages.length === 0) {
     return {
       content: [{ type: "text", text: "No focused messages found." }]
     };
   }
   
-  const messagesList = response.value.map((msg, index) => {
+  const messagesList = messages.map((msg, index) => {
     return `${index + 1}. ${msg.subject}
    From: ${msg.from?.emailAddress?.address || 'N/A'}
    Date: ${new Date(msg.receivedDateTime).toLocaleString()}
@@ -2000,7 +2013,7 @@ async function getFocusedInbox(accessToken, params) {
   return {
     content: [{ 
       type: "text", 
-      text: `Found ${response.value.length} focused messages:\n\n${messagesList}` 
+      text: `Found ${messages.length} focused messages:\n\n${messagesList}` 
     }]
   };
 }
@@ -2230,25 +2243,21 @@ async function listMentions(accessToken, params) {
   const queryParams = {
     $filter: 'mentionsPreview/isMentioned eq true',
     $select: 'id,subject,from,receivedDateTime,bodyPreview,mentionsPreview',
-    $orderby: 'receivedDateTime DESC',
-    $top: maxResults
+    $orderby: 'receivedDateTime DESC'
   };
   
-  const response = await callGraphAPI(
-    accessToken,
-    'GET',
-    'me/messages',
-    null,
-    queryParams
-  );
+  const messages = await collectGraphItems(accessToken, 'me/messages', queryParams, {
+    maxItems: maxResults,
+    pageSize: config.GRAPH_PAGE_SIZE.mail
+  });
   
-  if (!response.value || response.value.length === 0) {
+  if (messages.length === 0) {
     return {
       content: [{ type: "text", text: "No messages with mentions found." }]
     };
   }
   
-  const messagesList = response.value.map((msg, index) => {
+  const messagesList = messages.map((msg, index) => {
     return `${index + 1}. ${msg.subject}
    From: ${msg.from?.emailAddress?.address || 'N/A'}
    Date: ${new Date(msg.receivedDateTime).toLocaleString()}
@@ -2258,7 +2267,7 @@ async function listMentions(accessToken, params) {
   return {
     content: [{ 
       type: "text", 
-      text: `Found ${response.value.length} messages with mentions:\n\n${messagesList}` 
+      text: `Found ${messages.length} messages with mentions:\n\n${messagesList}` 
     }]
   };
 }
@@ -2368,6 +2377,11 @@ const emailTools = [
         includeDeleted: { 
           type: "boolean", 
           description: "Include deleted items in search results" 
+        },
+        source: {
+          type: "string",
+          enum: ["graph", "local", "auto"],
+          description: "Where to search: graph (default), local (index built by the sync tool, works offline), or auto (local when the searched folder was synced recently, and as fallback when Graph fails)"
         }
       },
       required: []
@@ -2544,8 +2558,67 @@ const emailTools = [
       required: []
     },
     handler: extractContactsFromEmails
-  }
+  },
+  {
+    name: "email_triage",
+    description: "Triage a mail folder: classify messages as newsletter, transactional, personal or automated using the newsletter detector, optionally move or categorise each class, and report the List-Unsubscribe targets of each sender for bulk unsubscribing",
+    inputSchema: {
+      type: "object",
+      properties: {
+        folderName: {
+          type: "string",
+          description: "Folder name (inbox/sent/drafts/deleted/junk/archive or custom name, default: inbox)"
+        },
+        folderId: {
+          type: "string",
+          description: "Folder ID (instead of folderName)"
+        },
+        startDate: {
+          type: "string",
+          description: "Triage emails from date - ISO format (2025-08-01) or relative (30d/1w/1m/1y)"
+        },
+        endDate: {
+          type: "string",
+          description: "Triage emails until date - ISO format or relative"
+        },
+        maxEmails: {
+          type: "number",
+          description: "Maximum number of emails to triage, most recent first (default: 100, max: 1000)"
+        },
+        newsletterThreshold: {
+          type: "number",
+          description: "Confidence threshold (0-100) for newsletter detection (default: 60)"
+        },
+        moveTo: {
+          type: "object",
+          properties: Object.fromEntries(TRIAGE_CLASSES.map(triageClass => [triageClass, { type: "string" }])),
+          description: "Folder (name or ID) to move each class to, e.g. { \"newsletter\": \"Newsletters\" }"
+        },
+        categorize: {
+          type: "object",
+          properties: Object.fromEntries(TRIAGE_CLASSES.map(triageClass => [triageClass, { type: "string" }])),
+          description: "Outlook category to add to each class, e.g. { \"transactional\": \"Receipts\" }"
+        },
+        reportPath: {
+          type: "string",
+          description: "Save the triage and unsubscribe report to this .json file (in LOCAL_FILES_ROOTS, by default the home or temporary directory, not hidden; only a previous report is replaced)"
+        }
+      },
+      required: []
+    },
+    handler: triageEmails
+  },
+  ...newsletterRulesTools
   // Removed email_mailtips and email_mentions - not functional with current permissions/setup
 ];
 
-module.exports = { emailTools };
\ No newline at end of file
+module.exports = {
+  emailTools,
+  listEmails,
+  readEmail,
+  handleEmailSearch,
+  parseRelativeDate,
+  getFolderIdByName,
+  batchMoveEmails,
+  applyCategory
+};
\ No newline at end of file
@@ -0,0 +1,159 @@
+/**
+ * Downloads of drive items to a local directory
+ *
+ * Files are streamed to disk under their OneDrive name, then checked against
+ * the size and content hash Graph reports for the item (quickXorHash for
+ * OneDrive for Business/SharePoint, sha1Hash/sha256Hash for personal
+ * OneDrive). Folders are downloaded recursively. A local file whose size and
+ * hash already match the item is left alone. Every path written must pass the
+ * LOCAL_FILES_ROOTS check (utils/local-paths), so hidden items are not written.
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { callGraphAPI, iterateGraphItems } = require('../utils/graph-api');
+const { hashFile } = require('../utils/quick-xor-hash');
+const { reportProgress } = require('../utils/progress');
+const { resolveLocalPath } = require('../utils/local-paths');
+
+const ITEM_SELECT_FIELDS = 'id,name,size,file,folder,lastModifiedDateTime,parentReference';
+
+// Hash facets in order of preference, with the algorithm that produces them locally
+const HASH_FACETS = [
+  { facet: 'quickXorHash', algorithm: 'quickXor' },
+  { facet: 'sha256Hash', algorithm: 'sha256' },
+  { facet: 'sha1Hash', algorithm: 'sha1' }
+];
+
+/**
+ * Makes a drive item name safe to use as a local file name
+ * @param {string} name - Item name
+ * @returns {string} - Name without path separators
+ */
+function localFileName(name) {
+  const safe = String(name).replace(/[/\\\0]/g, '_');
+  return safe === '.' || safe === '..' ? `_${safe}` : safe;
+}
+
+/**
+ * Picks the hash to verify an item with
+ * @param {object} item - Drive item
+ * @returns {object|null} - { facet, algorithm, expected } or null if Graph reports no hash
+ */
+function expectedHash(item) {
+  const hashes = item.file?.hashes || {};
+  const match = HASH_FACETS.find(({ facet }) => hashes[facet]);
+  return match ? { ...match, expected: hashes[match.facet] } : null;
+}
+
+/**
+ * Checks a local file against an item's size and hash
+ * @param {string} filePath - Local file
+ * @param {object} item - Drive item
+ * @param {boolean} useModifiedTime - Compare modification times when Graph reports no hash
+ * @returns {Promise<string|null>} - Reason it differs, or null if it matches
+ */
+async function compareWithItem(filePath, item, useModifiedTime = true) {
+  const { size, mtimeMs } = fs.statSync(filePath);
+  if (size !== item.size) {
+    return `size ${size} instead of ${item.size}`;
+  }
+
+  // Without a hash, fall back to the modification time set when the file was downloaded
+  const hash = expectedHash(item);
+  if (!hash) {
+    if (!useModifiedTime) return null;
+    const modified = Date.parse(item.lastModifiedDateTime);
+    return isNaN(modified) || Math.abs(mtimeMs - modified) < 2000 ? null : 'modified time differs';
+  }
+
+  const actual = await hashFile(filePath, hash.algorithm);
+  const matches = hash.algorithm === 'quickXor' ? actual === hash.expected : actual === hash.expected.toUpperCase();
+  return matches ? null : `${hash.facet} ${actual} instead of ${hash.expected}`;
+}
+
+/**
+ * Downloads one file item, unless the local copy is up to date
+ * @returns {Promise<object>} - { status: downloaded|skipped|failed, path, size, error }
+ */
+async function downloadFileItem(accessToken, item, localDir) {
+  const target = resolveLocalPath(path.join(localDir, localFileName(item.name)));
+
+  if (fs.existsSync(target) && await compareWithItem(target, item) === null) {
+    return { status: 'skipped', path: target, size: item.size };
+  }
+
+  const driveId = item.parentReference?.driveId;
+  const contentPath = driveId ? `drives/${driveId}/items/${item.id}/content` : `me/drive/items/${item.id}/content`;
+  await callGraphAPI(accessToken, 'GET', contentPath, null, {}, {}, { saveTo: target });
+
+  const mismatch = await compareWithItem(target, item, false);
+  if (mismatch) {
+    fs.rmSync(target, { force: true });
+    return { status: 'failed', path: target, size: item.size, error: `integrity check failed (${mismatch}); the file was removed` };
+  }
+
+  // Keep OneDrive's modification time, as a sync client would
+  if (item.lastModifiedDateTime) {
+    const modified = new Date(item.lastModifiedDateTime);
+    fs.utimesSync(target, modified, modified);
+  }
+  return { status: 'downloaded', path: target, size: item.size };
+}
+
+/**
+ * Downloads a file, or a folder and (optionally) its subfolders, to a local directory
+ * @param {string} accessToken - Access token
+ * @param {string} itemPath - Graph path of the item (e.g. "me/drive/items/{id}" or "me/drive/root:/Docs")
+ * @param {string} localDir - Directory to download into (created if missing), already checked with resolveLocalPath
+ * @param {object} options - { recursive (default true) }
+ * @returns {Promise<Array<object>>} - One result per file ({ status, path, size, error })
+ */
+async function downloadDriveItem(accessToken, itemPath, localDir, { recursive = true } = {}) {
+  const root = await callGraphAPI(accessToken, 'GET', itemPath, null, { $select: ITEM_SELECT_FIELDS });
+  const results = [];
+
+  const visit = async (item, dir) => {
+    if (item.folder) {
+      let folderDir;
+      try {
+        folderDir = resolveLocalPath(path.join(dir, localFileName(item.name)));
+      } catch (error) {
+        results.push({ status: 'failed', path: path.join(dir, localFileName(item.name)), size: item.size, error: error.message });
+        return;
+      }
+      fs.mkdirSync(folderDir, { recursive: true });
+
+      const driveId = item.parentReference?.driveId;
+      const childrenPath = driveId ? `drives/${driveId}/items/${item.id}/children` : `me/drive/items/${item.id}/children`;
+      for await (const child of iterateGraphItems(accessToken, childrenPath, { $select: ITEM_SELECT_FIELDS, $top: config.GRAPH_PAGE_SIZE.drive })) {
+        if (child.folder && !recursive) continue;
+        await visit(child, folderDir);
+      }
+      return;
+    }
+
+    // OneNote notebooks and other packages have no downloadable content
+    if (!item.file) return;
+
+    let result;
+    try {
+      result = await downloadFileItem(accessToken, item, dir);
+    } catch (error) {
+      result = { status: 'failed', path: path.join(dir, localFileName(item.name)), size: item.size, error: error.message };
+    }
+    results.push(result);
+    reportProgress(results.length, undefined, `${result.status}: ${result.path}`);
+  };
+
+  fs.mkdirSync(localDir, { recursive: true });
+  await visit(root, localDir);
+  return results;
+}
+
+module.exports = {
+  downloadDriveItem,
+  downloadFileItem,
+  compareWithItem,
+  localFileName
+};
@@ -0,0 +1,463 @@
+/**
+ * Two-way sync between a local directory and a OneDrive/SharePoint folder
+ *
+ * Remote changes come from a delta query on the folder (or on the drive root,
+ * for drives that only support delta there). The remote tree and the state of
+ * every file at the end of the last sync are kept in a manifest (one JSON
+ * file per account profile, one entry per folder/directory pair). A file has
+ * changed on a side when it differs from the manifest; a file changed on both
+ * sides since the last sync is a conflict, settled by the conflict policy.
+ * Only files that were synced before are ever deleted, and deletions are only
+ * propagated with allowDeletes (a dry run lists them so they can be reviewed).
+ * The local directory must pass the LOCAL_FILES_ROOTS check (utils/local-paths);
+ * hidden files and folders are left out on both sides.
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { profileScopedPath } = require('../auth/profiles');
+const { callGraphAPI, iterateGraphPages, toGraphPath } = require('../utils/graph-api');
+const { reportProgress } = require('../utils/progress');
+const { downloadFileItem, compareWithItem } = require('./download');
+const { uploadWithSession, fileSource } = require('./upload-session');
+const { resolveLocalPath } = require('../utils/local-paths');
+
+const DIRECTIONS = ['both', 'download', 'upload'];
+const CONFLICT_POLICIES = ['newer-wins', 'keep-both', 'remote-wins'];
+const DELETE_ACTIONS = ['delete_local', 'delete_remote'];
+
+const ITEM_SELECT_FIELDS = 'id,name,size,file,folder,deleted,cTag,eTag,lastModifiedDateTime,parentReference';
+
+/**
+ * Loads the sync manifests
+ * @returns {object} - Manifests keyed by folder/directory pair
+ */
+function loadSyncManifests() {
+  const manifestPath = profileScopedPath(config.FILE_SYNC_MANIFEST_PATH);
+
+  try {
+    if (!fs.existsSync(manifestPath)) return {};
+    return JSON.parse(fs.readFileSync(manifestPath, 'utf8')).pairs || {};
+  } catch (error) {
+    console.error('[FILE-SYNC] Error loading sync manifest, starting fresh:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Saves the manifest of one folder/directory pair
+ * @param {string} key - Pair key
+ * @param {object} manifest - Pair manifest
+ */
+function saveSyncManifest(key, manifest) {
+  const manifestPath = profileScopedPath(config.FILE_SYNC_MANIFEST_PATH);
+  const pairs = loadSyncManifests();
+  pairs[key] = manifest;
+
+  const tempPath = `${manifestPath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify({ pairs }, null, 2), { mode: 0o600 });
+  fs.renameSync(tempPath, manifestPath);
+}
+
+/**
+ * Keeps the fields of a drive item the sync needs
+ * @param {object} item - Drive item from Graph
+ * @returns {object} - Compact item
+ */
+function compactItem(item) {
+  return {
+    id: item.id,
+    name: item.name,
+    size: item.size,
+    cTag: item.cTag,
+    eTag: item.eTag,
+    lastModifiedDateTime: item.lastModifiedDateTime,
+    ...(item.folder ? { folder: {} } : { file: { hashes: item.file?.hashes || {} } }),
+    parentReference: { id: item.parentReference?.id, driveId: item.parentReference?.driveId }
+  };
+}
+
+/**
+ * Tag that changes when a file's content changes
+ */
+function contentTag(item) {
+  return item.cTag || item.eTag || null;
+}
+
+/**
+ * Looks up the remote folder to sync
+ * @returns {Promise<object>} - Drive item of the folder
+ */
+async function resolveRemoteFolder(accessToken, { folderId, remotePath, driveId }) {
+  const drive = driveId ? `drives/${driveId}` : 'me/drive';
+  const itemPath = folderId
+    ? `${drive}/items/${folderId}`
+    : (remotePath && remotePath !== '/' ? `${drive}/root:/${remotePath.replace(/^\/+|\/+$/g, '')}` : `${drive}/root`);
+
+  const folder = await callGraphAPI(accessToken, 'GET', itemPath, null, { $select: 'id,name,folder,root,parentReference' });
+  if (!folder.folder && !folder.root) {
+    throw new Error(`${remotePath || folderId} is not a folder`);
+  }
+  return folder;
+}
+
+/**
+ * Brings the remote tree of a manifest up to date with a delta query
+ * @returns {Promise<object>} - { remoteItems, deltaLink, deltaPath }
+ */
+async function fetchRemoteTree(accessToken, folder, manifest) {
+  const driveId = folder.parentReference.driveId;
+  let remoteItems = { ...(manifest?.remoteItems || {}) };
+  let deltaPath = manifest?.deltaPath || `drives/${driveId}/items/${folder.id}/delta`;
+  const startPath = manifest?.deltaLink ? toGraphPath(manifest.deltaLink) : deltaPath;
+
+  const readDelta = async (firstPath, queryParams) => {
+    let deltaLink = null;
+    for await (const page of iterateGraphPages(accessToken, firstPath, queryParams)) {
+      for (const item of page?.value || []) {
+        if (item.deleted) {
+          delete remoteItems[item.id];
+        } else if (item.id !== folder.id) {
+          remoteItems[item.id] = compactItem(item);
+        }
+      }
+      deltaLink = page?.['@odata.deltaLink'] || deltaLink;
+    }
+    return deltaLink;
+  };
+
+  let deltaLink;
+  try {
+    deltaLink = await readDelta(startPath, manifest?.deltaLink ? {} : { $select: ITEM_SELECT_FIELDS });
+  } catch (error) {
+    if (manifest?.deltaLink && /status 410/.test(error.message)) {
+      // The delta token expired: enumerate the folder again
+      console.error('[FILE-SYNC] Delta token expired, resyncing');
+    } else if (!manifest?.deltaLink && /status (400|501)/.test(error.message)) {
+      // OneDrive for Business and SharePoint only support delta on the drive root
+      console.error('[FILE-SYNC] Folder delta not supported, using the drive root');
+      deltaPath = `drives/${driveId}/root/delta`;
+    } else {
+      throw error;
+    }
+    remoteItems = {};
+    deltaLink = await readDelta(deltaPath, { $select: ITEM_SELECT_FIELDS });
+  }
+
+  // Keep only what is inside the synced folder (a root delta returns the whole drive)
+  const inside = Object.fromEntries(Object.entries(remoteItems).filter(([id]) => remotePathOf(id, remoteItems, folder.id) !== null));
+  return { remoteItems: inside, deltaLink, deltaPath };
+}
+
+/**
+ * Builds the path of a remote item relative to the synced folder
+ * @returns {string|null} - "sub/name.ext", or null if the item is not inside the folder
+ */
+function remotePathOf(id, remoteItems, folderId) {
+  const names = [];
+  let current = remoteItems[id];
+
+  for (let depth = 0; current && depth < 100; depth++) {
+    names.unshift(current.name);
+    if (current.parentReference?.id === folderId) return names.join('/');
+    current = remoteItems[current.parentReference?.id];
+  }
+  return null;
+}
+
+/**
+ * Lists the remote files of the synced folder
+ * @returns {Map<string, object>} - Relative path -> drive item
+ */
+function listRemoteFiles(remoteItems, folderId) {
+  const files = new Map();
+  for (const [id, item] of Object.entries(remoteItems)) {
+    if (!item.file) continue;
+    const relPath = remotePathOf(id, remoteItems, folderId);
+    if (relPath !== null && !isHiddenPath(relPath)) files.set(relPath, item);
+  }
+  return files;
+}
+
+/**
+ * Whether a relative path has a hidden file or folder in it
+ * @param {string} relPath - Relative path ("/" separated)
+ * @returns {boolean}
+ */
+function isHiddenPath(relPath) {
+  return relPath.split('/').some(segment => segment.startsWith('.'));
+}
+
+/**
+ * Lists the files of the local directory
+ * @param {string} localDir - Directory to scan
+ * @returns {Map<string, object>} - Relative path ("/" separated) -> { size, mtimeMs }
+ */
+function listLocalFiles(localDir) {
+  const files = new Map();
+
+  const walk = (dir, prefix) => {
+    if (!fs.existsSync(dir)) return;
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const relPath = prefix ? `${prefix}/${entry.name}` : entry.name;
+      if (entry.name.startsWith('.')) continue;
+      if (entry.isDirectory()) {
+        walk(path.join(dir, entry.name), relPath);
+      } else if (entry.isFile() && !entry.name.endsWith('.part')) {
+        const { size, mtimeMs } = fs.statSync(path.join(dir, entry.name));
+        files.set(relPath, { size, mtimeMs });
+      }
+    }
+  };
+
+  walk(localDir, '');
+  return files;
+}
+
+/**
+ * Name for the local copy kept aside in a keep-both conflict
+ * @param {string} relPath - Conflicting file
+ * @param {Function} exists - Tells whether a relative path is taken
+ * @returns {string} - "dir/name (conflict 2025-01-31).ext", numbered if needed
+ */
+function conflictCopyPath(relPath, exists) {
+  const ext = path.posix.extname(relPath);
+  const base = relPath.slice(0, relPath.length - ext.length);
+  const date = new Date().toISOString().slice(0, 10);
+
+  let candidate = `${base} (conflict ${date})${ext}`;
+  for (let n = 2; exists(candidate); n++) {
+    candidate = `${base} (conflict ${date} ${n})${ext}`;
+  }
+  return candidate;
+}
+
+/**
+ * Decides what to do with every file
+ * @param {object} state - { remote, local, base, direction, conflictPolicy, sameContent(relPath) }
+ * @returns {Promise<Array<object>>} - Actions ({ type, path, reason, ... })
+ */
+async function planSync({ remote, local, base, direction, conflictPolicy, sameContent }) {
+  const canDownload = direction !== 'upload';
+  const canUpload = direction !== 'download';
+  const actions = [];
+  const paths = [...new Set([...remote.keys(), ...local.keys(), ...Object.keys(base)])].sort();
+
+  const resolveConflict = (relPath, remoteItem, localFile, reason) => {
+    if (conflictPolicy === 'keep-both') {
+      return { type: 'keep_both', path: relPath, reason: `${reason}: keeping both copies` };
+    }
+
+    const remoteNewer = conflictPolicy === 'remote-wins' ||
+      Date.parse(remoteItem.lastModifiedDateTime) >= localFile.mtimeMs;
+    const winner = remoteNewer ? 'remote' : 'local';
+    const detail = conflictPolicy === 'remote-wins' ? 'remote wins' : `${winner} copy is newer`;
+
+    if (remoteNewer) {
+      return canDownload
+        ? { type: 'download', path: relPath, reason: `${reason}: ${detail}` }
+        : { type: 'skip', path: relPath, reason: `${reason}: ${detail}, but direction is upload` };
+    }
+    return canUpload
+      ? { type: 'upload', path: relPath, reason: `${reason}: ${detail}` }
+      : { type: 'skip', path: relPath, reason: `${reason}: ${detail}, but direction is download` };
+  };
+
+  for (const relPath of paths) {
+    const remoteItem = remote.get(relPath);
+    const localFile = local.get(relPath);
+    const synced = base[relPath];
+
+    const remoteChanged = Boolean(remoteItem) && (!synced || synced.itemId !== remoteItem.id || synced.tag !== contentTag(remoteItem));
+    const localChanged = Boolean(localFile) && (!synced || synced.localSize !== localFile.size || Math.abs(synced.localMtimeMs - localFile.mtimeMs) > 1000);
+
+    if (remoteItem && localFile) {
+      if (!remoteChanged && !localChanged) continue;
+
+      if (remoteChanged && !localChanged) {
+        actions.push(canDownload
+          ? { type: 'download', path: relPath, reason: synced ? 'changed remotely' : 'new remote file' }
+          : { type: 'skip', path: relPath, reason: 'changed remotely, but direction is upload' });
+      } else if (localChanged && !remoteChanged) {
+        actions.push(canUpload
+          ? { type: 'upload', path: relPath, reason: 'changed locally' }
+          : { type: 'skip', path: relPath, reason: 'changed locally, but direction is download' });
+      } else if (await sameContent(relPath)) {
+        actions.push({ type: 'record', path: relPath, reason: 'identical on both sides' });
+      } else {
+        actions.push(resolveConflict(relPath, remoteItem, localFile, synced ? 'changed on both sides' : 'different files on both sides'));
+      }
+    } else if (remoteItem) {
+      if (synced && !remoteChanged && canUpload) {
+        actions.push({ type: 'delete_remote', path: relPath, reason: 'deleted locally' });
+      } else if (canDownload) {
+        actions.push({ type: 'download', path: relPath, reason: synced ? (remoteChanged ? 'deleted locally but changed remotely' : 'missing locally') : 'new remote file' });
+      } else if (synced) {
+        actions.push({ type: 'skip', path: relPath, reason: 'deleted locally but changed remotely' });
+      }
+    } else if (localFile) {
+      if (synced && !localChanged && canDownload) {
+        actions.push({ type: 'delete_local', path: relPath, reason: 'deleted remotely' });
+      } else if (canUpload) {
+        actions.push({ type: 'upload', path: relPath, reason: synced ? (localChanged ? 'deleted remotely but changed locally' : 'missing remotely') : 'new local file' });
+      } else if (synced) {
+        actions.push({ type: 'skip', path: relPath, reason: 'deleted remotely but changed locally' });
+      }
+    } else if (synced) {
+      actions.push({ type: 'forget', path: relPath, reason: 'deleted on both sides' });
+    }
+  }
+
+  return actions;
+}
+
+/**
+ * Syncs a remote folder and a local directory
+ * @param {string} accessToken - Access token
+ * @param {object} options - { localDir, remotePath | folderId, driveId, direction, conflictPolicy, dryRun, allowDeletes }
+ * @returns {Promise<object>} - { localDir, remoteName, actions (with status/error once applied), dryRun, initial }
+ */
+async function syncFolder(accessToken, options) {
+  const { direction = 'both', conflictPolicy = 'newer-wins', dryRun = false, allowDeletes = false } = options;
+  const localDir = resolveLocalPath(options.localDir);
+
+  if (!DIRECTIONS.includes(direction)) throw new Error(`Invalid direction: ${direction}. Valid directions are: ${DIRECTIONS.join(', ')}`);
+  if (!CONFLICT_POLICIES.includes(conflictPolicy)) throw new Error(`Invalid conflictPolicy: ${conflictPolicy}. Valid policies are: ${CONFLICT_POLICIES.join(', ')}`);
+
+  const folder = await resolveRemoteFolder(accessToken, options);
+  const driveId = folder.parentReference.driveId;
+  const key = `${driveId}:${folder.id} -> ${localDir}`;
+  const manifest = loadSyncManifests()[key] || null;
+
+  const { remoteItems, deltaLink, deltaPath } = await fetchRemoteTree(accessToken, folder, manifest);
+  const remote = listRemoteFiles(remoteItems, folder.id);
+  const local = listLocalFiles(localDir);
+  const base = { ...(manifest?.files || {}) };
+
+  // Links inside the directory must not lead out of LOCAL_FILES_ROOTS or onto server data files
+  const localPathOf = relPath => resolveLocalPath(path.join(localDir, ...relPath.split('/')));
+  const actions = await planSync({
+    remote,
+    local,
+    base,
+    direction,
+    conflictPolicy,
+    sameContent: async relPath => await compareWithItem(localPathOf(relPath), remote.get(relPath), false) === null
+  });
+
+  const result = { localDir, remoteName: folder.root ? 'root' : folder.name, actions, dryRun, initial: !manifest };
+  if (dryRun) return result;
+
+  // An emptied or wrong directory must not wipe the other side: deletions stay
+  // pending (the files remain in the manifest) until they are allowed
+  if (!allowDeletes) {
+    for (const action of actions) {
+      if (DELETE_ACTIONS.includes(action.type)) {
+        Object.assign(action, { type: 'skip', reason: `${action.reason}, not deleted without allowDeletes` });
+      }
+    }
+  }
+
+  // Records the state of a file on both sides after it was synced
+  const recordSynced = (relPath, item) => {
+    const { size, mtimeMs } = fs.statSync(localPathOf(relPath));
+    base[relPath] = { itemId: item.id, tag: contentTag(item), size: item.size, localSize: size, localMtimeMs: mtimeMs };
+  };
+
+  const download = async (relPath, item) => {
+    const target = localPathOf(relPath);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    const outcome = await downloadFileItem(accessToken, { ...item, name: path.basename(target), parentReference: { ...item.parentReference, driveId } }, path.dirname(target));
+    if (outcome.status === 'failed') throw new Error(outcome.error);
+    recordSynced(relPath, item);
+  };
+
+  const upload = async relPath => {
+    const localPath = localPathOf(relPath);
+    const itemPath = `drives/${driveId}/items/${folder.id}:/${relPath}:`;
+    const source = fileSource(localPath);
+
+    const item = source.size > config.SIMPLE_UPLOAD_MAX_BYTES
+      ? (await uploadWithSession(accessToken, { itemPath, source, localPath, conflictBehavior: 'replace' })).item
+      : await callGraphAPI(accessToken, 'PUT', `${itemPath}/content`, source.read(0, source.size), { '@microsoft.graph.conflictBehavior': 'replace' });
+
+    remoteItems[item.id] = compactItem(item);
+    recordSynced(relPath, item);
+  };
+
+  let done = 0;
+  for (const action of actions) {
+    const remoteItem = remote.get(action.path);
+    try {
+      switch (action.type) {
+        case 'download':
+          await download(action.path, remoteItem);
+          break;
+        case 'upload':
+          await upload(action.path);
+          break;
+        case 'delete_local':
+          fs.rmSync(localPathOf(action.path), { force: true });
+          delete base[action.path];
+          break;
+        case 'delete_remote':
+          await callGraphAPI(accessToken, 'DELETE', `drives/${driveId}/items/${remoteItem.id}`);
+          delete remoteItems[remoteItem.id];
+          delete base[action.path];
+          break;
+        case 'record':
+          recordSynced(action.path, remoteItem);
+          break;
+        case 'forget':
+          delete base[action.path];
+          break;
+        case 'keep_both': {
+          // Set the copy of the losing side aside under a conflict name, then take the other version
+          const copyPath = conflictCopyPath(action.path, candidate => local.has(candidate) || remote.has(candidate));
+          if (direction === 'upload') {
+            const renamed = await callGraphAPI(accessToken, 'PATCH', `drives/${driveId}/items/${remoteItem.id}`, { name: path.posix.basename(copyPath) });
+            remoteItems[remoteItem.id] = compactItem(renamed);
+            await upload(action.path);
+          } else {
+            fs.renameSync(localPathOf(action.path), localPathOf(copyPath));
+            await download(action.path, remoteItem);
+            if (direction === 'both') await upload(copyPath);
+          }
+          action.copyPath = copyPath;
+          break;
+        }
+        default:
+          break;
+      }
+      action.status = action.type === 'skip' ? 'skipped' : 'done';
+    } catch (error) {
+      action.status = 'failed';
+      action.error = error.message;
+    }
+    done++;
+    reportProgress(done, actions.length, `${action.type} ${action.path}`);
+  }
+
+  saveSyncManifest(key, {
+    localDir,
+    driveId,
+    folderId: folder.id,
+    remoteName: result.remoteName,
+    deltaPath,
+    deltaLink,
+    lastSync: new Date().toISOString(),
+    remoteItems,
+    files: base
+  });
+
+  return result;
+}
+
+module.exports = {
+  syncFolder,
+  DELETE_ACTIONS,
+  planSync,
+  conflictCopyPath,
+  DIRECTIONS,
+  CONFLICT_POLICIES
+};
@@ -4,7 +4,13 @@
  */
 
 const { ensureAuthenticated } = require('../auth');
-const { callGraphAPI } = require('../utils/graph-api');
+const { existsSync, statSync } = require('fs');
+const { basename } = require('path');
+const { callGraphAPI, collectGraphItems } = require('../utils/graph-api');
+const { uploadWithSession, listUploadSessions, fileSource, bufferSource } = require('./upload-session');
+const { downloadDriveItem } = require('./download');
+const { syncFolder, DIRECTIONS, CONFLICT_POLICIES, DELETE_ACTIONS } = require('./folder-sync');
+const { resolveLocalPath } = require('../utils/local-paths');
 const config = require('../config');
 
 /**
@@ -17,7 +23,7 @@ async function handleFiles(args) {
     return {
       content: [{ 
         type: "text", 
-        text: "Missing required parameter: operation. Valid operations are: list, get, upload, download, delete, share, search, move, copy, create_folder" 
+        text: "Missing required parameter: operation. Valid operations are: list, get, upload, list_uploads, download, download_to, delete, share, search, move, copy, create_folder" 
       }]
     };
   }
@@ -32,8 +38,12 @@ async function handleFiles(args) {
         return await getFile(accessToken, params);
       case 'upload':
         return await uploadFile(accessToken, params);
+      case 'list_uploads':
+        return listUploads();
       case 'download':
         return await downloadFile(accessToken, params);
+      case 'download_to':
+        return await downloadTo(accessToken, params);
       case 'delete':
         return await deleteFile(accessToken, params);
       case 'share':
@@ -50,7 +60,7 @@ async function handleFiles(args) {
         return {
           content: [{ 
             type: "text", 
-            text: `Invalid operation: ${operation}. Valid operations are: list, get, upload, download, delete, share, search, move, copy, create_folder` 
+            text: `Invalid operation: ${operation}. Valid operations are: list, get, upload, list_uploads, download, download_to, delete, share, search, move, copy, create_folder` 
           }]
         };
     }
@@ -87,25 +97,21 @@ async function listFiles(accessToken, params) {
   }
   
   const queryParams = {
-    $select: 'id,name,size,file,folder,createdDateTime,lastModifiedDateTime,webUrl',
-    $top: maxResults
+    $select: 'id,name,size,file,folder,createdDateTime,lastModifiedDateTime,webUrl'
   };
   
-  const response = await callGraphAPI(
-    accessToken,
-    'GET',
-    `${endpoint}/children`,
-    null,
-    queryParams
-  );
+  const items = await collectGraphItems(accessToken, `${endpoint}/children`, queryParams, {
+    maxItems: maxResults,
+    pageSize: config.GRAPH_PAGE_SIZE.drive
+  });
   
-  if (!response.value || response.value.length === 0) {
+  if (items.length === 0) {
     return {
       content: [{ type: "text", text: "No files found in the specified location." }]
     };
   }
   
-  const filesList = response.value.map((item, index) => {
+  const filesList = items.map((item, index) => {
     const type = item.folder ? 'Folder' : 'File';
     const size = item.size ? `${(item.size / 1024 / 1024).toFixed(2)} MB` : 'N/A';
     return `${index + 1}. [${type}] ${item.name}
@@ -117,7 +123,7 @@ async function listFiles(accessToken, params) {
   return {
     content: [{ 
       type: "text", 
-      text: `Found ${response.value.length} items:\n\n${filesList}` 
+      text: `Found ${items.length} items:\n\n${filesList}` 
     }]
   };
 }
@@ -168,43 +174,85 @@ async function getFile(accessToken, params) {
 }
 
 /**
- * Upload a file to OneDrive
+ * Upload a file to OneDrive, from content or a local path. Files larger than
+ * config.SIMPLE_UPLOAD_MAX_BYTES go through a resumable upload session.
  */
 async function uploadFile(accessToken, params) {
   const { 
-    fileName, 
     content, 
+    contentBase64,
+    contentType,
+    localPath,
     parentPath = '/me/drive/root',
     parentId,
     conflictBehavior = 'rename' // rename, replace, fail
   } = params;
+  const fileName = params.fileName || (localPath ? basename(localPath) : null);
   
-  if (!fileName || !content) {
+  if (!fileName || (!content && !contentBase64 && !localPath)) {
     return {
       content: [{ 
         type: "text", 
-        text: "Missing required parameters: fileName and content" 
+        text: "Missing required parameters: fileName and content (or contentBase64 for binary files), or localPath" 
       }]
     };
   }
   
-  const endpoint = parentId
-    ? `/me/drive/items/${parentId}:/${fileName}:/content`
-    : `${parentPath}:/${fileName}:/content`;
+  // Binary files arrive base64-encoded, text is uploaded as UTF-8, local files are read in chunks
+  let source;
+  let sourcePath = null;
+  if (localPath) {
+    try {
+      sourcePath = resolveLocalPath(localPath);
+    } catch (error) {
+      return {
+        content: [{ type: "text", text: `Invalid localPath: ${error.message}` }]
+      };
+    }
+    if (!existsSync(sourcePath) || !statSync(sourcePath).isFile()) {
+      return {
+        content: [{ type: "text", text: `Local file not found: ${localPath}` }]
+      };
+    }
+    source = fileSource(sourcePath);
+  } else {
+    source = bufferSource(contentBase64 ? Buffer.from(contentBase64, 'base64') : Buffer.from(content, 'utf8'));
+  }
+  
+  const itemPath = parentId
+    ? `/me/drive/items/${parentId}:/${fileName}:`
+    : `${parentPath}:/${fileName}:`;
+  
+  if (source.size > config.SIMPLE_UPLOAD_MAX_BYTES) {
+    const { item, resumedFrom, chunks } = await uploadWithSession(accessToken, {
+      itemPath,
+      source,
+      localPath: sourcePath,
+      conflictBehavior
+    });
+    
+    const resumed = resumedFrom > 0 ? `\nResumed at: ${(resumedFrom / (1024 * 1024)).toFixed(2)} MB` : '';
+    return {
+      content: [{ 
+        type: "text", 
+        text: `File uploaded successfully in ${chunks} chunk(s)!\nFile ID: ${item.id}\nName: ${item.name}\nSize: ${((item.size || source.size) / (1024 * 1024)).toFixed(2)} MB${resumed}` 
+      }]
+    };
+  }
   
   const queryParams = {
     '@microsoft.graph.conflictBehavior': conflictBehavior
   };
   
-  // For small files (< 4MB), use simple upload
+  // Small files are sent in a single request
   const response = await callGraphAPI(
     accessToken,
     'PUT',
-    endpoint,
-    content,
+    `${itemPath}/content`,
+    source.read(0, source.size),
     queryParams,
     {
-      'Content-Type': 'application/octet-stream'
+      'Content-Type': contentType || 'application/octet-stream'
     }
   );
   
@@ -217,10 +265,36 @@ async function uploadFile(accessToken, params) {
 }
 
 /**
- * Download file content
+ * List unfinished uploads that the next upload of the same file will resume
+ */
+function listUploads() {
+  const sessions = listUploadSessions();
+  
+  if (sessions.length === 0) {
+    return {
+      content: [{ type: "text", text: "No unfinished uploads." }]
+    };
+  }
+  
+  const lines = sessions.map(session => {
+    const percent = session.size ? Math.floor((session.uploadedBytes / session.size) * 100) : 0;
+    return `- ${session.localPath}\n  Destination: ${session.itemPath}\n  Uploaded: ${(session.uploadedBytes / (1024 * 1024)).toFixed(2)} of ${(session.size / (1024 * 1024)).toFixed(2)} MB (${percent}%)\n  Session expires: ${session.expirationDateTime || 'Unknown'}`;
+  });
+  
+  return {
+    content: [{ 
+      type: "text", 
+      text: `${sessions.length} unfinished upload(s) (call upload again with the same localPath and destination to resume):\n\n${lines.join('\n')}` 
+    }]
+  };
+}
+
+/**
+ * Download file content: text is returned as is, binary content as base64,
+ * or the file is streamed to savePath
  */
 async function downloadFile(accessToken, params) {
-  const { fileId, path } = params;
+  const { fileId, path, savePath, overwrite = false } = params;
   
   if (!fileId && !path) {
     return {
@@ -231,21 +305,63 @@ async function downloadFile(accessToken, params) {
     };
   }
   
+  let target = null;
+  if (savePath) {
+    try {
+      target = resolveLocalPath(savePath, { overwrite: overwrite === true });
+    } catch (error) {
+      return {
+        content: [{ type: "text", text: `Invalid savePath: ${error.message}` }]
+      };
+    }
+  }
+  
   const endpoint = fileId 
     ? `/me/drive/items/${fileId}/content`
     : `/me/drive/root:${path}:/content`;
   
   try {
+    if (target) {
+      const saved = await callGraphAPI(accessToken, 'GET', endpoint, null, {}, {}, { saveTo: target });
+      
+      return {
+        content: [{ 
+          type: "text", 
+          text: `File downloaded successfully.\nSaved to: ${saved.path || target}\nSize: ${((saved.size || 0) / 1024).toFixed(2)} KB\nContent type: ${saved.contentType || 'Unknown'}` 
+        }]
+      };
+    }
+    
     const content = await callGraphAPI(
       accessToken,
       'GET',
       endpoint
     );
     
+    if (Buffer.isBuffer(content)) {
+      if (content.length > config.MAX_INLINE_DOWNLOAD_BYTES) {
+        return {
+          content: [{ 
+            type: "text", 
+            text: `File is binary and too large to return inline (${(content.length / 1024).toFixed(2)} KB). Use savePath to download it to disk.` 
+          }]
+        };
+      }
+      
+      return {
+        content: [{ 
+          type: "text", 
+          text: `Binary file downloaded successfully.\nContent length: ${content.length} bytes\n\nContent (base64):\n${content.toString('base64')}` 
+        }]
+      };
+    }
+    
+    // JSON files come back parsed
+    const text = typeof content === 'string' ? content : JSON.stringify(content, null, 2);
     return {
       content: [{ 
         type: "text", 
-        text: `File content downloaded successfully.\nContent length: ${content.length} bytes\n\nContent:\n${content}` 
+        text: `File content downloaded successfully.\nContent length: ${Buffer.byteLength(text)} bytes\n\nContent:\n${text}` 
       }]
     };
   } catch (error) {
@@ -275,6 +391,56 @@ async function downloadFile(accessToken, params) {
   }
 }
 
+/**
+ * Download a file or folder to a local directory, verifying each file's size
+ * and hash and skipping files that are already up to date
+ */
+async function downloadTo(accessToken, params) {
+  const { fileId, path, localDir, recursive = true } = params;
+  
+  if ((!fileId && !path) || !localDir) {
+    return {
+      content: [{ 
+        type: "text", 
+        text: "Missing required parameters: fileId or path, and localDir" 
+      }]
+    };
+  }
+  
+  let targetDir;
+  try {
+    targetDir = resolveLocalPath(localDir);
+  } catch (error) {
+    return {
+      content: [{ type: "text", text: `Invalid localDir: ${error.message}` }]
+    };
+  }
+  
+  const itemPath = fileId ? `me/drive/items/${fileId}` : `me/drive/root:${path}`;
+  const results = await downloadDriveItem(accessToken, itemPath, targetDir, { recursive });
+  
+  const count = status => results.filter(result => result.status === status);
+  const downloaded = count('downloaded');
+  const skipped = count('skipped');
+  const failed = count('failed');
+  const totalMB = downloaded.reduce((total, result) => total + (result.size || 0), 0) / (1024 * 1024);
+  
+  let text = `Downloaded ${downloaded.length} file(s) (${totalMB.toFixed(2)} MB) to ${targetDir}, ` +
+    `skipped ${skipped.length} already up to date, ${failed.length} failed.`;
+  
+  const listed = [...failed, ...downloaded].slice(0, 50);
+  if (listed.length > 0) {
+    text += `\n\n${listed.map(result => `- ${result.status}: ${result.path}${result.error ? ` (${result.error})` : ''}`).join('\n')}`;
+  }
+  if (failed.length + downloaded.length > listed.length) {
+    text += `\n... and ${failed.length + downloaded.length - listed.length} more`;
+  }
+  
+  return {
+    content: [{ type: "text", text }]
+  };
+}
+
 /**
  * Delete a file or folder
  */
@@ -418,15 +584,9 @@ async function searchFiles(accessToken, params) {
     }]
   } : null;
   
-  const response = await callGraphAPI(
-    accessToken,
-    scope === 'me' ? 'GET' : 'POST',
-    endpoint,
-    body,
-    scope === 'me' ? { $top: maxResults } : {}
-  );
-  
-  const items = scope === 'me' ? response.value : response.value[0].hitsContainers[0].hits;
+  const items = scope === 'me'
+    ? await collectGraphItems(accessToken, endpoint, {}, { maxItems: maxResults, pageSize: config.GRAPH_PAGE_SIZE.drive })
+    : (await callGraphAPI(accessToken, 'POST', endpoint, body)).value[0].hitsContainers[0].hits;
   
   if (!items || items.length === 0) {
     return {
@@ -572,17 +732,95 @@ async function createFolder(accessToken, params) {
   };
 }
 
+/**
+ * Sync a OneDrive/SharePoint folder with a local directory
+ */
+async function handleFilesSync(args) {
+  const { localDir, remotePath, folderId, driveId, direction = 'both', conflictPolicy = 'newer-wins', dryRun = false, allowDeletes = false } = args;
+  
+  if (!localDir) {
+    return {
+      content: [{ 
+        type: "text", 
+        text: "Missing required parameter: localDir" 
+      }]
+    };
+  }
+  
+  const deletesAllowed = allowDeletes === true || allowDeletes === 'true';
+  
+  try {
+    const accessToken = await ensureAuthenticated();
+    const result = await syncFolder(accessToken, {
+      localDir,
+      remotePath,
+      folderId,
+      driveId,
+      direction,
+      conflictPolicy,
+      dryRun: dryRun === true || dryRun === 'true',
+      allowDeletes: deletesAllowed
+    });
+    
+    const changes = result.actions.filter(action => action.type !== 'skip');
+    const failed = result.actions.filter(action => action.status === 'failed');
+    const skipped = result.actions.filter(action => action.type === 'skip');
+    const deletions = result.actions.filter(action => DELETE_ACTIONS.includes(action.type));
+    const heldDeletions = skipped.filter(action => action.reason.endsWith('without allowDeletes'));
+    
+    let text = result.dryRun
+      ? `Dry run: ${changes.length} change(s) planned between ${result.remoteName} and ${result.localDir} (${direction}, ${conflictPolicy}).`
+      : `Synced ${result.remoteName} and ${result.localDir} (${direction}, ${conflictPolicy}): ${changes.length - failed.length} change(s) applied, ${failed.length} failed.`;
+    if (skipped.length > heldDeletions.length) {
+      text += ` ${skipped.length - heldDeletions.length} file(s) left out by the direction.`;
+    }
+    if (heldDeletions.length > 0) {
+      text += ` ${heldDeletions.length} deletion(s) not applied: confirm a dryRun preview or pass allowDeletes: true to propagate them.`;
+    }
+    if (result.dryRun && deletions.length > 0 && !deletesAllowed) {
+      text += ` The ${deletions.length} deletion(s) are applied only by confirming this preview or with allowDeletes: true.`;
+    }
+    if (result.initial) {
+      text += '\nFirst sync of this pair: files present on both sides are compared by content.';
+    }
+    
+    const listed = [...failed, ...result.actions.filter(action => action.status !== 'failed')].slice(0, 50);
+    if (listed.length > 0) {
+      text += `\n\n${listed.map(action => {
+        const copy = action.copyPath ? ` -> ${action.copyPath}` : '';
+        const error = action.error ? ` FAILED: ${action.error}` : '';
+        return `- ${action.type} ${action.path}${copy} (${action.reason})${error}`;
+      }).join('\n')}`;
+    }
+    if (result.actions.length > listed.length) {
+      text += `\n... and ${result.actions.length - listed.length} more`;
+    }
+    if (result.actions.length === 0) {
+      text += '\n\nEverything is up to date.';
+    }
+    
+    return {
+      content: [{ type: "text", text }]
+    };
+  } catch (error) {
+    console.error('Error in files_sync:', error);
+    return {
+      content: [{ type: "text", text: `Error in files_sync: ${error.message}` }]
+    };
+  }
+}
+
 // Export consolidated tool
 const filesTools = [
   {
     name: "files",
-    description: "Manage OneDrive and SharePoint files: list, get, upload, download, delete, share, search, move, copy, create_folder",
+    description: "Manage OneDrive and SharePoint files: list, get, upload, list_uploads, download, download_to, delete, share, search, move, copy, create_folder",
     inputSchema: {
       type: "object",
       properties: {
         operation: { 
           type: "string", 
-          enum: ["list", "get", "upload", "download", "delete", "share", "search", "move", "copy", "create_folder"],
+          enum: ["list", "get", "upload", "list_uploads", "download", "download_to", "delete", "share", "search", "move", "copy", "create_folder"],
           description: "The operation to perform" 
         },
         // Common parameters
@@ -594,8 +832,11 @@ const filesTools = [
         folderId: { type: "string", description: "Folder ID to list contents" },
         includeSubfolders: { type: "boolean", description: "Include subfolders in listing" },
         // Upload parameters
-        fileName: { type: "string", description: "Name for uploaded file" },
-        content: { type: "string", description: "File content to upload" },
+        fileName: { type: "string", description: "Name for uploaded file (default: name of localPath)" },
+        localPath: { type: "string", description: "Local file to upload, in LOCAL_FILES_ROOTS and not hidden; large files are uploaded in resumable chunks" },
+        content: { type: "string", description: "File content to upload (text)" },
+        contentBase64: { type: "string", description: "Base64-encoded file content to upload (binary files)" },
+        contentType: { type: "string", description: "MIME type of the uploaded content (default: application/octet-stream)" },
         parentPath: { type: "string", description: "Parent folder path" },
         parentId: { type: "string", description: "Parent folder ID" },
         conflictBehavior: { 
@@ -603,6 +844,11 @@ const filesTools = [
           enum: ["rename", "replace", "fail"],
           description: "How to handle naming conflicts" 
         },
+        // Download parameters
+        savePath: { type: "string", description: "Local path to stream the downloaded file to (for large or binary files), in the home or temporary directory (LOCAL_FILES_ROOTS) and not hidden" },
+        overwrite: { type: "boolean", description: "download: replace an existing file at savePath (default: false)" },
+        localDir: { type: "string", description: "download_to: local directory to download the file or folder into, in LOCAL_FILES_ROOTS and not hidden" },
+        recursive: { type: "boolean", description: "download_to: include subfolders (default: true)" },
         // Share parameters
         type: { 
           type: "string", 
@@ -640,6 +886,33 @@ const filesTools = [
     },
     handler: handleFiles
   },
+  {
+    name: "files_sync",
+    description: "Sync a OneDrive or SharePoint folder with a local directory (both ways, or mirror one side to the other) using delta queries; conflicts are settled by conflictPolicy. Use dryRun to preview the plan",
+    inputSchema: {
+      type: "object",
+      properties: {
+        localDir: { type: "string", description: "Local directory to sync (created if missing), in LOCAL_FILES_ROOTS and not hidden; hidden files are not synced" },
+        remotePath: { type: "string", description: "Folder path in the drive (e.g. /Documents/Projects; default: drive root)" },
+        folderId: { type: "string", description: "Folder ID (alternative to remotePath)" },
+        driveId: { type: "string", description: "Drive ID, for SharePoint libraries and shared drives (default: your OneDrive)" },
+        direction: { 
+          type: "string", 
+          enum: DIRECTIONS,
+          description: "both (default): two-way sync; download: mirror the remote folder locally; upload: mirror the local directory remotely" 
+        },
+        conflictPolicy: { 
+          type: "string", 
+          enum: CONFLICT_POLICIES,
+          description: "For files changed on both sides: newer-wins (default), keep-both (keeps the local copy as 'name (conflict date)'), remote-wins" 
+        },
+        dryRun: { type: "boolean", description: "List the planned transfers and deletions without applying them" },
+        allowDeletes: { type: "boolean", description: "Propagate deletions of previously synced files (default: false; confirming a dryRun preview also applies the deletions it listed)" }
+      },
+      required: ["localDir"]
+    },
+    handler: handleFilesSync
+  },
   {
     name: "files_map_sharepoint_path",
     description: "Map SharePoint webUrl to local sync path",
@@ -776,4 +1049,8 @@ const filesTools = [
   }
 ];
 
-module.exports = { filesTools };
\ No newline at end of file
+module.exports = {
+  filesTools,
+  listFiles,
+  getFile
+};
\ No newline at end of file
@@ -0,0 +1,241 @@
+/**
+ * Resumable uploads through Graph upload sessions
+ *
+ * Files above config.SIMPLE_UPLOAD_MAX_BYTES are uploaded in chunks of
+ * config.UPLOAD_CHUNK_SIZE to the URL returned by createUploadSession. For
+ * uploads from a local path, the session is saved (one JSON file per account
+ * profile) after every chunk, so calling upload again with the same file and
+ * destination resumes where the interrupted upload stopped.
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { profileScopedPath } = require('../auth/profiles');
+const { callGraphAPI, callPreauthenticatedUrl } = require('../utils/graph-api');
+const { reportProgress } = require('../utils/progress');
+
+/**
+ * Loads the saved upload sessions, dropping expired ones
+ * @returns {object} - Sessions keyed by local path and destination
+ */
+function loadUploadSessions() {
+  const storePath = profileScopedPath(config.UPLOAD_SESSIONS_PATH);
+
+  try {
+    if (!fs.existsSync(storePath)) return {};
+
+    const sessions = JSON.parse(fs.readFileSync(storePath, 'utf8')).sessions || {};
+    const now = Date.now();
+    return Object.fromEntries(Object.entries(sessions)
+      .filter(([, session]) => !session.expirationDateTime || Date.parse(session.expirationDateTime) > now));
+  } catch (error) {
+    console.error('[UPLOAD] Error loading upload sessions, starting fresh:', error.message);
+    return {};
+  }
+}
+
+/**
+ * Writes the upload sessions to disk
+ * @param {object} sessions - Sessions keyed by local path and destination
+ */
+function saveUploadSessions(sessions) {
+  const storePath = profileScopedPath(config.UPLOAD_SESSIONS_PATH);
+  const tempPath = `${storePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify({ sessions }, null, 2), { mode: 0o600 });
+  fs.renameSync(tempPath, storePath);
+}
+
+/**
+ * Saves or removes the session of one upload
+ * @param {string} key - Upload key
+ * @param {object|null} session - Session state, or null to remove it
+ */
+function setUploadSession(key, session) {
+  const sessions = loadUploadSessions();
+  if (session) {
+    sessions[key] = session;
+  } else {
+    delete sessions[key];
+  }
+  saveUploadSessions(sessions);
+}
+
+/**
+ * Lists unfinished uploads that can be resumed
+ * @returns {Array<object>} - Saved sessions
+ */
+function listUploadSessions() {
+  return Object.values(loadUploadSessions());
+}
+
+/**
+ * Reads upload content from a local file, one chunk at a time
+ * @param {string} localPath - Absolute file path
+ * @returns {object} - { size, mtimeMs, read(start, end) }
+ */
+function fileSource(localPath) {
+  const stats = fs.statSync(localPath);
+  return {
+    size: stats.size,
+    mtimeMs: stats.mtimeMs,
+    read(start, end) {
+      const buffer = Buffer.alloc(end - start);
+      const fd = fs.openSync(localPath, 'r');
+      try {
+        const bytesRead = fs.readSync(fd, buffer, 0, buffer.length, start);
+        return buffer.subarray(0, bytesRead);
+      } finally {
+        fs.closeSync(fd);
+      }
+    }
+  };
+}
+
+/**
+ * Reads upload content from memory
+ * @param {Buffer} buffer - File content
+ * @returns {object} - { size, read(start, end) }
+ */
+function bufferSource(buffer) {
+  return {
+    size: buffer.length,
+    read: (start, end) => buffer.subarray(start, end)
+  };
+}
+
+/**
+ * Returns the first byte Graph still expects, from an upload session status
+ * @param {object} status - Upload session ({ nextExpectedRanges: ["start-end"] })
+ * @param {number} size - File size
+ * @returns {number} - Offset of the next chunk (size when nothing is missing)
+ */
+function nextExpectedOffset(status, size) {
+  const range = status?.nextExpectedRanges?.[0];
+  return range ? parseInt(range.split('-')[0], 10) : size;
+}
+
+/**
+ * Starts a new upload session for an item
+ * @returns {Promise<object>} - Session ({ uploadUrl, expirationDateTime }), or the dry-run placeholder
+ */
+async function createUploadSession(accessToken, itemPath, conflictBehavior) {
+  return await callGraphAPI(accessToken, 'POST', `${itemPath}/createUploadSession`, {
+    item: { '@microsoft.graph.conflictBehavior': conflictBehavior }
+  });
+}
+
+/**
+ * Finds where a saved session stopped, if it is still usable for this file
+ * @returns {Promise<number|null>} - Offset to resume from, or null to start over
+ */
+async function resumeOffset(saved, source, itemPath) {
+  if (!saved || saved.size !== source.size || saved.mtimeMs !== source.mtimeMs) {
+    if (saved) {
+      // The file changed since the interrupted upload: discard its session
+      await callPreauthenticatedUrl('DELETE', saved.uploadUrl, null, {}, itemPath).catch(() => {});
+    }
+    return null;
+  }
+
+  const status = await callPreauthenticatedUrl('GET', saved.uploadUrl, null, {}, itemPath);
+  return status.statusCode === 200 ? nextExpectedOffset(status.body, source.size) : null;
+}
+
+/**
+ * Uploads a file through an upload session, resuming a saved one when possible
+ * @param {string} accessToken - Access token
+ * @param {object} options - { itemPath (e.g. "/me/drive/root:/a.zip:"), source (fileSource/bufferSource),
+ *   localPath (enables resuming), conflictBehavior }
+ * @returns {Promise<object>} - { item (driveItem), resumedFrom (bytes already uploaded, 0 for a new upload), chunks }
+ */
+async function uploadWithSession(accessToken, { itemPath, source, localPath = null, conflictBehavior = 'rename' }) {
+  const key = localPath ? `${path.resolve(localPath)} -> ${itemPath}` : null;
+  const saved = key ? loadUploadSessions()[key] : null;
+
+  let offset = await resumeOffset(saved, source, itemPath);
+  let uploadUrl = saved?.uploadUrl;
+  const resumedFrom = offset || 0;
+
+  if (offset === null) {
+    const session = await createUploadSession(accessToken, itemPath, conflictBehavior);
+    if (session?.['@dryRun']) {
+      return { item: session, resumedFrom: 0, chunks: 0 };
+    }
+
+    uploadUrl = session.uploadUrl;
+    offset = 0;
+    if (key) {
+      setUploadSession(key, {
+        localPath: path.resolve(localPath),
+        itemPath,
+        uploadUrl,
+        expirationDateTime: session.expirationDateTime || null,
+        size: source.size,
+        mtimeMs: source.mtimeMs,
+        uploadedBytes: 0,
+        startedAt: new Date().toISOString()
+      });
+    }
+  } else {
+    console.error(`[UPLOAD] Resuming ${itemPath} at byte ${offset} of ${source.size}`);
+  }
+
+  let chunks = 0;
+  try {
+    while (offset < source.size) {
+      const end = Math.min(offset + config.UPLOAD_CHUNK_SIZE, source.size);
+      const chunk = source.read(offset, end);
+
+      const response = await callPreauthenticatedUrl('PUT', uploadUrl, chunk, {
+        'Content-Range': `bytes ${offset}-${end - 1}/${source.size}`
+      }, itemPath);
+      chunks++;
+
+      // In a dry run the chunk was only recorded: the saved session stays as it is
+      if (response.body?.['@dryRun']) {
+        return { item: response.body, resumedFrom, chunks };
+      }
+
+      if (response.statusCode === 200 || response.statusCode === 201) {
+        if (key) setUploadSession(key, null);
+        reportProgress(source.size, source.size, `Uploaded ${itemPath}`);
+        return { item: response.body, resumedFrom, chunks };
+      }
+
+      if (response.statusCode === 202) {
+        offset = nextExpectedOffset(response.body, end);
+      } else if (response.statusCode === 416) {
+        // Graph already has part of this range: ask where to continue
+        const status = await callPreauthenticatedUrl('GET', uploadUrl, null, {}, itemPath);
+        offset = nextExpectedOffset(status.body, source.size);
+      } else if (response.statusCode === 404) {
+        if (key) setUploadSession(key, null);
+        throw new Error('the upload session expired; call upload again to start over');
+      } else {
+        const message = response.body?.error?.message || `status ${response.statusCode}`;
+        throw new Error(`chunk at byte ${offset} was rejected: ${message}`);
+      }
+
+      if (key) {
+        setUploadSession(key, { ...loadUploadSessions()[key], uploadedBytes: offset, updatedAt: new Date().toISOString() });
+      }
+      console.error(`[UPLOAD] ${itemPath}: ${offset} of ${source.size} bytes`);
+      reportProgress(offset, source.size, `Uploaded ${(offset / (1024 * 1024)).toFixed(1)} of ${(source.size / (1024 * 1024)).toFixed(1)} MB`);
+    }
+  } catch (error) {
+    const resumable = key && loadUploadSessions()[key];
+    throw new Error(`Upload interrupted after ${offset} of ${source.size} bytes (${error.message}).` +
+      (resumable ? ' Call upload again with the same localPath and destination to resume.' : ''));
+  }
+
+  // Graph acknowledged every byte without returning the item (the final response was lost)
+  if (key) setUploadSession(key, null);
+  return { item: await callGraphAPI(accessToken, 'GET', itemPath), resumedFrom, chunks };
+}
+
+module.exports = {
+  uploadWithSession,
+  listUploadSessions,
+  fileSource,
+  bufferSource
+};
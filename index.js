@@ -13,27 +13,40 @@ require('dotenv').config({ path: path.join(__dirname, '.env') });
 
 const { Server } = require("@modelcontextprotocol/sdk/server/index.js");
 const { StdioServerTransport } = require("@modelcontextprotocol/sdk/server/stdio.js");
+const { McpError } = require("@modelcontextprotocol/sdk/types.js");
 const config = require('./config');
 
 // Import module tools
-const { authTools } = require('./auth');
+const { authTools, profiles } = require('./auth');
 const { calendarTools } = require('./calendar');
 const { emailTools } = require('./email');
 const teamsTools = require('./teams');
 const { notificationTools } = require('./notifications');
 const { plannerTools } = require('./planner');
 const { filesTools } = require('./files');
-const { searchTools } = require('./search');
+const { searchTools, watchSavedSearchAlerts } = require('./search');
 const { contactsTools } = require('./contacts');
+const { syncTools } = require('./sync');
+const { auditTools, auditToolCall, recordBlockedCall } = require('./audit');
+const { listResources, listResourceTemplates, readResource } = require('./resources');
+const { listPrompts, getPrompt } = require('./prompts');
+const policy = require('./policy');
+const confirmation = require('./policy/confirmation');
+const { runToolRequests } = require('./utils/request-scheduler');
+const { runWithProgress } = require('./utils/progress');
+const { withFormatProperty, extractOutputFormat, captureGraphResponses, buildStructuredResult } = require('./utils/structured-output');
 // Future modules to be developed:
 // const { adminTools } = require('./admin');
 
 // Log startup information
 console.error(`STARTING ${config.SERVER_NAME.toUpperCase()} MCP SERVER`);
 console.error(`Test mode is ${config.USE_TEST_MODE ? 'enabled' : 'disabled'}`);
+console.error(`Transport: ${config.TRANSPORT_TYPE}`);
 console.error(`Client ID: ${config.AUTH_CONFIG.clientId ? config.AUTH_CONFIG.clientId.substring(0, 8) + '...' : 'NOT SET'}`);
-console.error(`Token path: ${config.AUTH_CONFIG.tokenStorePath}`);
-console.error(`Token exists: ${require('fs').existsSync(config.AUTH_CONFIG.tokenStorePath)}`);
+console.error(`Active profile: ${profiles.getActiveProfileName()}`);
+console.error(`Token path: ${profiles.resolveProfile().tokenStorePath}`);
+console.error(`Token exists: ${require('fs').existsSync(profiles.resolveProfile().tokenStorePath)}`);
+console.error(`Policy file: ${config.POLICY_PATH}${config.READ_ONLY ? ' (read-only mode forced by OFFICE_MCP_READ_ONLY)' : ''}`);
 
 // Combine all tools
 const TOOLS = [
@@ -45,7 +58,9 @@ const TOOLS = [
   ...plannerTools,
   ...filesTools,
   ...searchTools,
-  ...contactsTools
+  ...contactsTools,
+  ...syncTools,
+  ...auditTools
   // Future modules will be added here:
   // ...adminTools
 ];
@@ -60,21 +75,17 @@ const TOOLS_CAPABILITIES = TOOLS.reduce((acc, tool) => {
 const TOOLS_LIST_RESPONSE = TOOLS.map(tool => ({
   name: tool.name,
   description: tool.description,
-  inputSchema: tool.inputSchema
+  inputSchema: profiles.withAccountProperty(withFormatProperty(confirmation.withDryRunProperties(tool.name, tool.inputSchema)))
 }));
 
-// Create server with tools capabilities
-const server = new Server(
-  { name: config.SERVER_NAME, version: config.SERVER_VERSION },
-  { 
-    capabilities: { 
-      tools: TOOLS_CAPABILITIES
-    } 
-  }
-);
-
-// Handle all requests
-server.fallbackRequestHandler = async (request) => {
+/**
+ * Handles all MCP requests not covered by the SDK's built-in handlers.
+ * Shared by every transport so stdio and HTTP clients see the same server.
+ * @param {object} request - JSON-RPC request
+ * @param {object} [extra] - Request context from the SDK (used to send progress notifications)
+ * @returns {Promise<object>} - MCP response
+ */
+async function fallbackRequestHandler(request, extra = {}) {
   try {
     const { method, params, id } = request;
     console.error(`REQUEST: ${method} [${id}]`);
@@ -85,7 +96,10 @@ server.fallbackRequestHandler = async (request) => {
       return {
         protocolVersion: "2024-11-05",
         capabilities: { 
-          tools: TOOLS_CAPABILITIES
+          tools: TOOLS_CAPABILITIES,
+          resources: {},
+          prompts: {},
+          logging: {}
         },
         serverInfo: { name: config.SERVER_NAME, version: config.SERVER_VERSION }
       };
@@ -102,9 +116,20 @@ server.fallbackRequestHandler = async (request) => {
       };
     }
     
-    // Required empty responses for other capabilities
-    if (method === "resources/list") return { resources: [] };
-    if (method === "prompts/list") return { prompts: [] };
+    // Resource handlers
+    if (method === "resources/list") return await listResources();
+    if (method === "resources/templates/list") return listResourceTemplates();
+    if (method === "resources/read") {
+      console.error(`RESOURCE READ: ${params?.uri}`);
+      return await readResource(params);
+    }
+    
+    // Prompt handlers
+    if (method === "prompts/list") return listPrompts();
+    if (method === "prompts/get") {
+      console.error(`PROMPT GET: ${params?.name}`);
+      return getPrompt(params);
+    }
     
     // Tool call handler
     if (method === "tools/call") {
@@ -117,7 +142,56 @@ server.fallbackRequestHandler = async (request) => {
         const tool = TOOLS.find(t => t.name === name);
         
         if (tool && tool.handler) {
-          return await tool.handler(args);
+          const { account, ...callArgs } = args;
+          const { format, handlerArgs: formatArgs } = extractOutputFormat(callArgs);
+          const { dryRun, confirm, handlerArgs } = confirmation.extractDryRunArgs(formatArgs);
+          let runArgs = handlerArgs;
+          
+          // Run the handler against the requested account profile (default: active profile);
+          // its Graph requests are queued under the tool's name and throttling is reported,
+          // and progress it reports is sent to clients that asked for it
+          const progressToken = params?._meta?.progressToken;
+          return await runToolRequests(name, () => runWithProgress(progressToken, extra.sendNotification, () => profiles.runWithAccount(account, async () => {
+            const denial = await policy.checkToolCall(name, handlerArgs);
+            if (denial) {
+              console.error(`POLICY DENIED: ${denial}`);
+              recordBlockedCall(name, handlerArgs, 'denied', denial);
+              return {
+                error: {
+                  code: policy.POLICY_DENIED_CODE,
+                  message: `Denied by policy: ${denial}`
+                }
+              };
+            }
+            
+            // Mutating calls can be previewed, then applied with the preview's confirm token
+            if (confirm) {
+              const refusal = await confirmation.confirmToolCall(name, handlerArgs, confirm, tool.handler);
+              if (refusal) {
+                console.error(`CONFIRMATION REFUSED: ${refusal}`);
+                recordBlockedCall(name, handlerArgs, 'confirmation_refused', refusal);
+                return {
+                  error: {
+                    code: confirmation.CONFIRMATION_FAILED_CODE,
+                    message: `Confirmation refused: ${refusal}`
+                  }
+                };
+              }
+              runArgs = confirmation.confirmedArgs(name, handlerArgs);
+            } else if (dryRun || confirmation.requiresConfirmation(name, handlerArgs)) {
+              return await confirmation.previewToolCall(name, handlerArgs, tool.handler, format);
+            }
+            
+            // Calls that can modify data are written to the audit log
+            return await auditToolCall(name, runArgs, async () => {
+              if (format === 'json') {
+                const { result, responses } = await captureGraphResponses(() => tool.handler(runArgs));
+                return buildStructuredResult(name, runArgs, result, responses);
+              }
+
+              return await tool.handler(runArgs);
+            });
+          })));
         }
         
         // Tool not found
@@ -154,18 +228,80 @@ server.fallbackRequestHandler = async (request) => {
       }
     };
   }
-};
+}
 
-// Make the script executable
-process.on('SIGTERM', () => {
-  console.error('SIGTERM received but staying alive');
-});
+/**
+ * Creates an MCP server wired to the shared tool set
+ * @returns {Server} - A new, unconnected server instance
+ */
+function createServer() {
+  const server = new Server(
+    { name: config.SERVER_NAME, version: config.SERVER_VERSION },
+    { 
+      capabilities: { 
+        tools: TOOLS_CAPABILITIES,
+        resources: {},
+        prompts: {},
+        logging: {}
+      } 
+    }
+  );
+  
+  // When the profiles this client last used its tools with (for search alerts)
+  const profilesUsedAt = new Map();
+  
+  // Handlers return { error } for failed requests; throwing sends it as a JSON-RPC error
+  server.fallbackRequestHandler = async (request, extra) => {
+    if (request.method === 'tools/call') {
+      profilesUsedAt.set(request.params?.arguments?.account || profiles.getActiveProfileName(), Date.now());
+    }
+    const response = await fallbackRequestHandler(request, extra);
+    if (response?.error && !response.content) {
+      throw new McpError(response.error.code, response.error.message);
+    }
+    return response;
+  };
+
+  // New results of saved searches with an alert are sent as log notifications; over HTTP
+  // each session is a separate client, so an alert goes only to the one that used its profile last
+  const stopSearchAlerts = watchSavedSearchAlerts(alert => {
+    server.sendLoggingMessage({ level: 'notice', logger: 'saved_search', data: alert }).catch(() => {});
+  }, config.TRANSPORT_TYPE === 'http' ? profile => profilesUsedAt.get(profile) || null : null);
+  server.onclose = stopSearchAlerts;
+  return server;
+}
+
+/**
+ * Starts the server on stdio (one client per process)
+ */
+function startStdioServer() {
+  const server = createServer();
+  const transport = new StdioServerTransport();
+  server.connect(transport)
+    .then(() => console.error(`${config.SERVER_NAME} connected and listening`))
+    .catch(error => {
+      console.error(`Connection error: ${error.message}`);
+      process.exit(1);
+    });
+}
 
-// Start the server
-const transport = new StdioServerTransport();
-server.connect(transport)
-  .then(() => console.error(`${config.SERVER_NAME} connected and listening`))
-  .catch(error => {
-    console.error(`Connection error: ${error.message}`);
-    process.exit(1);
-  });
\ No newline at end of file
+// Exported before startup: server-http requires this module while it is still loading as the entry point
+module.exports = {
+  TOOLS,
+  createServer,
+  fallbackRequestHandler
+};
+
+if (require.main === module) {
+  // Make the script executable
+  process.on('SIGTERM', () => {
+    console.error('SIGTERM received but staying alive');
+  });
+  
+  // Start the server on the configured transport
+  if (config.TRANSPORT_TYPE === 'http') {
+    require('./server-http').startHttpServer();
+  } else {
+    startStdioServer();
+  }
+}
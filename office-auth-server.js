@@ -5,6 +5,8 @@ const path = require('path');
 const os = require('os');
 const https = require('https');
 require('dotenv').config();
+const { resolveProfile, DEFAULT_PROFILE } = require('./auth/profiles');
+const { writeTokenFile } = require('./auth/token-store');
 
 // MCP Server Auth Helper for Office MCP
 // This server handles the OAuth2 redirect callback from Microsoft
@@ -13,14 +15,73 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 const TOKEN_FILE = path.join(os.homedir(), '.office-mcp-tokens.json');
 
-// Store auth codes temporarily in memory
-const authCodes = new Map();
+// Sign-ins started on /auth and not yet completed, keyed by state
+// Each entry holds the PKCE code verifier and the profile being signed in
+const pendingLogins = new Map();
+
+// States already consumed by a callback, kept to recognise replays
+const usedStates = new Map();
+
+// How long a sign-in may take between /auth and the callback
+const PENDING_STATE_TTL_MS = parseInt(process.env.AUTH_STATE_TTL_MINUTES || '10', 10) * 60 * 1000;
+
+const GRAPH_SCOPES = 'offline_access User.Read User.ReadWrite User.ReadBasic.All Mail.Read Mail.ReadWrite Mail.Send Calendars.Read Calendars.ReadWrite Files.Read Files.ReadWrite Files.ReadWrite.All Team.ReadBasic.All Team.Create Chat.Read Chat.ReadWrite ChannelMessage.Read.All ChannelMessage.Send OnlineMeetingTranscript.Read.All OnlineMeetings.ReadWrite Tasks.Read Tasks.ReadWrite Group.Read.All Directory.Read.All Presence.Read Presence.ReadWrite';
 
 // Generate a random state parameter for security
 function generateState() {
   return crypto.randomBytes(16).toString('hex');
 }
 
+// Encode bytes as base64url without padding (RFC 7636)
+function base64Url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Generate a PKCE code verifier and its S256 challenge
+function generatePkcePair() {
+  const codeVerifier = base64Url(crypto.randomBytes(32));
+  const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+  return { codeVerifier, codeChallenge };
+}
+
+// Drop pending sign-ins and used states older than the TTL
+function pruneExpiredStates() {
+  const cutoff = Date.now() - PENDING_STATE_TTL_MS;
+  for (const [state, login] of pendingLogins) {
+    if (login.createdAt < cutoff) pendingLogins.delete(state);
+  }
+  for (const [state, usedAt] of usedStates) {
+    if (usedAt < cutoff) usedStates.delete(state);
+  }
+}
+
+// Escape text interpolated into HTML pages
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
+// Send an error page
+function sendErrorPage(res, status, title, paragraphs) {
+  res.status(status).send(`
+    <html>
+      <head>
+        <title>${title}</title>
+        <style>
+          body { font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto; padding: 20px; }
+          .error { color: red; background: #ffeeee; padding: 10px; border-radius: 5px; }
+        </style>
+      </head>
+      <body>
+        <h1>${title}</h1>
+        <div class="error">
+          ${paragraphs.map(text => `<p>${escapeHtml(text)}</p>`).join('\n          ')}
+        </div>
+        <p><a href="/auth">Start a new sign-in</a> · <a href="/">Back to home</a></p>
+      </body>
+    </html>
+  `);
+}
+
 // Root route with authentication instructions
 app.get('/', (req, res) => {
   res.send(`
@@ -59,13 +120,18 @@ app.get('/', (req, res) => {
 app.get('/auth', (req, res) => {
   console.log('Auth request received, redirecting to Microsoft login...');
   
-  // Load environment variables or use config
-  const clientId = process.env.OFFICE_CLIENT_ID || '';
-  const clientSecret = process.env.OFFICE_CLIENT_SECRET || '';
-  const tenantId = process.env.OFFICE_TENANT_ID || 'common';
+  // Resolve the account profile being signed in (environment settings for the default profile)
+  let profile;
+  try {
+    profile = resolveProfile(req.query.profile || DEFAULT_PROFILE);
+  } catch (error) {
+    sendErrorPage(res, 400, 'Unknown Profile', [error.message]);
+    return;
+  }
+  const { clientId, tenantId } = profile;
   
-  // Verify credentials are set
-  if (!clientId || !clientSecret) {
+  // Verify the client ID is set (the secret is optional: public clients use PKCE only)
+  if (!clientId) {
     res.send(`
       <html>
         <head>
@@ -83,7 +149,7 @@ app.get('/auth', (req, res) => {
             <p>Microsoft Graph API credentials are not set. Please set the following environment variables:</p>
             <ul>
               <li><code>OFFICE_CLIENT_ID</code></li>
-              <li><code>OFFICE_CLIENT_SECRET</code></li>
+              <li><code>OFFICE_CLIENT_SECRET</code> (optional for public client app registrations)</li>
             </ul>
           </div>
         </body>
@@ -95,19 +161,27 @@ app.get('/auth', (req, res) => {
   // Get client_id from query parameters or use the default
   const requestedClientId = req.query.client_id || clientId;
   
-  // Generate a secure state parameter
-  const state = crypto.randomBytes(16).toString('hex');
-  authCodes.set('state', state);
+  // Generate a secure state parameter and PKCE pair for this sign-in
+  pruneExpiredStates();
+  const state = generateState();
+  const { codeVerifier, codeChallenge } = generatePkcePair();
+  pendingLogins.set(state, {
+    codeVerifier,
+    clientId: requestedClientId,
+    profile: profile.name,
+    createdAt: Date.now()
+  });
   
   // Build the authorization URL
   const authParams = new URLSearchParams({
     client_id: requestedClientId,
     response_type: 'code',
     redirect_uri: `http://localhost:${PORT}/auth/callback`,
-    scope: 'offline_access User.Read User.ReadWrite User.ReadBasic.All Mail.Read Mail.ReadWrite Mail.Send Calendars.Read Calendars.ReadWrite Files.Read Files.ReadWrite Files.ReadWrite.All Team.ReadBasic.All Team.Create Chat.Read Chat.ReadWrite ChannelMessage.Read.All ChannelMessage.Send OnlineMeetingTranscript.Read.All OnlineMeetings.ReadWrite Tasks.Read Tasks.ReadWrite Group.Read.All Directory.Read.All Presence.Read Presence.ReadWrite',
+    scope: GRAPH_SCOPES,
     response_mode: 'query',
     state: state,
-    tenant: tenantId
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
   });
   
   const authUrl = `https://login.microsoftonline.com/${tenantId}/oauth2/v2.0/authorize?${authParams}`;
@@ -121,56 +195,60 @@ app.get('/auth', (req, res) => {
 app.get('/auth/callback', async (req, res) => {
   const { code, state, error, error_description } = req.query;
   
+  // Validate the state parameter before anything else: it must belong to a
+  // sign-in started here, not be expired, and not have been used already
+  pruneExpiredStates();
+  
+  if (!state) {
+    return sendErrorPage(res, 400, 'Invalid State Parameter', [
+      'The callback did not include a state parameter. This could be a security issue.'
+    ]);
+  }
+  
+  if (usedStates.has(state)) {
+    console.error('Rejected callback: state was already used');
+    return sendErrorPage(res, 400, 'Sign-in Link Already Used', [
+      'This sign-in response has already been processed and cannot be replayed.',
+      'If you did not just reload this page, start a new sign-in.'
+    ]);
+  }
+  
+  const login = pendingLogins.get(state);
+  if (!login) {
+    console.error('Rejected callback: unknown or expired state');
+    return sendErrorPage(res, 400, 'Invalid State Parameter', [
+      "The state parameter doesn't match any pending sign-in. It may have expired " +
+        `(sign-ins must complete within ${PENDING_STATE_TTL_MS / 60000} minutes) or come from another session.`
+    ]);
+  }
+  
+  // The state is single-use from here on, whatever the outcome
+  pendingLogins.delete(state);
+  usedStates.set(state, Date.now());
+  
   // Handle errors
   if (error) {
-    return res.send(`
-      <html>
-        <head>
-          <title>Authentication Error</title>
-          <style>
-            body { font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto; padding: 20px; }
-            .error { color: red; background: #ffeeee; padding: 10px; border-radius: 5px; }
-          </style>
-        </head>
-        <body>
-          <h1>Authentication Error</h1>
-          <div class="error">
-            <p><strong>Error:</strong> ${error}</p>
-            <p><strong>Description:</strong> ${error_description || 'No description provided'}</p>
-          </div>
-          <p><a href="/">Back to home</a></p>
-        </body>
-      </html>
-    `);
+    return sendErrorPage(res, 400, 'Authentication Error', [
+      `Error: ${error}`,
+      `Description: ${error_description || 'No description provided'}`
+    ]);
   }
   
-  // Validate state parameter
-  const storedState = authCodes.get('state');
-  if (state !== storedState) {
-    return res.send(`
-      <html>
-        <head>
-          <title>Invalid State</title>
-          <style>
-            body { font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto; padding: 20px; }
-            .error { color: red; background: #ffeeee; padding: 10px; border-radius: 5px; }
-          </style>
-        </head>
-        <body>
-          <h1>Invalid State Parameter</h1>
-          <div class="error">
-            <p>The state parameter doesn't match. This could be a security issue.</p>
-          </div>
-          <p><a href="/">Back to home</a></p>
-        </body>
-      </html>
-    `);
+  if (!code) {
+    return sendErrorPage(res, 400, 'Authentication Error', ['The callback did not include an authorization code.']);
   }
   
   // Exchange authorization code for tokens
   console.log('Authorization code received, exchanging for tokens...');
   
-  exchangeCodeForTokens(code)
+  let profile;
+  try {
+    profile = resolveProfile(login.profile);
+  } catch (profileError) {
+    return sendErrorPage(res, 400, 'Unknown Profile', [profileError.message]);
+  }
+  
+  exchangeCodeForTokens(code, profile, login)
     .then((tokens) => {
       console.log('Token exchange successful');
       res.send(`
@@ -197,70 +275,42 @@ app.get('/auth/callback', async (req, res) => {
     })
     .catch((error) => {
       console.error(`Token exchange error: ${error.message}`);
-      res.status(500).send(`
-        <html>
-          <head>
-            <title>Authentication Error</title>
-            <style>
-              body { font-family: Arial, sans-serif; max-width: 800px; margin: 0 auto; padding: 20px; }
-              .error { color: red; background: #ffeeee; padding: 10px; border-radius: 5px; }
-            </style>
-          </head>
-          <body>
-            <h1>Token Exchange Error</h1>
-            <div class="error">
-              <p>Failed to exchange authorization code for tokens.</p>
-              <p>Error: ${error.message}</p>
-            </div>
-          </body>
-        </html>
-      `);
+      sendErrorPage(res, 500, 'Token Exchange Error', [
+        'Failed to exchange authorization code for tokens.',
+        `Error: ${error.message}`
+      ]);
     });
 });
 
-// API endpoint to get the stored auth code
-app.get('/api/auth-code', (req, res) => {
-  const code = authCodes.get('code');
-  if (code) {
-    authCodes.delete('code'); // Clear after retrieving
-    res.json({ code });
-  } else {
-    res.status(404).json({ error: 'No authorization code available' });
-  }
-});
-
-// API endpoint to set the state parameter
-app.post('/api/state', express.json(), (req, res) => {
-  const { state } = req.body;
-  authCodes.set('state', state);
-  res.json({ status: 'ok' });
-});
-
 // API endpoint to check server status
 app.get('/api/status', (req, res) => {
   res.json({
     status: 'running',
     port: PORT,
     tokenFileExists: fs.existsSync(TOKEN_FILE),
-    hasPendingCode: authCodes.has('code')
+    pendingSignIns: pendingLogins.size
   });
 });
 
-// Function to exchange authorization code for tokens
-function exchangeCodeForTokens(code) {
+// Function to exchange authorization code for tokens of an account profile
+// The PKCE verifier proves this server started the sign-in; the client secret
+// is only sent when one is configured (confidential client registrations)
+function exchangeCodeForTokens(code, profile, login) {
   return new Promise((resolve, reject) => {
-    const clientId = process.env.OFFICE_CLIENT_ID || '';
-    const clientSecret = process.env.OFFICE_CLIENT_SECRET || '';
-    const tenantId = process.env.OFFICE_TENANT_ID || 'common';
+    const { clientSecret, tenantId, tokenStorePath } = profile;
     
-    const postData = new URLSearchParams({
-      client_id: clientId,
-      client_secret: clientSecret,
+    const tokenParams = new URLSearchParams({
+      client_id: login.clientId,
       code: code,
       redirect_uri: `http://localhost:${PORT}/auth/callback`,
       grant_type: 'authorization_code',
-      scope: 'offline_access User.Read User.ReadWrite User.ReadBasic.All Mail.Read Mail.ReadWrite Mail.Send Calendars.Read Calendars.ReadWrite Files.Read Files.ReadWrite Files.ReadWrite.All Team.ReadBasic.All Team.Create Chat.Read Chat.ReadWrite ChannelMessage.Read.All ChannelMessage.Send OnlineMeetingTranscript.Read.All OnlineMeetings.ReadWrite Tasks.Read Tasks.ReadWrite Group.Read.All Directory.Read.All Presence.Read Presence.ReadWrite'
-    }).toString();
+      code_verifier: login.codeVerifier,
+      scope: GRAPH_SCOPES
+    });
+    if (clientSecret) {
+      tokenParams.set('client_secret', clientSecret);
+    }
+    const postData = tokenParams.toString();
     
     const options = {
       hostname: 'login.microsoftonline.com',
@@ -301,9 +351,9 @@ function exchangeCodeForTokens(code) {
             // Add expires_at for easier expiration checking
             tokenResponse.expires_at = expiresAt;
             
-            // Save tokens to file
-            fs.writeFileSync(TOKEN_FILE, JSON.stringify(tokenResponse, null, 2), 'utf8');
-            console.log(`Tokens saved to ${TOKEN_FILE}`);
+            // Save tokens to file (encrypted, owner-only permissions)
+            writeTokenFile(tokenStorePath, tokenResponse);
+            console.log(`Tokens for profile "${profile.name}" saved to ${tokenStorePath}`);
             
             resolve(tokenResponse);
           } catch (error) {
@@ -1,5 +1,5 @@
 const { ensureAuthenticated } = require('../auth');
-const { callGraphAPI } = require('../utils/graph-api');
+const { callGraphAPI, collectGraphItems } = require('../utils/graph-api');
 
 /**
  * Consolidated Planner Module - Reduces 18 tools to 8 tools
@@ -15,15 +15,15 @@ async function handlePlanOperations(args) {
     
     switch (operation) {
       case 'list':
-        const plans = await callGraphAPI(accessToken, 'GET', 'me/planner/plans', null);
+        const plans = await collectGraphItems(accessToken, 'me/planner/plans');
         
-        if (!plans.value || plans.value.length === 0) {
+        if (plans.length === 0) {
           return { content: [{ type: "text", text: "No Planner plans found." }] };
         }
         
-        const plansList = plans.value.map(plan => `- ${plan.title} (ID: ${plan.id})`).join('\n');
+        const plansList = plans.map(plan => `- ${plan.title} (ID: ${plan.id})`).join('\n');
         return {
-          content: [{ type: "text", text: `Found ${plans.value.length} plans:\n\n${plansList}` }]
+          content: [{ type: "text", text: `Found ${plans.length} plans:\n\n${plansList}` }]
         };
       
       case 'get':
@@ -97,19 +97,19 @@ async function handleTaskOperations(args) {
       case 'list':
         if (!planId) throw new Error("Plan ID required for list operation");
         
-        const tasks = await callGraphAPI(accessToken, 'GET', `planner/plans/${planId}/tasks`, null);
+        const tasks = await collectGraphItems(accessToken, `planner/plans/${planId}/tasks`);
         
-        if (!tasks.value || tasks.value.length === 0) {
+        if (tasks.length === 0) {
           return { content: [{ type: "text", text: "No tasks found in this plan." }] };
         }
         
-        const tasksList = tasks.value.map(task => {
+        const tasksList = tasks.map(task => {
           const status = task.percentComplete === 100 ? '✓' : task.percentComplete + '%';
           return `- [${status}] ${task.title} (ID: ${task.id})`;
         }).join('\n');
         
         return {
-          content: [{ type: "text", text: `Found ${tasks.value.length} tasks:\n\n${tasksList}` }]
+          content: [{ type: "text", text: `Found ${tasks.length} tasks:\n\n${tasksList}` }]
         };
       
       case 'create':
@@ -222,16 +222,16 @@ async function handleBucketOperations(args) {
       case 'list':
         if (!planId) throw new Error("Plan ID required for list operation");
         
-        const buckets = await callGraphAPI(accessToken, 'GET', `planner/plans/${planId}/buckets`, null);
+        const buckets = await collectGraphItems(accessToken, `planner/plans/${planId}/buckets`);
         
-        if (!buckets.value || buckets.value.length === 0) {
+        if (buckets.length === 0) {
           return { content: [{ type: "text", text: "No buckets found in this plan." }] };
         }
         
-        const bucketsList = buckets.value.map(bucket => `- ${bucket.name} (ID: ${bucket.id})`).join('\n');
+        const bucketsList = buckets.map(bucket => `- ${bucket.name} (ID: ${bucket.id})`).join('\n');
         
         return {
-          content: [{ type: "text", text: `Found ${buckets.value.length} buckets:\n\n${bucketsList}` }]
+          content: [{ type: "text", text: `Found ${buckets.length} buckets:\n\n${bucketsList}` }]
         };
       
       case 'create':
@@ -277,19 +277,19 @@ async function handleBucketOperations(args) {
       case 'get_tasks':
         if (!bucketId) throw new Error("Bucket ID required for get_tasks operation");
         
-        const bucketTasks = await callGraphAPI(accessToken, 'GET', `planner/buckets/${bucketId}/tasks`, null);
+        const bucketTasks = await collectGraphItems(accessToken, `planner/buckets/${bucketId}/tasks`);
         
-        if (!bucketTasks.value || bucketTasks.value.length === 0) {
+        if (bucketTasks.length === 0) {
           return { content: [{ type: "text", text: "No tasks found in this bucket." }] };
         }
         
-        const tasksList = bucketTasks.value.map(task => {
+        const tasksList = bucketTasks.map(task => {
           const status = task.percentComplete === 100 ? '✓' : task.percentComplete + '%';
           return `- [${status}] ${task.title} (ID: ${task.id})`;
         }).join('\n');
         
         return {
-          content: [{ type: "text", text: `Found ${bucketTasks.value.length} tasks in bucket:\n\n${tasksList}` }]
+          content: [{ type: "text", text: `Found ${bucketTasks.length} tasks in bucket:\n\n${tasksList}` }]
         };
       
       default:
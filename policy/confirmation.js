@@ -0,0 +1,397 @@
+/**
+ * Dry-run previews and confirmation of mutating tool calls
+ *
+ * `dryRun: true` runs the handler with Graph writes recorded instead of sent
+ * (see utils/dry-run) and reports exactly what would change: the requests,
+ * the items they target with their current etags, and the recipients of
+ * anything sent. The preview includes a confirm token; calling the tool again
+ * with the same arguments and `confirm: "<token>"` executes the call, provided
+ * the targeted items have not changed since the preview.
+ *
+ * With REQUIRE_CONFIRMATION=true every mutating call without a valid token
+ * returns the preview instead of executing.
+ *
+ * Only Graph writes are held back, so calls that write local files (profiles,
+ * saved searches, downloads saved to disk, reports) are not previewed.
+ */
+const crypto = require('crypto');
+const config = require('../config');
+const { ensureAuthenticated } = require('../auth');
+const { getCurrentProfileName } = require('../auth/profiles');
+const { callGraphAPI } = require('../utils/graph-api');
+const { runDryRun } = require('../utils/dry-run');
+const { resolveOperation, isReadCall, writesLocalFiles } = require('./index');
+
+// Error code returned by the dispatcher when a confirm token is refused
+const CONFIRMATION_FAILED_CODE = -32003;
+
+// Targets looked up per preview; larger bulk operations are listed without details
+const MAX_DESCRIBED_TARGETS = 25;
+
+// Tools whose changes are local files rather than Graph requests, so cannot be previewed
+const LOCAL_STATE_TOOLS = ['sync'];
+
+// Tools that also change local files, so plan their own changes: the preview runs
+// their handler with dryRun, and the plan must be unchanged when the call is confirmed
+const SELF_PREVIEW_TOOLS = ['files_sync'];
+
+// Arguments a confirmed call of a self-previewing tool runs with: the preview
+// listed these changes, so confirming it approves them
+const CONFIRMED_ARGS = {
+  files_sync: { allowDeletes: true }
+};
+
+// Body keys holding recipients or attendees
+const RECIPIENT_KEYS = ['toRecipients', 'ccRecipients', 'bccRecipients', 'attendees', 'recipients'];
+
+// Schema fragments added to the input schema of tools that can modify data
+const DRY_RUN_PROPERTIES = {
+  dryRun: {
+    type: 'boolean',
+    description: 'Preview the changes (items, recipients, etags) without applying them; returns a confirm token'
+  },
+  confirm: {
+    type: 'string',
+    description: 'Confirm token from a dryRun preview; applies the previewed call (same arguments required)'
+  }
+};
+
+// Previews awaiting confirmation, keyed by token
+const pendingConfirmations = new Map();
+
+/**
+ * Adds the dryRun/confirm arguments to the schema of a tool that can modify data
+ * @param {string} toolName - Tool name
+ * @param {object} inputSchema - Tool input schema
+ * @returns {object} - Schema, with dryRun/confirm for mutating tools
+ */
+function withDryRunProperties(toolName, inputSchema = { type: 'object', properties: {} }) {
+  if (LOCAL_STATE_TOOLS.includes(toolName)) return inputSchema;
+
+  // Self-previewing tools describe dryRun in their own schema
+  if (SELF_PREVIEW_TOOLS.includes(toolName)) {
+    return {
+      ...inputSchema,
+      properties: { ...(inputSchema.properties || {}), confirm: DRY_RUN_PROPERTIES.confirm }
+    };
+  }
+  if (isReadCall(toolName, null)) return inputSchema;
+
+  return {
+    ...inputSchema,
+    properties: {
+      ...(inputSchema.properties || {}),
+      ...DRY_RUN_PROPERTIES
+    }
+  };
+}
+
+/**
+ * Splits dryRun/confirm from the arguments passed to the handler
+ * @param {object} args - Tool call arguments
+ * @param {string} toolName - Tool name
+ * @returns {object} - { dryRun, confirm, handlerArgs }
+ */
+function extractDryRunArgs(args = {}) {
+  const { dryRun, confirm, ...handlerArgs } = args;
+  return { dryRun: dryRun === true || dryRun === 'true', confirm: confirm || null, handlerArgs };
+}
+
+/**
+ * Whether a call must be previewed before it may run
+ * (self-previewing tools change local files whatever their operation)
+ * @param {string} toolName - Tool name
+ * @param {object} args - Handler arguments
+ * @returns {boolean}
+ */
+function requiresConfirmation(toolName, args) {
+  return config.REQUIRE_CONFIRMATION &&
+    !LOCAL_STATE_TOOLS.includes(toolName) &&
+    (SELF_PREVIEW_TOOLS.includes(toolName) || !isReadCall(toolName, resolveOperation(toolName, args)));
+}
+
+/**
+ * Serialises arguments with sorted keys so equal arguments compare equal
+ * @param {*} value - Value to serialise
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Collects recipient addresses from a request body
+ * @param {*} body - Request body
+ * @param {number} depth - Remaining nesting depth to search
+ * @returns {string[]} - Addresses
+ */
+function extractRecipients(body, depth = 3) {
+  if (!body || typeof body !== 'object' || depth === 0) return [];
+
+  return Object.entries(body).flatMap(([key, value]) => {
+    if (RECIPIENT_KEYS.includes(key) && Array.isArray(value)) {
+      return value.map(entry => entry?.emailAddress?.address || entry?.email || (typeof entry === 'string' ? entry : '')).filter(Boolean);
+    }
+    return extractRecipients(value, depth - 1);
+  });
+}
+
+/**
+ * Gets a label for a Graph item
+ * @param {object} item - Graph item
+ * @returns {string}
+ */
+function itemLabel(item) {
+  return item?.subject || item?.name || item?.displayName || item?.title || item?.topic || item?.id || '';
+}
+
+/**
+ * Describes one recorded write, looking up the item it targets
+ * @param {object} write - Recorded write ({ method, path, body, ifMatch, targetPath })
+ * @param {string} accessToken - Access token
+ * @param {boolean} lookup - Whether to fetch the target item
+ * @returns {Promise<object>} - { method, path, target, etag, recipients, fields }
+ */
+async function describeWrite(write, accessToken, lookup) {
+  const change = {
+    method: write.method,
+    path: write.path,
+    target: null,
+    targetPath: write.targetPath,
+    etag: write.ifMatch,
+    recipients: extractRecipients(write.body),
+    fields: write.method === 'PATCH' && write.body ? Object.keys(write.body) : [],
+    label: write.method === 'POST' && !write.targetPath ? itemLabel(write.body?.message || write.body) : ''
+  };
+
+  if (write.targetPath && lookup && accessToken) {
+    try {
+      const item = await callGraphAPI(accessToken, 'GET', write.targetPath);
+      change.target = itemLabel(item);
+      change.etag = change.etag || item?.['@odata.etag'] || item?.eTag || null;
+      if (change.recipients.length === 0 && write.method !== 'DELETE') {
+        change.recipients = extractRecipients(item);
+      }
+    } catch (error) {
+      change.target = `(could not be read: ${error.message.split('\n')[0]})`;
+    }
+  }
+
+  return change;
+}
+
+/**
+ * Formats a preview report
+ */
+function formatPreview(label, changes, token, expiresAt) {
+  const lines = changes.map((change, index) => {
+    const details = [`${index + 1}. ${change.method} ${change.path}`];
+    if (change.target) details.push(`   Target: ${change.target}`);
+    if (change.label) details.push(`   Item: ${change.label}`);
+    if (change.etag) details.push(`   ETag: ${change.etag}`);
+    if (change.fields.length > 0) details.push(`   Fields: ${change.fields.join(', ')}`);
+    if (change.recipients.length > 0) details.push(`   Recipients: ${change.recipients.join(', ')}`);
+    return details.join('\n');
+  });
+
+  return `DRY RUN - nothing was changed. ${label} would make ${changes.length} change(s):\n\n${lines.join('\n\n')}\n\n` +
+    confirmInstructions(token, expiresAt);
+}
+
+/**
+ * Tells how to apply a previewed call
+ */
+function confirmInstructions(token, expiresAt) {
+  return `To apply exactly these changes, call the tool again with the same arguments and confirm: "${token}" (valid until ${new Date(expiresAt).toISOString()}).`;
+}
+
+/**
+ * Issues a confirm token for a previewed call
+ * @param {string} toolName - Tool name
+ * @param {object} args - Handler arguments
+ * @param {object} checks - { targets (etags re-checked on confirm), plan (self-preview text compared on confirm) }
+ * @returns {object} - { token, expiresAt }
+ */
+function issueConfirmToken(toolName, args, { targets = [], plan = null }) {
+  const token = crypto.randomBytes(12).toString('hex');
+  const expiresAt = Date.now() + config.CONFIRM_TOKEN_TTL_MINUTES * 60 * 1000;
+  pendingConfirmations.set(token, {
+    toolName,
+    account: getCurrentProfileName(),
+    argsKey: stableStringify(args),
+    expiresAt,
+    targets,
+    plan
+  });
+  return { token, expiresAt };
+}
+
+/**
+ * Runs a self-previewing handler in dry-run mode; Graph writes are held back as well
+ * @returns {Promise<string>} - The plan reported by the handler
+ */
+async function planSelfPreview(args, handler) {
+  const { result } = await runDryRun(() => handler({ ...args, dryRun: true }));
+  return (result?.content || []).map(item => item.text).join('\n');
+}
+
+/**
+ * Drops expired previews
+ */
+function pruneExpiredConfirmations() {
+  const now = Date.now();
+  for (const [token, pending] of pendingConfirmations) {
+    if (pending.expiresAt < now) pendingConfirmations.delete(token);
+  }
+}
+
+/**
+ * Runs a tool handler in dry-run mode and returns the preview response
+ * @param {string} toolName - Tool name
+ * @param {object} args - Handler arguments
+ * @param {Function} handler - Tool handler
+ * @param {string} format - Output format ("text" or "json")
+ * @returns {Promise<object>} - MCP response
+ */
+async function previewToolCall(toolName, args, handler, format = 'text') {
+  pruneExpiredConfirmations();
+
+  const operation = resolveOperation(toolName, args);
+  const label = operation ? `${toolName}.${operation}` : toolName;
+
+  if (LOCAL_STATE_TOOLS.includes(toolName)) {
+    return {
+      content: [{ type: "text", text: `dryRun is not supported for ${toolName}: it changes local state, not Microsoft 365 data.` }]
+    };
+  }
+
+  if (!SELF_PREVIEW_TOOLS.includes(toolName) && writesLocalFiles(toolName, operation, args)) {
+    return {
+      content: [{
+        type: "text",
+        text: `dryRun is not supported for ${label} with these arguments: it writes local files, which a preview cannot hold back. ` +
+          'Nothing was run; call it without dryRun, or without the local path to preview its Microsoft 365 changes.'
+      }]
+    };
+  }
+
+  if (SELF_PREVIEW_TOOLS.includes(toolName)) {
+    const plan = await planSelfPreview(args, handler);
+    const { token, expiresAt } = issueConfirmToken(toolName, args, { plan });
+    const response = { content: [{ type: "text", text: `DRY RUN - nothing was changed.\n\n${plan}\n\n${confirmInstructions(token, expiresAt)}` }] };
+
+    if (format === 'json') {
+      response.structuredContent = { tool: toolName, operation, dryRun: true, plan, confirmToken: token, expiresAt: new Date(expiresAt).toISOString() };
+    }
+    return response;
+  }
+
+  const { result, writes, accessToken } = await runDryRun(() => handler(args));
+
+  if (writes.length === 0) {
+    const handlerText = result?.content?.[0]?.text;
+    return {
+      content: [{
+        type: "text",
+        text: `DRY RUN - ${label} would not change anything.${handlerText ? `\n\nHandler response:\n${handlerText}` : ''}`
+      }]
+    };
+  }
+
+  const changes = [];
+  for (const [index, write] of writes.entries()) {
+    changes.push(await describeWrite(write, accessToken, index < MAX_DESCRIBED_TARGETS));
+  }
+
+  const { token, expiresAt } = issueConfirmToken(toolName, args, {
+    targets: changes.filter(change => change.targetPath && change.etag).map(change => ({ path: change.targetPath, etag: change.etag }))
+  });
+
+  const text = formatPreview(label, changes, token, expiresAt);
+  const response = { content: [{ type: "text", text }] };
+
+  if (format === 'json') {
+    response.structuredContent = {
+      tool: toolName,
+      operation,
+      dryRun: true,
+      changes: changes.map(({ targetPath, ...change }) => change),
+      confirmToken: token,
+      expiresAt: new Date(expiresAt).toISOString()
+    };
+  }
+
+  return response;
+}
+
+/**
+ * Validates and consumes a confirm token
+ * @param {string} toolName - Tool name
+ * @param {object} args - Handler arguments
+ * @param {string} token - Confirm token from the preview
+ * @param {Function} [handler] - Tool handler, to re-plan calls of self-previewing tools
+ * @returns {Promise<string|null>} - Reason the confirmation is refused, or null to proceed
+ */
+async function confirmToolCall(toolName, args, token, handler = null) {
+  pruneExpiredConfirmations();
+
+  const pending = pendingConfirmations.get(token);
+  if (!pending) {
+    return 'Unknown or expired confirm token; run the call with dryRun: true again';
+  }
+  if (pending.toolName !== toolName || pending.account !== getCurrentProfileName() || pending.argsKey !== stableStringify(args)) {
+    return 'Confirm token was issued for a different call; the tool, account and arguments must match the preview';
+  }
+
+  // Single use, whatever happens next
+  pendingConfirmations.delete(token);
+
+  if (pending.plan !== null) {
+    if (!handler || await planSelfPreview(args, handler) !== pending.plan) {
+      return 'The planned changes differ from the preview; run the call with dryRun: true again';
+    }
+  }
+
+  if (pending.targets.length > 0) {
+    const accessToken = await ensureAuthenticated();
+
+    for (const target of pending.targets) {
+      try {
+        const item = await callGraphAPI(accessToken, 'GET', target.path);
+        const currentEtag = item?.['@odata.etag'] || item?.eTag || null;
+        if (currentEtag && currentEtag !== target.etag) {
+          return `${target.path} changed since the preview (etag ${target.etag} is now ${currentEtag}); run the call with dryRun: true again`;
+        }
+      } catch (error) {
+        return `${target.path} could not be re-checked since the preview: ${error.message.split('\n')[0]}`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Arguments to run a confirmed call with
+ * @param {string} toolName - Tool name
+ * @param {object} args - Handler arguments of the confirmed call
+ * @returns {object} - Handler arguments, with the changes the preview approved
+ */
+function confirmedArgs(toolName, args) {
+  return CONFIRMED_ARGS[toolName] ? { ...args, ...CONFIRMED_ARGS[toolName] } : args;
+}
+
+module.exports = {
+  CONFIRMATION_FAILED_CODE,
+  withDryRunProperties,
+  extractDryRunArgs,
+  requiresConfirmation,
+  previewToolCall,
+  confirmToolCall,
+  confirmedArgs,
+  extractRecipients
+};
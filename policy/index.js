@@ -0,0 +1,283 @@
+/**
+ * Tool permission policy
+ * Checked by the tools/call dispatcher before any handler runs, so a server
+ * can be handed to less-trusted agents: tools and operations can be allowed
+ * or denied, everything that writes can be blocked with read-only mode, and
+ * outgoing mail can be limited to given recipient domains.
+ *
+ * The policy file (POLICY_PATH, JSON) is re-read when it changes:
+ * {
+ *   "readOnly": false,
+ *   "allow": ["email", "calendar.list", "files.*"],
+ *   "deny": ["files.delete", "teams_chat.delete_message", "planner_*.delete"],
+ *   "send": { "allowedRecipientDomains": ["contoso.com"], "blockedRecipientDomains": [] }
+ * }
+ * Rules are "tool" or "tool.operation" with * wildcards; deny wins over allow,
+ * and a non-empty allow list denies everything it does not match.
+ */
+const fs = require('fs');
+const config = require('../config');
+const { ensureAuthenticated } = require('../auth');
+const { callGraphAPI } = require('../utils/graph-api');
+
+// Error code returned by the dispatcher for denied calls
+const POLICY_DENIED_CODE = -32001;
+
+// Tools that never change Microsoft 365 data, whatever their operation
+// (operations of theirs that write local files are listed in LOCAL_WRITE_OPERATIONS)
+const READ_ONLY_EXEMPT_TOOLS = ['about', 'authenticate', 'check-auth-status', 'saved_search', 'newsletter_rules'];
+
+// Operations that change local files (profiles, saved searches, newsletter rules)
+const LOCAL_WRITE_OPERATIONS = {
+  authenticate: ['add_profile', 'switch_profile', 'remove_profile'],
+  saved_search: ['save', 'delete'],
+  newsletter_rules: ['add', 'remove', 'feedback', 'forget']
+};
+
+// Arguments naming a local path a call writes to (downloads, synced folders, reports)
+const LOCAL_WRITE_ARGUMENTS = {
+  files: ['savePath', 'localDir'],
+  files_sync: ['localDir'],
+  teams_meeting: ['savePath'],
+  email_triage: ['reportPath']
+};
+
+// Tools without an operation argument that only read
+const READ_TOOLS = [
+  'audit',
+  'email_search',
+  'email_focused',
+  'search',
+  'extract_contacts_from_emails',
+  'notification_list_subscriptions',
+  'planner_user',
+  'planner_task_details',
+  'files_map_sharepoint_path'
+];
+
+// Operations that only read (exact names or name prefixes followed by "_")
+const READ_OPERATION_PATTERN = /^(list|get|read|search|find|download|status|changes|classify)(_|$)/;
+
+// Operations the teams_chat handler still accepts under their legacy names
+const LEGACY_OPERATIONS = {
+  teams_chat: { get: 'get_message', send: 'send_message', update: 'update_message', delete: 'delete_message' }
+};
+
+let cachedPolicy = null;
+let cachedMtime = null;
+
+/**
+ * Loads the policy file, reusing the parsed copy until the file changes
+ * @returns {object} - { readOnly, allow, deny, send }
+ */
+function loadPolicy() {
+  let mtime = null;
+  try {
+    mtime = fs.existsSync(config.POLICY_PATH) ? fs.statSync(config.POLICY_PATH).mtimeMs : null;
+  } catch (error) {
+    console.error('[POLICY] Error reading policy file:', error.message);
+  }
+
+  if (cachedPolicy && mtime === cachedMtime) {
+    return withEnvironmentOverrides(cachedPolicy);
+  }
+
+  let policy = {};
+  if (mtime !== null) {
+    // A policy file that cannot be parsed must not silently allow everything
+    policy = JSON.parse(fs.readFileSync(config.POLICY_PATH, 'utf8'));
+    console.error(`[POLICY] Loaded policy from ${config.POLICY_PATH}`);
+  }
+
+  cachedPolicy = {
+    readOnly: Boolean(policy.readOnly),
+    allow: policy.allow || [],
+    deny: policy.deny || [],
+    send: {
+      allowedRecipientDomains: (policy.send?.allowedRecipientDomains || []).map(d => d.toLowerCase()),
+      blockedRecipientDomains: (policy.send?.blockedRecipientDomains || []).map(d => d.toLowerCase())
+    }
+  };
+  cachedMtime = mtime;
+
+  return withEnvironmentOverrides(cachedPolicy);
+}
+
+/**
+ * Applies settings that can also come from the environment
+ * @param {object} policy - Policy from the file
+ * @returns {object} - Effective policy
+ */
+function withEnvironmentOverrides(policy) {
+  return config.READ_ONLY ? { ...policy, readOnly: true } : policy;
+}
+
+/**
+ * Resolves the operation a call will run, including legacy aliases
+ * @param {string} toolName - Tool name
+ * @param {object} args - Tool arguments
+ * @returns {string|null} - Operation name, or null for tools without operations
+ */
+function resolveOperation(toolName, args = {}) {
+  let { operation } = args;
+
+  if (toolName === 'teams_chat' && !operation) {
+    if (args.chatId && args.messageId) operation = 'get_message';
+    else if (args.chatId && args.content) operation = 'send_message';
+  }
+
+  const aliases = LEGACY_OPERATIONS[toolName];
+  if (operation && aliases && aliases[operation]) {
+    operation = aliases[operation];
+  }
+
+  if (!operation && toolName === 'authenticate') return 'login';
+  if (!operation && toolName === 'sync') return 'changes';
+  if (toolName === 'files_sync') return args.direction || 'both';
+  if (toolName === 'email_triage') {
+    return Object.keys({ ...args.moveTo, ...args.categorize }).length > 0 ? 'apply' : 'classify';
+  }
+  return operation || null;
+}
+
+/**
+ * Tests a rule such as "files", "files.delete" or "planner_*.delete"
+ * @param {string} rule - Policy rule
+ * @param {string} toolName - Tool name
+ * @param {string|null} operation - Operation name
+ * @returns {boolean} - Whether the rule matches the call
+ */
+function matchesRule(rule, toolName, operation) {
+  const [toolPattern, operationPattern] = rule.split('.');
+  const toRegex = pattern => new RegExp(`^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+
+  if (!toRegex(toolPattern).test(toolName)) return false;
+  if (operationPattern === undefined) return true;
+  return operation !== null && toRegex(operationPattern).test(operation);
+}
+
+/**
+ * Whether a call only reads Microsoft 365 data
+ * @param {string} toolName - Tool name
+ * @param {string|null} operation - Operation name
+ * @returns {boolean}
+ */
+function isReadCall(toolName, operation) {
+  if (READ_ONLY_EXEMPT_TOOLS.includes(toolName)) return true;
+  if (operation === null) return READ_TOOLS.includes(toolName);
+  return READ_OPERATION_PATTERN.test(operation);
+}
+
+/**
+ * Whether a call writes files on the local disk
+ * @param {string} toolName - Tool name
+ * @param {string|null} operation - Operation name
+ * @param {object} args - Tool arguments
+ * @returns {boolean}
+ */
+function writesLocalFiles(toolName, operation, args = {}) {
+  if ((LOCAL_WRITE_OPERATIONS[toolName] || []).includes(operation)) return true;
+  return (LOCAL_WRITE_ARGUMENTS[toolName] || []).some(name => Boolean(args[name]));
+}
+
+/**
+ * Extracts the domain of an email address
+ * @param {string} address - Email address (optionally "Name <address>")
+ * @returns {string} - Lower-cased domain, or empty string
+ */
+function recipientDomain(address) {
+  const match = String(address).match(/@([^>\s]+)>?\s*$/);
+  return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Whether a domain is, or is a subdomain of, one of the listed domains
+ * @param {string} domain - Domain to check
+ * @param {string[]} domains - Listed domains
+ * @returns {boolean}
+ */
+function domainListed(domain, domains) {
+  return domains.some(listed => domain === listed || domain.endsWith(`.${listed}`));
+}
+
+/**
+ * Collects the recipients a send call would deliver to
+ * @param {string} toolName - Tool name
+ * @param {string|null} operation - Operation name
+ * @param {object} args - Tool arguments
+ * @returns {Promise<string[]|null>} - Recipient addresses, or null if the call does not send mail
+ */
+async function getSendRecipients(toolName, operation, args) {
+  if (toolName !== 'email') return null;
+
+  if (operation === 'send') {
+    const asList = value => (Array.isArray(value) ? value : (value ? [value] : []));
+    return [...asList(args.to), ...asList(args.cc), ...asList(args.bcc)];
+  }
+
+  if (operation === 'send_draft' && args.draftId) {
+    const accessToken = await ensureAuthenticated();
+    const draft = await callGraphAPI(accessToken, 'GET', `me/messages/${args.draftId}`, null, {
+      $select: 'toRecipients,ccRecipients,bccRecipients'
+    });
+    return [...(draft.toRecipients || []), ...(draft.ccRecipients || []), ...(draft.bccRecipients || [])]
+      .map(recipient => recipient.emailAddress?.address || '');
+  }
+
+  return null;
+}
+
+/**
+ * Checks a tool call against the policy
+ * @param {string} toolName - Tool name
+ * @param {object} args - Tool arguments (without account/format)
+ * @returns {Promise<string|null>} - Denial reason, or null if the call is allowed
+ */
+async function checkToolCall(toolName, args = {}) {
+  const policy = loadPolicy();
+  const operation = resolveOperation(toolName, args);
+  const label = operation ? `${toolName}.${operation}` : toolName;
+
+  const denyRule = policy.deny.find(rule => matchesRule(rule, toolName, operation));
+  if (denyRule) {
+    return `${label} is denied by policy rule "${denyRule}"`;
+  }
+
+  if (policy.allow.length > 0 && !policy.allow.some(rule => matchesRule(rule, toolName, operation))) {
+    return `${label} is not in the policy allow list`;
+  }
+
+  if (policy.readOnly && !isReadCall(toolName, operation)) {
+    return `${label} modifies data and the server is in read-only mode`;
+  }
+  if (policy.readOnly && writesLocalFiles(toolName, operation, args)) {
+    return `${label} writes local files and the server is in read-only mode`;
+  }
+
+  const { allowedRecipientDomains, blockedRecipientDomains } = policy.send;
+  if (allowedRecipientDomains.length > 0 || blockedRecipientDomains.length > 0) {
+    const recipients = await getSendRecipients(toolName, operation, args);
+
+    const refused = (recipients || []).filter(address => {
+      const domain = recipientDomain(address);
+      if (domainListed(domain, blockedRecipientDomains)) return true;
+      return allowedRecipientDomains.length > 0 && !domainListed(domain, allowedRecipientDomains);
+    });
+
+    if (refused.length > 0) {
+      const allowed = allowedRecipientDomains.length > 0 ? ` Allowed domains: ${allowedRecipientDomains.join(', ')}.` : '';
+      return `${label} to ${refused.join(', ')} is not allowed by the recipient domain policy.${allowed}`;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  POLICY_DENIED_CODE,
+  checkToolCall,
+  resolveOperation,
+  isReadCall,
+  writesLocalFiles,
+  matchesRule
+};
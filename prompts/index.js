@@ -0,0 +1,174 @@
+/**
+ * MCP Prompts module
+ * Parameterised prompts for common Office workflows. Each prompt walks the
+ * model through calls to the existing tools rather than fetching data itself,
+ * so the user sees (and can approve) every tool call.
+ */
+
+/**
+ * Formats a tool call as an instruction line
+ * @param {string} tool - Tool name
+ * @param {object} args - Tool arguments
+ * @returns {string} - Instruction text
+ */
+function toolCall(tool, args) {
+  return `\`${tool}\` with arguments ${JSON.stringify(args)}`;
+}
+
+// Prompt definitions; `arguments` is what prompts/list advertises
+const PROMPTS = [
+  {
+    name: 'triage_inbox',
+    description: 'Triage unread inbox email: group by urgency and suggest replies, follow-ups and clean-up',
+    arguments: [
+      { name: 'since', description: 'How far back to look - ISO date or relative (e.g. 1d, 7d). Default: 1d', required: false },
+      { name: 'maxResults', description: 'Maximum number of emails to review. Default: 50', required: false },
+      { name: 'focus', description: 'Optional topic, project or sender to prioritise', required: false }
+    ],
+    build: ({ since = '1d', maxResults = '50', focus }) => [
+      'Help me triage my inbox.',
+      '',
+      `1. Call ${toolCall('email_search', { folderName: 'inbox', isRead: false, startDate: since, maxResults: Number(maxResults) || 50 })}.`,
+      '2. For any email whose preview is not enough to judge, read it with `email` (operation "read").',
+      '3. Sort the emails into: Urgent (needs a reply today), Action needed (this week), FYI, and Newsletters / noise.',
+      '4. For each Urgent or Action needed email, give the sender, subject, the action required and a one-line suggested reply.',
+      '5. List the senders in Newsletters / noise that I could unsubscribe from or move out of the inbox.',
+      focus ? `\nGive priority to anything related to: ${focus}.` : '',
+      '',
+      'Do not send, move or delete anything without asking me first.'
+    ]
+  },
+  {
+    name: 'prepare_next_meeting',
+    description: 'Brief me for my next meeting: agenda, attendees, related email and documents',
+    arguments: [
+      { name: 'lookAheadHours', description: 'How many hours ahead to look for the next meeting. Default: 24', required: false },
+      { name: 'subject', description: 'Pick the next meeting whose subject contains this text instead of simply the next one', required: false }
+    ],
+    build: ({ lookAheadHours = '24', subject }) => {
+      const start = new Date();
+      const end = new Date(start.getTime() + (Number(lookAheadHours) || 24) * 60 * 60 * 1000);
+
+      return [
+        'Prepare me for my next meeting.',
+        '',
+        `1. Call ${toolCall('calendar', { operation: 'list', startDateTime: start.toISOString(), endDateTime: end.toISOString(), maxResults: 10 })}.`,
+        subject
+          ? `2. Pick the first upcoming event whose subject contains "${subject}" and fetch it with \`calendar\` (operation "get").`
+          : '2. Pick the first upcoming event that is not cancelled and fetch it with `calendar` (operation "get").',
+        '3. Search recent correspondence about it: call `email_search` with the meeting subject as `query` and `startDate` "30d", then once more with `from` set to the organiser.',
+        '4. If the event is a Teams meeting, note the join link.',
+        '',
+        'Then write a short briefing with: time and location, purpose, attendees (and their roles if known), open questions from the related emails, and three points I should raise.',
+        '',
+        'If there is no meeting in this window, say so and stop.'
+      ];
+    }
+  },
+  {
+    name: 'summarize_teams_channel',
+    description: 'Summarise the discussion in a Teams channel since a given date',
+    arguments: [
+      { name: 'teamId', description: 'ID of the team', required: true },
+      { name: 'channelId', description: 'ID of the channel', required: true },
+      { name: 'since', description: 'Only summarise messages posted on or after this ISO date', required: true },
+      { name: 'maxResults', description: 'Maximum number of messages to fetch. Default: 50', required: false }
+    ],
+    build: ({ teamId, channelId, since, maxResults = '50' }) => [
+      `Summarise the Teams channel discussion since ${since}.`,
+      '',
+      `1. Call ${toolCall('teams_channel', { operation: 'get', teamId, channelId })} to get the channel name.`,
+      `2. Call ${toolCall('teams_channel', { operation: 'list_messages', teamId, channelId, maxResults: Number(maxResults) || 50 })}.`,
+      `3. Ignore messages created before ${since}. For threads with replies that matter, fetch them with \`teams_channel\` (operation "get_message").`,
+      '',
+      'Write the summary as: main topics discussed, decisions made, open questions, and action items with owners where they are named.',
+      'Quote the author and date for each decision.'
+    ]
+  },
+  {
+    name: 'weekly_planner_status',
+    description: 'Weekly status report for a Planner plan: done, in progress, overdue and due next week',
+    arguments: [
+      { name: 'planId', description: 'ID of the Planner plan', required: true },
+      { name: 'weekStart', description: 'First day of the reporting week (ISO date). Default: 7 days ago', required: false }
+    ],
+    build: ({ planId, weekStart }) => {
+      const from = weekStart ? new Date(weekStart) : new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+      const fromDate = isNaN(from.getTime()) ? weekStart : from.toISOString().split('T')[0];
+
+      return [
+        `Write the weekly status report for Planner plan ${planId}, covering the week starting ${fromDate}.`,
+        '',
+        `1. Call ${toolCall('planner_task', { operation: 'list', planId })}.`,
+        '2. For tasks where the list does not give enough detail, fetch them with `planner_task` (operation "get").',
+        '3. Group the tasks into: Completed this week (100% complete), In progress, Overdue (due date passed and not complete), Due in the next 7 days, and Not started.',
+        '',
+        'Start the report with a two-sentence overview and a count per group, then list the tasks in each group with assignee and due date.',
+        'Flag the overdue tasks that have no assignee.'
+      ];
+    }
+  }
+];
+
+/**
+ * Lists the available prompts
+ * @returns {object} - prompts/list result
+ */
+function listPrompts() {
+  return {
+    prompts: PROMPTS.map(({ name, description, arguments: args }) => ({
+      name,
+      description,
+      arguments: args
+    }))
+  };
+}
+
+/**
+ * Renders a prompt with the supplied arguments
+ * @param {object} params - Request params containing the prompt name and arguments
+ * @returns {object} - prompts/get result or an error object
+ */
+function getPrompt(params) {
+  const { name, arguments: args = {} } = params || {};
+  const prompt = PROMPTS.find(p => p.name === name);
+
+  if (!prompt) {
+    return {
+      error: {
+        code: -32602,
+        message: `Prompt not found: ${name}. Available prompts: ${PROMPTS.map(p => p.name).join(', ')}`
+      }
+    };
+  }
+
+  const missing = prompt.arguments
+    .filter(arg => arg.required && !args[arg.name])
+    .map(arg => arg.name);
+
+  if (missing.length > 0) {
+    return {
+      error: {
+        code: -32602,
+        message: `Missing required arguments for prompt ${name}: ${missing.join(', ')}`
+      }
+    };
+  }
+
+  return {
+    description: prompt.description,
+    messages: [{
+      role: 'user',
+      content: {
+        type: 'text',
+        text: prompt.build(args).join('\n').replace(/\n{3,}/g, '\n\n').trim()
+      }
+    }]
+  };
+}
+
+module.exports = {
+  listPrompts,
+  getPrompt,
+  PROMPTS
+};
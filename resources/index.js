@@ -0,0 +1,213 @@
+/**
+ * MCP Resources module
+ * Exposes mailbox, calendar, drive and Teams items as addressable resources
+ * so clients can attach a specific item as context instead of calling a tool.
+ */
+
+const { ensureAuthenticated } = require('../auth');
+const { callGraphAPI } = require('../utils/graph-api');
+const { readEmail } = require('../email');
+const { getCalendarEvent } = require('../calendar');
+const { getFile } = require('../files');
+const { listChatMessages } = require('../teams/consolidated/teams_chat');
+
+// Number of recent items of each kind advertised by resources/list
+const RECENT_ITEMS_LIMIT = 10;
+
+// Resource templates advertised through resources/templates/list
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'office://mail/{messageId}',
+    name: 'Email message',
+    description: 'A single email with headers, body and attachment details',
+    mimeType: 'text/plain'
+  },
+  {
+    uriTemplate: 'office://calendar/{eventId}',
+    name: 'Calendar event',
+    description: 'A calendar event with time, location, attendees and description',
+    mimeType: 'text/plain'
+  },
+  {
+    uriTemplate: 'office://drive/{itemId}',
+    name: 'OneDrive item',
+    description: 'Metadata for a OneDrive or SharePoint file or folder',
+    mimeType: 'text/plain'
+  },
+  {
+    uriTemplate: 'office://teams/{chatId}/messages',
+    name: 'Teams chat messages',
+    description: 'The most recent messages in a Teams chat',
+    mimeType: 'text/plain'
+  }
+];
+
+// URI patterns mapped to the existing implementation that renders each resource
+const RESOURCE_READERS = [
+  {
+    pattern: /^office:\/\/mail\/([^/]+)$/,
+    read: (accessToken, [messageId]) => readEmail(accessToken, { emailId: messageId })
+  },
+  {
+    pattern: /^office:\/\/calendar\/([^/]+)$/,
+    read: (accessToken, [eventId]) => getCalendarEvent(accessToken, { eventId })
+  },
+  {
+    pattern: /^office:\/\/drive\/([^/]+)$/,
+    read: (accessToken, [itemId]) => getFile(accessToken, { fileId: itemId })
+  },
+  {
+    pattern: /^office:\/\/teams\/([^/]+)\/messages$/,
+    read: (accessToken, [chatId]) => listChatMessages(accessToken, { chatId })
+  }
+];
+
+/**
+ * Builds a resource URI, encoding the item ID so it survives as a path segment
+ * @param {string} kind - Resource kind (mail, calendar, drive)
+ * @param {string} id - Graph item ID
+ * @returns {string} - Resource URI
+ */
+function buildResourceUri(kind, id) {
+  return `office://${kind}/${encodeURIComponent(id)}`;
+}
+
+/**
+ * Lists recently used items as concrete resources
+ * @returns {Promise<object>} - resources/list result
+ */
+async function listResources() {
+  let accessToken;
+  try {
+    accessToken = await ensureAuthenticated();
+  } catch (error) {
+    // Not authenticated yet - templates still describe what is available
+    console.error('[RESOURCES] Skipping resource listing:', error.message);
+    return { resources: [] };
+  }
+
+  const [emails, events, files, chats] = await Promise.allSettled([
+    callGraphAPI(accessToken, 'GET', 'me/messages', null, {
+      $top: RECENT_ITEMS_LIMIT,
+      $select: 'id,subject,from,receivedDateTime',
+      $orderby: 'receivedDateTime desc'
+    }),
+    callGraphAPI(accessToken, 'GET', 'me/calendar/events', null, {
+      $top: RECENT_ITEMS_LIMIT,
+      $select: 'id,subject,start',
+      $orderby: 'start/dateTime desc'
+    }),
+    callGraphAPI(accessToken, 'GET', 'me/drive/recent', null, {
+      $top: RECENT_ITEMS_LIMIT
+    }),
+    callGraphAPI(accessToken, 'GET', 'me/chats', null, {
+      $top: RECENT_ITEMS_LIMIT,
+      $select: 'id,topic,chatType'
+    })
+  ]);
+
+  const valuesOf = (result, label) => {
+    if (result.status === 'rejected') {
+      console.error(`[RESOURCES] Could not list ${label}:`, result.reason.message);
+      return [];
+    }
+    return result.value?.value || [];
+  };
+
+  const resources = [
+    ...valuesOf(emails, 'emails').map(email => ({
+      uri: buildResourceUri('mail', email.id),
+      name: email.subject || '(No subject)',
+      description: `Email from ${email.from?.emailAddress?.address || 'unknown sender'} received ${email.receivedDateTime}`,
+      mimeType: 'text/plain'
+    })),
+    ...valuesOf(events, 'events').map(event => ({
+      uri: buildResourceUri('calendar', event.id),
+      name: event.subject || '(No subject)',
+      description: `Calendar event starting ${event.start?.dateTime || 'unknown'}`,
+      mimeType: 'text/plain'
+    })),
+    ...valuesOf(files, 'files').map(item => ({
+      uri: buildResourceUri('drive', item.remoteItem?.id || item.id),
+      name: item.name,
+      description: `${item.folder ? 'Folder' : 'File'} modified ${item.lastModifiedDateTime}`,
+      mimeType: 'text/plain'
+    })),
+    ...valuesOf(chats, 'chats').map(chat => ({
+      uri: `office://teams/${encodeURIComponent(chat.id)}/messages`,
+      name: chat.topic || `${chat.chatType || 'Teams'} chat`,
+      description: 'Recent messages in this Teams chat',
+      mimeType: 'text/plain'
+    }))
+  ];
+
+  return { resources };
+}
+
+/**
+ * Lists the URI templates clients can fill in
+ * @returns {object} - resources/templates/list result
+ */
+function listResourceTemplates() {
+  return { resourceTemplates: RESOURCE_TEMPLATES };
+}
+
+/**
+ * Reads a single resource by URI
+ * @param {object} params - Request params containing the URI
+ * @returns {Promise<object>} - resources/read result or an error object
+ */
+async function readResource(params) {
+  const uri = params?.uri;
+
+  if (!uri) {
+    return {
+      error: {
+        code: -32602,
+        message: 'Missing required parameter: uri'
+      }
+    };
+  }
+
+  for (const reader of RESOURCE_READERS) {
+    const match = uri.match(reader.pattern);
+    if (!match) continue;
+
+    const ids = match.slice(1).map(decodeURIComponent);
+    const accessToken = await ensureAuthenticated();
+    const result = await reader.read(accessToken, ids);
+    const text = (result.content || []).map(item => item.text).join('\n');
+
+    // The readers report failures as tool error content, which is not a resource
+    if (result.isError) {
+      return {
+        error: {
+          code: -32603,
+          message: `Could not read ${uri}: ${text}`
+        }
+      };
+    }
+
+    return {
+      contents: [{
+        uri,
+        mimeType: 'text/plain',
+        text
+      }]
+    };
+  }
+
+  return {
+    error: {
+      code: -32002,
+      message: `Resource not found: ${uri}. Supported templates: ${RESOURCE_TEMPLATES.map(t => t.uriTemplate).join(', ')}`
+    }
+  };
+}
+
+module.exports = {
+  listResources,
+  listResourceTemplates,
+  readResource,
+  RESOURCE_TEMPLATES
+};
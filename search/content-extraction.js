@@ -0,0 +1,129 @@
+/**
+ * Text content of documents found by search
+ *
+ * Matching drive items are downloaded and their text extracted (docx, pptx,
+ * xlsx, pdf), so the content can be read without a separate download.
+ * Files over CONTENT_EXTRACTION_MAX_BYTES are not downloaded. Extracted text
+ * is cached per file and version (cTag/eTag), so repeated searches do not
+ * download unchanged files again.
+ */
+const config = require('../config');
+const { callGraphAPI } = require('../utils/graph-api');
+const { documentType, extractDocumentText } = require('../utils/document-text');
+
+// Extracted text per file, in insertion order for eviction
+const contentCache = new Map();
+const CACHE_MAX_SIZE = 200;
+// Text kept per cached file, whatever maxChars a search asks for
+const CACHE_MAX_CHARS = 100000;
+// Decompressed size read per document part or PDF stream: markup makes up most
+// of an Office XML part, so this still holds more text than is cached
+const MAX_INFLATED_BYTES = CACHE_MAX_CHARS * 40;
+// Decompressed size read for all the parts or streams of one document
+const MAX_DOCUMENT_INFLATED_BYTES = MAX_INFLATED_BYTES * 4;
+
+/**
+ * Formats a byte count for messages
+ */
+function formatMB(bytes) {
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Downloads a document and extracts its text, or takes it from the cache
+ * @param {string} accessToken - Access token
+ * @param {object} item - Drive item from a search hit
+ * @param {string} type - Document type (see documentType)
+ * @returns {Promise<object>} - { text, totalChars } or { skipped: reason }
+ */
+async function extractItemText(accessToken, item, type) {
+  const driveId = item.parentReference?.driveId;
+  const cacheKey = `${driveId || 'me'}:${item.id}`;
+  const version = item.cTag || item.eTag || item.lastModifiedDateTime || null;
+
+  const cached = contentCache.get(cacheKey);
+  if (cached && version && cached.version === version) {
+    return cached.result;
+  }
+
+  let result;
+  if (item.size > config.CONTENT_EXTRACTION_MAX_BYTES) {
+    result = { skipped: `file is larger than ${formatMB(config.CONTENT_EXTRACTION_MAX_BYTES)} (${formatMB(item.size)})` };
+  } else {
+    const contentPath = driveId ? `drives/${driveId}/items/${item.id}/content` : `me/drive/items/${item.id}/content`;
+    const content = await callGraphAPI(accessToken, 'GET', contentPath, null, {}, {}, { responseType: 'buffer' });
+
+    if (!Buffer.isBuffer(content)) {
+      result = { skipped: 'no file content returned' };
+    } else if (content.length > config.CONTENT_EXTRACTION_MAX_BYTES) {
+      result = { skipped: `file is larger than ${formatMB(config.CONTENT_EXTRACTION_MAX_BYTES)} (${formatMB(content.length)})` };
+    } else {
+      try {
+        const text = extractDocumentText(content, type, {
+          maxInflatedBytes: MAX_INFLATED_BYTES,
+          maxTotalInflatedBytes: MAX_DOCUMENT_INFLATED_BYTES,
+          maxChars: CACHE_MAX_CHARS
+        });
+        result = { text: text.slice(0, CACHE_MAX_CHARS), totalChars: text.length };
+      } catch (error) {
+        result = { skipped: `could not read the ${type} file (${error.message})` };
+      }
+    }
+  }
+
+  if (version) {
+    if (contentCache.size >= CACHE_MAX_SIZE) {
+      contentCache.delete(contentCache.keys().next().value);
+    }
+    contentCache.set(cacheKey, { version, result });
+  }
+  return result;
+}
+
+/**
+ * Adds the text content of documents to search hits
+ * @param {string} accessToken - Access token
+ * @param {Array<object>} hits - Search hits ({ entityType, resource, ... }), updated in place with `content`
+ * @param {object} options - { maxChars (per document), maxFiles }
+ * @returns {Promise<Array<object>>} - The hits
+ */
+async function addDocumentContent(accessToken, hits, options = {}) {
+  const maxChars = options.maxChars || config.CONTENT_EXTRACTION_MAX_CHARS;
+  const maxFiles = options.maxFiles || config.CONTENT_EXTRACTION_MAX_FILES;
+  let extracted = 0;
+
+  for (const hit of hits) {
+    const resource = hit.resource || {};
+    const type = (resource.file || hit.entityType === 'driveItem') ? documentType(resource.name) : null;
+    if (!type || !resource.id) continue;
+
+    if (extracted >= maxFiles) {
+      hit.content = { type, skipped: `only the first ${maxFiles} documents of a search are extracted` };
+      continue;
+    }
+    extracted++;
+
+    try {
+      const result = await extractItemText(accessToken, resource, type);
+      hit.content = result.skipped
+        ? { type, skipped: result.skipped }
+        : { type, text: result.text.slice(0, maxChars), totalChars: result.totalChars, truncated: result.totalChars > maxChars };
+    } catch (error) {
+      console.error(`Could not extract content of ${resource.name}:`, error.message);
+      hit.content = { type, skipped: error.message };
+    }
+  }
+  return hits;
+}
+
+/**
+ * Clears the extracted text cache (for testing or memory management)
+ */
+function clearContentCache() {
+  contentCache.clear();
+}
+
+module.exports = {
+  addDocumentContent,
+  clearContentCache
+};
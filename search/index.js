@@ -6,16 +6,34 @@
 const { ensureAuthenticated } = require('../auth');
 const { callGraphAPI } = require('../utils/graph-api');
 const config = require('../config');
+const { searchMailIndex, hasMailIndex, getMailIndexStats } = require('../sync/mail-index');
+const { addDocumentContent } = require('./content-extraction');
+const { savedSearchTools, watchSavedSearchAlerts } = require('./saved-searches');
+
+// Common sort field names mapped to Graph sort properties
+const SORT_FIELD_MAP = {
+  'lastModifiedDateTime': 'lastModifiedTime',
+  'createdDateTime': 'createdTime',
+  'lastModified': 'lastModifiedTime',
+  'created': 'createdTime',
+  'modified': 'lastModifiedTime'
+};
+
+// Resource property holding the value of a Graph sort property, for merging sorted groups
+const SORT_RESOURCE_FIELDS = {
+  lastModifiedTime: 'lastModifiedDateTime',
+  createdTime: 'createdDateTime'
+};
 
 /**
  * Main search handler - single entry point for all search operations
  */
 async function handleSearch(args) {
+  const { source = 'graph' } = args;
+  
   try {
-    const accessToken = await ensureAuthenticated();
-    
-    // Validate required parameters
-    if (!args.query) {
+    // Validate required parameters (a cursor carries the query of the search it continues)
+    if (!args.query && !args.cursor) {
       return {
         content: [{ 
           type: "text", 
@@ -24,8 +42,19 @@ async function handleSearch(args) {
       };
     }
     
+    // The local mail index only holds the synced folders, so it never stands in for a
+    // mailbox-wide search unless asked to; auto mode uses it when Graph fails
+    if (!args.cursor && source === 'local') {
+      return searchLocalMessages(args);
+    }
+    
+    const accessToken = await ensureAuthenticated();
+    
     // Intelligent routing based on parameters
-    if (args.siteId && !args.entityTypes) {
+    if (args.cursor) {
+      // Next page of a previous unified search
+      return await smartUnifiedSearch(accessToken, args);
+    } else if (args.siteId && !args.entityTypes) {
       // Site-specific search for lists and libraries
       return await searchSiteContent(accessToken, args);
     } else if (args.peopleSearch) {
@@ -37,6 +66,12 @@ async function handleSearch(args) {
     }
   } catch (error) {
     console.error('Error in search:', error);
+    
+    // In auto mode fall back to the local mail index when Graph fails (e.g. throttling)
+    if (source === 'auto' && !args.cursor && hasMailIndex()) {
+      return searchLocalMessages(args, `Graph search failed (${error.message}); showing email results from the local index only.`);
+    }
+    
     return {
       content: [{ 
         type: "text", 
@@ -46,8 +81,61 @@ async function handleSearch(args) {
   }
 }
 
+/**
+ * Search emails in the local mail index built by the sync tool
+ * @param {object} args - search arguments
+ * @param {string} [notice] - Optional line shown above the results
+ */
+function searchLocalMessages(args, notice) {
+  const { query, dateRange, filters, limit = 25, from = 0, entityTypes } = args;
+  const stats = getMailIndexStats();
+  let header = notice ? `${notice}\n` : '';
+  
+  if (entityTypes && entityTypes.some(type => type !== 'message')) {
+    header += `Note: the local index only contains email; ${entityTypes.filter(type => type !== 'message').join(', ')} results are not included.\n`;
+  }
+  
+  if (stats.count === 0) {
+    return {
+      content: [{ 
+        type: "text", 
+        text: `${header}The local mail index is empty. Run the sync tool with resource "mail" to build it.` 
+      }]
+    };
+  }
+  
+  const matches = searchMailIndex({
+    query: [query, filters].filter(Boolean).join(' '),
+    startDate: dateRange?.start,
+    endDate: dateRange?.end,
+    maxResults: from + Math.min(limit, 500)
+  }).slice(from);
+  
+  if (matches.length === 0) {
+    return {
+      content: [{ type: "text", text: `${header}No emails found in the local index for "${query}" (index updated ${stats.updatedAt}).` }]
+    };
+  }
+  
+  const resultsList = matches.map((email, index) => 
+    `${from + index + 1}. ${email.subject || '(No subject)'}\n   Type: Email\n   From: ${email.from || 'Unknown'}\n   Date: ${new Date(email.receivedDateTime).toLocaleString()}\n   ID: ${email.id}\n   ${email.body.substring(0, 150)}${email.body.length > 150 ? '...' : ''}\n`
+  ).join('\n');
+  
+  return {
+    content: [{ 
+      type: "text", 
+      text: `${header}Found ${matches.length} emails in the local index (updated ${stats.updatedAt}):\n\n${resultsList}` 
+    }]
+  };
+}
+
 /**
  * Smart unified search with all Graph API features enabled
+ *
+ * Entity types Graph refuses to combine in one request are searched in
+ * parallel requests whose hits are merged by rank. The response carries a
+ * cursor with the KQL query and the offset reached for each group of entity
+ * types, which continues the same search on the next call.
  */
 async function smartUnifiedSearch(accessToken, args) {
   const {
@@ -60,30 +148,84 @@ async function smartUnifiedSearch(accessToken, args) {
     aggregateBy = ['fileType', 'lastModifiedBy'],
     enrichContent = true,
     includeExcelData = true,
+    extractContent = false,
+    maxContentChars,
     sortBy,
-    filters
+    filters,
+    cursor
   } = args;
   
-  // Build intelligent KQL query
-  const kqlQuery = buildSmartKQLQuery(query, {
-    fileTypes,
-    dateRange,
-    filters,
-    hasEmailFilters: query.includes('from:') || query.includes('to:') || query.includes('subject:')
-  });
+  // A cursor continues a previous search; otherwise start a new one
+  const state = cursor
+    ? decodeSearchCursor(cursor)
+    : {
+        kql: buildSmartKQLQuery(query, {
+          fileTypes,
+          dateRange,
+          filters,
+          hasEmailFilters: query.includes('from:') || query.includes('to:') || query.includes('subject:')
+        }),
+        limit: Math.min(limit, 500), // Max 500 per Graph API limits
+        sortBy: sortBy || null,
+        aggregateBy,
+        groups: splitEntityTypes(entityTypes).map(types => ({ types, from }))
+      };
+  
+  // Execute one search per group of compatible entity types
+  const settled = await Promise.allSettled(state.groups.map(group => callGraphAPI(
+    accessToken,
+    'POST',
+    '/search/query',
+    buildSearchRequest(state, group)
+  )));
+  
+  const failures = settled
+    .map((outcome, index) => ({ outcome, types: state.groups[index].types }))
+    .filter(({ outcome }) => outcome.status === 'rejected');
+  if (failures.length === settled.length) {
+    throw failures[0].outcome.reason;
+  }
   
-  // Validate and adjust entity types for compatibility
-  const validEntityTypes = validateEntityTypes(entityTypes);
+  const page = mergeSearchResponses(state, settled.map(outcome => outcome.status === 'fulfilled' ? outcome.value : null));
+  const warnings = failures.map(({ outcome, types }) => `Search of ${types.join(', ')} failed: ${outcome.reason.message}`);
+  
+  // Enrich results if requested
+  if (enrichContent) {
+    page.results = await enrichSearchResults(accessToken, page.results, includeExcelData);
+  }
   
-  // Build search request with all advanced features
+  // Add the text of matching documents if requested
+  if (extractContent) {
+    await addDocumentContent(accessToken, page.results, { maxChars: maxContentChars });
+  }
+  
+  const nextCursor = page.nextGroups.length > 0
+    ? encodeSearchCursor({ ...state, groups: page.nextGroups })
+    : null;
+    
+  return formatSmartResults({
+    ...page,
+    warnings,
+    moreResultsAvailable: nextCursor !== null,
+    cursor: nextCursor
+  });
+}
+
+/**
+ * Builds the /search/query request of one group of entity types
+ * @param {object} state - Search state ({ kql, limit, sortBy, aggregateBy })
+ * @param {object} group - { types, from }
+ * @returns {object} - Request body
+ */
+function buildSearchRequest(state, group) {
   const searchRequest = {
     requests: [{
-      entityTypes: validEntityTypes,
+      entityTypes: group.types,
       query: {
-        queryString: kqlQuery
+        queryString: state.kql
       },
-      from: from,
-      size: Math.min(limit, 500), // Max 500 per Graph API limits
+      from: group.from,
+      size: state.limit,
       
       // Always enable query improvements
       queryAlterationOptions: {
@@ -92,8 +234,8 @@ async function smartUnifiedSearch(accessToken, args) {
       },
       
       // Dynamic aggregations for faceted search (only for supported types)
-      aggregations: shouldIncludeAggregations(validEntityTypes) 
-        ? buildAggregations(aggregateBy, validEntityTypes)
+      aggregations: shouldIncludeAggregations(group.types) 
+        ? buildAggregations(state.aggregateBy, group.types)
         : undefined,
       
       // Rich field selection
@@ -106,7 +248,7 @@ async function smartUnifiedSearch(accessToken, args) {
       ],
       
       // Collapse duplicate results (only for supported types)
-      collapseProperties: shouldIncludeCollapseProperties(validEntityTypes) 
+      collapseProperties: shouldIncludeCollapseProperties(group.types) 
         ? [{
             fields: ['title'],
             limit: 1
@@ -116,38 +258,137 @@ async function smartUnifiedSearch(accessToken, args) {
   };
   
   // Add sorting if specified
-  if (sortBy) {
-    // Map common field names to Graph API field names
-    const fieldMap = {
-      'lastModifiedDateTime': 'lastModifiedTime',
-      'createdDateTime': 'createdTime',
-      'lastModified': 'lastModifiedTime',
-      'created': 'createdTime',
-      'modified': 'lastModifiedTime'
-    };
-    
-    const sortField = fieldMap[sortBy.field] || sortBy.field || 'rank';
-    
+  if (state.sortBy) {
     searchRequest.requests[0].sortProperties = [{
-      name: sortField,
-      isDescending: sortBy.descending !== false
+      name: sortFieldOf(state.sortBy),
+      isDescending: state.sortBy.descending !== false
     }];
   }
   
-  // Execute search
-  const response = await callGraphAPI(
-    accessToken,
-    'POST',
-    '/search/query',
-    searchRequest
-  );
+  return searchRequest;
+}
+
+/**
+ * Graph sort property of a sortBy argument
+ * @param {object} sortBy - { field, descending }
+ * @returns {string} - Sort property name
+ */
+function sortFieldOf(sortBy) {
+  return SORT_FIELD_MAP[sortBy.field] || sortBy.field || 'rank';
+}
+
+/**
+ * Compares two search candidates on the sort field of the search
+ * (hits without a value come last)
+ * @param {object} sortBy - { field, descending }
+ * @returns {Function} - Comparator, 0 when the values tie
+ */
+function compareBySortField(sortBy) {
+  const field = sortFieldOf(sortBy);
+  if (field === 'rank') return () => 0;
+  
+  const property = SORT_RESOURCE_FIELDS[field] || field;
+  const direction = sortBy.descending !== false ? -1 : 1;
+  const valueOf = candidate => {
+    const value = candidate.hit.resource?.[property];
+    if (value === undefined || value === null || value === '') return null;
+    const time = typeof value === 'string' && SORT_RESOURCE_FIELDS[field] ? Date.parse(value) : NaN;
+    return Number.isNaN(time) ? value : time;
+  };
+  
+  return (a, b) => {
+    const left = valueOf(a);
+    const right = valueOf(b);
+    if (left === null || right === null) return (left === null) - (right === null);
+    if (left === right) return 0;
+    return (left < right ? -1 : 1) * direction;
+  };
+}
+
+/**
+ * Merges the responses of the groups of a search into one page
+ * @param {object} state - Search state ({ limit, groups })
+ * @param {Array<object|null>} responses - Graph response per group (null if its request failed)
+ * @returns {object} - { results, suggestions, aggregations, totalCount, nextGroups }
+ */
+function mergeSearchResponses(state, responses) {
+  const candidates = [];
+  let suggestions;
+  let aggregations = [];
+  let totalCount = 0;
   
-  // Process and enrich results if requested
-  const processedResults = enrichContent 
-    ? await enrichSearchResults(accessToken, response, includeExcelData)
-    : extractBasicResults(response);
+  responses.forEach((response, groupIndex) => {
+    if (!response) return;
+    const hits = extractHits(response);
+    hits.forEach((hit, position) => candidates.push({ hit, groupIndex, position }));
     
-  return formatSmartResults(processedResults);
+    suggestions = suggestions || response.value?.[0]?.queryAlterationResponse;
+    aggregations = aggregations.concat(response.value?.[0]?.aggregations || []);
+    totalCount += response.value?.[0]?.hitsContainers?.reduce((sum, container) => sum + (container.total || 0), 0) || hits.length;
+  });
+  
+  // Each group comes back sorted on the sort field, if any, so the groups are merged on it;
+  // otherwise they are interleaved by rank (position in each group's results). Ties keep group order
+  const compareSortField = state.sortBy ? compareBySortField(state.sortBy) : () => 0;
+  candidates.sort((a, b) => compareSortField(a, b) || a.position - b.position || a.groupIndex - b.groupIndex);
+  const page = candidates.slice(0, state.limit);
+  
+  // Each group continues after the hits it contributed to this page; a group whose
+  // request failed is tried again from where it was
+  const nextGroups = [];
+  responses.forEach((response, groupIndex) => {
+    const group = state.groups[groupIndex];
+    if (!response) {
+      nextGroups.push({ types: group.types, from: group.from });
+      return;
+    }
+    const returned = candidates.filter(candidate => candidate.groupIndex === groupIndex).length;
+    const used = page.filter(candidate => candidate.groupIndex === groupIndex).length;
+    const graphHasMore = (response.value?.[0]?.hitsContainers || []).some(container => container.moreResultsAvailable);
+    
+    if (used < returned || graphHasMore) {
+      nextGroups.push({ types: group.types, from: group.from + used });
+    }
+  });
+  
+  return {
+    results: page.map(candidate => candidate.hit),
+    suggestions,
+    aggregations,
+    totalCount,
+    nextGroups
+  };
+}
+
+/**
+ * Encodes the state of a search as an opaque cursor
+ * @param {object} state - { kql, limit, sortBy, aggregateBy, groups: [{ types, from }] }
+ * @returns {string} - base64url cursor
+ */
+function encodeSearchCursor(state) {
+  const { kql, limit, sortBy, aggregateBy, groups } = state;
+  return Buffer.from(JSON.stringify({ v: 1, kql, limit, sortBy, aggregateBy, groups })).toString('base64url');
+}
+
+/**
+ * Decodes a cursor returned by a previous search
+ * @param {string} cursor - Cursor
+ * @returns {object} - Search state
+ */
+function decodeSearchCursor(cursor) {
+  let state;
+  try {
+    state = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    state = null;
+  }
+  
+  const validGroups = Array.isArray(state?.groups) && state.groups.length > 0 && state.groups.every(group =>
+    Array.isArray(group.types) && group.types.length > 0 && Number.isInteger(group.from) && group.from >= 0);
+  if (state?.v !== 1 || typeof state.kql !== 'string' || !Number.isInteger(state.limit) || !validGroups) {
+    throw new Error('Invalid cursor: pass the cursor returned by the previous search unchanged');
+  }
+  return state;
 }
 
 /**
@@ -295,48 +536,29 @@ function buildAggregations(fields, entityTypes) {
 }
 
 /**
- * Validate and adjust entity types for Graph API compatibility
+ * Splits entity types into groups Graph can search in one request
+ * (files and lists together; messages, chat messages, events and people each on their own)
+ * @param {Array<string>} types - Requested entity types
+ * @returns {Array<Array<string>>} - Groups, in the order their first type was requested
  */
-function validateEntityTypes(types) {
-  const fileTypes = ['driveItem', 'listItem', 'list', 'drive'];
-  const messageTypes = ['message', 'chatMessage'];
-  const eventTypes = ['event'];
-  const personTypes = ['person'];
-  
-  // Check for incompatible combinations
-  const hasFileTypes = types.some(t => fileTypes.includes(t));
-  const hasMessageTypes = types.some(t => messageTypes.includes(t));
-  const hasEventTypes = types.some(t => eventTypes.includes(t));
-  const hasPersonTypes = types.some(t => personTypes.includes(t));
-  
-  // If mixed incompatible types, prioritize based on first type
-  if ((hasFileTypes && hasMessageTypes) || 
-      (hasFileTypes && hasEventTypes) || 
-      (hasMessageTypes && hasEventTypes) ||
-      (hasPersonTypes && (hasFileTypes || hasMessageTypes || hasEventTypes))) {
-    
-    console.error('Warning: Incompatible entity types detected. Using compatible subset.');
-    
-    // Return compatible subset based on priority
-    if (hasFileTypes) {
-      return types.filter(t => fileTypes.includes(t));
-    } else if (hasMessageTypes) {
-      return types.filter(t => messageTypes.includes(t));
-    } else if (hasEventTypes) {
-      return types.filter(t => eventTypes.includes(t));
-    } else if (hasPersonTypes) {
-      return types.filter(t => personTypes.includes(t));
-    }
+function splitEntityTypes(types) {
+  const fileTypes = ['driveItem', 'listItem', 'list', 'drive', 'site'];
+  const groups = new Map();
+  
+  for (const type of new Set(types)) {
+    const key = fileTypes.includes(type) ? 'files' : type;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(type);
   }
   
-  return types;
+  return [...groups.values()];
 }
 
 /**
  * Enrich search results with additional content and metadata
+ * @returns {Promise<Array<object>>} - Enriched hits
  */
-async function enrichSearchResults(accessToken, searchResponse, includeExcelData) {
-  const hits = extractHits(searchResponse);
+async function enrichSearchResults(accessToken, hits, includeExcelData) {
   const enrichedResults = [];
   
   // Process each result
@@ -403,34 +625,7 @@ async function enrichSearchResults(accessToken, searchResponse, includeExcelData
     enrichedResults.push(enrichedHit);
   }
   
-  // Extract query suggestions and aggregations
-  const suggestions = searchResponse.value[0]?.queryAlterationResponse;
-  const aggregations = searchResponse.value[0]?.aggregations || [];
-  const totalCount = searchResponse.value[0]?.hitsContainers?.[0]?.total || enrichedResults.length;
-  
-  return {
-    results: enrichedResults,
-    suggestions,
-    aggregations,
-    totalCount
-  };
-}
-
-/**
- * Extract basic results without enrichment
- */
-function extractBasicResults(searchResponse) {
-  const hits = extractHits(searchResponse);
-  const suggestions = searchResponse.value[0]?.queryAlterationResponse;
-  const aggregations = searchResponse.value[0]?.aggregations || [];
-  const totalCount = searchResponse.value[0]?.hitsContainers?.[0]?.total || hits.length;
-  
-  return {
-    results: hits,
-    suggestions,
-    aggregations,
-    totalCount
-  };
+  return enrichedResults;
 }
 
 /**
@@ -444,12 +639,11 @@ function extractHits(response) {
   }
   
   for (const hitsContainer of response.value[0].hitsContainers || []) {
-    const entityType = hitsContainer.entityType;
     const containerHits = hitsContainer.hits || [];
     
     for (const hit of containerHits) {
       hits.push({
-        entityType,
+        entityType: hitsContainer.entityType || hit.resource?.['@odata.type']?.replace('#microsoft.graph.', ''),
         rank: hit.rank,
         summary: hit.summary,
         resource: hit.resource
@@ -464,10 +658,15 @@ function extractHits(response) {
  * Format smart search results with rich information
  */
 function formatSmartResults(data) {
-  const { results, suggestions, aggregations, totalCount } = data;
+  const { results, suggestions, aggregations, totalCount, warnings = [], moreResultsAvailable = false, cursor = null } = data;
   
   let output = `Found ${totalCount} result${totalCount !== 1 ? 's' : ''}\n`;
   
+  // Entity types whose search failed while others succeeded
+  for (const warning of warnings) {
+    output += `⚠️ ${warning}\n`;
+  }
+  
   // Show query suggestions if available
   if (suggestions?.suggestion) {
     output += `\n💡 Did you mean: "${suggestions.suggestion.text}"?\n`;
@@ -512,9 +711,14 @@ function formatSmartResults(data) {
     output += '\nNo results found. Try adjusting your search query.\n';
   }
   
+  // Continuation of the same search
+  if (moreResultsAvailable) {
+    output += `\n➡️ More results available. To get the next page, call search with cursor: ${cursor}\n`;
+  }
+  
   return {
     content: [{ type: "text", text: output }],
-    metadata: { totalCount, aggregations, suggestions }
+    metadata: { totalCount, aggregations, suggestions, moreResultsAvailable, cursor }
   };
 }
 
@@ -558,6 +762,17 @@ function formatRichResult(result, index) {
     output += '\n';
   }
   
+  // Extracted document text
+  if (result.content) {
+    const content = result.content;
+    if (content.skipped) {
+      output += `   📝 Content not extracted: ${content.skipped}\n`;
+    } else {
+      output += `   📝 Content (${content.totalChars} characters${content.truncated ? `, first ${content.text.length} shown` : ''}):\n`;
+      output += content.text ? `${content.text.split('\n').map(line => `      ${line}`).join('\n')}\n` : '      (no text)\n';
+    }
+  }
+  
   // Email-specific information
   if (result.emailContext) {
     const email = result.emailContext;
@@ -802,7 +1017,7 @@ const searchTools = [
       properties: {
         query: { 
           type: "string", 
-          description: "Search query (supports KQL syntax and natural language)" 
+          description: "Search query (supports KQL syntax and natural language); required unless cursor is given" 
         },
         
         // Optional targeting
@@ -812,7 +1027,7 @@ const searchTools = [
             type: "string",
             enum: ["driveItem", "listItem", "message", "event", "person", "chatMessage"]
           },
-          description: "Types to search (default: driveItem, message, event, listItem)"
+          description: "Types to search (default: driveItem, message, event, listItem). Types Graph cannot search together are searched in parallel and merged by rank"
         },
         
         // Optional filters
@@ -847,12 +1062,16 @@ const searchTools = [
         // Results configuration  
         limit: { 
           type: "number", 
-          description: "Max results (default: 25, max: 500)" 
+          description: "Max results per page (default: 25, max: 500)" 
         },
         from: {
           type: "number",
           description: "Pagination offset (default: 0)"
         },
+        cursor: {
+          type: "string",
+          description: "Cursor returned with a previous page (when more results are available): continues that search with the same query, entity types and options"
+        },
         sortBy: {
           type: "object",
           properties: {
@@ -878,12 +1097,25 @@ const searchTools = [
         includeExcelData: {
           type: "boolean",
           description: "Extract Excel workbook structure (default: true)"
+        },
+        extractContent: {
+          type: "boolean",
+          description: "Download matching documents (docx, pptx, xlsx, pdf) and include their text, so their content can be read directly (default: false; first 5 documents, files up to 10 MB)"
+        },
+        maxContentChars: {
+          type: "number",
+          description: "With extractContent: characters of text returned per document (default: 4000)"
+        },
+        source: {
+          type: "string",
+          enum: ["graph", "local", "auto"],
+          description: "Where to search: graph (default), local (email only, from the index built by the sync tool), or auto (Graph, falling back to the local index for email when Graph fails)"
         }
-      },
-      required: ["query"]
+      }
     },
     handler: handleSearch
-  }
+  },
+  ...savedSearchTools
 ];
 
-module.exports = { searchTools };
\ No newline at end of file
+module.exports = { searchTools, handleSearch, watchSavedSearchAlerts };
\ No newline at end of file
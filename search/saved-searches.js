@@ -0,0 +1,518 @@
+/**
+ * Saved searches and search alerts
+ *
+ * Named queries for the `search` and `email_search` tools are kept in a JSON
+ * file (one per account profile), with the IDs of the results seen by the
+ * previous runs. Rerunning a saved search tells which results are new; a
+ * saved search with an alert interval is rerun in the background, for each
+ * account profile, while a client is connected, and its new results are sent
+ * to the client as MCP log notifications. Every run is checked against the
+ * policy like a direct call of the tool it runs.
+ */
+const fs = require('fs');
+const config = require('../config');
+const { profileScopedPath, listProfileNames, runWithAccount } = require('../auth/profiles');
+const { checkToolCall } = require('../policy');
+const { captureGraphResponses } = require('../utils/structured-output');
+
+const STORE_VERSION = 1;
+
+const SAVED_SEARCH_TOOLS = ['search', 'email_search'];
+const NAME_PATTERN = /^[\w][\w .-]{0,59}$/;
+
+// Result IDs remembered per saved search (most recent first)
+const MAX_SEEN_IDS = 2000;
+// New results listed by diff_since_last_run and sent in an alert
+const MAX_LISTED_HITS = 50;
+
+const MIN_ALERT_INTERVAL_MINUTES = 5;
+const ALERT_CHECK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Loads the saved searches
+ * @returns {object} - Store contents ({ version, searches })
+ */
+function loadSavedSearches() {
+  const storePath = profileScopedPath(config.SAVED_SEARCHES_PATH);
+
+  try {
+    if (!fs.existsSync(storePath)) {
+      return { version: STORE_VERSION, searches: {} };
+    }
+
+    const store = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+    return { version: STORE_VERSION, searches: store.searches || {} };
+  } catch (error) {
+    console.error('[SAVED-SEARCH] Error loading saved searches, starting fresh:', error.message);
+    return { version: STORE_VERSION, searches: {} };
+  }
+}
+
+/**
+ * Writes the saved searches
+ * @param {object} store - Store contents
+ */
+function saveSavedSearches(store) {
+  const storePath = profileScopedPath(config.SAVED_SEARCHES_PATH);
+  const tempPath = `${storePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(store, null, 2), { mode: 0o600 });
+  fs.renameSync(tempPath, storePath);
+}
+
+/**
+ * Resolves a relative date ("7d", "2w", "1m", "1y") to an ISO date; other values are kept
+ */
+function resolveDate(value) {
+  if (!value) return value;
+  const { parseRelativeDate } = require('../email');
+  return parseRelativeDate(String(value));
+}
+
+/**
+ * Builds the arguments of the tool a saved search runs
+ * @param {object} saved - Saved search
+ * @returns {object} - Tool arguments
+ */
+function buildToolArgs(saved) {
+  const { query, entityTypes, fileTypes, filters, dateRange, options = {} } = saved;
+
+  if (saved.tool === 'email_search') {
+    // email_search takes KQL in its query and its own date arguments
+    const kql = query && filters ? `(${query}) AND (${filters})` : (query || filters);
+    return {
+      ...options,
+      query: kql,
+      ...(dateRange?.start ? { startDate: dateRange.start } : {}),
+      ...(dateRange?.end ? { endDate: dateRange.end } : {}),
+      source: 'graph'
+    };
+  }
+
+  return {
+    ...options,
+    query,
+    ...(entityTypes ? { entityTypes } : {}),
+    ...(fileTypes ? { fileTypes } : {}),
+    ...(filters ? { filters } : {}),
+    ...(dateRange ? { dateRange: { start: resolveDate(dateRange.start), end: resolveDate(dateRange.end) } } : {}),
+    source: 'graph'
+  };
+}
+
+/**
+ * Keeps what identifies and describes a result
+ * @param {object} resource - Graph object found by the search
+ * @param {string} type - Entity type
+ * @param {string} [hitId] - Search hit ID
+ * @returns {object} - { id, type, title, date, from, webUrl }
+ */
+function summarizeHit(resource = {}, type, hitId) {
+  return {
+    id: resource.id || hitId,
+    type: type || resource['@odata.type']?.replace('#microsoft.graph.', '') || 'item',
+    title: resource.name || resource.subject || resource.displayName || '(untitled)',
+    date: resource.receivedDateTime || resource.lastModifiedDateTime || resource.start?.dateTime || null,
+    from: resource.from?.emailAddress?.address || resource.lastModifiedBy?.user?.displayName || null,
+    webUrl: resource.webUrl || null
+  };
+}
+
+/**
+ * Collects the results of a search from the Graph responses it received
+ * @param {Array<object>} responses - Recorded responses ({ method, path, response })
+ * @returns {Array<object>|null} - Results, or null if no search response was received
+ */
+function collectHits(responses) {
+  let searched = false;
+  const hits = [];
+
+  for (const { method, path, response } of responses) {
+    const route = String(path).split('?')[0];
+
+    if (/search\/query$/.test(route)) {
+      searched = true;
+      for (const container of response?.value?.[0]?.hitsContainers || []) {
+        for (const hit of container.hits || []) {
+          hits.push(summarizeHit(hit.resource, container.entityType, hit.hitId));
+        }
+      }
+    } else if (method === 'GET' && /messages$/.test(route) && Array.isArray(response?.value)) {
+      searched = true;
+      hits.push(...response.value.map(message => summarizeHit(message, 'message')));
+    }
+  }
+
+  if (!searched) return null;
+  const unique = new Map(hits.filter(hit => hit.id).map(hit => [hit.id, hit]));
+  return [...unique.values()];
+}
+
+/**
+ * Runs a saved search and records which results are new
+ * @param {string} name - Saved search name
+ * @returns {Promise<object>} - { saved, result (tool response), hits, newHits, previousRunAt }
+ */
+async function runSavedSearch(name) {
+  const saved = loadSavedSearches().searches[name];
+  if (!saved) {
+    throw new Error(`Unknown saved search: ${name}`);
+  }
+
+  // The search must be allowed as a call of the tool it runs
+  const toolArgs = buildToolArgs(saved);
+  const denial = await checkToolCall(saved.tool, toolArgs);
+  if (denial) {
+    throw new Error(`Denied by policy: ${denial}`);
+  }
+
+  const handler = saved.tool === 'email_search'
+    ? require('../email').handleEmailSearch
+    : require('./index').handleSearch;
+
+  const { result, responses } = await captureGraphResponses(() => handler(toolArgs));
+  const hits = collectHits(responses);
+  if (hits === null) {
+    // The tool answered without searching (error or invalid arguments)
+    throw new Error(result?.content?.[0]?.text || 'the search returned no results');
+  }
+
+  const seen = new Set(saved.seenIds || []);
+  const newHits = hits.filter(hit => !seen.has(hit.id));
+  const previousRunAt = saved.lastRunAt || null;
+
+  // Re-read the store: another run may have saved it meanwhile
+  const store = loadSavedSearches();
+  const current = store.searches[name];
+  if (current) {
+    const known = new Set(newHits.map(hit => hit.id));
+    current.seenIds = [...known, ...(current.seenIds || []).filter(id => !known.has(id))].slice(0, MAX_SEEN_IDS);
+    current.lastRunAt = new Date().toISOString();
+    current.lastResultCount = hits.length;
+    current.lastNewCount = newHits.length;
+    saveSavedSearches(store);
+  }
+
+  return { saved, result, hits, newHits, previousRunAt };
+}
+
+/**
+ * Formats results as a list
+ */
+function formatHits(hits) {
+  return hits.slice(0, MAX_LISTED_HITS).map(hit => {
+    const date = hit.date ? ` (${new Date(hit.date).toLocaleString()})` : '';
+    const from = hit.from ? `\n  From: ${hit.from}` : '';
+    const link = hit.webUrl ? `\n  ${hit.webUrl}` : '';
+    return `- [${hit.type}] ${hit.title}${date}${from}\n  ID: ${hit.id}${link}`;
+  }).join('\n') + (hits.length > MAX_LISTED_HITS ? `\n... and ${hits.length - MAX_LISTED_HITS} more` : '');
+}
+
+/**
+ * Saved search handler
+ * @param {object} args - Tool arguments
+ * @returns {object} - MCP response
+ */
+async function handleSavedSearch(args) {
+  const { operation, name } = args;
+
+  if (!operation) {
+    return {
+      content: [{ type: "text", text: "Missing required parameter: operation. Valid operations are: save, list, delete, run_saved, diff_since_last_run" }]
+    };
+  }
+  if (operation !== 'list' && !name) {
+    return {
+      content: [{ type: "text", text: `Missing required parameter: name` }]
+    };
+  }
+
+  try {
+    switch (operation) {
+      case 'save':
+        return saveSearch(args);
+      case 'list':
+        return listSavedSearches();
+      case 'delete': {
+        const store = loadSavedSearches();
+        if (!store.searches[name]) {
+          return { content: [{ type: "text", text: `Unknown saved search: ${name}` }] };
+        }
+        delete store.searches[name];
+        saveSavedSearches(store);
+        return { content: [{ type: "text", text: `Saved search "${name}" deleted.` }] };
+      }
+      case 'run_saved': {
+        const { result, newHits, previousRunAt } = await runSavedSearch(name);
+        const summary = previousRunAt
+          ? `Saved search "${name}": ${newHits.length} new result(s) since the last run (${new Date(previousRunAt).toLocaleString()}).`
+          : `Saved search "${name}": first run, all results are new.`;
+        const newList = previousRunAt && newHits.length > 0 ? `\nNew: ${newHits.map(hit => hit.title).slice(0, 10).join('; ')}${newHits.length > 10 ? '; ...' : ''}` : '';
+        const text = (result?.content || []).filter(item => item.type === 'text').map(item => item.text).join('\n');
+        return {
+          content: [{ type: "text", text: `${summary}${newList}\n\n${text}` }]
+        };
+      }
+      case 'diff_since_last_run': {
+        const { newHits, previousRunAt } = await runSavedSearch(name);
+        const since = previousRunAt ? `since the last run (${new Date(previousRunAt).toLocaleString()})` : '(first run: every result is new)';
+        const text = newHits.length === 0
+          ? `No new results for saved search "${name}" ${since}.`
+          : `${newHits.length} new result(s) for saved search "${name}" ${since}:\n\n${formatHits(newHits)}`;
+        return {
+          content: [{ type: "text", text }]
+        };
+      }
+      default:
+        return {
+          content: [{ type: "text", text: `Invalid operation: ${operation}. Valid operations are: save, list, delete, run_saved, diff_since_last_run` }]
+        };
+    }
+  } catch (error) {
+    console.error(`Error in saved_search ${operation}:`, error);
+    return {
+      content: [{ type: "text", text: `Error in saved_search ${operation}: ${error.message}` }],
+      isError: true
+    };
+  }
+}
+
+/**
+ * Saves (or replaces) a named search
+ */
+function saveSearch(args) {
+  const { name, tool = 'search', query, entityTypes, fileTypes, filters, dateRange, options, alertIntervalMinutes } = args;
+
+  if (!NAME_PATTERN.test(name)) {
+    return { content: [{ type: "text", text: 'Invalid name: use up to 60 letters, digits, spaces, ".", "-" or "_"' }] };
+  }
+  if (!SAVED_SEARCH_TOOLS.includes(tool)) {
+    return { content: [{ type: "text", text: `Invalid tool: ${tool}. Saved searches can run: ${SAVED_SEARCH_TOOLS.join(', ')}` }] };
+  }
+  if (!query && !(tool === 'email_search' && (filters || options))) {
+    return { content: [{ type: "text", text: "Missing required parameter: query" }] };
+  }
+  if (alertIntervalMinutes && alertIntervalMinutes < MIN_ALERT_INTERVAL_MINUTES) {
+    return { content: [{ type: "text", text: `alertIntervalMinutes must be at least ${MIN_ALERT_INTERVAL_MINUTES}` }] };
+  }
+
+  const definition = { tool, query: query || '', entityTypes, fileTypes, filters, dateRange, options };
+  const store = loadSavedSearches();
+  const existing = store.searches[name];
+
+  // Results seen so far only stay meaningful for the same query
+  const sameQuery = existing && JSON.stringify(definitionOf(existing)) === JSON.stringify(definitionOf(definition));
+  store.searches[name] = {
+    name,
+    ...definition,
+    alertIntervalMinutes: alertIntervalMinutes || null,
+    createdAt: existing?.createdAt || new Date().toISOString(),
+    ...(sameQuery ? { seenIds: existing.seenIds, lastRunAt: existing.lastRunAt, lastResultCount: existing.lastResultCount, lastNewCount: existing.lastNewCount } : {})
+  };
+  saveSavedSearches(store);
+
+  const alert = alertIntervalMinutes ? ` New results will be reported every ${alertIntervalMinutes} minutes while a client is connected.` : '';
+  return {
+    content: [{ type: "text", text: `Saved search "${name}" ${existing ? 'updated' : 'created'} (${tool}).${alert}${existing && !sameQuery ? ' Its query changed, so the next run starts over.' : ''}` }]
+  };
+}
+
+/**
+ * The fields that define what a saved search finds
+ */
+function definitionOf(saved) {
+  const { tool, query, entityTypes, fileTypes, filters, dateRange, options } = saved;
+  return { tool, query, entityTypes, fileTypes, filters, dateRange, options };
+}
+
+/**
+ * Lists the saved searches
+ */
+function listSavedSearches() {
+  const searches = Object.values(loadSavedSearches().searches);
+  if (searches.length === 0) {
+    return { content: [{ type: "text", text: "No saved searches. Use operation \"save\" to create one." }] };
+  }
+
+  const lines = searches.map(saved => {
+    const scope = [
+      saved.entityTypes ? `types: ${saved.entityTypes.join(', ')}` : null,
+      saved.filters ? `filters: ${saved.filters}` : null,
+      saved.dateRange ? `dates: ${saved.dateRange.start || '...'} to ${saved.dateRange.end || 'now'}` : null
+    ].filter(Boolean).join(' | ');
+    const lastRun = saved.lastRunAt
+      ? `last run ${new Date(saved.lastRunAt).toLocaleString()} (${saved.lastResultCount} results, ${saved.lastNewCount} new)`
+      : 'never run';
+    const alert = saved.alertIntervalMinutes ? `, alert every ${saved.alertIntervalMinutes} min` : '';
+    return `- ${saved.name} [${saved.tool}]: ${saved.query || '(no query)'}${scope ? `\n  ${scope}` : ''}\n  ${lastRun}${alert}`;
+  });
+
+  return {
+    content: [{ type: "text", text: `${searches.length} saved search(es):\n\n${lines.join('\n')}` }]
+  };
+}
+
+// Clients receiving search alerts (listener -> lastUsedAt, or null for every alert),
+// and the timer checking for due alerts while there are any
+const alertListeners = new Map();
+let alertTimer = null;
+let alertCheckRunning = false;
+
+/**
+ * Sends an alert to the clients that receive it: listeners without lastUsedAt
+ * get every alert, otherwise only the listener that used its profile last
+ * @param {object} alert - { profile, savedSearch, newResults, results }
+ */
+function deliverAlert(alert) {
+  let latest = null;
+
+  for (const [listener, lastUsedAt] of alertListeners) {
+    if (!lastUsedAt) {
+      listener(alert);
+      continue;
+    }
+    const usedAt = lastUsedAt(alert.profile);
+    if (usedAt && (!latest || usedAt > latest.usedAt)) {
+      latest = { listener, usedAt };
+    }
+  }
+
+  if (latest) latest.listener(alert);
+}
+
+/**
+ * Whether some listener would receive the alerts of a profile
+ * @param {string} profile - Profile name
+ * @returns {boolean}
+ */
+function hasAlertRecipient(profile) {
+  return [...alertListeners.values()].some(lastUsedAt => !lastUsedAt || Boolean(lastUsedAt(profile)));
+}
+
+/**
+ * Reruns the saved searches of the current profile whose alert is due and reports their new results
+ * @param {string} profile - Profile name
+ */
+async function checkProfileAlerts(profile) {
+  const now = Date.now();
+  const due = Object.values(loadSavedSearches().searches).filter(saved =>
+    saved.alertIntervalMinutes &&
+    (!saved.lastRunAt || now - Date.parse(saved.lastRunAt) >= saved.alertIntervalMinutes * 60 * 1000));
+
+  for (const saved of due) {
+    try {
+      const { newHits, previousRunAt } = await runSavedSearch(saved.name);
+      // The first run only records what already exists
+      if (!previousRunAt || newHits.length === 0) continue;
+
+      deliverAlert({ profile, savedSearch: saved.name, newResults: newHits.length, results: newHits.slice(0, MAX_LISTED_HITS) });
+    } catch (error) {
+      console.error(`[SAVED-SEARCH] Alert for "${saved.name}" (${profile}) failed:`, error.message);
+    }
+  }
+}
+
+/**
+ * Reruns the saved searches whose alert is due, in every profile, and reports their new results
+ */
+async function checkSearchAlerts() {
+  if (alertCheckRunning) return;
+  alertCheckRunning = true;
+
+  try {
+    // Each profile has its own saved searches, run with its own account. A run marks its
+    // results as seen, so profiles no connected client has used are left until one does
+    for (const profile of listProfileNames().filter(hasAlertRecipient)) {
+      await runWithAccount(profile, () => checkProfileAlerts(profile));
+    }
+  } finally {
+    alertCheckRunning = false;
+  }
+}
+
+/**
+ * Sends the new results of saved searches with an alert interval to a client
+ * @param {Function} listener - Called with { profile, savedSearch, newResults, results }
+ * @param {Function} [lastUsedAt] - For clients sharing the server: returns when the client last
+ *   used a profile (or null); the alerts of a profile then go only to the client that used it last
+ * @returns {Function} - Stops sending alerts to this listener
+ */
+function watchSavedSearchAlerts(listener, lastUsedAt = null) {
+  alertListeners.set(listener, lastUsedAt);
+
+  if (!alertTimer) {
+    alertTimer = setInterval(() => {
+      checkSearchAlerts().catch(error => console.error('[SAVED-SEARCH] Alert check failed:', error.message));
+    }, ALERT_CHECK_INTERVAL_MS);
+    alertTimer.unref();
+  }
+
+  return () => {
+    alertListeners.delete(listener);
+    if (alertListeners.size === 0 && alertTimer) {
+      clearInterval(alertTimer);
+      alertTimer = null;
+    }
+  };
+}
+
+// Tool definitions
+const savedSearchTools = [
+  {
+    name: "saved_search",
+    description: "Saved searches over search and email_search: save a named query, rerun it (run_saved), or get only the results that are new since its last run (diff_since_last_run). With alertIntervalMinutes, new results are reported automatically as log notifications",
+    inputSchema: {
+      type: "object",
+      properties: {
+        operation: {
+          type: "string",
+          enum: ["save", "list", "delete", "run_saved", "diff_since_last_run"],
+          description: "The operation to perform"
+        },
+        name: { type: "string", description: "Saved search name" },
+        tool: {
+          type: "string",
+          enum: SAVED_SEARCH_TOOLS,
+          description: "save: tool the search runs with (default: search)"
+        },
+        query: { type: "string", description: "save: search query (KQL)" },
+        entityTypes: {
+          type: "array",
+          items: { type: "string" },
+          description: "save: entity types to search (search tool)"
+        },
+        fileTypes: {
+          type: "array",
+          items: { type: "string" },
+          description: "save: file extensions to search (search tool)"
+        },
+        filters: { type: "string", description: "save: additional KQL filters" },
+        dateRange: {
+          type: "object",
+          properties: {
+            start: { type: "string", description: "Start date (ISO, or relative to each run: 7d, 2w, 1m)" },
+            end: { type: "string", description: "End date (ISO or relative)" }
+          },
+          description: "save: date range"
+        },
+        options: {
+          type: "object",
+          description: "save: other arguments passed to the tool (e.g. folderName or from for email_search, limit for search)"
+        },
+        alertIntervalMinutes: {
+          type: "number",
+          description: "save: rerun the search in the background every N minutes (at least 5) and report new results as notifications"
+        }
+      },
+      required: ["operation"]
+    },
+    handler: handleSavedSearch
+  }
+];
+
+module.exports = {
+  savedSearchTools,
+  runSavedSearch,
+  collectHits,
+  checkSearchAlerts,
+  watchSavedSearchAlerts
+};
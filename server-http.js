@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+/**
+ * Office MCP Server - Streamable HTTP entry point
+ *
+ * Serves the same tools as the stdio entry point over the MCP Streamable
+ * HTTP transport, so one long-running instance can be shared by several
+ * MCP clients. Each client gets its own session and server instance.
+ */
+
+// Load environment variables before config is read
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '.env') });
+
+const crypto = require('crypto');
+const express = require('express');
+const { StreamableHTTPServerTransport } = require('@modelcontextprotocol/sdk/server/streamableHttp.js');
+const { isInitializeRequest } = require('@modelcontextprotocol/sdk/types.js');
+const config = require('./config');
+const { createServer } = require('./index');
+
+const MCP_PATH = '/mcp';
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '::1'];
+
+// Active sessions keyed by MCP session ID
+const sessions = new Map();
+
+/**
+ * Builds a JSON-RPC error body for transport-level failures
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ * @returns {object} - JSON-RPC error response
+ */
+function jsonRpcError(code, message) {
+  return {
+    jsonrpc: '2.0',
+    error: { code, message },
+    id: null
+  };
+}
+
+/**
+ * Compares two tokens in constant time
+ * @param {string} provided - Token sent by the client
+ * @param {string} expected - Configured token
+ * @returns {boolean} - Whether the tokens match
+ */
+function tokensMatch(provided, expected) {
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Express middleware enforcing the bearer token when one is configured
+ */
+function requireBearerToken(req, res, next) {
+  if (!config.HTTP_AUTH_TOKEN) {
+    return next();
+  }
+
+  const match = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+  if (!match || !tokensMatch(match[1].trim(), config.HTTP_AUTH_TOKEN)) {
+    console.error(`[HTTP] Rejected unauthorized ${req.method} from ${req.ip}`);
+    res.status(401)
+      .set('WWW-Authenticate', 'Bearer realm="office-mcp"')
+      .json(jsonRpcError(-32001, 'Unauthorized: missing or invalid bearer token'));
+    return;
+  }
+
+  next();
+}
+
+/**
+ * Transport options rejecting requests whose Host or Origin is not the listener itself.
+ * Without a bearer token, a web page could otherwise reach the loopback listener
+ * through DNS rebinding; with a token, clients may use any name for the host.
+ * @returns {object} - StreamableHTTPServerTransport options
+ */
+function dnsRebindingOptions() {
+  if (config.HTTP_AUTH_TOKEN) {
+    return {};
+  }
+
+  const host = config.HTTP_HOST.includes(':') ? `[${config.HTTP_HOST}]` : config.HTTP_HOST;
+  const names = LOOPBACK_HOSTS.includes(config.HTTP_HOST) ? ['127.0.0.1', 'localhost', '[::1]'] : [host];
+  const hosts = names.map(name => `${name}:${config.HTTP_PORT}`);
+  return {
+    enableDnsRebindingProtection: true,
+    allowedHosts: hosts,
+    allowedOrigins: hosts.map(hostPort => `http://${hostPort}`)
+  };
+}
+
+/**
+ * Creates a new server/transport pair for an initializing client
+ * @returns {Promise<object>} - Session record
+ */
+async function openSession() {
+  const session = {
+    server: createServer(),
+    transport: null,
+    lastSeen: Date.now()
+  };
+
+  session.transport = new StreamableHTTPServerTransport({
+    ...dnsRebindingOptions(),
+    sessionIdGenerator: () => crypto.randomUUID(),
+    onsessioninitialized: (sessionId) => {
+      sessions.set(sessionId, session);
+      console.error(`[HTTP] Session opened: ${sessionId} (${sessions.size} active)`);
+    }
+  });
+
+  session.transport.onclose = () => {
+    const sessionId = session.transport.sessionId;
+    if (sessionId && sessions.delete(sessionId)) {
+      console.error(`[HTTP] Session closed: ${sessionId} (${sessions.size} active)`);
+    }
+  };
+
+  await session.server.connect(session.transport);
+  return session;
+}
+
+/**
+ * Looks up the session referenced by the request, replying with an error if missing
+ * @returns {object|null} - Session record or null if a response was already sent
+ */
+function resolveSession(req, res) {
+  const sessionId = req.headers['mcp-session-id'];
+
+  if (!sessionId) {
+    res.status(400).json(jsonRpcError(-32000, 'Bad Request: missing Mcp-Session-Id header'));
+    return null;
+  }
+
+  const session = sessions.get(sessionId);
+  if (!session) {
+    res.status(404).json(jsonRpcError(-32001, `Session not found: ${sessionId}`));
+    return null;
+  }
+
+  session.lastSeen = Date.now();
+  return session;
+}
+
+/**
+ * Closes sessions that have been idle longer than the configured limit
+ */
+function closeIdleSessions() {
+  const maxIdleMs = config.HTTP_SESSION_IDLE_MINUTES * 60 * 1000;
+  const now = Date.now();
+
+  for (const [sessionId, session] of sessions) {
+    if (now - session.lastSeen > maxIdleMs) {
+      console.error(`[HTTP] Closing idle session: ${sessionId}`);
+      session.transport.close().catch(error => {
+        console.error(`[HTTP] Error closing session ${sessionId}:`, error.message);
+      });
+      sessions.delete(sessionId);
+    }
+  }
+}
+
+/**
+ * Builds the Express app serving the MCP endpoint
+ * @returns {object} - Express application
+ */
+function createHttpApp() {
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+
+  // Unauthenticated liveness probe
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'ok',
+      server: config.SERVER_NAME,
+      version: config.SERVER_VERSION,
+      sessions: sessions.size
+    });
+  });
+
+  app.use(MCP_PATH, requireBearerToken);
+
+  // Client-to-server messages; initialize requests open a new session
+  app.post(MCP_PATH, async (req, res) => {
+    try {
+      const sessionId = req.headers['mcp-session-id'];
+      let session;
+
+      if (sessionId) {
+        session = resolveSession(req, res);
+        if (!session) return;
+      } else if (isInitializeRequest(req.body)) {
+        session = await openSession();
+      } else {
+        res.status(400).json(jsonRpcError(-32000, 'Bad Request: no session ID provided and request is not initialize'));
+        return;
+      }
+
+      await session.transport.handleRequest(req, res, req.body);
+    } catch (error) {
+      console.error('[HTTP] Error handling POST:', error);
+      if (!res.headersSent) {
+        res.status(500).json(jsonRpcError(-32603, `Internal error: ${error.message}`));
+      }
+    }
+  });
+
+  // Server-to-client SSE stream (GET) and explicit session termination (DELETE)
+  const handleSessionRequest = async (req, res) => {
+    try {
+      const session = resolveSession(req, res);
+      if (!session) return;
+      await session.transport.handleRequest(req, res);
+    } catch (error) {
+      console.error(`[HTTP] Error handling ${req.method}:`, error);
+      if (!res.headersSent) {
+        res.status(500).json(jsonRpcError(-32603, `Internal error: ${error.message}`));
+      }
+    }
+  };
+
+  app.get(MCP_PATH, handleSessionRequest);
+  app.delete(MCP_PATH, handleSessionRequest);
+
+  return app;
+}
+
+/**
+ * Starts the HTTP listener
+ * @returns {object} - Node HTTP server
+ */
+function startHttpServer() {
+  const host = config.HTTP_HOST;
+  const port = Number(config.HTTP_PORT);
+
+  // Never expose an unauthenticated listener beyond loopback
+  if (!config.HTTP_AUTH_TOKEN && !LOOPBACK_HOSTS.includes(host)) {
+    console.error(`Refusing to listen on ${host} without MCP_HTTP_TOKEN. Set a token or bind to 127.0.0.1.`);
+    process.exit(1);
+  }
+
+  const app = createHttpApp();
+  const httpServer = app.listen(port, host, () => {
+    console.error(`${config.SERVER_NAME} listening on http://${host}:${port}${MCP_PATH}`);
+    console.error(`Bearer token: ${config.HTTP_AUTH_TOKEN ? 'required' : 'not configured (loopback only)'}`);
+  });
+
+  const sweepTimer = setInterval(closeIdleSessions, 60 * 1000);
+  sweepTimer.unref();
+
+  httpServer.on('close', () => {
+    clearInterval(sweepTimer);
+    for (const session of sessions.values()) {
+      session.transport.close().catch(() => {});
+    }
+    sessions.clear();
+  });
+
+  return httpServer;
+}
+
+if (require.main === module) {
+  startHttpServer();
+}
+
+module.exports = {
+  createHttpApp,
+  startHttpServer
+};
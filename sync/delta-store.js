@@ -0,0 +1,84 @@
+/**
+ * Persistence for delta query state
+ * Stores one deltaLink and the set of known item IDs per sync scope, in a
+ * JSON file next to the token file (one file per account profile).
+ */
+const fs = require('fs');
+const config = require('../config');
+const { profileScopedPath } = require('../auth/profiles');
+
+const STORE_VERSION = 1;
+
+/**
+ * Loads the delta store from disk
+ * @returns {object} - Store contents ({ version, scopes })
+ */
+function loadDeltaStore() {
+  const storePath = profileScopedPath(config.DELTA_STORE_PATH);
+
+  try {
+    if (!fs.existsSync(storePath)) {
+      return { version: STORE_VERSION, scopes: {} };
+    }
+
+    const store = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+    return { version: STORE_VERSION, scopes: store.scopes || {} };
+  } catch (error) {
+    console.error('[SYNC] Error loading delta store, starting fresh:', error.message);
+    return { version: STORE_VERSION, scopes: {} };
+  }
+}
+
+/**
+ * Writes the delta store to disk
+ * @param {object} store - Store contents
+ */
+function saveDeltaStore(store) {
+  const storePath = profileScopedPath(config.DELTA_STORE_PATH);
+  const tempPath = `${storePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(store, null, 2), { mode: 0o600 });
+  fs.renameSync(tempPath, storePath);
+}
+
+/**
+ * Gets the saved state for a scope
+ * @param {string} scope - Scope key (e.g. "mail:inbox")
+ * @returns {object|null} - Scope state or null if never synced
+ */
+function getScopeState(scope) {
+  return loadDeltaStore().scopes[scope] || null;
+}
+
+/**
+ * Saves the state for a scope
+ * @param {string} scope - Scope key
+ * @param {object} state - Scope state ({ deltaLink, knownIds, lastSync })
+ */
+function setScopeState(scope, state) {
+  const store = loadDeltaStore();
+  store.scopes[scope] = state;
+  saveDeltaStore(store);
+}
+
+/**
+ * Removes saved state for one scope, or all scopes
+ * @param {string} [scope] - Scope key; omit to clear everything
+ * @returns {string[]} - Scopes that were removed
+ */
+function clearScopeState(scope) {
+  const store = loadDeltaStore();
+  const removed = scope
+    ? Object.keys(store.scopes).filter(key => key === scope)
+    : Object.keys(store.scopes);
+
+  removed.forEach(key => delete store.scopes[key]);
+  saveDeltaStore(store);
+  return removed;
+}
+
+module.exports = {
+  loadDeltaStore,
+  getScopeState,
+  setScopeState,
+  clearScopeState
+};
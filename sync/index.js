@@ -0,0 +1,380 @@
+/**
+ * Delta sync module
+ * Uses Microsoft Graph delta queries to report only what changed in mail,
+ * calendar, contacts and drive since the previous sync, instead of
+ * re-reading whole collections.
+ */
+
+const { ensureAuthenticated } = require('../auth');
+const { iterateGraphPages, toGraphPath } = require('../utils/graph-api');
+const { loadDeltaStore, getScopeState, setScopeState, clearScopeState } = require('./delta-store');
+const { applyMailChanges, clearMailIndex, getMailIndexStats } = require('./mail-index');
+
+// Items listed per category (added/changed/deleted) in a sync report
+const DEFAULT_REPORT_LIMIT = 50;
+
+// Calendar delta needs a fixed window; it is kept inside the deltaLink afterwards
+const CALENDAR_WINDOW_PAST_DAYS = 30;
+const CALENDAR_WINDOW_FUTURE_DAYS = 180;
+
+// Page size requested from Outlook delta endpoints
+const OUTLOOK_PAGE_HEADERS = { Prefer: 'odata.maxpagesize=100' };
+
+// Delta endpoint definitions per syncable resource
+const DELTA_RESOURCES = {
+  mail: {
+    label: 'Mail',
+    scope: ({ folderId = 'inbox' }) => `mail:${folderId}`,
+    request: ({ folderId = 'inbox' }) => ({
+      path: `me/mailFolders/${folderId}/messages/delta`,
+      queryParams: { $select: 'id,subject,from,toRecipients,ccRecipients,receivedDateTime,isRead,hasAttachments,importance,categories,parentFolderId,body' },
+      // Plain-text bodies feed the local mail index
+      headers: { Prefer: 'odata.maxpagesize=50, outlook.body-content-type="text"' }
+    }),
+    describe: message => `${message.subject || '(No subject)'} - from ${message.from?.emailAddress?.address || 'unknown sender'} (${message.receivedDateTime || 'unknown date'})`,
+    onChanges: (changes, { folderId = 'inbox' }, isInitial) => applyMailChanges(changes, { folder: folderId, isInitial }),
+    onReset: ({ folderId = 'inbox' }) => clearMailIndex(folderId)
+  },
+  calendar: {
+    label: 'Calendar',
+    scope: () => 'calendar',
+    request: () => {
+      const now = Date.now();
+      const day = 24 * 60 * 60 * 1000;
+      return {
+        path: 'me/calendarView/delta',
+        queryParams: {
+          startDateTime: new Date(now - CALENDAR_WINDOW_PAST_DAYS * day).toISOString(),
+          endDateTime: new Date(now + CALENDAR_WINDOW_FUTURE_DAYS * day).toISOString()
+        },
+        headers: OUTLOOK_PAGE_HEADERS
+      };
+    },
+    describe: event => `${event.subject || '(No subject)'} - ${event.start?.dateTime || 'unknown start'}`
+  },
+  contacts: {
+    label: 'Contacts',
+    scope: ({ folderId }) => `contacts:${folderId || 'default'}`,
+    request: ({ folderId }) => ({
+      path: folderId ? `me/contactFolders/${folderId}/contacts/delta` : 'me/contacts/delta',
+      queryParams: { $select: 'id,displayName,emailAddresses,companyName' },
+      headers: OUTLOOK_PAGE_HEADERS
+    }),
+    describe: contact => `${contact.displayName || '(No name)'}${contact.emailAddresses?.[0]?.address ? ` <${contact.emailAddresses[0].address}>` : ''}`
+  },
+  drive: {
+    label: 'Drive',
+    scope: () => 'drive:root',
+    request: () => ({
+      path: 'me/drive/root/delta',
+      queryParams: { $select: 'id,name,size,lastModifiedDateTime,folder,file,deleted,parentReference' },
+      headers: {}
+    }),
+    describe: item => `${item.name || item.id} (${item.folder ? 'folder' : 'file'}${item.lastModifiedDateTime ? `, modified ${item.lastModifiedDateTime}` : ''})`,
+    isDeleted: item => Boolean(item.deleted || item['@removed'])
+  }
+};
+
+/**
+ * Follows delta pages until a deltaLink is returned
+ * @param {string} accessToken - Access token
+ * @param {object} request - Initial request ({ path, queryParams, headers })
+ * @returns {Promise<object>} - { items, deltaLink }
+ */
+async function fetchDeltaPages(accessToken, request) {
+  const items = [];
+  let deltaLink = null;
+
+  for await (const page of iterateGraphPages(accessToken, request.path, request.queryParams, request.headers)) {
+    items.push(...(page?.value || []));
+    deltaLink = page?.['@odata.deltaLink'] || null;
+  }
+
+  return { items, deltaLink };
+}
+
+/**
+ * Splits delta items into added, changed and deleted against the known IDs
+ * @param {Array} items - Items returned by the delta query
+ * @param {Set<string>} knownIds - IDs seen in previous syncs (updated in place)
+ * @param {Function} isDeleted - Predicate for removed items
+ * @returns {object} - { added, changed, deleted }
+ */
+function classifyDeltaItems(items, knownIds, isDeleted) {
+  // The same item can appear on several pages; the last occurrence wins
+  const latest = new Map();
+  items.forEach(item => latest.set(item.id, item));
+
+  const added = [];
+  const changed = [];
+  const deleted = [];
+
+  for (const item of latest.values()) {
+    if (isDeleted(item)) {
+      if (knownIds.delete(item.id)) deleted.push(item);
+    } else if (knownIds.has(item.id)) {
+      changed.push(item);
+    } else {
+      knownIds.add(item.id);
+      added.push(item);
+    }
+  }
+
+  return { added, changed, deleted };
+}
+
+/**
+ * Runs a delta sync for one resource scope
+ * @param {string} accessToken - Access token
+ * @param {object} definition - Entry from DELTA_RESOURCES
+ * @param {object} params - Tool parameters
+ * @returns {Promise<object>} - Sync outcome
+ */
+async function runDeltaSync(accessToken, definition, params) {
+  const scope = definition.scope(params);
+  const state = getScopeState(scope);
+  const isDeleted = definition.isDeleted || (item => Boolean(item['@removed']));
+  let resynced = false;
+
+  let result;
+  if (state?.deltaLink) {
+    try {
+      result = await fetchDeltaPages(accessToken, { path: toGraphPath(state.deltaLink), queryParams: {}, headers: definition.request(params).headers });
+    } catch (error) {
+      // 410 Gone: the delta token expired and Graph requires a full resync
+      if (!/status 410/.test(error.message)) throw error;
+      console.error(`[SYNC] Delta token expired for ${scope}, resyncing`);
+      resynced = true;
+    }
+  }
+
+  const isInitial = !state?.deltaLink || resynced;
+  if (isInitial) {
+    result = await fetchDeltaPages(accessToken, definition.request(params));
+  }
+
+  const knownIds = new Set(isInitial ? [] : state.knownIds || []);
+  const changes = classifyDeltaItems(result.items, knownIds, isDeleted);
+
+  if (definition.onChanges) {
+    definition.onChanges(changes, params, isInitial);
+  }
+
+  if (result.deltaLink) {
+    setScopeState(scope, {
+      deltaLink: result.deltaLink,
+      knownIds: [...knownIds],
+      lastSync: new Date().toISOString()
+    });
+  } else {
+    console.error(`[SYNC] No deltaLink returned for ${scope}; state not saved`);
+  }
+
+  return {
+    scope,
+    isInitial,
+    resynced,
+    previousSync: isInitial ? null : state.lastSync,
+    totalKnown: knownIds.size,
+    ...changes
+  };
+}
+
+/**
+ * Formats one category of changed items
+ * @param {string} title - Category title
+ * @param {Array} items - Items in the category
+ * @param {Function} describe - Item formatter
+ * @param {number} limit - Maximum items to list
+ * @returns {string} - Formatted section, or empty string if no items
+ */
+function formatSection(title, items, describe, limit) {
+  if (items.length === 0) return '';
+
+  const lines = items.slice(0, limit).map(item => `- ${describe(item)}\n  ID: ${item.id}`);
+  if (items.length > limit) {
+    lines.push(`...and ${items.length - limit} more`);
+  }
+
+  return `\n${title}:\n${lines.join('\n')}\n`;
+}
+
+/**
+ * Returns the changes for a resource since the previous sync
+ */
+async function syncChanges(accessToken, params) {
+  const { resource, maxResults = DEFAULT_REPORT_LIMIT } = params;
+  const definition = DELTA_RESOURCES[resource];
+
+  if (!definition) {
+    return {
+      content: [{
+        type: "text",
+        text: `Missing or invalid parameter: resource. Valid resources are: ${Object.keys(DELTA_RESOURCES).join(', ')}`
+      }]
+    };
+  }
+
+  const outcome = await runDeltaSync(accessToken, definition, params);
+
+  if (outcome.isInitial) {
+    return {
+      content: [{
+        type: "text",
+        text: `${outcome.resynced ? 'Delta token expired - performed a full resync' : 'Initial sync'} of ${definition.label} (${outcome.scope}): ${outcome.totalKnown} items indexed.\nThe next sync will report only items added, changed or deleted from now on.`
+      }]
+    };
+  }
+
+  const { added, changed, deleted } = outcome;
+  let text = `${definition.label} changes (${outcome.scope}) since ${outcome.previousSync}:\n`;
+  text += `Added: ${added.length} | Changed: ${changed.length} | Deleted: ${deleted.length}\n`;
+
+  if (added.length + changed.length + deleted.length === 0) {
+    text += '\nNo changes.';
+  } else {
+    text += formatSection('Added', added, definition.describe, maxResults);
+    text += formatSection('Changed', changed, definition.describe, maxResults);
+    // Removed items carry little more than their ID (drive items keep their name)
+    text += formatSection('Deleted', deleted, item => item.name || 'Removed item', maxResults);
+  }
+
+  return {
+    content: [{ type: "text", text }]
+  };
+}
+
+/**
+ * Lists the sync scopes with saved delta state
+ */
+function syncStatus() {
+  const { scopes } = loadDeltaStore();
+  const entries = Object.entries(scopes);
+
+  if (entries.length === 0) {
+    return {
+      content: [{ type: "text", text: "No resources have been synced yet." }]
+    };
+  }
+
+  const list = entries.map(([scope, state]) =>
+    `- ${scope}\n  Last sync: ${state.lastSync}\n  Known items: ${(state.knownIds || []).length}`
+  ).join('\n');
+
+  const mailIndex = getMailIndexStats();
+  const folders = Object.entries(mailIndex.folders).map(([folder, count]) => `${folder}: ${count}`).join(', ');
+
+  return {
+    content: [{
+      type: "text",
+      text: `Synced resources:\n\n${list}\n\nLocal mail index: ${mailIndex.count} messages${folders ? ` (${folders})` : ''}${mailIndex.updatedAt ? `, updated ${mailIndex.updatedAt}` : ''}`
+    }]
+  };
+}
+
+/**
+ * Forgets saved delta state so the next sync starts over
+ */
+function resetSync(params) {
+  const { resource } = params;
+  let scope;
+
+  if (resource) {
+    const definition = DELTA_RESOURCES[resource];
+    if (!definition) {
+      return {
+        content: [{
+          type: "text",
+          text: `Invalid resource: ${resource}. Valid resources are: ${Object.keys(DELTA_RESOURCES).join(', ')}`
+        }]
+      };
+    }
+    scope = definition.scope(params);
+    if (definition.onReset) definition.onReset(params);
+  } else {
+    clearMailIndex();
+  }
+
+  const removed = clearScopeState(scope);
+
+  return {
+    content: [{
+      type: "text",
+      text: removed.length > 0
+        ? `Sync state reset for: ${removed.join(', ')}`
+        : `No sync state found${scope ? ` for ${scope}` : ''}.`
+    }]
+  };
+}
+
+/**
+ * Main sync handler
+ */
+async function handleSync(args) {
+  const { operation = 'changes', ...params } = args;
+
+  try {
+    switch (operation) {
+      case 'changes': {
+        const accessToken = await ensureAuthenticated();
+        return await syncChanges(accessToken, params);
+      }
+      case 'status':
+        return syncStatus();
+      case 'reset':
+        return resetSync(params);
+      default:
+        return {
+          content: [{
+            type: "text",
+            text: `Invalid operation: ${operation}. Valid operations are: changes, status, reset`
+          }]
+        };
+    }
+  } catch (error) {
+    console.error(`Error in sync ${operation}:`, error);
+    return {
+      content: [{ type: "text", text: `Error in sync ${operation}: ${error.message}` }]
+    };
+  }
+}
+
+// Export sync tools
+const syncTools = [
+  {
+    name: "sync",
+    description: "Report items added, changed or deleted since the last sync (mail, calendar, contacts, drive) using Graph delta queries. The first sync of a resource only records a baseline.",
+    inputSchema: {
+      type: "object",
+      properties: {
+        operation: {
+          type: "string",
+          enum: ["changes", "status", "reset"],
+          description: "changes (default): report changes since last sync; status: list synced resources; reset: forget sync state"
+        },
+        resource: {
+          type: "string",
+          enum: Object.keys(DELTA_RESOURCES),
+          description: "Resource to sync (required for changes; optional for reset - omit to reset everything)"
+        },
+        folderId: {
+          type: "string",
+          description: "Mail folder ID or well-known name (default: inbox), or contact folder ID"
+        },
+        maxResults: {
+          type: "number",
+          description: `Maximum items listed per category (default: ${DEFAULT_REPORT_LIMIT})`
+        }
+      },
+      required: []
+    },
+    handler: handleSync
+  }
+];
+
+module.exports = {
+  syncTools,
+  runDeltaSync,
+  classifyDeltaItems,
+  DELTA_RESOURCES
+};
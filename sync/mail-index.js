@@ -0,0 +1,333 @@
+/**
+ * Local mail index
+ * A JSON index of messages fed by the mail delta sync, so email_search and
+ * search can answer from disk instead of paging through Graph - and keep
+ * answering while Graph is throttling.
+ */
+const fs = require('fs');
+const config = require('../config');
+const { profileScopedPath } = require('../auth/profiles');
+
+const INDEX_VERSION = 1;
+
+// Body text kept per message; enough for keyword search without bloating the file
+const MAX_BODY_CHARS = 4000;
+
+// Fields a query term can target with the field:value syntax
+const QUERY_FIELDS = ['from', 'to', 'cc', 'subject', 'body', 'category'];
+
+// In-memory copies of the index files, keyed by path (one per account profile)
+const cachedIndexes = new Map();
+
+/**
+ * Loads the mail index of the current account, from memory when already loaded
+ * @returns {object} - Index ({ version, updatedAt, syncedAt, messages })
+ */
+function loadMailIndex() {
+  const indexPath = profileScopedPath(config.MAIL_INDEX_PATH);
+  if (cachedIndexes.has(indexPath)) return cachedIndexes.get(indexPath);
+
+  let index = { version: INDEX_VERSION, updatedAt: null, syncedAt: {}, messages: {} };
+  try {
+    if (fs.existsSync(indexPath)) {
+      const stored = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+      index = {
+        version: INDEX_VERSION,
+        updatedAt: stored.updatedAt || null,
+        syncedAt: stored.syncedAt || {},
+        messages: stored.messages || {}
+      };
+    }
+  } catch (error) {
+    console.error('[MAIL-INDEX] Error loading mail index, starting empty:', error.message);
+  }
+
+  cachedIndexes.set(indexPath, index);
+  return index;
+}
+
+/**
+ * Writes the mail index of the current account to disk
+ * @param {object} index - Index to save
+ */
+function saveMailIndex(index) {
+  const indexPath = profileScopedPath(config.MAIL_INDEX_PATH);
+  index.updatedAt = new Date().toISOString();
+  const tempPath = `${indexPath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(index), { mode: 0o600 });
+  fs.renameSync(tempPath, indexPath);
+  cachedIndexes.set(indexPath, index);
+}
+
+/**
+ * Formats a Graph recipient list as "Name <address>" strings
+ * @param {Array} recipients - Graph recipients
+ * @returns {string[]} - Formatted recipients
+ */
+function formatRecipients(recipients = []) {
+  return recipients.map(r => {
+    const { name, address } = r.emailAddress || {};
+    return name && name !== address ? `${name} <${address}>` : (address || name || '');
+  });
+}
+
+/**
+ * Converts a Graph message into an index entry
+ * @param {object} message - Graph message from the delta query
+ * @param {string} folder - Folder the message was synced from
+ * @returns {object} - Index entry
+ */
+function toIndexEntry(message, folder) {
+  const body = message.body?.content || message.bodyPreview || '';
+
+  return {
+    id: message.id,
+    folder,
+    parentFolderId: message.parentFolderId || null,
+    subject: message.subject || '',
+    from: formatRecipients(message.from ? [message.from] : [])[0] || '',
+    to: formatRecipients(message.toRecipients),
+    cc: formatRecipients(message.ccRecipients),
+    receivedDateTime: message.receivedDateTime || null,
+    isRead: Boolean(message.isRead),
+    hasAttachments: Boolean(message.hasAttachments),
+    importance: message.importance || 'normal',
+    categories: message.categories || [],
+    body: body.replace(/\s+/g, ' ').trim().substring(0, MAX_BODY_CHARS)
+  };
+}
+
+/**
+ * Applies delta sync results for one folder to the index
+ * @param {object} changes - { added, changed, deleted } from the delta sync
+ * @param {object} options - { folder, isInitial }
+ */
+function applyMailChanges({ added, changed, deleted }, { folder, isInitial }) {
+  const index = loadMailIndex();
+
+  // A full sync replaces whatever was indexed for the folder before
+  if (isInitial) {
+    for (const [id, entry] of Object.entries(index.messages)) {
+      if (entry.folder === folder) delete index.messages[id];
+    }
+  }
+
+  [...added, ...changed].forEach(message => {
+    index.messages[message.id] = toIndexEntry(message, folder);
+  });
+  deleted.forEach(message => {
+    delete index.messages[message.id];
+  });
+
+  index.syncedAt[folder] = new Date().toISOString();
+  saveMailIndex(index);
+  console.error(`[MAIL-INDEX] ${folder}: +${added.length} ~${changed.length} -${deleted.length} (${Object.keys(index.messages).length} indexed)`);
+}
+
+/**
+ * Removes indexed messages for one folder, or all of them
+ * @param {string} [folder] - Folder to clear; omit to clear the whole index
+ */
+function clearMailIndex(folder) {
+  const index = loadMailIndex();
+
+  for (const [id, entry] of Object.entries(index.messages)) {
+    if (!folder || entry.folder === folder) delete index.messages[id];
+  }
+  if (folder) {
+    delete index.syncedAt[folder];
+  } else {
+    index.syncedAt = {};
+  }
+
+  saveMailIndex(index);
+}
+
+/**
+ * Summarises the index contents
+ * @returns {object} - { count, folders, updatedAt }
+ */
+function getMailIndexStats() {
+  const index = loadMailIndex();
+  const folders = {};
+
+  Object.values(index.messages).forEach(entry => {
+    folders[entry.folder] = (folders[entry.folder] || 0) + 1;
+  });
+
+  return {
+    count: Object.keys(index.messages).length,
+    folders,
+    updatedAt: index.updatedAt
+  };
+}
+
+/**
+ * Parses a search query into OR-groups of terms.
+ * Supports plain words, "quoted phrases", field:value for QUERY_FIELDS,
+ * AND / OR, and NOT or a leading minus for negation.
+ * @param {string} query - Search query
+ * @returns {Array<Array<object>>} - Groups of { field, value, negate }
+ */
+function parseLocalQuery(query = '') {
+  const tokens = query.match(/-?(?:\w+:)?"[^"]*"|\S+/g) || [];
+  const groups = [[]];
+  let negateNext = false;
+
+  for (const token of tokens) {
+    if (token === 'OR') {
+      groups.push([]);
+      continue;
+    }
+    if (token === 'AND') continue;
+    if (token === 'NOT') {
+      negateNext = true;
+      continue;
+    }
+
+    let text = token;
+    let negate = negateNext;
+    negateNext = false;
+
+    if (text.startsWith('-') && text.length > 1) {
+      negate = true;
+      text = text.substring(1);
+    }
+
+    let field = null;
+    const fieldMatch = text.match(/^(\w+):(.+)$/);
+    if (fieldMatch && QUERY_FIELDS.includes(fieldMatch[1].toLowerCase())) {
+      field = fieldMatch[1].toLowerCase();
+      text = fieldMatch[2];
+    }
+
+    const value = text.replace(/^"|"$/g, '').toLowerCase();
+    if (value) {
+      groups[groups.length - 1].push({ field, value, negate });
+    }
+  }
+
+  return groups.filter(group => group.length > 0);
+}
+
+/**
+ * Returns the searchable text of an entry for a field
+ * @param {object} entry - Index entry
+ * @param {string|null} field - Field name, or null for all fields
+ * @returns {string} - Lower-cased text
+ */
+function fieldText(entry, field) {
+  switch (field) {
+    case 'from': return entry.from.toLowerCase();
+    case 'to': return entry.to.join(' ').toLowerCase();
+    case 'cc': return entry.cc.join(' ').toLowerCase();
+    case 'subject': return entry.subject.toLowerCase();
+    case 'body': return entry.body.toLowerCase();
+    case 'category': return entry.categories.join(' ').toLowerCase();
+    default:
+      return [entry.subject, entry.from, ...entry.to, ...entry.cc, entry.body, ...entry.categories]
+        .join(' ')
+        .toLowerCase();
+  }
+}
+
+/**
+ * Checks whether an entry satisfies a parsed query
+ * @param {object} entry - Index entry
+ * @param {Array<Array<object>>} groups - Parsed query
+ * @returns {boolean} - Whether the entry matches
+ */
+function matchesQuery(entry, groups) {
+  if (groups.length === 0) return true;
+
+  return groups.some(group => group.every(term => {
+    const found = fieldText(entry, term.field).includes(term.value);
+    return term.negate ? !found : found;
+  }));
+}
+
+/**
+ * Searches the local index
+ * @param {object} params - Search parameters (dates already resolved to ISO)
+ * @returns {Array<object>} - Matching entries, newest first
+ */
+function searchMailIndex(params = {}) {
+  const {
+    query,
+    from,
+    to,
+    subject,
+    hasAttachments,
+    isRead,
+    importance,
+    startDate,
+    endDate,
+    folder,
+    maxResults = 25
+  } = params;
+
+  const groups = parseLocalQuery(query);
+  const start = startDate ? new Date(startDate.length === 10 ? `${startDate}T00:00:00Z` : startDate) : null;
+  const end = endDate ? new Date(endDate.length === 10 ? `${endDate}T23:59:59Z` : endDate) : null;
+  const lower = value => (value || '').toLowerCase();
+
+  return Object.values(loadMailIndex().messages)
+    .filter(entry => {
+      if (folder && lower(entry.folder) !== lower(folder) && entry.parentFolderId !== folder) return false;
+      if (from && !lower(entry.from).includes(lower(from))) return false;
+      if (to && !entry.to.some(r => lower(r).includes(lower(to)))) return false;
+      if (subject && !lower(entry.subject).includes(lower(subject))) return false;
+      if (hasAttachments !== undefined && entry.hasAttachments !== hasAttachments) return false;
+      if (isRead !== undefined && entry.isRead !== isRead) return false;
+      if (importance && entry.importance !== importance) return false;
+      if (start && new Date(entry.receivedDateTime) < start) return false;
+      if (end && new Date(entry.receivedDateTime) > end) return false;
+      return matchesQuery(entry, groups);
+    })
+    .sort((a, b) => new Date(b.receivedDateTime) - new Date(a.receivedDateTime))
+    .slice(0, maxResults);
+}
+
+/**
+ * Whether the index holds messages, optionally for a given folder
+ * @param {string} [folder] - Folder name or ID the search is scoped to
+ * @returns {boolean}
+ */
+function hasMailIndex(folder) {
+  const entries = Object.values(loadMailIndex().messages);
+  if (!folder) return entries.length > 0;
+
+  const wanted = folder.toLowerCase();
+  return entries.some(entry => entry.folder.toLowerCase() === wanted || entry.parentFolderId === folder);
+}
+
+/**
+ * Whether the index can answer a folder search in place of Graph: the folder
+ * was synced within MAIL_INDEX_MAX_AGE_MINUTES. Whole-mailbox searches never
+ * qualify, since only the folders passed to the sync tool are indexed.
+ * @param {string} [folder] - Folder name or ID the search is scoped to
+ * @returns {boolean}
+ */
+function isMailIndexCurrent(folder) {
+  if (!folder) return false;
+
+  const index = loadMailIndex();
+  const wanted = folder.toLowerCase();
+  // A folder ID is matched through the messages synced from that folder
+  const syncedFolder = Object.keys(index.syncedAt).find(name => name.toLowerCase() === wanted) ||
+    Object.values(index.messages).find(entry => entry.parentFolderId === folder)?.folder;
+  const syncedAt = syncedFolder && index.syncedAt[syncedFolder];
+
+  return Boolean(syncedAt) && Date.now() - new Date(syncedAt).getTime() <= config.MAIL_INDEX_MAX_AGE_MINUTES * 60 * 1000;
+}
+
+module.exports = {
+  applyMailChanges,
+  clearMailIndex,
+  getMailIndexStats,
+  searchMailIndex,
+  parseLocalQuery,
+  hasMailIndex,
+  isMailIndexCurrent,
+  toIndexEntry
+};
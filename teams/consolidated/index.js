@@ -67,7 +67,7 @@ const chatToolSchema = {
 module.exports = [
   {
     name: 'teams_meeting',
-    description: 'Teams meeting operations: create, update, cancel, find, list transcripts, get recordings, and more',
+    description: 'Teams meeting operations: create, update, cancel, find, list transcripts, get recordings (savePath downloads the video; overwrite: true replaces an existing file), and more',
     inputSchema: meetingToolSchema,
     handler: handleTeamsMeeting
   },
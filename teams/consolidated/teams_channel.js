@@ -13,7 +13,7 @@
  */
 
 const { ensureAuthenticated } = require('../../auth');
-const { callGraphAPI } = require('../../utils/graph-api');
+const { callGraphAPI, collectGraphItems } = require('../../utils/graph-api');
 const config = require('../../config');
 
 /**
@@ -98,31 +98,25 @@ async function listChannels(accessToken, params) {
   }
   
   // The channels endpoint doesn't support $top query parameter
-  const response = await callGraphAPI(
-    accessToken,
-    'GET',
-    `teams/${teamId}/channels`,
-    null,
-    {
-      $select: 'id,displayName,description,email,webUrl,membershipType'
-    }
-  );
+  const channels = await collectGraphItems(accessToken, `teams/${teamId}/channels`, {
+    $select: 'id,displayName,description,email,webUrl,membershipType'
+  });
   
-  if (!response.value || response.value.length === 0) {
+  if (channels.length === 0) {
     return {
       content: [{ type: "text", text: "No channels found in this team." }]
     };
   }
   
   // Format the channel list
-  const channelList = response.value.map((channel, index) => {
+  const channelList = channels.map((channel, index) => {
     return `${index + 1}. ${channel.displayName}\n   ID: ${channel.id}\n   Type: ${channel.membershipType || 'standard'}\n   Description: ${channel.description || 'No description'}\n`;
   }).join('\n');
   
   return {
     content: [{ 
       type: "text", 
-      text: `Found ${response.value.length} channels in team:\n\n${channelList}` 
+      text: `Found ${channels.length} channels in team:\n\n${channelList}` 
     }]
   };
 }
@@ -296,24 +290,19 @@ async function listChannelMessages(accessToken, params) {
     };
   }
   
-  const response = await callGraphAPI(
-    accessToken,
-    'GET',
-    `teams/${teamId}/channels/${channelId}/messages`,
-    null,
-    {
-      $top: maxResults
-    }
-  );
+  const messages = await collectGraphItems(accessToken, `teams/${teamId}/channels/${channelId}/messages`, {}, {
+    maxItems: maxResults,
+    pageSize: config.GRAPH_PAGE_SIZE.channelMessages
+  });
   
-  if (!response.value || response.value.length === 0) {
+  if (messages.length === 0) {
     return {
       content: [{ type: "text", text: "No messages found in this channel." }]
     };
   }
   
   // Format the message list
-  const messageList = response.value.map((message, index) => {
+  const messageList = messages.map((message, index) => {
     const sender = message.from?.user?.displayName || message.from?.user?.id || message.from?.application?.displayName || 'Unknown';
     const createdTime = new Date(message.createdDateTime).toLocaleString();
     const replyCount = message.replies?.length || 0;
@@ -325,7 +314,7 @@ async function listChannelMessages(accessToken, params) {
   return {
     content: [{ 
       type: "text", 
-      text: `Found ${response.value.length} messages in channel:\n\n${messageList}` 
+      text: `Found ${messages.length} messages in channel:\n\n${messageList}` 
     }]
   };
 }
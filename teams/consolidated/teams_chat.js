@@ -11,7 +11,7 @@
  */
 
 const { ensureAuthenticated } = require('../../auth');
-const { callGraphAPI } = require('../../utils/graph-api');
+const { callGraphAPI, collectGraphItems } = require('../../utils/graph-api');
 const config = require('../../config');
 
 /**
@@ -111,26 +111,22 @@ async function handleTeamsChat(args) {
 async function listChats(accessToken, params) {
   const { maxResults = 50 } = params;
   
-  const response = await callGraphAPI(
-    accessToken,
-    'GET',
-    'me/chats',
-    null,
-    {
-      $top: maxResults,
-      $expand: 'members',
-      $select: 'id,topic,webUrl,chatType,createdDateTime,lastUpdatedDateTime'
-    }
-  );
+  const chats = await collectGraphItems(accessToken, 'me/chats', {
+    $expand: 'members',
+    $select: 'id,topic,webUrl,chatType,createdDateTime,lastUpdatedDateTime'
+  }, {
+    maxItems: maxResults,
+    pageSize: config.GRAPH_PAGE_SIZE.chats
+  });
   
-  if (!response.value || response.value.length === 0) {
+  if (chats.length === 0) {
     return {
       content: [{ type: "text", text: "No chats found." }]
     };
   }
   
   // Format the chat list
-  const chatList = response.value.map((chat, index) => {
+  const chatList = chats.map((chat, index) => {
     const chatType = getChatTypeName(chat.chatType);
     const memberCount = chat.members?.length || 0;
     
@@ -159,7 +155,7 @@ async function listChats(accessToken, params) {
   return {
     content: [{ 
       type: "text", 
-      text: `Found ${response.value.length} chats:\n\n${chatList}` 
+      text: `Found ${chats.length} chats:\n\n${chatList}` 
     }]
   };
 }
@@ -340,25 +336,21 @@ async function listChatMessages(accessToken, params) {
     };
   }
   
-  const response = await callGraphAPI(
-    accessToken,
-    'GET',
-    `chats/${chatId}/messages`,
-    null,
-    {
-      $top: maxResults,
-      $orderby: 'createdDateTime desc'
-    }
-  );
+  const messages = await collectGraphItems(accessToken, `chats/${chatId}/messages`, {
+    $orderby: 'createdDateTime desc'
+  }, {
+    maxItems: maxResults,
+    pageSize: config.GRAPH_PAGE_SIZE.chatMessages
+  });
   
-  if (!response.value || response.value.length === 0) {
+  if (messages.length === 0) {
     return {
       content: [{ type: "text", text: "No messages found in this chat." }]
     };
   }
   
   // Format the message list
-  const messageList = response.value.map((message, index) => {
+  const messageList = messages.map((message, index) => {
     const sender = message.from?.user?.displayName || message.from?.user?.id || message.from?.application?.displayName || 'Unknown';
     const createdTime = formatDate(message.createdDateTime);
     const hasAttachments = message.attachments && message.attachments.length > 0;
@@ -370,7 +362,7 @@ async function listChatMessages(accessToken, params) {
   return {
     content: [{ 
       type: "text", 
-      text: `Found ${response.value.length} messages in chat (newest first):\n\n${messageList}` 
+      text: `Found ${messages.length} messages in chat (newest first):\n\n${messageList}` 
     }]
   };
 }
@@ -728,5 +720,7 @@ function truncateContent(content, maxLength) {
   return plainText.substring(0, maxLength) + '...';
 }
 
-// Export the handler
-module.exports = handleTeamsChat;
\ No newline at end of file
+// Export the handler, plus the implementations reused outside the tool
+module.exports = handleTeamsChat;
+module.exports.listChats = listChats;
+module.exports.listChatMessages = listChatMessages;
\ No newline at end of file
@@ -33,6 +33,7 @@
 
 const { ensureAuthenticated } = require('../../auth');
 const { callGraphAPI } = require('../../utils/graph-api');
+const { resolveLocalPath } = require('../../utils/local-paths');
 const config = require('../../config');
 
 /**
@@ -729,10 +730,10 @@ function formatDuration(seconds) {
 }
 
 /**
- * Get recording content
+ * Get recording content, or stream the recording to savePath
  */
 async function getRecording(accessToken, params) {
-  const { meetingId, recordingId } = params;
+  const { meetingId, recordingId, savePath, overwrite = false } = params;
   
   if (!meetingId || !recordingId) {
     return {
@@ -743,7 +744,38 @@ async function getRecording(accessToken, params) {
     };
   }
   
+  let target = null;
+  if (savePath) {
+    try {
+      target = resolveLocalPath(savePath, { overwrite: overwrite === true });
+    } catch (error) {
+      return {
+        content: [{ type: "text", text: `Invalid savePath: ${error.message}` }]
+      };
+    }
+  }
+  
   try {
+    if (target) {
+      // Recordings are large video files: write them to disk as they arrive
+      const saved = await callGraphAPI(
+        accessToken,
+        'GET',
+        `me/onlineMeetings/${meetingId}/recordings/${recordingId}/content`,
+        null,
+        {},
+        {},
+        { saveTo: target }
+      );
+      
+      return {
+        content: [{ 
+          type: "text", 
+          text: `Recording downloaded successfully.\nSaved to: ${saved.path || target}\nSize: ${((saved.size || 0) / (1024 * 1024)).toFixed(2)} MB\nContent type: ${saved.contentType || 'Unknown'}` 
+        }]
+      };
+    }
+    
     const recording = await callGraphAPI(
       accessToken,
       'GET',
@@ -755,7 +787,7 @@ async function getRecording(accessToken, params) {
     
     if (recording.recordingContentUrl) {
       recordingInfo += `\nDownload URL: ${recording.recordingContentUrl}\n`;
-      recordingInfo += `\nNote: This URL is temporary and will expire. Download the recording promptly.`;
+      recordingInfo += `\nNote: This URL is temporary and will expire. Download the recording promptly, or call get_recording again with savePath to save it locally.`;
     } else {
       recordingInfo += `\nThis recording doesn't have a direct download URL available through the API.`;
     }
@@ -0,0 +1,159 @@
+const { describe, it, expect, beforeAll, afterAll, beforeEach } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const { callGraphAPI } = require('../utils/graph-api');
+const { appendAuditEntry, readAuditEntries, queryAuditLog } = require('../audit/audit-log');
+const { auditToolCall, recordBlockedCall, sanitizeArgs, collectTargetIds } = require('../audit');
+
+const TOKEN = 'test_access_token_audit';
+
+describe('Audit log', () => {
+  const original = {
+    USE_TEST_MODE: config.USE_TEST_MODE,
+    AUDIT_ENABLED: config.AUDIT_ENABLED,
+    AUDIT_LOG_PATH: config.AUDIT_LOG_PATH,
+    AUDIT_MAX_BYTES: config.AUDIT_MAX_BYTES,
+    AUDIT_MAX_FILES: config.AUDIT_MAX_FILES
+  };
+  let tempDir;
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'office-mcp-audit-'));
+    config.USE_TEST_MODE = true;
+    config.AUDIT_ENABLED = true;
+  });
+
+  afterAll(() => {
+    Object.assign(config, original);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    fs.readdirSync(tempDir).forEach(file => fs.unlinkSync(path.join(tempDir, file)));
+    config.AUDIT_LOG_PATH = path.join(tempDir, 'audit.jsonl');
+    config.AUDIT_MAX_BYTES = 5 * 1024 * 1024;
+    config.AUDIT_MAX_FILES = 5;
+  });
+
+  describe('sanitizeArgs', () => {
+    it('should redact bodies and secrets and truncate long values', () => {
+      const sanitized = sanitizeArgs({
+        subject: 'Hello',
+        body: 'private text',
+        attachments: [{ name: 'a.txt', contentBytes: 'QUJD' }],
+        notes: 'x'.repeat(300)
+      });
+
+      expect(sanitized.subject).toBe('Hello');
+      expect(sanitized.body).toBe('[redacted 12 chars]');
+      expect(sanitized.attachments[0]).toEqual({ name: 'a.txt', contentBytes: '[redacted 4 chars]' });
+      expect(sanitized.notes).toMatch(/\.\.\. \[300 chars\]$/);
+    });
+  });
+
+  describe('collectTargetIds', () => {
+    it('should collect single and list ID arguments', () => {
+      expect(collectTargetIds({ operation: 'move', emailId: 'm1', emailIds: ['m2', 'm3'], folder: 'Archive' }))
+        .toEqual(['m1', 'm2', 'm3']);
+    });
+  });
+
+  describe('rotation', () => {
+    it('should rotate past the size limit and keep reading every file', () => {
+      config.AUDIT_MAX_BYTES = 200;
+      config.AUDIT_MAX_FILES = 2;
+
+      for (let i = 0; i < 6; i++) {
+        appendAuditEntry({ timestamp: new Date(Date.UTC(2025, 0, 1, 0, i)).toISOString(), tool: 'email', seq: i, padding: 'x'.repeat(100) });
+      }
+
+      expect(fs.existsSync(path.join(tempDir, 'audit.1.jsonl'))).toBe(true);
+      expect(fs.existsSync(path.join(tempDir, 'audit.2.jsonl'))).toBe(true);
+      expect(fs.existsSync(path.join(tempDir, 'audit.3.jsonl'))).toBe(false);
+      expect(readAuditEntries().map(entry => entry.seq)).toEqual([3, 4, 5]);
+    });
+
+    it('should skip a torn last line', () => {
+      appendAuditEntry({ timestamp: '2025-01-01T00:00:00Z', tool: 'email' });
+      fs.appendFileSync(config.AUDIT_LOG_PATH, '{"timestamp":"2025-01');
+
+      expect(readAuditEntries()).toHaveLength(1);
+    });
+  });
+
+  describe('auditToolCall', () => {
+    it('should log writes with their Graph status codes', async () => {
+      const result = await auditToolCall('files', { operation: 'delete', fileId: 'F1' }, async () => {
+        await callGraphAPI(TOKEN, 'GET', 'me/drive/items/F1');
+        await callGraphAPI(TOKEN, 'DELETE', 'me/drive/items/F1');
+        return { content: [{ type: 'text', text: 'Deleted' }] };
+      });
+
+      expect(result.content[0].text).toBe('Deleted');
+      const [entry] = readAuditEntries();
+      expect(entry).toMatchObject({
+        tool: 'files',
+        operation: 'delete',
+        targets: ['F1'],
+        outcome: 'success',
+        graph: [{ method: 'DELETE', path: 'me/drive/items/F1', status: 200 }]
+      });
+    });
+
+    it('should not log reads', async () => {
+      await auditToolCall('email', { operation: 'list' }, async () => ({ content: [] }));
+      expect(readAuditEntries()).toHaveLength(0);
+    });
+
+    it('should log and rethrow handler errors', async () => {
+      await expect(auditToolCall('email', { operation: 'send' }, async () => {
+        throw new Error('boom');
+      })).rejects.toThrow('boom');
+
+      expect(readAuditEntries()[0]).toMatchObject({ outcome: 'error', message: 'boom' });
+    });
+
+    it('should log local file writes of tools exempt from read-only classification', async () => {
+      const saved = { content: [{ type: 'text', text: 'Saved' }] };
+      await auditToolCall('authenticate', { operation: 'remove_profile', profile: 'work' }, async () => saved);
+      await auditToolCall('newsletter_rules', { operation: 'add', rule: 'blacklist.senders', values: ['a@b.c'] }, async () => saved);
+      await auditToolCall('saved_search', { operation: 'delete', name: 'budget' }, async () => saved);
+      await auditToolCall('files', { operation: 'download', fileId: 'F1', savePath: '/tmp/f1.bin' }, async () => saved);
+      await auditToolCall('saved_search', { operation: 'list' }, async () => saved);
+      await auditToolCall('authenticate', { operation: 'login' }, async () => saved);
+
+      const entries = readAuditEntries();
+      expect(entries.map(entry => `${entry.tool}.${entry.operation}: ${entry.outcome}`)).toEqual([
+        'authenticate.remove_profile: success',
+        'newsletter_rules.add: success',
+        'saved_search.delete: success',
+        'files.download: success'
+      ]);
+    });
+
+    it('should report error responses as errors', async () => {
+      await auditToolCall('email', { operation: 'send' }, async () => ({
+        content: [{ type: 'text', text: 'Error sending email: quota exceeded' }],
+        isError: true
+      }));
+
+      expect(readAuditEntries()[0]).toMatchObject({ outcome: 'error', message: 'Error sending email: quota exceeded' });
+    });
+  });
+
+  describe('queryAuditLog', () => {
+    it('should filter by time, outcome and target, newest first', () => {
+      appendAuditEntry({ timestamp: '2025-01-01T00:00:00Z', tool: 'email', outcome: 'success', targets: ['m1'], graph: [] });
+      appendAuditEntry({ timestamp: '2025-02-01T00:00:00Z', tool: 'files', outcome: 'success', targets: [], graph: [{ method: 'DELETE', path: 'me/drive/items/F9', status: 204 }] });
+      recordBlockedCall('files', { operation: 'delete', fileId: 'F9' }, 'denied', 'read-only');
+
+      expect(queryAuditLog({ since: '2025-01-15' }).map(entry => entry.outcome)).toEqual(['denied', 'success']);
+      expect(queryAuditLog({ outcome: 'denied' })).toHaveLength(1);
+      expect(queryAuditLog({ target: 'f9' }).map(entry => entry.tool)).toEqual(['files', 'files']);
+      expect(queryAuditLog({ tool: 'email', until: '2025-01-02' })[0].targets).toEqual(['m1']);
+      expect(queryAuditLog({ maxResults: 1 })).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,187 @@
+const { describe, it, expect, beforeAll, afterAll } = require('@jest/globals');
+const config = require('../config');
+const { callGraphAPI, callPreauthenticatedUrl } = require('../utils/graph-api');
+const { runDryRun, getTargetPath } = require('../utils/dry-run');
+const {
+  extractDryRunArgs,
+  requiresConfirmation,
+  previewToolCall,
+  confirmToolCall,
+  confirmedArgs,
+  extractRecipients
+} = require('../policy/confirmation');
+
+const TOKEN = 'test_access_token_dry_run';
+
+describe('Dry-run and confirmation', () => {
+  const originalTestMode = config.USE_TEST_MODE;
+
+  beforeAll(() => {
+    config.USE_TEST_MODE = true;
+  });
+
+  afterAll(() => {
+    config.USE_TEST_MODE = originalTestMode;
+  });
+
+  describe('runDryRun', () => {
+    it('should record writes instead of sending them and let reads through', async () => {
+      const { result, writes } = await runDryRun(async () => {
+        const message = await callGraphAPI(TOKEN, 'GET', 'me/messages/m1');
+        await callGraphAPI(TOKEN, 'DELETE', 'me/events/e1');
+        const moved = await callGraphAPI(TOKEN, 'POST', 'me/messages/m1/move', { destinationId: 'archive' });
+        return { message, moved };
+      });
+
+      expect(result.message['@dryRun']).toBeUndefined();
+      expect(result.moved['@dryRun']).toBe(true);
+      expect(writes.map(w => `${w.method} ${w.path} -> ${w.targetPath}`)).toEqual([
+        'DELETE me/events/e1 -> me/events/e1',
+        'POST me/messages/m1/move -> me/messages/m1'
+      ]);
+    });
+
+    it('should record the writes inside a $batch', async () => {
+      const { result, writes } = await runDryRun(() => callGraphAPI(TOKEN, 'POST', '$batch', {
+        requests: [
+          { id: '0', method: 'PATCH', url: '/me/messages/a', body: { isRead: true } },
+          { id: '1', method: 'DELETE', url: '/me/messages/b', headers: { 'If-Match': 'W/"1"' } }
+        ]
+      }));
+
+      expect(result.responses.map(r => r.status)).toEqual([200, 204]);
+      expect(writes).toHaveLength(2);
+      expect(writes[1]).toMatchObject({ method: 'DELETE', path: 'me/messages/b', ifMatch: 'W/"1"' });
+    });
+
+    it('should record writes to pre-authenticated upload URLs without their credentials', async () => {
+      const uploadUrl = 'https://contoso-my.sharepoint.com/_api/v2.0/drives/d1/items/F/uploadSession?guid=1&tempauth=secret';
+      const { result, writes } = await runDryRun(async () => {
+        const chunk = await callPreauthenticatedUrl('PUT', uploadUrl, Buffer.alloc(10), { 'Content-Range': 'bytes 0-9/10' });
+        await callPreauthenticatedUrl('DELETE', uploadUrl);
+        return chunk;
+      });
+
+      expect(result).toMatchObject({ statusCode: 201, body: { '@dryRun': true } });
+      expect(writes).toEqual([
+        expect.objectContaining({ method: 'PUT', path: 'https://contoso-my.sharepoint.com/_api/v2.0/drives/d1/items/F/uploadSession', body: { binary: true, size: 10 }, targetPath: null }),
+        expect.objectContaining({ method: 'DELETE', targetPath: null })
+      ]);
+      expect(JSON.stringify(writes)).not.toContain('tempauth');
+    });
+  });
+
+  describe('getTargetPath', () => {
+    it('should not treat creates as targeting an existing item', () => {
+      expect(getTargetPath('POST', 'me/events')).toBeNull();
+      expect(getTargetPath('PUT', 'me/drive/items/root:/report.docx:/content')).toBe('me/drive/items/root:/report.docx');
+    });
+  });
+
+  describe('extractRecipients', () => {
+    it('should find recipients in nested message bodies', () => {
+      expect(extractRecipients({
+        message: {
+          toRecipients: [{ emailAddress: { address: 'a@contoso.com' } }],
+          bccRecipients: [{ emailAddress: { address: 'b@contoso.com' } }]
+        }
+      })).toEqual(['a@contoso.com', 'b@contoso.com']);
+    });
+  });
+
+  describe('preview and confirm', () => {
+    const handler = async ({ to }) => {
+      await callGraphAPI(TOKEN, 'POST', 'me/sendMail', {
+        message: { subject: 'Hello', toRecipients: to.map(address => ({ emailAddress: { address } })) }
+      });
+      return { content: [{ type: 'text', text: 'Email sent successfully!' }] };
+    };
+
+    it('should split dryRun and confirm from the handler arguments', () => {
+      expect(extractDryRunArgs({ operation: 'send', dryRun: true })).toEqual({
+        dryRun: true,
+        confirm: null,
+        handlerArgs: { operation: 'send' }
+      });
+    });
+
+    it('should describe the changes and issue a single-use token for the same arguments', async () => {
+      const args = { operation: 'send', to: ['a@contoso.com'] };
+      const preview = await previewToolCall('email', args, handler, 'json');
+
+      expect(preview.content[0].text).toContain('DRY RUN - nothing was changed');
+      expect(preview.structuredContent.changes[0]).toMatchObject({
+        method: 'POST',
+        path: 'me/sendMail',
+        label: 'Hello',
+        recipients: ['a@contoso.com']
+      });
+
+      const token = preview.structuredContent.confirmToken;
+      expect(await confirmToolCall('email', { ...args, to: ['x@evil.com'] }, token)).toMatch(/different call/);
+      expect(await confirmToolCall('email', { to: ['a@contoso.com'], operation: 'send' }, token)).toBeNull();
+      expect(await confirmToolCall('email', args, token)).toMatch(/Unknown or expired/);
+    });
+
+    it('should require confirmation of every self-previewing call', () => {
+      const originalRequire = config.REQUIRE_CONFIRMATION;
+      config.REQUIRE_CONFIRMATION = true;
+      try {
+        expect(requiresConfirmation('files_sync', { localDir: '/tmp/sync', direction: 'download' })).toBe(true);
+        expect(requiresConfirmation('files', { operation: 'list' })).toBe(false);
+        expect(requiresConfirmation('sync', { resource: 'mail' })).toBe(false);
+      } finally {
+        config.REQUIRE_CONFIRMATION = originalRequire;
+      }
+    });
+
+    it('should confirm a self-previewing call only while its plan is unchanged', async () => {
+      let planned = ['upload a.txt'];
+      const syncHandler = jest.fn(async ({ dryRun }) => ({
+        content: [{ type: 'text', text: dryRun ? `Dry run: ${planned.join(', ')}` : 'Synced' }]
+      }));
+      const args = { localDir: '/tmp/sync', remotePath: '/Sync' };
+
+      const preview = await previewToolCall('files_sync', args, syncHandler, 'json');
+      expect(syncHandler).toHaveBeenCalledWith({ ...args, dryRun: true });
+      expect(preview.content[0].text).toMatch(/^DRY RUN - nothing was changed\.\n\nDry run: upload a\.txt\n\nTo apply exactly these changes/);
+      expect(await confirmToolCall('files_sync', args, preview.structuredContent.confirmToken, syncHandler)).toBeNull();
+
+      const second = await previewToolCall('files_sync', args, syncHandler, 'json');
+      planned = ['upload a.txt', 'delete-remote b.txt'];
+      expect(await confirmToolCall('files_sync', args, second.structuredContent.confirmToken, syncHandler))
+        .toMatch(/planned changes differ from the preview/);
+    });
+
+    it('should let a confirmed sync apply the deletions its preview listed', () => {
+      const args = { localDir: '/tmp/sync', remotePath: '/Sync' };
+
+      expect(confirmedArgs('files_sync', args)).toEqual({ ...args, allowDeletes: true });
+      expect(confirmedArgs('email', { operation: 'send' })).toEqual({ operation: 'send' });
+    });
+
+    it('should not run calls that write local files', async () => {
+      const localHandler = jest.fn();
+
+      for (const [toolName, args] of [
+        ['saved_search', { operation: 'save', name: 'q', query: 'budget' }],
+        ['newsletter_rules', { operation: 'add', sender: 'news@contoso.com' }],
+        ['files', { operation: 'download', path: '/a.txt', savePath: '/tmp/a.txt' }],
+        ['email_triage', { reportPath: '/tmp/triage.json' }]
+      ]) {
+        const preview = await previewToolCall(toolName, args, localHandler);
+        expect(preview.content[0].text).toMatch(/^dryRun is not supported for .* it writes local files/);
+      }
+      expect(localHandler).not.toHaveBeenCalled();
+    });
+
+    it('should report when nothing would change', async () => {
+      const preview = await previewToolCall('email', { operation: 'send' }, async () => ({
+        content: [{ type: 'text', text: 'Missing required parameters: to, subject, and body' }]
+      }));
+
+      expect(preview.content[0].text).toContain('would not change anything');
+      expect(preview.content[0].text).toContain('Missing required parameters');
+    });
+  });
+});
@@ -0,0 +1,152 @@
+const { describe, it, expect, beforeEach, afterEach } = require('@jest/globals');
+const https = require('https');
+const { EventEmitter } = require('events');
+
+jest.mock('../auth/token-manager', () => ({
+  saveTokenCache: jest.fn().mockReturnValue(true)
+}));
+
+const { saveTokenCache } = require('../auth/token-manager');
+const { DEVICE_CODE_FLOW, startDeviceCodeFlow, getDeviceCodeFlow } = require('../auth/device-code');
+
+/**
+ * Makes https.request answer with the given responses, in order, recording
+ * the endpoint and form of each request
+ */
+function mockIdentityResponses(responses) {
+  const calls = [];
+  jest.spyOn(https, 'request').mockImplementation((options, callback) => {
+    const { status, body } = responses[calls.length];
+    const call = { path: options.path, form: null };
+    calls.push(call);
+
+    const req = new EventEmitter();
+    req.write = data => { call.form = new URLSearchParams(data); };
+    req.end = () => {
+      const res = new EventEmitter();
+      res.statusCode = status;
+      callback(res);
+      res.emit('data', JSON.stringify(body));
+      res.emit('end');
+    };
+    return req;
+  });
+  return calls;
+}
+
+const DEVICE_CODE_RESPONSE = {
+  status: 200,
+  body: {
+    device_code: 'device-123',
+    user_code: 'ABCD-EFGH',
+    verification_uri: 'https://microsoft.com/devicelogin',
+    message: 'Enter ABCD-EFGH',
+    interval: 5,
+    expires_in: 900
+  }
+};
+
+const pending = { status: 400, body: { error: 'authorization_pending' } };
+const idToken = `header.${Buffer.from(JSON.stringify({ preferred_username: 'ada@contoso.com' })).toString('base64')}.signature`;
+
+const profileNamed = name => ({ name, clientId: 'client-id', tenantId: 'contoso.onmicrosoft.com' });
+
+describe('Device code sign-in', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    saveTokenCache.mockClear();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('should keep polling while authorization is pending and save the tokens', async () => {
+    const calls = mockIdentityResponses([
+      DEVICE_CODE_RESPONSE,
+      pending,
+      pending,
+      { status: 200, body: { access_token: 'access', refresh_token: 'refresh', expires_in: 3600, id_token: idToken } }
+    ]);
+
+    const flow = await startDeviceCodeFlow(profileNamed('pending'));
+    expect(flow).toMatchObject({ userCode: 'ABCD-EFGH', verificationUri: 'https://microsoft.com/devicelogin', status: 'pending' });
+    expect(calls[0].path).toBe('/contoso.onmicrosoft.com/oauth2/v2.0/devicecode');
+    expect(calls[0].form.get('scope')).toMatch(/^offline_access /);
+
+    await jest.advanceTimersByTimeAsync(10000);
+    expect(calls).toHaveLength(3);
+    expect(getDeviceCodeFlow('pending').status).toBe('pending');
+
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(calls[3].path).toBe('/contoso.onmicrosoft.com/oauth2/v2.0/token');
+    expect(calls[3].form.get('grant_type')).toBe('urn:ietf:params:oauth:grant-type:device_code');
+    expect(calls[3].form.get('device_code')).toBe('device-123');
+
+    expect(saveTokenCache).toHaveBeenCalledWith(expect.objectContaining({
+      access_token: 'access',
+      refresh_token: 'refresh',
+      auth_flow: DEVICE_CODE_FLOW,
+      email: 'ada@contoso.com'
+    }), 'pending');
+    expect(getDeviceCodeFlow('pending')).toMatchObject({ status: 'completed', email: 'ada@contoso.com' });
+  });
+
+  it('should poll less often when asked to slow down', async () => {
+    const calls = mockIdentityResponses([
+      DEVICE_CODE_RESPONSE,
+      { status: 400, body: { error: 'slow_down' } },
+      pending
+    ]);
+
+    await startDeviceCodeFlow(profileNamed('slow'));
+    await jest.advanceTimersByTimeAsync(5000);
+    expect(getDeviceCodeFlow('slow').interval).toBe(10);
+
+    await jest.advanceTimersByTimeAsync(9000);
+    expect(calls).toHaveLength(2);
+    await jest.advanceTimersByTimeAsync(1000);
+    expect(calls).toHaveLength(3);
+  });
+
+  it('should stop with the error when the code has expired', async () => {
+    const calls = mockIdentityResponses([
+      DEVICE_CODE_RESPONSE,
+      { status: 400, body: { error: 'expired_token', error_description: 'AADSTS70020: The provided value for the input parameter device_code is not valid.' } }
+    ]);
+
+    await startDeviceCodeFlow(profileNamed('expired'));
+    await jest.advanceTimersByTimeAsync(30000);
+
+    expect(calls).toHaveLength(2);
+    expect(getDeviceCodeFlow('expired')).toMatchObject({ status: 'failed', error: expect.stringMatching(/^AADSTS70020/) });
+    expect(saveTokenCache).not.toHaveBeenCalled();
+  });
+
+  it('should stop polling once the code lifetime has passed', async () => {
+    const calls = mockIdentityResponses([
+      { ...DEVICE_CODE_RESPONSE, body: { ...DEVICE_CODE_RESPONSE.body, expires_in: 12 } },
+      pending,
+      pending
+    ]);
+
+    await startDeviceCodeFlow(profileNamed('lifetime'));
+    await jest.advanceTimersByTimeAsync(60000);
+
+    expect(calls).toHaveLength(3);
+    expect(getDeviceCodeFlow('lifetime')).toMatchObject({ status: 'expired', error: expect.stringMatching(/expired/) });
+  });
+
+  it('should return the pending flow unless forced', async () => {
+    const calls = mockIdentityResponses([DEVICE_CODE_RESPONSE, DEVICE_CODE_RESPONSE]);
+
+    const first = await startDeviceCodeFlow(profileNamed('reuse'));
+    expect(await startDeviceCodeFlow(profileNamed('reuse'))).toBe(first);
+    expect(calls).toHaveLength(1);
+
+    const forced = await startDeviceCodeFlow(profileNamed('reuse'), true);
+    expect(forced).not.toBe(first);
+    expect(calls).toHaveLength(2);
+  });
+});
@@ -0,0 +1,211 @@
+const { describe, it, expect, beforeEach, afterEach } = require('@jest/globals');
+const zlib = require('zlib');
+const https = require('https');
+const { EventEmitter } = require('events');
+const { documentType, extractDocumentText } = require('../utils/document-text');
+const { addDocumentContent, clearContentCache } = require('../search/content-extraction');
+
+/**
+ * Builds a ZIP archive (entries deflated, except those named in `stored`)
+ */
+function zip(files, stored = []) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const [name, text] of Object.entries(files)) {
+    const nameBytes = Buffer.from(name);
+    const raw = Buffer.from(text);
+    const method = stored.includes(name) ? 0 : 8;
+    const data = method === 0 ? raw : zlib.deflateRawSync(raw);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    locals.push(local, nameBytes, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBytes);
+
+    offset += 30 + nameBytes.length + data.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+const DOCX = zip({
+  'word/document.xml': '<w:document><w:body><w:p><w:r><w:t>Quarterly </w:t></w:r><w:r><w:t xml:space="preserve">report &amp; outlook</w:t></w:r></w:p>' +
+    '<w:p><w:r><w:t>Revenue</w:t><w:tab/><w:t>12 M&#8364;</w:t></w:r></w:p></w:body></w:document>',
+  'word/footer1.xml': '<w:ftr><w:p><w:r><w:t>Confidential</w:t></w:r></w:p></w:ftr>'
+});
+
+const PPTX = zip({
+  'ppt/presentation.xml': '<p:presentation/>',
+  'ppt/slides/slide2.xml': '<p:sld><a:p><a:r><a:t>Next steps</a:t></a:r></a:p></p:sld>',
+  'ppt/slides/slide10.xml': '<p:sld><a:p><a:r><a:t>Appendix</a:t></a:r></a:p></p:sld>',
+  'ppt/slides/slide1.xml': '<p:sld><a:p><a:r><a:t>Kick-off</a:t></a:r></a:p><a:p><a:r><a:t>Agenda</a:t></a:r></a:p></p:sld>',
+  'ppt/notesSlides/notesSlide1.xml': '<p:notes><a:p><a:r><a:t>Welcome everyone</a:t></a:r></a:p></p:notes>'
+}, ['ppt/presentation.xml']);
+
+const XLSX = zip({
+  'xl/workbook.xml': '<workbook><sheets><sheet name="Budget &amp; Costs" sheetId="1" r:id="rId1"/><sheet name="Empty" sheetId="2" r:id="rId2"/></sheets></workbook>',
+  'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId1" Type="worksheet" Target="worksheets/sheet1.xml"/>' +
+    '<Relationship Id="rId2" Type="worksheet" Target="/xl/worksheets/sheet2.xml"/></Relationships>',
+  'xl/sharedStrings.xml': '<sst><si><t>Item</t></si><si><t>Cost</t></si><si><r><t>Lap</t></r><r><t>tops</t></r></si></sst>',
+  'xl/worksheets/sheet1.xml': '<worksheet><sheetData>' +
+    '<row r="2"><c r="B2" t="s"><v>0</v></c><c r="C2" t="s"><v>1</v></c></row>' +
+    '<row r="3"><c r="B3" t="s"><v>2</v></c><c r="C3"><v>1250.5</v></c><c r="D3" t="b"><v>1</v></c></row>' +
+    '<row r="4"><c r="B4" t="inlineStr"><is><t>Total</t></is></c><c r="C4"><f>SUM(C3)</f><v>1250.5</v></c><c r="D4" s="1"/></row>' +
+    '</sheetData></worksheet>',
+  'xl/worksheets/sheet2.xml': '<worksheet><sheetData/></worksheet>'
+});
+
+/**
+ * Builds a one-page PDF whose content stream shows `content` (deflated when `deflate`)
+ */
+function pdf(content, deflate = true) {
+  const data = deflate ? zlib.deflateSync(Buffer.from(content, 'latin1')) : Buffer.from(content, 'latin1');
+  return Buffer.concat([
+    Buffer.from('%PDF-1.4\n1 0 obj\n<< /Type /Catalog /Pages 2 0 R >>\nendobj\n'),
+    Buffer.from(`4 0 obj\n<< /Length ${data.length}${deflate ? ' /Filter /FlateDecode' : ''} >>\nstream\n`),
+    data,
+    Buffer.from('\nendstream\nendobj\n5 0 obj\n<< /Subtype /Image /Length 3 >>\nstream\nBT \nendstream\nendobj\ntrailer\n<< /Root 1 0 R >>\n%%EOF\n')
+  ]);
+}
+
+describe('Document text extraction', () => {
+  it('should extract Word paragraphs, tabs and footers', () => {
+    expect(documentType('Report.DOCX')).toBe('docx');
+    expect(documentType('notes.doc')).toBeNull();
+    expect(extractDocumentText(DOCX, 'docx')).toBe('Quarterly report & outlook\nRevenue\t12 M€\n\nConfidential');
+  });
+
+  it('should extract slides in order with their notes', () => {
+    expect(extractDocumentText(PPTX, 'pptx')).toBe(
+      '--- Slide 1 ---\nKick-off\nAgenda\nNotes: Welcome everyone\n\n--- Slide 2 ---\nNext steps\n\n--- Slide 10 ---\nAppendix'
+    );
+  });
+
+  it('should extract cell values per sheet with the used range', () => {
+    expect(extractDocumentText(XLSX, 'xlsx')).toBe(
+      'Sheet: Budget & Costs (B2:D4)\n2\tItem\tCost\n3\tLaptops\t1250.5\tTRUE\n4\tTotal\t1250.5\n\nSheet: Empty (empty)'
+    );
+  });
+
+  it('should extract the text shown by PDF content streams', () => {
+    const page = 'BT /F1 12 Tf 72 720 Td (Invoice \\(draft\\)) Tj 0 -14 Td [(Am) 20 (ount) -300 (due)] TJ T* <0041004200e9> Tj ET';
+
+    expect(extractDocumentText(pdf(page), 'pdf')).toBe('Invoice (draft)\nAmount due\nABé');
+    expect(extractDocumentText(pdf(page, false), 'pdf')).toBe('Invoice (draft)\nAmount due\nABé');
+    expect(() => extractDocumentText(Buffer.from('not a pdf'), 'pdf')).toThrow(/not a PDF/);
+  });
+
+  it('should refuse to inflate entries past the size limit', () => {
+    const body = `<w:document><w:body><w:p><w:r><w:t>${'x'.repeat(200000)}</w:t></w:r></w:p></w:body></w:document>`;
+    const oversized = zip({ 'word/document.xml': body });
+
+    expect(() => extractDocumentText(oversized, 'docx', { maxInflatedBytes: 100000 }))
+      .toThrow(/^word\/document\.xml is too large once decompressed \(200\d+ bytes, the limit is 100000\)$/);
+
+    // An entry that understates its size is still cut off while inflating
+    const understated = Buffer.from(oversized);
+    understated.writeUInt32LE(10, understated.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02])) + 24);
+    expect(() => extractDocumentText(understated, 'docx', { maxInflatedBytes: 100000 }))
+      .toThrow(/too large once decompressed \(over 100000 bytes\)/);
+
+    expect(extractDocumentText(pdf(`BT (${'y'.repeat(200000)}) Tj ET`), 'pdf', { maxInflatedBytes: 100000 })).toBe('');
+  });
+
+  it('should limit the decompressed size of the whole document and stop once enough text is read', () => {
+    const part = text => `<w:hdr><w:p><w:r><w:t>${text}</w:t></w:r></w:p></w:hdr>`;
+    const headers = Object.fromEntries(Array.from({ length: 50 }, (_, i) => [`word/header${i}.xml`, part('x'.repeat(9000) + `h${i}`)]));
+    const many = zip({ 'word/document.xml': '<w:document><w:body><w:p><w:r><w:t>Body</w:t></w:r></w:p></w:body></w:document>', ...headers });
+
+    expect(() => extractDocumentText(many, 'docx', { maxInflatedBytes: 100000, maxTotalInflatedBytes: 200000 }))
+      .toThrow(/^the document is too large once decompressed \(over 200000 bytes in total\)$/);
+    // Enough text is found before the budget runs out
+    expect(extractDocumentText(many, 'docx', { maxInflatedBytes: 100000, maxTotalInflatedBytes: 200000, maxChars: 20000 }).split('\n\n')).toHaveLength(4);
+
+    // PDF streams are read until the budget runs out or enough text is found
+    const pages = Buffer.concat(Array.from({ length: 20 }, (_, i) => pdf(`BT (${'z'.repeat(20000)}) Tj ET BT (page ${i}) Tj ET`)));
+    expect(extractDocumentText(pages, 'pdf', { maxTotalInflatedBytes: 100000 })).toMatch(/page 3$/);
+    expect(extractDocumentText(pages, 'pdf', { maxChars: 50000 })).toMatch(/page 2$/);
+  });
+
+  it('should reject entries that point outside the archive', () => {
+    const truncated = Buffer.from(DOCX);
+    truncated.writeUInt32LE(DOCX.length, truncated.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02])) + 42);
+    expect(() => extractDocumentText(truncated, 'docx')).toThrow(/^corrupt ZIP archive: word\/document\.xml starts past the end of the file$/);
+
+    const overlong = Buffer.from(DOCX);
+    overlong.writeUInt32LE(DOCX.length, overlong.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02])) + 20);
+    expect(() => extractDocumentText(overlong, 'docx')).toThrow(/ends past the end of the file/);
+  });
+});
+
+describe('Search content extraction', () => {
+  let downloads;
+
+  beforeEach(() => {
+    clearContentCache();
+    downloads = [];
+    jest.spyOn(https, 'request').mockImplementation((url, options, callback) => {
+      downloads.push(url);
+      const req = new EventEmitter();
+      req.write = () => {};
+      req.end = () => {
+        const res = new EventEmitter();
+        res.statusCode = 200;
+        res.headers = { 'content-type': 'application/octet-stream' };
+        callback(res);
+        res.emit('data', DOCX);
+        res.emit('end');
+      };
+      return req;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const hit = (id, name, size = DOCX.length, lastModifiedDateTime = '2025-03-01T10:00:00Z') => ({
+    entityType: 'driveItem',
+    resource: { id, name, size, file: {}, lastModifiedDateTime, parentReference: { driveId: 'd1' } }
+  });
+
+  it('should add document text, skip large files and reuse the cache for unchanged files', async () => {
+    const hits = [hit('a', 'Report.docx'), hit('b', 'Huge.pdf', 50 * 1024 * 1024), hit('c', 'photo.jpg')];
+
+    await addDocumentContent('real-token', hits, { maxChars: 9 });
+
+    expect(hits[0].content).toEqual({ type: 'docx', text: 'Quarterly', totalChars: 54, truncated: true });
+    expect(hits[1].content).toEqual({ type: 'pdf', skipped: expect.stringMatching(/larger than 10\.0 MB/) });
+    expect(hits[2].content).toBeUndefined();
+    expect(downloads).toEqual([expect.stringContaining('drives/d1/items/a/content')]);
+
+    const again = [hit('a', 'Report.docx'), hit('b', 'Huge.pdf', 50 * 1024 * 1024)];
+    await addDocumentContent('real-token', again);
+    expect(again[0].content.text).toBe('Quarterly report & outlook\nRevenue\t12 M€\n\nConfidential');
+    expect(downloads).toHaveLength(1);
+
+    await addDocumentContent('real-token', [hit('a', 'Report.docx', DOCX.length, '2025-03-02T10:00:00Z')]);
+    expect(downloads).toHaveLength(2);
+  });
+});
@@ -0,0 +1,143 @@
+const { describe, it, expect, beforeEach, afterEach } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const https = require('https');
+const { EventEmitter } = require('events');
+const { QuickXorHash, hashFile } = require('../utils/quick-xor-hash');
+const config = require('../config');
+const { downloadDriveItem } = require('../files/download');
+
+const CONTENT = {
+  a: Buffer.from('first file, checked with quickXorHash'),
+  b: Buffer.from(Array.from({ length: 300 }, (_, i) => (i * 7) % 256)),
+  c: Buffer.from('no hash for this one')
+};
+
+const quickXor = data => new QuickXorHash().update(data).digest();
+const sha1 = data => crypto.createHash('sha1').update(data).digest('hex').toUpperCase();
+
+const ITEMS = {
+  docs: { id: 'docs', name: 'Docs', folder: { childCount: 3 } },
+  a: { id: 'a', name: 'a.txt', size: CONTENT.a.length, file: { hashes: { quickXorHash: quickXor(CONTENT.a) } }, lastModifiedDateTime: '2025-03-01T10:00:00Z' },
+  b: { id: 'b', name: 'b.bin', size: CONTENT.b.length, file: { hashes: { sha1Hash: sha1(CONTENT.b).toLowerCase() } }, lastModifiedDateTime: '2025-03-02T10:00:00Z' },
+  sub: { id: 'sub', name: 'Sub', folder: { childCount: 1 } },
+  c: { id: 'c', name: 'c.txt', size: CONTENT.c.length, file: {}, lastModifiedDateTime: '2025-03-03T10:00:00Z' }
+};
+const CHILDREN = { docs: ['a', 'b', 'sub'], sub: ['c'] };
+
+/**
+ * Serves ITEMS as a small drive; `served` overrides the content sent for an item
+ */
+function mockDrive(served = {}) {
+  const calls = [];
+  jest.spyOn(https, 'request').mockImplementation((url, options, callback) => {
+    calls.push(url);
+    const route = url.match(/items\/([^/?]+)(\/children|\/content)?|root:\/Docs/);
+    const id = route[1] || 'docs';
+
+    let status = 200;
+    let headers = { 'content-type': 'application/json' };
+    let body;
+    if (route[2] === '/children') {
+      body = Buffer.from(JSON.stringify({ value: CHILDREN[id].map(child => ITEMS[child]) }));
+    } else if (route[2] === '/content') {
+      headers = { 'content-type': 'application/octet-stream' };
+      body = served[id] || CONTENT[id];
+    } else {
+      body = Buffer.from(JSON.stringify(ITEMS[id]));
+    }
+
+    const req = new EventEmitter();
+    req.write = () => {};
+    req.end = () => {
+      const res = new EventEmitter();
+      res.statusCode = status;
+      res.headers = headers;
+      callback(res);
+      res.emit('data', body);
+      res.emit('end');
+    };
+    return req;
+  });
+  return calls;
+}
+
+describe('QuickXorHash', () => {
+  it('should match known digests, whatever the chunking', () => {
+    expect(quickXor(Buffer.alloc(0))).toBe('AAAAAAAAAAAAAAAAAAAAAAAAAAA=');
+    expect(quickXor(Buffer.from('Hello, world'))).toBe('SCgDG9jwBhaA4A5vnAMbyAAAAAA=');
+
+    const data = crypto.randomBytes(1000);
+    const chunked = new QuickXorHash();
+    [0, 7, 160, 161, 500, 1000].reduce((start, end) => { chunked.update(data.subarray(start, end)); return end; });
+    expect(chunked.digest()).toBe(quickXor(data));
+  });
+});
+
+describe('Drive downloads', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'drive-download-'));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  it('should download a folder recursively under the original names', async () => {
+    mockDrive();
+
+    const results = await downloadDriveItem('real-token', 'me/drive/root:/Docs', tempDir);
+
+    expect(results.map(result => result.status)).toEqual(['downloaded', 'downloaded', 'downloaded']);
+    expect(fs.readFileSync(path.join(tempDir, 'Docs', 'a.txt')).equals(CONTENT.a)).toBe(true);
+    expect(fs.readFileSync(path.join(tempDir, 'Docs', 'b.bin')).equals(CONTENT.b)).toBe(true);
+    expect(fs.readFileSync(path.join(tempDir, 'Docs', 'Sub', 'c.txt')).equals(CONTENT.c)).toBe(true);
+    expect(fs.statSync(path.join(tempDir, 'Docs', 'a.txt')).mtime.toISOString()).toBe('2025-03-01T10:00:00.000Z');
+    expect(await hashFile(path.join(tempDir, 'Docs', 'b.bin'), 'sha1')).toBe(sha1(CONTENT.b));
+  });
+
+  it('should skip files that are already up to date and leave out subfolders when not recursive', async () => {
+    mockDrive();
+    await downloadDriveItem('real-token', 'me/drive/root:/Docs', tempDir);
+
+    jest.restoreAllMocks();
+    const calls = mockDrive();
+    const results = await downloadDriveItem('real-token', 'me/drive/root:/Docs', tempDir, { recursive: false });
+
+    expect(results.map(result => result.status)).toEqual(['skipped', 'skipped']);
+    expect(calls.some(url => url.includes('/content'))).toBe(false);
+    expect(calls.some(url => url.includes('items/sub'))).toBe(false);
+  });
+
+  it('should remove a file whose content does not match the hash', async () => {
+    mockDrive({ a: Buffer.from('first file, checked with quickXorHasH') });
+
+    const results = await downloadDriveItem('real-token', 'me/drive/items/a', tempDir);
+
+    expect(results).toEqual([expect.objectContaining({ status: 'failed', error: expect.stringMatching(/integrity check failed \(quickXorHash/) })]);
+    expect(fs.existsSync(path.join(tempDir, 'a.txt'))).toBe(false);
+  });
+
+  it('should not write through a link leading out of LOCAL_FILES_ROOTS', async () => {
+    const originalRoots = config.LOCAL_FILES_ROOTS;
+    const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'drive-download-outside-'));
+    config.LOCAL_FILES_ROOTS = [tempDir];
+    fs.symlinkSync(outside, path.join(tempDir, 'Docs'));
+    mockDrive();
+
+    try {
+      const results = await downloadDriveItem('real-token', 'me/drive/root:/Docs', tempDir);
+
+      expect(results).toEqual([expect.objectContaining({ status: 'failed', error: expect.stringMatching(/is not in an allowed directory/) })]);
+      expect(fs.readdirSync(outside)).toEqual([]);
+    } finally {
+      config.LOCAL_FILES_ROOTS = originalRoots;
+      fs.rmSync(outside, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,168 @@
+const { describe, it, expect, beforeEach } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../auth', () => ({
+  ensureAuthenticated: jest.fn().mockResolvedValue('real-token')
+}));
+jest.mock('../utils/graph-api');
+
+const { callGraphAPI, collectGraphItems } = require('../utils/graph-api');
+const { clearCache } = require('../utils/newsletter-detector');
+const {
+  triageEmails,
+  classifyMessage,
+  parseListUnsubscribe
+} = require('../tools/email-triage');
+
+const message = (id, from, subject, headers = [], body = '<p>Hello</p>') => ({
+  id,
+  from: { emailAddress: { address: from } },
+  subject,
+  receivedDateTime: '2025-03-01T10:00:00Z',
+  categories: id === 'receipt' ? ['Finance'] : [],
+  body: { content: body },
+  internetMessageHeaders: headers
+});
+
+const NEWSLETTER = message('news', 'news@shop.example', 'Weekly digest', [
+  { name: 'List-Unsubscribe', value: '<mailto:leave@shop.example?subject=unsubscribe>, <https://shop.example/U?id=42>' },
+  { name: 'List-Unsubscribe-Post', value: 'List-Unsubscribe=One-Click' },
+  { name: 'Precedence', value: 'bulk' }
+], '<p>Unsubscribe here. View this email in your browser.</p>');
+const RECEIPT = message('receipt', 'no-reply@shop.example', 'Your order #1234 has shipped', [
+  { name: 'List-Unsubscribe', value: '<https://shop.example/U?id=42>' }
+]);
+const ALERT = message('alert', 'alerts@monitoring.example', 'Disk almost full', [
+  { name: 'Auto-Submitted', value: 'auto-generated' }
+]);
+const PERSONAL = message('personal', 'alice@partner.example', 'Lunch on Friday?');
+
+const noSignals = { isNewsletter: false, confidence: 0, signals: [], reason: 'no-signals' };
+
+describe('Email triage', () => {
+  describe('classifyMessage', () => {
+    it('should classify transactional, automated and personal messages', () => {
+      expect(classifyMessage(RECEIPT, { ...noSignals, isNewsletter: true, reason: 'list-unsubscribe-header' }))
+        .toEqual({ triageClass: 'transactional', reason: 'transactional-subject' });
+      expect(classifyMessage(message('r2', 'factures@edf.example', 'Votre facture de mars'), noSignals).triageClass).toBe('transactional');
+      expect(classifyMessage(ALERT, noSignals)).toEqual({ triageClass: 'automated', reason: 'auto-submitted-header' });
+      expect(classifyMessage(message('oof', 'bob@partner.example', 'Réponse automatique : Lunch'), noSignals).triageClass).toBe('automated');
+      expect(classifyMessage(PERSONAL, noSignals)).toEqual({ triageClass: 'personal', reason: 'no-bulk-signals' });
+    });
+
+    it('should follow blacklist and whitelist rules', () => {
+      expect(classifyMessage(RECEIPT, { ...noSignals, isNewsletter: true, reason: 'blacklisted' }))
+        .toEqual({ triageClass: 'newsletter', reason: 'blacklisted' });
+      expect(classifyMessage(PERSONAL, { ...noSignals, reason: 'whitelisted' }))
+        .toEqual({ triageClass: 'personal', reason: 'whitelisted' });
+    });
+  });
+
+  it('should parse List-Unsubscribe targets keeping their case', () => {
+    expect(parseListUnsubscribe(NEWSLETTER.internetMessageHeaders)).toEqual({
+      mailto: ['mailto:leave@shop.example?subject=unsubscribe'],
+      urls: ['https://shop.example/U?id=42'],
+      oneClick: true
+    });
+    expect(parseListUnsubscribe(PERSONAL.internetMessageHeaders)).toBeNull();
+  });
+
+  describe('triageEmails', () => {
+    beforeEach(() => {
+      clearCache();
+      callGraphAPI.mockReset();
+      collectGraphItems.mockReset();
+      collectGraphItems.mockResolvedValue([NEWSLETTER, RECEIPT, ALERT, PERSONAL]);
+      callGraphAPI.mockImplementation(async (accessToken, method, path, body) => {
+        if (path === '$batch') {
+          return { responses: body.requests.map(request => ({ id: request.id, status: 201 })) };
+        }
+        return {};
+      });
+    });
+
+    it('should report the classes and the unsubscribe targets per sender', async () => {
+      const result = await triageEmails({ folderName: 'inbox', startDate: '2025-02-01' });
+      const text = result.content[0].text;
+
+      const [, path, params, options] = collectGraphItems.mock.calls[0];
+      expect(path).toBe('me/mailFolders/inbox/messages');
+      expect(params.$select).toContain('internetMessageHeaders');
+      expect(params.$filter).toBe('receivedDateTime ge 2025-02-01T00:00:00.000Z');
+      expect(options.maxItems).toBe(100);
+
+      expect(text).toMatch(/Triage of 4 message\(s\) in inbox\nnewsletter: 1 \| transactional: 1 \| personal: 1 \| automated: 1/);
+      expect(text).toMatch(/\*\*newsletter\*\* \(1\)\n- Weekly digest — news@shop\.example/);
+      expect(text).toMatch(/- news@shop\.example \(1 message\(s\)\)\n  one-click POST https:\/\/shop\.example\/U\?id=42\n  mailto:leave@shop\.example\?subject=unsubscribe/);
+      expect(text).toMatch(/- no-reply@shop\.example \(1 message\(s\)\)\n  https:\/\/shop\.example\/U\?id=42/);
+      expect(callGraphAPI).not.toHaveBeenCalled();
+    });
+
+    it('should categorise and move messages by class', async () => {
+      const result = await triageEmails({
+        categorize: { transactional: 'Receipts' },
+        moveTo: { newsletter: 'archive' }
+      });
+
+      expect(callGraphAPI).toHaveBeenCalledWith('real-token', 'PATCH', 'me/messages/receipt', { categories: ['Finance', 'Receipts'] });
+      const batch = callGraphAPI.mock.calls.find(([, , path]) => path === '$batch')[3];
+      expect(batch.requests).toEqual([expect.objectContaining({ method: 'POST', url: '/me/messages/news/move', body: { destinationId: 'archive' } })]);
+      expect(result.content[0].text).toMatch(/🏷️ 1 transactional message\(s\) categorised "Receipts"\n📁 newsletter → archive: Batch moved 1 emails successfully\./);
+    });
+
+    it('should report the classes that could not be moved and keep the others', async () => {
+      const email = require('../email');
+      const batchMove = email.batchMoveEmails;
+      jest.spyOn(email, 'batchMoveEmails').mockImplementation(async (accessToken, params) => {
+        if (params.destinationFolderId === 'broken') throw new Error('API call failed with status 503: unavailable');
+        return batchMove(accessToken, params);
+      });
+
+      const result = await triageEmails({ moveTo: { newsletter: 'broken', automated: 'archive' } });
+      const text = result.content[0].text;
+      email.batchMoveEmails.mockRestore();
+
+      expect(result.isError).toBeUndefined();
+      expect(text).toMatch(/⚠️ Could not move the 1 newsletter message\(s\) to broken: API call failed with status 503/);
+      expect(text).toMatch(/📁 automated → archive: Batch moved 1 emails successfully\./);
+    });
+
+    it('should only write the report to a new or previous report file outside hidden directories', async () => {
+      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'email-triage-'));
+      try {
+        const reportPath = path.join(tempDir, 'triage.json');
+        const saved = await triageEmails({ reportPath });
+        expect(saved.content[0].text).toContain(`Triage report saved to:** ${fs.realpathSync(reportPath)}`);
+        expect(JSON.parse(fs.readFileSync(reportPath, 'utf8')).messages).toHaveLength(4);
+        expect((await triageEmails({ reportPath })).content[0].text).toMatch(/Triage report saved/);
+
+        const other = path.join(tempDir, 'settings.json');
+        fs.writeFileSync(other, '{"keep": true}');
+        const refusals = [
+          [other, /already exists and is not a triage report/],
+          [path.join(tempDir, 'report.txt'), /must name a \.json file/],
+          [path.join(os.homedir(), '.office-mcp-tokens.json'), /is not in an allowed directory .*, or is hidden/],
+          ['/etc/triage.json', /is not in an allowed directory/]
+        ];
+        collectGraphItems.mockClear();
+        for (const [target, message] of refusals) {
+          expect((await triageEmails({ reportPath: target, moveTo: { newsletter: 'archive' } })).content[0].text)
+            .toMatch(new RegExp(`^Invalid reportPath: .*${message.source}`));
+        }
+        expect(collectGraphItems).not.toHaveBeenCalled();
+        expect(fs.readFileSync(other, 'utf8')).toBe('{"keep": true}');
+      } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+
+    it('should reject unknown classes', async () => {
+      const result = await triageEmails({ moveTo: { spam: 'junk' } });
+
+      expect(result.content[0].text).toMatch(/Invalid class: spam/);
+      expect(collectGraphItems).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,208 @@
+const { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const https = require('https');
+const { EventEmitter } = require('events');
+const config = require('../config');
+const { syncFolder, planSync } = require('../files/folder-sync');
+
+/**
+ * A drive holding the folder "Sync" (id F); serves delta, content, uploads and deletes,
+ * and records every request
+ */
+function mockDrive(files) {
+  const drive = { files, changes: Object.keys(files), deleted: [], calls: [], nextId: 1, token: 0 };
+  const item = (id) => ({
+    id,
+    name: drive.files[id].name,
+    size: drive.files[id].content.length,
+    cTag: `c-${id}-${drive.files[id].version || 1}`,
+    file: {},
+    lastModifiedDateTime: drive.files[id].modified || '2025-03-01T10:00:00Z',
+    parentReference: { id: 'F', driveId: 'd1' }
+  });
+
+  jest.spyOn(https, 'request').mockImplementation((url, options, callback) => {
+    const chunks = [];
+    const req = new EventEmitter();
+    req.write = (chunk) => chunks.push(Buffer.from(chunk));
+    req.end = () => {
+      const method = options.method;
+      drive.calls.push(`${method} ${url.replace(config.GRAPH_API_ENDPOINT, '').split('?')[0]}`);
+      let status = 200;
+      let headers = { 'content-type': 'application/json' };
+      let body;
+
+      if (url.includes('root:/Sync')) {
+        body = { id: 'F', name: 'Sync', folder: {}, parentReference: { driveId: 'd1' } };
+      } else if (url.includes('/delta')) {
+        body = {
+          value: [...drive.changes.map(item), ...drive.deleted.map(id => ({ id, deleted: {} }))],
+          '@odata.deltaLink': `${config.GRAPH_API_ENDPOINT}drives/d1/items/F/delta?token=${++drive.token}`
+        };
+        drive.changes = [];
+        drive.deleted = [];
+      } else if (method === 'GET' && url.includes('/content')) {
+        headers = { 'content-type': 'application/octet-stream' };
+        body = drive.files[url.match(/items\/([^/]+)\/content/)[1]].content;
+      } else if (method === 'PUT') {
+        const name = decodeURIComponent(url.match(/items\/F:\/(.+):\/content/)[1]);
+        const id = Object.keys(drive.files).find(key => drive.files[key].name === name) || `new-${drive.nextId++}`;
+        drive.files[id] = { name, content: Buffer.concat(chunks), version: (drive.files[id]?.version || 0) + 1 };
+        body = item(id);
+      } else if (method === 'DELETE') {
+        delete drive.files[url.match(/items\/([^/?]+)/)[1]];
+        status = 204;
+      }
+
+      const res = new EventEmitter();
+      res.statusCode = status;
+      res.headers = headers;
+      callback(res);
+      if (body !== undefined) res.emit('data', Buffer.isBuffer(body) ? body : Buffer.from(JSON.stringify(body)));
+      res.emit('end');
+    };
+    return req;
+  });
+  return drive;
+}
+
+describe('Folder sync', () => {
+  const originalManifestPath = config.FILE_SYNC_MANIFEST_PATH;
+  let tempDir;
+  let localDir;
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'folder-sync-'));
+    config.FILE_SYNC_MANIFEST_PATH = path.join(tempDir, 'file-sync.json');
+  });
+
+  afterAll(() => {
+    config.FILE_SYNC_MANIFEST_PATH = originalManifestPath;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    localDir = path.join(tempDir, 'local');
+    fs.rmSync(localDir, { recursive: true, force: true });
+    fs.rmSync(config.FILE_SYNC_MANIFEST_PATH, { force: true });
+    fs.mkdirSync(localDir);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should download new remote files, upload new local files, then have nothing left to do', async () => {
+    const drive = mockDrive({ a: { name: 'a.txt', content: Buffer.from('remote file') } });
+    fs.writeFileSync(path.join(localDir, 'b.txt'), 'local file');
+
+    const first = await syncFolder('real-token', { localDir, remotePath: '/Sync' });
+
+    expect(first.actions.map(action => [action.type, action.path, action.status])).toEqual([
+      ['download', 'a.txt', 'done'],
+      ['upload', 'b.txt', 'done']
+    ]);
+    expect(fs.readFileSync(path.join(localDir, 'a.txt'), 'utf8')).toBe('remote file');
+    expect(drive.files['new-1'].content.toString()).toBe('local file');
+
+    const second = await syncFolder('real-token', { localDir, remotePath: '/Sync' });
+    expect(second.actions).toEqual([]);
+    expect(drive.calls.slice(-1)[0]).toMatch(/delta$/);
+  });
+
+  it('should refuse directories outside LOCAL_FILES_ROOTS and leave hidden files out', async () => {
+    const drive = mockDrive({ a: { name: '.bashrc', content: Buffer.from('remote dotfile') } });
+    fs.mkdirSync(path.join(localDir, '.ssh'));
+    fs.writeFileSync(path.join(localDir, '.ssh', 'id_rsa'), 'secret');
+    fs.writeFileSync(path.join(localDir, '.env'), 'TOKEN=secret');
+
+    await expect(syncFolder('real-token', { localDir: '/etc', remotePath: '/Sync' })).rejects.toThrow(/is not in an allowed directory/);
+    await expect(syncFolder('real-token', { localDir: path.join(localDir, '.ssh'), remotePath: '/Sync' })).rejects.toThrow(/or is hidden/);
+
+    const result = await syncFolder('real-token', { localDir, remotePath: '/Sync' });
+    expect(result.actions).toEqual([]);
+    expect(drive.calls.some(call => call.startsWith('PUT'))).toBe(false);
+    expect(fs.existsSync(path.join(localDir, '.bashrc'))).toBe(false);
+  });
+
+  it('should not propagate deletions unless they are allowed', async () => {
+    const drive = mockDrive({
+      a: { name: 'a.txt', content: Buffer.from('first') },
+      b: { name: 'b.txt', content: Buffer.from('second') }
+    });
+    await syncFolder('real-token', { localDir, remotePath: '/Sync' });
+
+    fs.rmSync(path.join(localDir, 'a.txt'));
+    delete drive.files.b;
+    drive.deleted.push('b');
+
+    const result = await syncFolder('real-token', { localDir, remotePath: '/Sync' });
+
+    expect(result.actions.map(action => [action.type, action.path, action.status])).toEqual([
+      ['skip', 'a.txt', 'skipped'],
+      ['skip', 'b.txt', 'skipped']
+    ]);
+    expect(result.actions[0].reason).toBe('deleted locally, not deleted without allowDeletes');
+    expect(drive.calls.some(call => call.startsWith('DELETE'))).toBe(false);
+    expect(drive.files.a).toBeDefined();
+    expect(fs.existsSync(path.join(localDir, 'b.txt'))).toBe(true);
+
+    // Still pending on the next sync
+    const dryRun = await syncFolder('real-token', { localDir, remotePath: '/Sync', dryRun: true });
+    expect(dryRun.actions.map(action => action.type)).toEqual(['delete_remote', 'delete_local']);
+  });
+
+  it('should propagate deletions of previously synced files when allowed', async () => {
+    const drive = mockDrive({
+      a: { name: 'a.txt', content: Buffer.from('first') },
+      b: { name: 'b.txt', content: Buffer.from('second') }
+    });
+    await syncFolder('real-token', { localDir, remotePath: '/Sync' });
+
+    fs.rmSync(path.join(localDir, 'a.txt'));
+    delete drive.files.b;
+    drive.deleted.push('b');
+
+    const result = await syncFolder('real-token', { localDir, remotePath: '/Sync', allowDeletes: true });
+
+    expect(result.actions.map(action => [action.type, action.path, action.status])).toEqual([
+      ['delete_remote', 'a.txt', 'done'],
+      ['delete_local', 'b.txt', 'done']
+    ]);
+    expect(drive.files.a).toBeUndefined();
+    expect(fs.existsSync(path.join(localDir, 'b.txt'))).toBe(false);
+  });
+
+  it('should only plan on a dry run', async () => {
+    const drive = mockDrive({ a: { name: 'a.txt', content: Buffer.from('remote file') } });
+    fs.writeFileSync(path.join(localDir, 'b.txt'), 'local file');
+
+    const result = await syncFolder('real-token', { localDir, remotePath: '/Sync', direction: 'download', dryRun: true });
+
+    expect(result.actions.map(action => action.type)).toEqual(['download']);
+    expect(drive.calls.every(call => call.startsWith('GET'))).toBe(true);
+    expect(drive.calls.some(call => call.includes('/content'))).toBe(false);
+    expect(fs.readdirSync(localDir)).toEqual(['b.txt']);
+    expect(fs.existsSync(config.FILE_SYNC_MANIFEST_PATH)).toBe(false);
+  });
+
+  it('should settle files changed on both sides with the conflict policy', async () => {
+    const base = { 'doc.txt': { itemId: 'd', tag: 'c-1', size: 5, localSize: 5, localMtimeMs: Date.parse('2025-03-01T10:00:00Z') } };
+    const state = conflictPolicy => ({
+      remote: new Map([['doc.txt', { id: 'd', cTag: 'c-2', size: 6, lastModifiedDateTime: '2025-03-02T10:00:00Z' }]]),
+      local: new Map([['doc.txt', { size: 7, mtimeMs: Date.parse('2025-03-03T10:00:00Z') }]]),
+      base,
+      direction: 'both',
+      conflictPolicy,
+      sameContent: async () => false
+    });
+
+    expect((await planSync(state('newer-wins')))[0]).toMatchObject({ type: 'upload', reason: expect.stringMatching(/both sides: local copy is newer/) });
+    expect((await planSync(state('remote-wins')))[0]).toMatchObject({ type: 'download' });
+    expect((await planSync(state('keep-both')))[0]).toMatchObject({ type: 'keep_both' });
+    expect((await planSync({ ...state('newer-wins'), direction: 'download' }))[0]).toMatchObject({ type: 'skip' });
+    expect(await planSync({ ...state('newer-wins'), sameContent: async () => true })).toEqual([expect.objectContaining({ type: 'record' })]);
+  });
+});
@@ -0,0 +1,93 @@
+const { describe, it, expect, beforeEach, afterEach } = require('@jest/globals');
+const https = require('https');
+const { EventEmitter } = require('events');
+const tokenManager = require('../auth/token-manager');
+const { callGraphAPI } = require('../utils/graph-api');
+
+jest.mock('../auth/token-manager', () => ({
+  refreshAfterUnauthorized: jest.fn()
+}));
+
+/**
+ * Makes https.request answer with the given responses, in order, recording
+ * the Authorization header of each request
+ */
+function mockHttpsResponses(responses) {
+  const calls = [];
+  jest.spyOn(https, 'request').mockImplementation((url, options, callback) => {
+    const { status, body = '' } = responses[calls.length];
+    calls.push({ url, authorization: options.headers.Authorization });
+
+    const req = new EventEmitter();
+    req.write = () => {};
+    req.end = () => {
+      const res = new EventEmitter();
+      res.statusCode = status;
+      res.headers = { 'content-type': 'application/json' };
+      callback(res);
+      res.emit('data', JSON.stringify(body));
+      res.emit('end');
+    };
+    return req;
+  });
+  return calls;
+}
+
+const UNAUTHORIZED = { status: 401, body: { error: { code: 'InvalidAuthenticationToken', message: 'Access token has expired' } } };
+
+describe('Graph 401 handling', () => {
+  beforeEach(() => {
+    tokenManager.refreshAfterUnauthorized.mockReset();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should refresh the token once and replay the request', async () => {
+    tokenManager.refreshAfterUnauthorized.mockResolvedValue('new-token');
+    const calls = mockHttpsResponses([UNAUTHORIZED, { status: 200, body: { id: 'm1' } }]);
+
+    const response = await callGraphAPI('old-token', 'PATCH', 'me/messages/m1', { isRead: true });
+
+    expect(response).toEqual({ id: 'm1' });
+    expect(tokenManager.refreshAfterUnauthorized).toHaveBeenCalledWith('old-token');
+    expect(calls.map(call => call.authorization)).toEqual(['Bearer old-token', 'Bearer new-token']);
+  });
+
+  it('should fail when the refresh fails', async () => {
+    tokenManager.refreshAfterUnauthorized.mockRejectedValue(new Error('invalid_grant'));
+    const calls = mockHttpsResponses([UNAUTHORIZED]);
+
+    await expect(callGraphAPI('old-token', 'GET', 'me/messages')).rejects.toThrow(/UNAUTHORIZED.*could not be refreshed \(invalid_grant\)/);
+    expect(calls).toHaveLength(1);
+  });
+
+  it('should not refresh again when the new token is rejected too', async () => {
+    tokenManager.refreshAfterUnauthorized.mockResolvedValue('new-token');
+    const calls = mockHttpsResponses([UNAUTHORIZED, UNAUTHORIZED]);
+
+    await expect(callGraphAPI('old-token', 'GET', 'me/messages')).rejects.toThrow(/^UNAUTHORIZED/);
+    expect(tokenManager.refreshAfterUnauthorized).toHaveBeenCalledTimes(1);
+    expect(calls).toHaveLength(2);
+  });
+
+  it('should replay a batch whose sub-requests were all rejected', async () => {
+    tokenManager.refreshAfterUnauthorized.mockResolvedValue('new-token');
+    const calls = mockHttpsResponses([
+      { status: 200, body: { responses: [{ id: '1', status: 401, body: {} }, { id: '2', status: 401, body: {} }] } },
+      { status: 200, body: { responses: [{ id: '1', status: 200, body: {} }, { id: '2', status: 204 }] } }
+    ]);
+
+    const batch = {
+      requests: [
+        { id: '1', method: 'GET', url: '/me/messages/a' },
+        { id: '2', method: 'DELETE', url: '/me/messages/b' }
+      ]
+    };
+    const response = await callGraphAPI('old-token', 'POST', '$batch', batch);
+
+    expect(response.responses.map(r => r.status)).toEqual([200, 204]);
+    expect(calls[1].authorization).toBe('Bearer new-token');
+  });
+});
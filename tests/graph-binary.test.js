@@ -0,0 +1,137 @@
+const { describe, it, expect, beforeAll, afterAll, afterEach } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const https = require('https');
+const { EventEmitter } = require('events');
+const { callGraphAPI } = require('../utils/graph-api');
+
+// Every byte value, so any text decoding along the way would show
+const BINARY = Buffer.from(Array.from({ length: 256 }, (_, i) => i));
+
+/**
+ * Makes https.request answer with the given responses, in order, recording
+ * each request's URL, headers and body
+ */
+function mockHttpsResponses(responses) {
+  const calls = [];
+  jest.spyOn(https, 'request').mockImplementation((url, options, callback) => {
+    const { status, headers = {}, body = Buffer.alloc(0) } = responses[calls.length];
+    const call = { url, headers: options.headers, body: [] };
+    calls.push(call);
+
+    const req = new EventEmitter();
+    req.write = (chunk) => call.body.push(Buffer.from(chunk));
+    req.end = () => {
+      const res = new EventEmitter();
+      res.statusCode = status;
+      res.headers = headers;
+      callback(res);
+      // Deliver the body in two chunks
+      const data = Buffer.isBuffer(body) ? body : Buffer.from(JSON.stringify(body));
+      res.emit('data', data.subarray(0, 100));
+      res.emit('data', data.subarray(100));
+      res.emit('end');
+    };
+    return req;
+  });
+  return calls;
+}
+
+describe('Binary Graph transport', () => {
+  let tempDir;
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'graph-binary-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should return binary responses as an intact Buffer', async () => {
+    mockHttpsResponses([{ status: 200, headers: { 'content-type': 'application/pdf' }, body: BINARY }]);
+
+    const content = await callGraphAPI('real-token', 'GET', 'me/drive/items/f1/content');
+
+    expect(Buffer.isBuffer(content)).toBe(true);
+    expect(content.equals(BINARY)).toBe(true);
+  });
+
+  it('should return text and JSON responses as before', async () => {
+    mockHttpsResponses([
+      { status: 200, headers: { 'content-type': 'text/vtt' }, body: Buffer.from('WEBVTT\n\n00:00.000 --> 00:01.000\nBonjour é') },
+      { status: 200, headers: { 'content-type': 'application/json; charset=utf-8' }, body: { id: 'é1' } },
+      { status: 204, headers: {} }
+    ]);
+
+    expect(await callGraphAPI('real-token', 'GET', 'me/onlineMeetings/m/transcripts/t/content')).toMatch(/Bonjour é$/);
+    expect(await callGraphAPI('real-token', 'GET', 'me/messages/1')).toEqual({ id: 'é1' });
+    expect(await callGraphAPI('real-token', 'DELETE', 'me/messages/1')).toBe('');
+  });
+
+  it('should send Buffers as they are and objects as JSON', async () => {
+    const calls = mockHttpsResponses([
+      { status: 201, headers: { 'content-type': 'application/json' }, body: { id: 'f1' } },
+      { status: 200, headers: { 'content-type': 'application/json' }, body: { id: 'm1' } }
+    ]);
+
+    await callGraphAPI('real-token', 'PUT', 'me/drive/root:/a.bin:/content', BINARY, {}, { 'Content-Type': 'image/png' });
+    await callGraphAPI('real-token', 'PATCH', 'me/messages/m1', { isRead: true });
+
+    expect(Buffer.concat(calls[0].body).equals(BINARY)).toBe(true);
+    expect(calls[0].headers).toMatchObject({ 'Content-Type': 'image/png', 'Content-Length': 256 });
+    expect(Buffer.concat(calls[1].body).toString()).toBe('{"isRead":true}');
+    expect(calls[1].headers['Content-Type']).toBe('application/json');
+  });
+
+  it('should follow the download redirect without the token and stream the file to disk', async () => {
+    const calls = mockHttpsResponses([
+      { status: 302, headers: { location: 'https://download.example.com/f1?tempauth=x' } },
+      { status: 200, headers: { 'content-type': 'application/octet-stream' }, body: BINARY }
+    ]);
+    const target = path.join(tempDir, 'nested', 'file.bin');
+
+    const saved = await callGraphAPI('real-token', 'GET', 'me/drive/items/f1/content', null, {}, {}, { saveTo: target });
+
+    expect(saved).toEqual({ path: target, size: 256, contentType: 'application/octet-stream' });
+    expect(fs.readFileSync(target).equals(BINARY)).toBe(true);
+    expect(fs.existsSync(`${target}.part`)).toBe(false);
+    expect(calls[1].url).toBe('https://download.example.com/f1?tempauth=x');
+    expect(calls[1].headers.Authorization).toBeUndefined();
+  });
+
+  it('should not create the file when the download fails', async () => {
+    mockHttpsResponses([{ status: 404, headers: { 'content-type': 'application/json' }, body: { error: { message: 'Item not found' } } }]);
+    const target = path.join(tempDir, 'missing.bin');
+
+    await expect(callGraphAPI('real-token', 'GET', 'me/drive/items/nope/content', null, {}, {}, { saveTo: target }))
+      .rejects.toThrow(/status 404: Item not found/);
+    expect(fs.existsSync(target)).toBe(false);
+  });
+
+  it('should reject and remove the partial file when the download cannot be moved into place', async () => {
+    mockHttpsResponses([{ status: 200, headers: { 'content-type': 'application/octet-stream' }, body: BINARY }]);
+    // A non-empty directory at the target path makes the final rename fail
+    const target = path.join(tempDir, 'occupied');
+    fs.mkdirSync(path.join(target, 'inside'), { recursive: true });
+
+    await expect(callGraphAPI('real-token', 'GET', 'me/drive/items/f1/content', null, {}, {}, { saveTo: target }))
+      .rejects.toThrow(/Unable to write .*occupied/);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(fs.existsSync(`${target}.part`)).toBe(false);
+  });
+
+  it('should reject when the target directory cannot be created', async () => {
+    mockHttpsResponses([{ status: 200, headers: { 'content-type': 'application/octet-stream' }, body: BINARY }]);
+    const blocker = path.join(tempDir, 'blocker');
+    fs.writeFileSync(blocker, 'a file, not a directory');
+
+    await expect(callGraphAPI('real-token', 'GET', 'me/drive/items/f1/content', null, {}, {}, { saveTo: path.join(blocker, 'file.bin') }))
+      .rejects.toThrow(/Unable to write/);
+  });
+});
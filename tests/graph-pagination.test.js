@@ -0,0 +1,94 @@
+const { describe, it, expect, beforeAll, afterAll, afterEach } = require('@jest/globals');
+const config = require('../config');
+const mockData = require('../utils/mock-data');
+const { toGraphPath, iterateGraphPages, collectGraphItems } = require('../utils/graph-api');
+
+const TOKEN = 'test_access_token_paging';
+
+/**
+ * Serves a collection of `total` items in pages of `pageSize`, linked by @odata.nextLink
+ */
+function mockPagedCollection(total, pageSize) {
+  return jest.spyOn(mockData, 'simulateGraphAPIResponse').mockImplementation((method, path) => {
+    const skip = Number(new URLSearchParams(path.split('?')[1] || '').get('$skip') || 0);
+    const value = Array.from({ length: Math.min(pageSize, total - skip) }, (_, i) => ({ id: `item-${skip + i}` }));
+    const response = { value };
+    if (skip + pageSize < total) {
+      response['@odata.nextLink'] = `${config.GRAPH_API_ENDPOINT}me/messages?$skip=${skip + pageSize}`;
+    }
+    return response;
+  });
+}
+
+describe('Graph pagination', () => {
+  const originalTestMode = config.USE_TEST_MODE;
+
+  beforeAll(() => {
+    config.USE_TEST_MODE = true;
+  });
+
+  afterAll(() => {
+    config.USE_TEST_MODE = originalTestMode;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('toGraphPath', () => {
+    it('should turn absolute links into callGraphAPI paths', () => {
+      expect(toGraphPath('https://graph.microsoft.com/v1.0/me/messages?$skip=10')).toBe('me/messages?$skip=10');
+      expect(toGraphPath('https://graph.microsoft.com/beta/me/chats?$skiptoken=abc')).toBe('me/chats?$skiptoken=abc');
+    });
+  });
+
+  describe('iterateGraphPages', () => {
+    it('should follow nextLink until the last page, sending the query only once', async () => {
+      const spy = mockPagedCollection(25, 10);
+
+      const pages = [];
+      for await (const page of iterateGraphPages(TOKEN, 'me/messages', { $top: 10 })) {
+        pages.push(page.value.length);
+      }
+
+      expect(pages).toEqual([10, 10, 5]);
+      expect(spy.mock.calls.map(call => [call[1], call[3]])).toEqual([
+        ['me/messages', { $top: 10 }],
+        ['me/messages?$skip=10', {}],
+        ['me/messages?$skip=20', {}]
+      ]);
+    });
+  });
+
+  describe('collectGraphItems', () => {
+    it('should fetch only the pages needed for maxItems', async () => {
+      const spy = mockPagedCollection(1000, 50);
+
+      const items = await collectGraphItems(TOKEN, 'me/messages', {}, { maxItems: 120, pageSize: 50 });
+
+      expect(items).toHaveLength(120);
+      expect(items[119].id).toBe('item-119');
+      expect(spy).toHaveBeenCalledTimes(3);
+      expect(spy.mock.calls[0][3]).toEqual({ $top: 50 });
+    });
+
+    it('should cap the page size to maxItems and collect everything without a limit', async () => {
+      let spy = mockPagedCollection(30, 10);
+      await collectGraphItems(TOKEN, 'me/messages', {}, { maxItems: 5, pageSize: 50 });
+      expect(spy.mock.calls[0][3]).toEqual({ $top: 5 });
+
+      spy.mockRestore();
+      spy = mockPagedCollection(30, 10);
+      expect(await collectGraphItems(TOKEN, 'me/messages')).toHaveLength(30);
+    });
+
+    it('should stop when Graph repeats a nextLink', async () => {
+      jest.spyOn(mockData, 'simulateGraphAPIResponse').mockImplementation(() => ({
+        value: [{ id: 'same' }],
+        '@odata.nextLink': `${config.GRAPH_API_ENDPOINT}me/messages?$skiptoken=loop`
+      }));
+
+      expect(await collectGraphItems(TOKEN, 'me/messages')).toHaveLength(2);
+    });
+  });
+});
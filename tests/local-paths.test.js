@@ -0,0 +1,85 @@
+const { describe, it, expect, beforeEach, afterEach } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const { resolveLocalPath } = require('../utils/local-paths');
+const { filesTools } = require('../files');
+
+jest.mock('../auth', () => ({
+  ensureAuthenticated: jest.fn().mockResolvedValue('real-token')
+}));
+
+const handleFiles = filesTools.find(tool => tool.name === 'files').handler;
+
+describe('Local paths', () => {
+  const originalRoots = config.LOCAL_FILES_ROOTS;
+  const originalPolicyPath = config.POLICY_PATH;
+  let root;
+
+  beforeEach(() => {
+    root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'local-paths-')));
+    config.LOCAL_FILES_ROOTS = [root];
+    config.POLICY_PATH = path.join(root, 'policy.json');
+  });
+
+  afterEach(() => {
+    config.LOCAL_FILES_ROOTS = originalRoots;
+    config.POLICY_PATH = originalPolicyPath;
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it('should accept new paths under a root, including missing directories', () => {
+    expect(resolveLocalPath(path.join(root, 'downloads', 'report.pdf'))).toBe(path.join(root, 'downloads', 'report.pdf'));
+  });
+
+  it('should refuse paths outside the roots, hidden paths and the server data files', () => {
+    fs.symlinkSync('/etc', path.join(root, 'etc-link'));
+
+    expect(() => resolveLocalPath('/etc/passwd')).toThrow(/is not in an allowed directory/);
+    expect(() => resolveLocalPath(path.join(root, 'etc-link', 'passwd'))).toThrow(/is not in an allowed directory/);
+    expect(() => resolveLocalPath(path.join(root, '.ssh', 'id_rsa'))).toThrow(/or is hidden/);
+    expect(() => resolveLocalPath(root)).toThrow(/is not in an allowed directory/);
+    expect(() => resolveLocalPath(config.POLICY_PATH)).toThrow(/is a data file of this server/);
+    expect(() => resolveLocalPath(path.join(root, 'policy.work.json'))).toThrow(/is a data file of this server/);
+  });
+
+  it('should only replace an existing file when allowed', () => {
+    const existing = path.join(root, 'notes.txt');
+    fs.writeFileSync(existing, 'keep');
+
+    expect(() => resolveLocalPath(existing, { overwrite: false })).toThrow(/already exists; pass overwrite: true/);
+    expect(resolveLocalPath(existing)).toBe(existing);
+  });
+
+  it('should refuse to upload hidden files and the server data files', async () => {
+    fs.mkdirSync(path.join(root, '.ssh'));
+    fs.writeFileSync(path.join(root, '.ssh', 'id_rsa'), 'secret');
+    fs.writeFileSync(config.POLICY_PATH, '{}');
+
+    for (const [localPath, message] of [
+      [path.join(root, '.ssh', 'id_rsa'), /or is hidden/],
+      [config.POLICY_PATH, /is a data file of this server/],
+      ['/etc/hostname', /is not in an allowed directory/]
+    ]) {
+      const result = await handleFiles({ operation: 'upload', localPath });
+      expect(result.content[0].text).toMatch(new RegExp(`^Invalid localPath: .*${message.source}`));
+    }
+    expect((await handleFiles({ operation: 'upload', localPath: path.join(root, 'missing.txt') })).content[0].text).toMatch(/^Local file not found/);
+  });
+
+  it('should refuse a download savePath or localDir before downloading', async () => {
+    const https = require('https');
+    const request = jest.spyOn(https, 'request');
+    try {
+      const result = await handleFiles({ operation: 'download', fileId: 'F1', savePath: config.POLICY_PATH });
+      expect(result.content[0].text).toMatch(/^Invalid savePath: .* is a data file of this server/);
+
+      const folder = await handleFiles({ operation: 'download_to', fileId: 'F1', localDir: path.join(root, '.config') });
+      expect(folder.content[0].text).toMatch(/^Invalid localDir: .* or is hidden/);
+      expect(request).not.toHaveBeenCalled();
+    } finally {
+      request.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,123 @@
+const { describe, it, expect, beforeAll, afterAll } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const {
+  applyMailChanges,
+  searchMailIndex,
+  parseLocalQuery,
+  hasMailIndex,
+  isMailIndexCurrent,
+  getMailIndexStats
+} = require('../sync/mail-index');
+
+function message(id, subject, fromAddress, body, extra = {}) {
+  return {
+    id,
+    subject,
+    from: { emailAddress: { name: fromAddress.split('@')[0], address: fromAddress } },
+    toRecipients: [{ emailAddress: { address: 'me@example.com' } }],
+    receivedDateTime: `2025-08-0${id}T10:00:00Z`,
+    body: { contentType: 'text', content: body },
+    isRead: false,
+    importance: 'normal',
+    categories: [],
+    ...extra
+  };
+}
+
+describe('Local mail index', () => {
+  const originalPath = config.MAIL_INDEX_PATH;
+  let tempDir;
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mail-index-'));
+    config.MAIL_INDEX_PATH = path.join(tempDir, 'index.json');
+
+    applyMailChanges({
+      added: [
+        message('1', 'Budget review', 'alice@example.com', 'Please review the Q3 budget'),
+        message('2', 'Lunch', 'bob@example.com', 'Pizza on Friday?', { categories: ['Personal'] }),
+        message('3', 'Budget final', 'bob@example.com', 'Final numbers attached', { hasAttachments: true, isRead: true, parentFolderId: 'AAMkInbox' })
+      ],
+      changed: [],
+      deleted: []
+    }, { folder: 'inbox', isInitial: true });
+  });
+
+  afterAll(() => {
+    config.MAIL_INDEX_PATH = originalPath;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('parseLocalQuery', () => {
+    it('should parse fields, phrases, negation and OR groups', () => {
+      expect(parseLocalQuery('from:alice "q3 budget" -lunch OR subject:report')).toEqual([
+        [
+          { field: 'from', value: 'alice', negate: false },
+          { field: null, value: 'q3 budget', negate: false },
+          { field: null, value: 'lunch', negate: true }
+        ],
+        [{ field: 'subject', value: 'report', negate: false }]
+      ]);
+    });
+
+    it('should return no groups for an empty query', () => {
+      expect(parseLocalQuery('')).toEqual([]);
+    });
+  });
+
+  describe('searchMailIndex', () => {
+    it('should persist the index to disk', () => {
+      expect(fs.existsSync(config.MAIL_INDEX_PATH)).toBe(true);
+      expect(getMailIndexStats()).toMatchObject({ count: 3, folders: { inbox: 3 } });
+    });
+
+    it('should match words in subject and body, newest first', () => {
+      expect(searchMailIndex({ query: 'budget' }).map(e => e.id)).toEqual(['3', '1']);
+      expect(searchMailIndex({ query: 'pizza' }).map(e => e.id)).toEqual(['2']);
+    });
+
+    it('should apply field terms and negation', () => {
+      expect(searchMailIndex({ query: 'budget -from:alice' }).map(e => e.id)).toEqual(['3']);
+      expect(searchMailIndex({ query: 'category:personal' }).map(e => e.id)).toEqual(['2']);
+    });
+
+    it('should apply structured filters', () => {
+      expect(searchMailIndex({ isRead: true }).map(e => e.id)).toEqual(['3']);
+      expect(searchMailIndex({ from: 'bob', hasAttachments: false }).map(e => e.id)).toEqual(['2']);
+      expect(searchMailIndex({ startDate: '2025-08-02', endDate: '2025-08-02' }).map(e => e.id)).toEqual(['2']);
+    });
+
+    it('should scope searches to a folder', () => {
+      expect(hasMailIndex('Inbox')).toBe(true);
+      expect(hasMailIndex('archive')).toBe(false);
+      expect(searchMailIndex({ folder: 'archive' })).toHaveLength(0);
+    });
+
+    it('should only stand in for Graph on recently synced folders', () => {
+      expect(isMailIndexCurrent('Inbox')).toBe(true);
+      expect(isMailIndexCurrent('AAMkInbox')).toBe(true);
+      expect(isMailIndexCurrent('archive')).toBe(false);
+      // The whole mailbox is never covered by the synced folders
+      expect(isMailIndexCurrent()).toBe(false);
+
+      const stored = JSON.parse(fs.readFileSync(config.MAIL_INDEX_PATH, 'utf8'));
+      expect(stored.syncedAt.inbox).toBeDefined();
+
+      const originalMaxAge = config.MAIL_INDEX_MAX_AGE_MINUTES;
+      config.MAIL_INDEX_MAX_AGE_MINUTES = -1;
+      try {
+        expect(isMailIndexCurrent('inbox')).toBe(false);
+      } finally {
+        config.MAIL_INDEX_MAX_AGE_MINUTES = originalMaxAge;
+      }
+    });
+
+    it('should apply deletions from later syncs', () => {
+      applyMailChanges({ added: [], changed: [], deleted: [{ id: '2' }] }, { folder: 'inbox', isInitial: false });
+      expect(searchMailIndex({ query: 'pizza' })).toHaveLength(0);
+    });
+  });
+});
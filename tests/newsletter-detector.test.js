@@ -11,6 +11,8 @@ const {
   checkEmailStructure,
   checkSubject,
   applyWhitelistBlacklist,
+  trainSignalModel,
+  applySignalModel,
   clearCache,
   NEWSLETTER_SIGNALS
 } = require('../utils/newsletter-detector');
@@ -581,4 +583,36 @@ describe('Newsletter Detection', () => {
       expect(result).toEqual(detection);
     });
   });
+
+  describe('learned signal weights', () => {
+    const feedback = [
+      ...Array(3).fill({ label: 'newsletter', signals: ['newsletter-subject', 'unsubscribe-link'] }),
+      ...Array(3).fill({ label: 'not_newsletter', signals: ['newsletter-subject'] })
+    ];
+
+    it('should learn which signals tell newsletters apart', () => {
+      const model = trainSignalModel(feedback);
+
+      expect(model.examples).toEqual({ newsletter: 3, not_newsletter: 3 });
+      expect(model.trained).toBe(true);
+      expect(model.weights['unsubscribe-link'].present).toBeGreaterThan(0);
+      expect(model.weights['unsubscribe-link'].absent).toBeLessThan(0);
+      expect(model.weights['newsletter-subject'].present).toBeCloseTo(0);
+    });
+
+    it('should adjust detections only once trained', () => {
+      const detection = { isNewsletter: false, confidence: 30, signals: ['newsletter-subject', 'unsubscribe-link'], reason: 'newsletter-subject' };
+
+      const adjusted = applySignalModel(detection, trainSignalModel(feedback), 60);
+      expect(adjusted.isNewsletter).toBe(true);
+      expect(adjusted.confidence).toBeGreaterThan(60);
+      expect(adjusted.signals).toContain('learned-weights');
+
+      const other = applySignalModel({ ...detection, confidence: 40, signals: ['newsletter-subject'] }, trainSignalModel(feedback), 60);
+      expect(other.isNewsletter).toBe(false);
+      expect(other.confidence).toBeLessThan(40);
+
+      expect(applySignalModel(detection, trainSignalModel(feedback.slice(0, 4)), 60)).toBe(detection);
+    });
+  });
 });
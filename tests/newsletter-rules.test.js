@@ -0,0 +1,119 @@
+const { describe, it, expect, beforeAll, afterAll, beforeEach } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../auth', () => ({
+  ensureAuthenticated: jest.fn().mockResolvedValue('real-token')
+}));
+jest.mock('../utils/graph-api');
+
+const config = require('../config');
+const { callGraphAPI } = require('../utils/graph-api');
+const { clearCache } = require('../utils/newsletter-detector');
+const { runWithAccount, profileScopedPath } = require('../auth/profiles');
+const { newsletterRulesTools, createNewsletterDetector } = require('../tools/newsletter-rules');
+
+const newsletterRules = newsletterRulesTools[0].handler;
+const textOf = result => result.content[0].text;
+
+const MESSAGES = {
+  m1: { id: 'm1', from: { emailAddress: { address: 'Deals@Shop.example' } }, subject: 'Weekly deals', receivedDateTime: '2025-03-01T10:00:00Z', body: { content: '<p>Unsubscribe</p>' } },
+  m2: { id: 'm2', from: { emailAddress: { address: 'deals@shop.example' } }, subject: 'Monthly deals', receivedDateTime: '2025-03-02T10:00:00Z', body: { content: '<p>Hi</p>' } },
+  m3: { id: 'm3', from: { emailAddress: { address: 'club@sport.example' } }, subject: 'Weekly update', receivedDateTime: '2025-03-03T10:00:00Z', body: { content: '<p>Unsubscribe</p>' } }
+};
+
+describe('Newsletter rules', () => {
+  const originalRulesPath = config.NEWSLETTER_RULES_PATH;
+  const originalFeedbackPath = config.NEWSLETTER_FEEDBACK_PATH;
+  const originalProfilesPath = config.PROFILES_PATH;
+  let tempDir;
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'newsletter-rules-'));
+    config.NEWSLETTER_RULES_PATH = path.join(tempDir, 'newsletter-rules.json');
+    config.NEWSLETTER_FEEDBACK_PATH = path.join(tempDir, 'newsletter-feedback.json');
+    config.PROFILES_PATH = path.join(tempDir, 'profiles.json');
+    fs.writeFileSync(config.PROFILES_PATH, JSON.stringify({ active: 'default', profiles: { work: { clientId: 'work-client' } } }));
+  });
+
+  afterAll(() => {
+    config.NEWSLETTER_RULES_PATH = originalRulesPath;
+    config.NEWSLETTER_FEEDBACK_PATH = originalFeedbackPath;
+    config.PROFILES_PATH = originalProfilesPath;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    clearCache();
+    fs.rmSync(config.NEWSLETTER_RULES_PATH, { force: true });
+    fs.rmSync(profileScopedPath(config.NEWSLETTER_RULES_PATH, 'work'), { force: true });
+    fs.rmSync(config.NEWSLETTER_FEEDBACK_PATH, { force: true });
+    callGraphAPI.mockReset();
+    callGraphAPI.mockImplementation(async (accessToken, method, apiPath) => {
+      const message = MESSAGES[apiPath.split('/').pop()];
+      if (!message) throw new Error('API call failed with status 404: not found');
+      return message;
+    });
+  });
+
+  it('should edit the rule lists of the rules file', async () => {
+    expect(textOf(await newsletterRules({ operation: 'add', rule: 'blacklist.senders', values: ['Promo@Ads.example', 'promotions@ads.com'] })))
+      .toBe('Added to blacklist.senders: promo@ads.example');
+    expect(textOf(await newsletterRules({ operation: 'add', rule: 'customPatterns.subjectPatterns', values: ['[unclosed'] })))
+      .toMatch(/Invalid pattern \[unclosed/);
+    expect(textOf(await newsletterRules({ operation: 'remove', rule: 'whitelist.domains', values: ['trusted-partner.com'] })))
+      .toBe('Removed from whitelist.domains: trusted-partner.com');
+
+    const rules = JSON.parse(fs.readFileSync(config.NEWSLETTER_RULES_PATH, 'utf8'));
+    expect(rules.blacklist.senders).toEqual(['noreply@spam-company.com', 'promotions@ads.com', 'promo@ads.example']);
+    expect(rules.whitelist.domains).toEqual(['example-important-vendor.com']);
+    expect(rules.whitelist.comment).toBeDefined();
+
+    const view = textOf(await newsletterRules({ operation: 'view' }));
+    expect(view).toMatch(/- blacklist\.senders: noreply@spam-company\.com, promotions@ads\.com, promo@ads\.example/);
+    expect(view).toMatch(/Learned from 0 feedback message\(s\)/);
+  });
+
+  it('should start each profile from the shipped defaults and keep its edits to itself', async () => {
+    const defaults = fs.readFileSync(config.NEWSLETTER_RULES_DEFAULTS_PATH, 'utf8');
+    expect(textOf(await newsletterRules({ operation: 'view' }))).toContain(`(defaults from ${config.NEWSLETTER_RULES_DEFAULTS_PATH})`);
+
+    await runWithAccount('work', () => newsletterRules({ operation: 'add', rule: 'blacklist.domains', values: ['ads.example'] }));
+
+    const workPath = profileScopedPath(config.NEWSLETTER_RULES_PATH, 'work');
+    expect(JSON.parse(fs.readFileSync(workPath, 'utf8')).blacklist.domains).toContain('ads.example');
+    expect(textOf(await runWithAccount('work', () => newsletterRules({ operation: 'view' })))).toContain(`(${workPath})`);
+    expect(fs.existsSync(config.NEWSLETTER_RULES_PATH)).toBe(false);
+    expect(textOf(await newsletterRules({ operation: 'view' }))).not.toMatch(/ads\.example/);
+    expect(fs.readFileSync(config.NEWSLETTER_RULES_DEFAULTS_PATH, 'utf8')).toBe(defaults);
+  });
+
+  it('should learn sender rules from feedback and forget them', async () => {
+    const result = await newsletterRules({ operation: 'feedback', emailIds: ['m1', 'missing'], label: 'newsletter' });
+    expect(textOf(result)).toMatch(/^Recorded 1 message\(s\) as newsletter\.\n- Weekly deals — deals@shop\.example \(sender rule: newsletter\)/);
+    expect(textOf(result)).toMatch(/1 message\(s\) could not be read:\nmissing: API call failed with status 404/);
+
+    let detect = createNewsletterDetector();
+    const detection = await detect(MESSAGES.m2);
+    expect(detection).toMatchObject({ isNewsletter: true, confidence: 100, reason: 'learned-sender' });
+
+    // The label given most often wins; the latest one on a tie
+    await newsletterRules({ operation: 'feedback', emailIds: ['m2'], label: 'not_newsletter' });
+    detect = createNewsletterDetector();
+    expect(await detect(MESSAGES.m1)).toMatchObject({ isNewsletter: false, reason: 'learned-sender' });
+    expect(textOf(await newsletterRules({ operation: 'view' }))).toMatch(/- deals@shop\.example → not_newsletter \(2 message\(s\)\)/);
+
+    expect(textOf(await newsletterRules({ operation: 'forget', senders: ['DEALS@shop.example'] }))).toBe('Forgot feedback on 2 message(s).');
+    detect = createNewsletterDetector();
+    expect((await detect(MESSAGES.m1)).reason).not.toBe('learned-sender');
+  });
+
+  it('should keep rules from the rules file over feedback', async () => {
+    await newsletterRules({ operation: 'feedback', emailIds: ['m3'], label: 'newsletter' });
+    await newsletterRules({ operation: 'add', rule: 'whitelist.domains', values: ['sport.example'] });
+
+    const detect = createNewsletterDetector();
+    expect(await detect(MESSAGES.m3)).toMatchObject({ isNewsletter: false, reason: 'whitelisted' });
+  });
+});
@@ -0,0 +1,136 @@
+const { describe, it, expect, beforeAll, afterAll } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const { checkToolCall, resolveOperation, isReadCall, writesLocalFiles, matchesRule } = require('../policy');
+
+describe('Tool policy', () => {
+  const originalPath = config.POLICY_PATH;
+  const originalReadOnly = config.READ_ONLY;
+  let tempDir;
+
+  // Distinct mtimes so each rewrite of the policy file is picked up
+  let writes = 0;
+  const writePolicy = policy => {
+    fs.writeFileSync(config.POLICY_PATH, JSON.stringify(policy));
+    const time = new Date(Date.now() + (++writes) * 1000);
+    fs.utimesSync(config.POLICY_PATH, time, time);
+  };
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'policy-'));
+    config.POLICY_PATH = path.join(tempDir, 'policy.json');
+  });
+
+  afterAll(() => {
+    config.POLICY_PATH = originalPath;
+    config.READ_ONLY = originalReadOnly;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('matchesRule', () => {
+    it('should match tools, operations and wildcards', () => {
+      expect(matchesRule('files', 'files', 'delete')).toBe(true);
+      expect(matchesRule('files.delete', 'files', 'delete')).toBe(true);
+      expect(matchesRule('files.delete', 'files', 'list')).toBe(false);
+      expect(matchesRule('planner_*.delete', 'planner_bulk_operations', 'delete')).toBe(true);
+      expect(matchesRule('*.delete', 'search', null)).toBe(false);
+    });
+  });
+
+  describe('resolveOperation', () => {
+    it('should map legacy teams_chat operations', () => {
+      expect(resolveOperation('teams_chat', { operation: 'delete' })).toBe('delete_message');
+      expect(resolveOperation('teams_chat', { chatId: 'c', content: 'hi' })).toBe('send_message');
+      expect(resolveOperation('email_search', { query: 'x' })).toBeNull();
+      expect(resolveOperation('email_triage', { folderName: 'inbox' })).toBe('classify');
+      expect(resolveOperation('email_triage', { moveTo: { newsletter: 'Newsletters' } })).toBe('apply');
+    });
+  });
+
+  describe('isReadCall', () => {
+    it('should classify read and write calls', () => {
+      expect(isReadCall('email', 'list_drafts')).toBe(true);
+      expect(isReadCall('planner_bucket', 'get_tasks')).toBe(true);
+      expect(isReadCall('email_search', null)).toBe(true);
+      expect(isReadCall('email', 'send')).toBe(false);
+      expect(isReadCall('email_move', null)).toBe(false);
+      expect(isReadCall('email_triage', 'classify')).toBe(true);
+      expect(isReadCall('email_triage', 'apply')).toBe(false);
+      expect(isReadCall('authenticate', 'add_profile')).toBe(true);
+    });
+  });
+
+  describe('writesLocalFiles', () => {
+    it('should flag operations and arguments that write local files', () => {
+      expect(writesLocalFiles('authenticate', 'remove_profile')).toBe(true);
+      expect(writesLocalFiles('authenticate', 'login')).toBe(false);
+      expect(writesLocalFiles('saved_search', 'save')).toBe(true);
+      expect(writesLocalFiles('saved_search', 'run_saved')).toBe(false);
+      expect(writesLocalFiles('newsletter_rules', 'add')).toBe(true);
+      expect(writesLocalFiles('newsletter_rules', 'view')).toBe(false);
+      expect(writesLocalFiles('files', 'download', { fileId: '1', savePath: '/tmp/a.bin' })).toBe(true);
+      expect(writesLocalFiles('files', 'download', { fileId: '1' })).toBe(false);
+      expect(writesLocalFiles('email_triage', 'classify', { reportPath: '/tmp/report.json' })).toBe(true);
+    });
+  });
+
+  describe('checkToolCall', () => {
+    it('should allow everything without a policy file', async () => {
+      expect(await checkToolCall('files', { operation: 'delete' })).toBeNull();
+    });
+
+    it('should apply deny rules before allow rules', async () => {
+      writePolicy({ allow: ['files'], deny: ['files.delete'] });
+
+      expect(await checkToolCall('files', { operation: 'list' })).toBeNull();
+      expect(await checkToolCall('files', { operation: 'delete' })).toMatch(/denied by policy rule "files.delete"/);
+      expect(await checkToolCall('email', { operation: 'list' })).toMatch(/not in the policy allow list/);
+    });
+
+    it('should block writes in read-only mode', async () => {
+      writePolicy({ readOnly: true });
+
+      expect(await checkToolCall('calendar', { operation: 'list' })).toBeNull();
+      expect(await checkToolCall('calendar', { operation: 'delete' })).toMatch(/read-only mode/);
+    });
+
+    it('should block local file writes in read-only mode', async () => {
+      writePolicy({ readOnly: true });
+
+      expect(await checkToolCall('authenticate', { operation: 'add_profile', profile: 'work' })).toMatch(/writes local files/);
+      expect(await checkToolCall('authenticate', { operation: 'remove_profile', profile: 'work' })).toMatch(/writes local files/);
+      expect(await checkToolCall('authenticate', { operation: 'device_code' })).toBeNull();
+      expect(await checkToolCall('files', { operation: 'download_to', fileId: '1', localDir: '/tmp/out' })).toMatch(/files\.download_to writes local files/);
+      expect(await checkToolCall('files', { operation: 'download', fileId: '1', savePath: '/tmp/a.bin' })).toMatch(/writes local files/);
+      expect(await checkToolCall('files', { operation: 'download', fileId: '1' })).toBeNull();
+      expect(await checkToolCall('files_sync', { localDir: '/tmp/out', direction: 'download' })).toMatch(/writes local files/);
+      expect(await checkToolCall('email_triage', { reportPath: '/tmp/report.json' })).toMatch(/email_triage\.classify writes local files/);
+      expect(await checkToolCall('email_triage', {})).toBeNull();
+      expect(await checkToolCall('newsletter_rules', { operation: 'add', rule: 'blacklist.senders', values: ['a@b.c'] })).toMatch(/writes local files/);
+      expect(await checkToolCall('newsletter_rules', { operation: 'remove', rule: 'blacklist.senders', values: ['a@b.c'] })).toMatch(/writes local files/);
+      expect(await checkToolCall('newsletter_rules', { operation: 'view' })).toBeNull();
+      expect(await checkToolCall('saved_search', { operation: 'save', name: 'x', query: 'y' })).toMatch(/writes local files/);
+      expect(await checkToolCall('saved_search', { operation: 'list' })).toBeNull();
+    });
+
+    it('should force read-only mode from the environment setting', async () => {
+      writePolicy({});
+      config.READ_ONLY = true;
+
+      expect(await checkToolCall('contacts', { operation: 'create' })).toMatch(/read-only mode/);
+      config.READ_ONLY = false;
+    });
+
+    it('should limit send recipients to allowed domains', async () => {
+      writePolicy({ send: { allowedRecipientDomains: ['contoso.com'], blockedRecipientDomains: ['hr.contoso.com'] } });
+
+      expect(await checkToolCall('email', { operation: 'send', to: ['a@contoso.com', 'b@eu.contoso.com'] })).toBeNull();
+      expect(await checkToolCall('email', { operation: 'send', to: ['a@contoso.com'], bcc: ['x@gmail.com'] }))
+        .toMatch(/x@gmail.com is not allowed/);
+      expect(await checkToolCall('email', { operation: 'send', to: ['boss@hr.contoso.com'] }))
+        .toMatch(/boss@hr.contoso.com/);
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const { describe, it, expect, beforeAll, afterAll } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const config = require('../config');
+const profiles = require('../auth/profiles');
+
+describe('Account profiles', () => {
+  const originalPath = config.PROFILES_PATH;
+  const originalTokenPath = config.AUTH_CONFIG.tokenStorePath;
+  const originalTokenStore = config.TOKEN_STORE;
+  let tempDir;
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-'));
+    config.PROFILES_PATH = path.join(tempDir, 'profiles.json');
+    config.AUTH_CONFIG.tokenStorePath = path.join(tempDir, 'tokens.json');
+    config.TOKEN_STORE = { ...originalTokenStore, key: '', passphrase: '', keyFilePath: path.join(tempDir, 'token.key') };
+  });
+
+  afterAll(() => {
+    config.PROFILES_PATH = originalPath;
+    config.AUTH_CONFIG.tokenStorePath = originalTokenPath;
+    config.TOKEN_STORE = originalTokenStore;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const readRegistry = () => JSON.parse(fs.readFileSync(config.PROFILES_PATH, 'utf8'));
+
+  describe('profileScopedPath', () => {
+    it('should keep the base path for the default profile', () => {
+      expect(profiles.profileScopedPath('/data/.office-mcp-delta.json', 'default')).toBe('/data/.office-mcp-delta.json');
+    });
+
+    it('should insert the profile name before the extension', () => {
+      expect(profiles.profileScopedPath('/data/.office-mcp-delta.json', 'work')).toBe('/data/.office-mcp-delta.work.json');
+    });
+  });
+
+  describe('registry', () => {
+    it('should resolve a new profile with defaults from the environment config', () => {
+      const profile = profiles.addProfile('client', { tenantId: 'contoso.onmicrosoft.com' });
+
+      expect(profile).toMatchObject({
+        name: 'client',
+        clientId: config.AUTH_CONFIG.clientId,
+        tenantId: 'contoso.onmicrosoft.com',
+        tokenStorePath: profiles.profileScopedPath(config.AUTH_CONFIG.tokenStorePath, 'client')
+      });
+      expect(profiles.listProfileNames()).toEqual(['default', 'client']);
+    });
+
+    it('should reject invalid and reserved names', () => {
+      expect(() => profiles.addProfile('bad name')).toThrow();
+      expect(() => profiles.addProfile('default')).toThrow();
+    });
+
+    it('should scope the current profile to runWithAccount', async () => {
+      expect(profiles.getCurrentProfileName()).toBe('default');
+      await profiles.runWithAccount('client', async () => {
+        expect(profiles.getCurrentProfileName()).toBe('client');
+      });
+      expect(() => profiles.runWithAccount('missing', async () => {})).toThrow(/Unknown account profile/);
+    });
+
+    it('should fall back to default when the active profile is removed', () => {
+      profiles.setActiveProfile('client');
+      expect(profiles.getActiveProfileName()).toBe('client');
+
+      profiles.removeProfile('client');
+      expect(profiles.getActiveProfileName()).toBe('default');
+      expect(profiles.profileExists('client')).toBe(false);
+    });
+
+    it('should delete the data files of a removed profile', () => {
+      const originalPaths = { SAVED_SEARCHES_PATH: config.SAVED_SEARCHES_PATH, NEWSLETTER_RULES_PATH: config.NEWSLETTER_RULES_PATH };
+      config.SAVED_SEARCHES_PATH = path.join(tempDir, 'saved-searches.json');
+      config.NEWSLETTER_RULES_PATH = path.join(tempDir, 'newsletter-rules.json');
+
+      try {
+        profiles.addProfile('temp');
+        const dataPaths = Object.keys(originalPaths).map(key => profiles.profileScopedPath(config[key], 'temp'));
+        dataPaths.forEach(dataPath => fs.writeFileSync(dataPath, '{}'));
+
+        profiles.removeProfile('temp');
+        expect(dataPaths.filter(dataPath => fs.existsSync(dataPath))).toEqual([]);
+      } finally {
+        Object.assign(config, originalPaths);
+      }
+    });
+
+    it('should keep client secrets encrypted', () => {
+      profiles.addProfile('partner', { clientSecret: 'secret-value-123' });
+
+      expect(fs.readFileSync(config.PROFILES_PATH, 'utf8')).not.toContain('secret-value-123');
+      expect(profiles.resolveProfile('partner').clientSecret).toBe('secret-value-123');
+
+      // Secrets saved in plaintext by earlier versions are encrypted when first read
+      const registry = readRegistry();
+      registry.profiles.partner.clientSecret = 'legacy-secret';
+      fs.writeFileSync(config.PROFILES_PATH, JSON.stringify(registry));
+      expect(profiles.resolveProfile('partner').clientSecret).toBe('legacy-secret');
+      expect(fs.readFileSync(config.PROFILES_PATH, 'utf8')).not.toContain('legacy-secret');
+
+      profiles.removeProfile('partner');
+    });
+
+    it('should only ever use and delete the token file derived from the name', () => {
+      const victim = path.join(tempDir, 'victim.txt');
+      fs.writeFileSync(victim, 'keep me');
+
+      expect(() => profiles.addProfile('evil', { tokenStorePath: victim })).toThrow(/cannot be chosen/);
+      expect(profiles.profileExists('evil')).toBe(false);
+
+      // A token path saved by an earlier version is ignored
+      profiles.addProfile('legacy');
+      const registry = readRegistry();
+      registry.profiles.legacy.tokenStorePath = victim;
+      fs.writeFileSync(config.PROFILES_PATH, JSON.stringify(registry));
+
+      const derived = profiles.profileScopedPath(config.AUTH_CONFIG.tokenStorePath, 'legacy');
+      expect(profiles.resolveProfile('legacy').tokenStorePath).toBe(derived);
+      fs.writeFileSync(derived, '{}');
+
+      expect(profiles.removeProfile('legacy')).toBe(true);
+      expect(fs.existsSync(derived)).toBe(false);
+      expect(fs.readFileSync(victim, 'utf8')).toBe('keep me');
+    });
+  });
+});
@@ -0,0 +1,176 @@
+const { describe, it, expect, afterEach } = require('@jest/globals');
+const https = require('https');
+const { EventEmitter } = require('events');
+const config = require('../config');
+const { callGraphAPI } = require('../utils/graph-api');
+const { traceGraphRequests } = require('../utils/graph-trace');
+const {
+  RequestScheduler,
+  classifyRequest,
+  parseRetryAfter,
+  runToolRequests
+} = require('../utils/request-scheduler');
+
+/**
+ * A task that stays pending until released, recording when it started
+ */
+function deferredTask(label, started) {
+  let release;
+  const done = new Promise(resolve => { release = resolve; });
+  return {
+    run: () => {
+      started.push(label);
+      return done.then(() => label);
+    },
+    release: () => release()
+  };
+}
+
+/**
+ * Makes https.request answer with the given responses, in order
+ */
+function mockHttpsResponses(responses) {
+  const calls = [];
+  jest.spyOn(https, 'request').mockImplementation((url, options, callback) => {
+    const { status, headers = {}, body = '' } = responses[calls.length];
+    calls.push(url);
+
+    const req = new EventEmitter();
+    req.write = () => {};
+    req.end = () => {
+      const res = new EventEmitter();
+      res.statusCode = status;
+      res.headers = { 'content-type': 'application/json', ...headers };
+      callback(res);
+      res.emit('data', JSON.stringify(body));
+      res.emit('end');
+    };
+    return req;
+  });
+  return calls;
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Request scheduler', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('classifyRequest', () => {
+    it('should group requests by resource and owner', () => {
+      expect(classifyRequest('me/messages?$top=5')).toEqual({ resource: 'mailbox', owner: 'default' });
+      expect(classifyRequest('/me/calendar/events')).toMatchObject({ resource: 'mailbox' });
+      expect(classifyRequest('users/bob@contoso.com/messages')).toEqual({ resource: 'mailbox', owner: 'users/bob@contoso.com' });
+      expect(classifyRequest('me/drive/root/children')).toMatchObject({ resource: 'drive' });
+      expect(classifyRequest('sites/abc/drives/d1/root')).toEqual({ resource: 'drive', owner: 'sites/abc' });
+      expect(classifyRequest('chats/19:x/messages')).toMatchObject({ resource: 'teams' });
+      expect(classifyRequest('planner/tasks/t1')).toMatchObject({ resource: 'planner' });
+      expect(classifyRequest('me')).toMatchObject({ resource: 'other' });
+    });
+  });
+
+  describe('parseRetryAfter', () => {
+    it('should accept seconds and HTTP dates', () => {
+      expect(parseRetryAfter('7')).toBe(7000);
+      expect(parseRetryAfter(undefined)).toBeNull();
+      expect(parseRetryAfter('soon')).toBeNull();
+
+      const delay = parseRetryAfter(new Date(Date.now() + 5000).toUTCString());
+      expect(delay).toBeGreaterThan(3000);
+      expect(delay).toBeLessThanOrEqual(5000);
+    });
+  });
+
+  describe('schedule', () => {
+    it('should limit concurrency per resource and serve tools in turn', async () => {
+      const scheduler = new RequestScheduler();
+      const started = [];
+      const original = config.GRAPH_CONCURRENCY.mailbox;
+      config.GRAPH_CONCURRENCY.mailbox = 1;
+
+      try {
+        const tasks = {};
+        const results = [];
+        const queue = (tool, label) => runToolRequests(tool, () => {
+          tasks[label] = deferredTask(label, started);
+          return scheduler.schedule('me/messages', tasks[label].run).then(result => results.push(result));
+        });
+
+        // A bulk tool queues three requests before another tool queues one
+        const calls = [queue('bulk', 'b1'), queue('bulk', 'b2'), queue('bulk', 'b3'), queue('other', 'o1')];
+        await flush();
+        expect(started).toEqual(['b1']);
+
+        // A different resource is not held up by the mailbox queue
+        await scheduler.schedule('me/drive/root', () => 'drive');
+
+        for (const label of ['b1', 'o1', 'b2', 'b3']) {
+          tasks[label].release();
+          await flush();
+        }
+        await Promise.all(calls);
+
+        expect(started).toEqual(['b1', 'o1', 'b2', 'b3']);
+        expect(results).toEqual(['b1', 'o1', 'b2', 'b3']);
+      } finally {
+        config.GRAPH_CONCURRENCY.mailbox = original;
+      }
+    });
+
+    it('should run each queued request in the context of the tool call that made it', async () => {
+      const original = config.GRAPH_CONCURRENCY.mailbox;
+      config.GRAPH_CONCURRENCY.mailbox = 1;
+      mockHttpsResponses([{ status: 200, body: { id: 'a' } }, { status: 200, body: { id: 'b' } }]);
+
+      try {
+        // With one slot, the second call's request is started when the first one finishes
+        const call = (tool, messageId) => runToolRequests(tool, () => traceGraphRequests(() =>
+          callGraphAPI('real-token', 'PATCH', `me/messages/${messageId}`, { isRead: true })));
+        const [first, second] = await Promise.all([call('email', 'm1'), call('email_triage', 'm2')]);
+
+        expect(first.requests).toEqual([{ method: 'PATCH', path: 'me/messages/m1', status: 200 }]);
+        expect(second.requests).toEqual([{ method: 'PATCH', path: 'me/messages/m2', status: 200 }]);
+      } finally {
+        config.GRAPH_CONCURRENCY.mailbox = original;
+      }
+    });
+
+    it('should hold a throttled resource until the delay has passed', async () => {
+      const scheduler = new RequestScheduler();
+      scheduler.reportThrottling('me/messages', 429, 80, true);
+
+      const startedAt = Date.now();
+      await scheduler.schedule('me/messages/m1', () => 'ok');
+      expect(Date.now() - startedAt).toBeGreaterThanOrEqual(70);
+      expect(await scheduler.schedule('me/drive/root', () => 'drive')).toBe('drive');
+    });
+  });
+
+  describe('callGraphAPI', () => {
+    it('should wait for Retry-After and report the throttling in the tool response', async () => {
+      const calls = mockHttpsResponses([
+        { status: 429, headers: { 'retry-after': '0' }, body: { error: { message: 'Too many requests' } } },
+        { status: 200, body: { value: [{ id: 'm1' }] } }
+      ]);
+
+      const result = await runToolRequests('email', async () => {
+        const response = await callGraphAPI('real-token', 'GET', 'me/messages', null, { $filter: 'isRead eq false' });
+        return { content: [{ type: 'text', text: `Found ${response.value.length} emails` }] };
+      });
+
+      expect(calls).toHaveLength(2);
+      expect(calls[1]).toContain('$filter=isRead%20eq%20false');
+      expect(result.content[0].text).toBe('Found 1 emails');
+      expect(result.content[1].text).toMatch(/throttled 1 request\(s\) for this call \(mailbox\).*Retry-After/);
+    });
+
+    it('should give up when Retry-After is longer than the allowed wait', async () => {
+      mockHttpsResponses([
+        { status: 429, headers: { 'retry-after': '3600' }, body: { error: { message: 'Too many requests' } } }
+      ]);
+
+      await expect(callGraphAPI('real-token', 'GET', 'me/messages')).rejects.toThrow(/status 429/);
+    });
+  });
+});
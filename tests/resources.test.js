@@ -0,0 +1,100 @@
+const { describe, it, expect, beforeEach } = require('@jest/globals');
+
+jest.mock('../auth', () => ({
+  ensureAuthenticated: jest.fn().mockResolvedValue('real-token')
+}));
+jest.mock('../utils/graph-api');
+jest.mock('../teams/consolidated/teams_chat', () => Object.assign(jest.fn(), {
+  listChatMessages: jest.fn()
+}));
+
+const { ensureAuthenticated } = require('../auth');
+const { callGraphAPI } = require('../utils/graph-api');
+const { listChatMessages } = require('../teams/consolidated/teams_chat');
+const { listResources, listResourceTemplates, readResource } = require('../resources');
+
+describe('Resources', () => {
+  beforeEach(() => {
+    callGraphAPI.mockReset();
+    listChatMessages.mockReset();
+    ensureAuthenticated.mockResolvedValue('real-token');
+  });
+
+  it('should list recent items and skip the kinds that fail', async () => {
+    callGraphAPI.mockImplementation(async (accessToken, method, path) => {
+      if (path === 'me/messages') {
+        return { value: [{ id: 'AA/1=', subject: 'Budget', from: { emailAddress: { address: 'bob@example.com' } }, receivedDateTime: '2025-03-01T10:00:00Z' }] };
+      }
+      if (path === 'me/chats') return { value: [{ id: '19:chat@thread.v2', topic: null, chatType: 'oneOnOne' }] };
+      if (path === 'me/drive/recent') throw new Error('API call failed with status 503: unavailable');
+      return { value: [] };
+    });
+
+    const { resources } = await listResources();
+
+    expect(resources).toEqual([
+      expect.objectContaining({ uri: 'office://mail/AA%2F1%3D', name: 'Budget', description: 'Email from bob@example.com received 2025-03-01T10:00:00Z' }),
+      expect.objectContaining({ uri: 'office://teams/19%3Achat%40thread.v2/messages', name: 'oneOnOne chat' })
+    ]);
+  });
+
+  it('should list no resources when not authenticated', async () => {
+    ensureAuthenticated.mockRejectedValueOnce(new Error('Authentication required'));
+
+    expect(await listResources()).toEqual({ resources: [] });
+    expect(callGraphAPI).not.toHaveBeenCalled();
+  });
+
+  it('should advertise a template for every readable kind', () => {
+    const { resourceTemplates } = listResourceTemplates();
+
+    expect(resourceTemplates.map(template => template.uriTemplate)).toEqual([
+      'office://mail/{messageId}',
+      'office://calendar/{eventId}',
+      'office://drive/{itemId}',
+      'office://teams/{chatId}/messages'
+    ]);
+  });
+
+  describe('readResource', () => {
+    it('should render the item with its decoded ID', async () => {
+      callGraphAPI.mockResolvedValue({
+        id: 'AA/1=',
+        name: 'budget.xlsx',
+        size: 2048,
+        file: {},
+        createdDateTime: '2025-03-01T10:00:00Z',
+        lastModifiedDateTime: '2025-03-02T10:00:00Z',
+        webUrl: 'https://contoso.sharepoint.com/budget.xlsx'
+      });
+
+      const result = await readResource({ uri: 'office://drive/AA%2F1%3D' });
+
+      expect(callGraphAPI.mock.calls[0][2]).toBe('/me/drive/items/AA/1=');
+      expect(result.contents).toEqual([expect.objectContaining({ uri: 'office://drive/AA%2F1%3D', mimeType: 'text/plain' })]);
+      expect(result.contents[0].text).toMatch(/^Name: budget\.xlsx\nType: File/);
+    });
+
+    it('should return an error when the reader fails', async () => {
+      listChatMessages.mockResolvedValue({
+        content: [{ type: 'text', text: 'Chat not found' }],
+        isError: true
+      });
+
+      const result = await readResource({ uri: 'office://teams/19%3Amissing/messages' });
+
+      expect(listChatMessages).toHaveBeenCalledWith('real-token', { chatId: '19:missing' });
+      expect(result).toEqual({
+        error: { code: -32603, message: 'Could not read office://teams/19%3Amissing/messages: Chat not found' }
+      });
+    });
+
+    it('should reject missing and unknown URIs', async () => {
+      expect((await readResource({})).error.code).toBe(-32602);
+
+      const unknown = await readResource({ uri: 'office://tasks/1' });
+      expect(unknown.error.code).toBe(-32002);
+      expect(unknown.error.message).toMatch(/^Resource not found: office:\/\/tasks\/1\. Supported templates: office:\/\/mail\/\{messageId\}/);
+    });
+  });
+});
@@ -0,0 +1,227 @@
+const { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../auth', () => ({
+  ensureAuthenticated: jest.fn().mockResolvedValue('real-token')
+}));
+jest.mock('../utils/graph-api');
+
+const config = require('../config');
+const { callGraphAPI } = require('../utils/graph-api');
+const { recordGraphResponse } = require('../utils/structured-output');
+const { runWithAccount, profileScopedPath } = require('../auth/profiles');
+const { savedSearchTools, checkSearchAlerts, watchSavedSearchAlerts } = require('../search/saved-searches');
+
+const savedSearch = savedSearchTools[0].handler;
+
+/**
+ * Answers /search/query with the given files, recording the response like callGraphAPI does
+ */
+function mockFiles(names) {
+  callGraphAPI.mockImplementation(async (accessToken, method, apiPath, body) => {
+    const hits = names.map(name => ({ hitId: name, resource: { '@odata.type': '#microsoft.graph.driveItem', id: name, name } }));
+    const response = { value: [{ hitsContainers: [{ hits, total: hits.length, moreResultsAvailable: false }] }] };
+    recordGraphResponse(method, apiPath, response);
+    return response;
+  });
+}
+
+const textOf = result => result.content[0].text;
+const searchCount = () => callGraphAPI.mock.calls.filter(([, , apiPath]) => apiPath === '/search/query').length;
+
+/**
+ * Makes the alert of a saved search due, in the store of the current profile
+ */
+function makeAlertDue(name) {
+  const storePath = profileScopedPath(config.SAVED_SEARCHES_PATH);
+  const store = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+  store.searches[name].lastRunAt = new Date(Date.now() - 6 * 60 * 1000).toISOString();
+  fs.writeFileSync(storePath, JSON.stringify(store));
+}
+
+describe('Saved searches', () => {
+  const originalStorePath = config.SAVED_SEARCHES_PATH;
+  const originalProfilesPath = config.PROFILES_PATH;
+  const originalPolicyPath = config.POLICY_PATH;
+  let tempDir;
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'saved-searches-'));
+    config.SAVED_SEARCHES_PATH = path.join(tempDir, 'saved-searches.json');
+    config.PROFILES_PATH = path.join(tempDir, 'profiles.json');
+    config.POLICY_PATH = path.join(tempDir, 'policy.json');
+  });
+
+  afterAll(() => {
+    config.SAVED_SEARCHES_PATH = originalStorePath;
+    config.PROFILES_PATH = originalProfilesPath;
+    config.POLICY_PATH = originalPolicyPath;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    fs.rmSync(config.SAVED_SEARCHES_PATH, { force: true });
+    fs.rmSync(profileScopedPath(config.SAVED_SEARCHES_PATH, 'work'), { force: true });
+    fs.rmSync(config.PROFILES_PATH, { force: true });
+    callGraphAPI.mockReset();
+  });
+
+  it('should save, list and delete named searches', async () => {
+    const saved = await savedSearch({ operation: 'save', name: 'Budget files', query: 'budget', entityTypes: ['driveItem'], dateRange: { start: '7d' } });
+    expect(textOf(saved)).toMatch(/Saved search "Budget files" created \(search\)/);
+
+    const listed = await savedSearch({ operation: 'list' });
+    expect(textOf(listed)).toMatch(/Budget files \[search\]: budget\n  types: driveItem \| dates: 7d to now\n  never run/);
+
+    expect(textOf(await savedSearch({ operation: 'save', name: 'bad/name', query: 'x' }))).toMatch(/Invalid name/);
+    expect(textOf(await savedSearch({ operation: 'delete', name: 'Budget files' }))).toMatch(/deleted/);
+    expect(textOf(await savedSearch({ operation: 'list' }))).toMatch(/No saved searches/);
+  });
+
+  it('should return only the results that are new since the last run', async () => {
+    await savedSearch({ operation: 'save', name: 'budget', query: 'budget', dateRange: { start: '7d' } });
+
+    mockFiles(['a.xlsx', 'b.docx']);
+    const first = await savedSearch({ operation: 'diff_since_last_run', name: 'budget' });
+    expect(textOf(first)).toMatch(/2 new result\(s\) for saved search "budget" \(first run/);
+
+    // Relative dates are resolved when the search runs
+    const request = callGraphAPI.mock.calls[0][3].requests[0];
+    expect(request.query.queryString).toMatch(/^budget AND LastModifiedTime >= \d{4}-\d{2}-\d{2}$/);
+
+    mockFiles(['c.pptx', 'a.xlsx', 'b.docx']);
+    const second = await savedSearch({ operation: 'diff_since_last_run', name: 'budget' });
+    expect(textOf(second)).toMatch(/^1 new result\(s\) for saved search "budget" since the last run/);
+    expect(textOf(second)).toMatch(/- \[driveItem\] c\.pptx\n  ID: c\.pptx/);
+    expect(textOf(second)).not.toMatch(/a\.xlsx/);
+
+    const third = await savedSearch({ operation: 'diff_since_last_run', name: 'budget' });
+    expect(textOf(third)).toMatch(/^No new results/);
+  });
+
+  it('should rerun with the full results and keep the seen results when resaved unchanged', async () => {
+    await savedSearch({ operation: 'save', name: 'budget', query: 'budget' });
+    mockFiles(['a.xlsx']);
+    await savedSearch({ operation: 'run_saved', name: 'budget' });
+
+    await savedSearch({ operation: 'save', name: 'budget', query: 'budget' });
+    mockFiles(['a.xlsx', 'b.docx']);
+    const result = await savedSearch({ operation: 'run_saved', name: 'budget' });
+    expect(textOf(result)).toMatch(/^Saved search "budget": 1 new result\(s\) since the last run .*\nNew: b\.docx\n\n/);
+    expect(textOf(result)).toMatch(/a\.xlsx/);
+
+    const changed = await savedSearch({ operation: 'save', name: 'budget', query: 'forecast' });
+    expect(textOf(changed)).toMatch(/Its query changed, so the next run starts over/);
+
+    callGraphAPI.mockRejectedValue(new Error('API call failed with status 503: unavailable'));
+    const failed = await savedSearch({ operation: 'run_saved', name: 'budget' });
+    expect(textOf(failed)).toMatch(/Error in saved_search run_saved/);
+    expect(textOf(await savedSearch({ operation: 'list' }))).toMatch(/never run/);
+  });
+
+  it('should not run a saved search the policy denies', async () => {
+    await savedSearch({ operation: 'save', name: 'budget', query: 'budget', alertIntervalMinutes: 5 });
+    fs.writeFileSync(config.POLICY_PATH, JSON.stringify({ deny: ['search'] }));
+    mockFiles(['a.xlsx']);
+    const stopAlerts = watchSavedSearchAlerts(() => {});
+
+    try {
+      const result = await savedSearch({ operation: 'run_saved', name: 'budget' });
+      expect(result.isError).toBe(true);
+      expect(textOf(result)).toMatch(/Denied by policy: search is denied by policy rule "search"/);
+
+      await checkSearchAlerts();
+      expect(searchCount()).toBe(0);
+    } finally {
+      stopAlerts();
+      fs.rmSync(config.POLICY_PATH, { force: true });
+    }
+  });
+
+  describe('alerts', () => {
+    let stopAlerts;
+
+    afterEach(() => {
+      stopAlerts?.();
+    });
+
+    it('should notify new results of saved searches with an alert interval', async () => {
+      const alerts = [];
+      stopAlerts = watchSavedSearchAlerts(alert => alerts.push(alert));
+      await savedSearch({ operation: 'save', name: 'watched', query: 'budget', entityTypes: ['driveItem'], alertIntervalMinutes: 5 });
+      await savedSearch({ operation: 'save', name: 'unwatched', query: 'budget' });
+
+      mockFiles(['a.xlsx']);
+      await checkSearchAlerts();
+      // The first run only records the existing results
+      expect(alerts).toEqual([]);
+      expect(searchCount()).toBe(1);
+
+      // Not due again before the interval
+      mockFiles(['a.xlsx', 'b.docx']);
+      await checkSearchAlerts();
+      expect(searchCount()).toBe(1);
+
+      makeAlertDue('watched');
+
+      await checkSearchAlerts();
+      expect(alerts).toEqual([{
+        profile: 'default',
+        savedSearch: 'watched',
+        newResults: 1,
+        results: [expect.objectContaining({ id: 'b.docx', type: 'driveItem', title: 'b.docx' })]
+      }]);
+    });
+
+    it('should check the alerts of every profile and send each to the client that used its profile last', async () => {
+      fs.writeFileSync(config.PROFILES_PATH, JSON.stringify({ active: 'default', profiles: { work: { clientId: 'work-client' } } }));
+      const usedAt = { first: { default: 300, work: 100 }, second: { work: 200 } };
+      const received = { first: [], second: [] };
+      const stopFirst = watchSavedSearchAlerts(alert => received.first.push(alert.savedSearch), profile => usedAt.first[profile] || null);
+      stopAlerts = watchSavedSearchAlerts(alert => received.second.push(alert.savedSearch), profile => usedAt.second[profile] || null);
+
+      try {
+        await savedSearch({ operation: 'save', name: 'personal', query: 'budget', entityTypes: ['driveItem'], alertIntervalMinutes: 5 });
+        await runWithAccount('work', () => savedSearch({ operation: 'save', name: 'team', query: 'budget', entityTypes: ['driveItem'], alertIntervalMinutes: 5 }));
+
+        mockFiles(['a.xlsx']);
+        await checkSearchAlerts();
+        expect(searchCount()).toBe(2);
+        expect(JSON.parse(fs.readFileSync(profileScopedPath(config.SAVED_SEARCHES_PATH, 'work'), 'utf8')).searches.team.lastRunAt).toBeTruthy();
+
+        makeAlertDue('personal');
+        await runWithAccount('work', async () => makeAlertDue('team'));
+        mockFiles(['a.xlsx', 'b.docx']);
+        await checkSearchAlerts();
+
+        expect(received).toEqual({ first: ['personal'], second: ['team'] });
+      } finally {
+        stopFirst();
+      }
+    });
+
+    it('should leave the alerts of a profile no client has used for later', async () => {
+      fs.writeFileSync(config.PROFILES_PATH, JSON.stringify({ active: 'default', profiles: { work: { clientId: 'work-client' } } }));
+      const usedAt = { default: 100 };
+      const received = [];
+      stopAlerts = watchSavedSearchAlerts(alert => received.push(alert.savedSearch), profile => usedAt[profile] || null);
+
+      await runWithAccount('work', () => savedSearch({ operation: 'save', name: 'team', query: 'budget', entityTypes: ['driveItem'], alertIntervalMinutes: 5 }));
+      mockFiles(['a.xlsx']);
+      await checkSearchAlerts();
+      expect(searchCount()).toBe(0);
+
+      // Once a client uses the profile, its first run records the results and later ones are delivered
+      usedAt.work = 200;
+      await checkSearchAlerts();
+      await runWithAccount('work', async () => makeAlertDue('team'));
+      mockFiles(['a.xlsx', 'b.docx']);
+      await checkSearchAlerts();
+
+      expect(searchCount()).toBe(2);
+      expect(received).toEqual(['team']);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+const { describe, it, expect, beforeEach } = require('@jest/globals');
+
+jest.mock('../auth', () => ({
+  ensureAuthenticated: jest.fn().mockResolvedValue('real-token')
+}));
+jest.mock('../utils/graph-api');
+
+const { callGraphAPI } = require('../utils/graph-api');
+const { searchTools } = require('../search');
+
+const search = searchTools[0].handler;
+
+// Results Graph holds for each entity type
+const INDEX = {
+  driveItem: ['f1.txt', 'f2.txt', 'f3.txt'],
+  message: ['m1', 'm2'],
+  event: ['e1']
+};
+
+/**
+ * Answers /search/query like Graph, from INDEX; `failing` entity types are refused
+ */
+function mockSearch(failing = []) {
+  callGraphAPI.mockImplementation(async (accessToken, method, path, body) => {
+    const { entityTypes, from, size } = body.requests[0];
+    if (entityTypes.some(type => failing.includes(type))) {
+      throw new Error('API call failed with status 400: unsupported combination');
+    }
+
+    const all = entityTypes.flatMap(type => (INDEX[type] || []).map(name => ({ type, name })));
+    const hits = all.slice(from, from + size).map((entry, index) => ({
+      hitId: entry.name,
+      rank: from + index + 1,
+      resource: { '@odata.type': `#microsoft.graph.${entry.type}`, id: entry.name, name: entry.name }
+    }));
+    return { value: [{ hitsContainers: [{ hits, total: all.length, moreResultsAvailable: from + size < all.length }] }] };
+  });
+}
+
+const titles = result => [...result.content[0].text.matchAll(/📌 (\S+)/g)].map(match => match[1]);
+const cursorOf = result => result.content[0].text.match(/cursor: (\S+)/)?.[1];
+
+describe('Unified search paging', () => {
+  beforeEach(() => {
+    callGraphAPI.mockReset();
+  });
+
+  it('should search incompatible entity types in parallel and merge them by rank', async () => {
+    mockSearch();
+
+    const result = await search({ query: 'budget', limit: 4 });
+
+    const requested = callGraphAPI.mock.calls.map(([, , path, body]) => [path, body.requests[0].entityTypes, body.requests[0].from]);
+    expect(requested).toEqual([
+      ['/search/query', ['driveItem', 'listItem'], 0],
+      ['/search/query', ['message'], 0],
+      ['/search/query', ['event'], 0]
+    ]);
+    expect(titles(result)).toEqual(['f1.txt', 'm1', 'e1', 'f2.txt']);
+    expect(result.content[0].text).toMatch(/^Found 6 results/);
+    expect(result.metadata.moreResultsAvailable).toBe(true);
+    expect(cursorOf(result)).toBe(result.metadata.cursor);
+  });
+
+  it('should continue from the cursor where each entity type stopped', async () => {
+    mockSearch();
+    const first = await search({ query: 'budget', limit: 4, sortBy: { field: 'modified' } });
+
+    callGraphAPI.mockClear();
+    const second = await search({ cursor: first.metadata.cursor });
+
+    const requested = callGraphAPI.mock.calls.map(([, , , body]) => body.requests[0]);
+    expect(requested.map(request => [request.entityTypes, request.from, request.size])).toEqual([
+      [['driveItem', 'listItem'], 2, 4],
+      [['message'], 1, 4]
+    ]);
+    expect(requested.every(request => request.query.queryString === 'budget')).toBe(true);
+    expect(requested[0].sortProperties).toEqual([{ name: 'lastModifiedTime', isDescending: true }]);
+    expect(titles(second)).toEqual(['f3.txt', 'm2']);
+    expect(second.metadata).toMatchObject({ moreResultsAvailable: false, cursor: null });
+    expect(second.content[0].text).not.toMatch(/More results available/);
+  });
+
+  it('should keep the results of the entity types that could be searched', async () => {
+    mockSearch(['message']);
+
+    const result = await search({ query: 'budget', entityTypes: ['message', 'event'] });
+
+    expect(titles(result)).toEqual(['e1']);
+    expect(result.content[0].text).toMatch(/⚠️ Search of message failed: API call failed with status 400/);
+
+    // The failed entity type is searched again, from where it was, on the next page
+    expect(result.metadata.moreResultsAvailable).toBe(true);
+    mockSearch();
+    callGraphAPI.mockClear();
+    const retried = await search({ cursor: result.metadata.cursor });
+
+    expect(callGraphAPI.mock.calls.map(([, , , body]) => [body.requests[0].entityTypes, body.requests[0].from])).toEqual([
+      [['message'], 0]
+    ]);
+    expect(titles(retried)).toEqual(['m1', 'm2']);
+  });
+
+  it('should merge sorted searches on the sort field', async () => {
+    // Newest first within each entity type, as Graph sorts them
+    const modified = { 'f1.txt': '2025-03-05', 'f2.txt': '2025-03-01', m1: '2025-03-04', m2: '2025-03-03', e1: '2025-03-02' };
+    callGraphAPI.mockImplementation(async (accessToken, method, path, body) => {
+      const { entityTypes, from, size } = body.requests[0];
+      const all = entityTypes.flatMap(type => INDEX[type] || []).filter(name => modified[name]);
+      const hits = all.slice(from, from + size).map((name, index) => ({
+        hitId: name,
+        rank: from + index + 1,
+        resource: { id: name, name, lastModifiedDateTime: `${modified[name]}T10:00:00Z` }
+      }));
+      return { value: [{ hitsContainers: [{ hits, total: all.length, moreResultsAvailable: from + size < all.length }] }] };
+    });
+
+    const newest = await search({ query: 'budget', limit: 4, sortBy: { field: 'lastModified' } });
+    expect(titles(newest)).toEqual(['f1.txt', 'm1', 'm2', 'e1']);
+    expect(newest.metadata.cursor).toBeTruthy();
+
+    const next = await search({ cursor: newest.metadata.cursor });
+    expect(titles(next)).toEqual(['f2.txt']);
+  });
+
+  it('should reject a cursor that was not returned by a search', async () => {
+    const result = await search({ cursor: 'not-a-cursor' });
+
+    expect(result.content[0].text).toMatch(/Invalid cursor/);
+    expect(callGraphAPI).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,129 @@
+const { describe, it, expect, beforeAll, afterAll } = require('@jest/globals');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { Client } = require('@modelcontextprotocol/sdk/client/index.js');
+const { StreamableHTTPClientTransport } = require('@modelcontextprotocol/sdk/client/streamableHttp.js');
+
+const STARTUP_TIMEOUT_MS = 15000;
+
+/**
+ * Finds a free loopback port
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Resolves once the child logs that it is listening
+ */
+function waitForListening(child) {
+  return new Promise((resolve, reject) => {
+    let output = '';
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), STARTUP_TIMEOUT_MS);
+    child.stderr.on('data', chunk => {
+      output += chunk;
+      if (/listening on http/.test(output)) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.once('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with code ${code}:\n${output}`));
+    });
+  });
+}
+
+describe('HTTP transport', () => {
+  let child;
+  let homeDir;
+  let url;
+
+  beforeAll(async () => {
+    const port = await freePort();
+    homeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'server-http-'));
+    url = new URL(`http://127.0.0.1:${port}/mcp`);
+
+    // Started as the entry point, which is how the HTTP transport is run
+    child = spawn(process.execPath, [path.join(__dirname, '..', 'index.js')], {
+      env: {
+        ...process.env,
+        HOME: homeDir,
+        TRANSPORT_TYPE: 'http',
+        HTTP_HOST: '127.0.0.1',
+        HTTP_PORT: String(port),
+        MCP_HTTP_TOKEN: '',
+        USE_TEST_MODE: 'true'
+      },
+      stdio: ['ignore', 'ignore', 'pipe']
+    });
+    await waitForListening(child);
+  }, STARTUP_TIMEOUT_MS + 5000);
+
+  afterAll(async () => {
+    if (child && child.exitCode === null) {
+      const exited = new Promise(resolve => child.once('exit', resolve));
+      child.kill('SIGKILL');
+      await exited;
+    }
+    fs.rmSync(homeDir, { recursive: true, force: true });
+  });
+
+  it('should initialize a session, list the tools and return request errors', async () => {
+    const client = new Client({ name: 'server-http-test', version: '1.0.0' });
+    const transport = new StreamableHTTPClientTransport(url);
+
+    await client.connect(transport);
+    try {
+      expect(transport.sessionId).toBeTruthy();
+      expect(client.getServerVersion().name).toBeTruthy();
+
+      const { tools } = await client.listTools();
+      const names = tools.map(tool => tool.name);
+      expect(names).toEqual(expect.arrayContaining(['about', 'authenticate', 'search']));
+
+      // Failed requests come back as JSON-RPC errors, not as results
+      await expect(client.readResource({ uri: 'office://tasks/1' }))
+        .rejects.toMatchObject({ code: -32002, message: expect.stringMatching(/Resource not found: office:\/\/tasks\/1/) });
+    } finally {
+      await transport.terminateSession();
+      await client.close();
+    }
+  }, 20000);
+
+  it('should reject requests for another host or from another origin', async () => {
+    const initialize = JSON.stringify({
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'initialize',
+      params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'rebinding', version: '1.0.0' } }
+    });
+    const post = headers => new Promise((resolve, reject) => {
+      const req = http.request(url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', accept: 'application/json, text/event-stream', ...headers }
+      }, res => {
+        let body = '';
+        res.on('data', chunk => { body += chunk; });
+        res.on('end', () => resolve({ status: res.statusCode, body }));
+      });
+      req.on('error', reject);
+      req.end(initialize);
+    });
+
+    // A page on a rebound domain reaches the listener with its own name as Host
+    expect(await post({ host: `attacker.example:${url.port}` })).toMatchObject({ status: 403, body: expect.stringMatching(/Invalid Host header/) });
+    expect(await post({ origin: 'http://attacker.example' })).toMatchObject({ status: 403, body: expect.stringMatching(/Invalid Origin header/) });
+  }, 20000);
+});
@@ -0,0 +1,114 @@
+const { describe, it, expect } = require('@jest/globals');
+const {
+  withFormatProperty,
+  extractOutputFormat,
+  recordGraphResponse,
+  captureGraphResponses,
+  normalizeGraphResponse,
+  buildStructuredResult
+} = require('../utils/structured-output');
+
+describe('Structured output', () => {
+  describe('withFormatProperty', () => {
+    it('should add the format argument without dropping existing properties', () => {
+      const schema = withFormatProperty({
+        type: 'object',
+        properties: { operation: { type: 'string' } },
+        required: ['operation']
+      });
+
+      expect(schema.properties.operation).toEqual({ type: 'string' });
+      expect(schema.properties.format.enum).toEqual(['text', 'json']);
+      expect(schema.required).toEqual(['operation']);
+    });
+  });
+
+  describe('extractOutputFormat', () => {
+    it('should strip json format from the handler arguments', () => {
+      const { format, handlerArgs } = extractOutputFormat({ operation: 'list', format: 'json' });
+
+      expect(format).toBe('json');
+      expect(handlerArgs).toEqual({ operation: 'list' });
+    });
+
+    it('should default to text', () => {
+      expect(extractOutputFormat({ operation: 'list' }).format).toBe('text');
+    });
+
+    it('should leave handler-specific format values untouched', () => {
+      const args = { operation: 'get_transcript', format: 'text/vtt' };
+      const { format, handlerArgs } = extractOutputFormat(args);
+
+      expect(format).toBe('text');
+      expect(handlerArgs).toBe(args);
+    });
+  });
+
+  describe('captureGraphResponses', () => {
+    it('should record responses made during the call only', async () => {
+      recordGraphResponse('GET', 'me/ignored', { id: 'outside' });
+
+      const { result, responses } = await captureGraphResponses(async () => {
+        recordGraphResponse('GET', 'me/messages', { value: [] });
+        await Promise.resolve();
+        recordGraphResponse('DELETE', 'me/messages/1', '');
+        return 'done';
+      });
+
+      expect(result).toBe('done');
+      expect(responses.map(r => r.path)).toEqual(['me/messages', 'me/messages/1']);
+    });
+  });
+
+  describe('normalizeGraphResponse', () => {
+    it('should unwrap collections and keep paging links', () => {
+      const normalized = normalizeGraphResponse({
+        method: 'GET',
+        path: 'me/messages',
+        response: {
+          '@odata.context': 'https://graph.microsoft.com/v1.0/$metadata#messages',
+          '@odata.nextLink': 'https://graph.microsoft.com/v1.0/me/messages?$skip=10',
+          value: [{ id: '1', subject: 'Hello' }]
+        }
+      });
+
+      expect(normalized.items).toEqual([{ id: '1', subject: 'Hello' }]);
+      expect(normalized.nextLink).toContain('$skip=10');
+      expect(normalized.item).toBeUndefined();
+    });
+
+    it('should return single entities as item without the OData context', () => {
+      const normalized = normalizeGraphResponse({
+        method: 'GET',
+        path: 'me/events/1',
+        response: { '@odata.context': 'ctx', '@odata.etag': 'W/"1"', id: '1' }
+      });
+
+      expect(normalized.item).toEqual({ '@odata.etag': 'W/"1"', id: '1' });
+    });
+
+    it('should keep non-JSON bodies as text', () => {
+      const normalized = normalizeGraphResponse({ method: 'GET', path: 'transcript', response: 'WEBVTT' });
+      expect(normalized.text).toBe('WEBVTT');
+    });
+  });
+
+  describe('buildStructuredResult', () => {
+    it('should return structuredContent with the handler message', () => {
+      const result = buildStructuredResult(
+        'email',
+        { operation: 'list' },
+        { content: [{ type: 'text', text: 'Found 1 email' }] },
+        [{ method: 'GET', path: 'me/messages', response: { value: [{ id: '1' }] } }]
+      );
+
+      expect(result.structuredContent).toEqual({
+        tool: 'email',
+        operation: 'list',
+        message: 'Found 1 email',
+        results: [{ method: 'GET', path: 'me/messages', items: [{ id: '1' }] }]
+      });
+      expect(JSON.parse(result.content[0].text)).toEqual(result.structuredContent);
+    });
+  });
+});
@@ -0,0 +1,65 @@
+const { describe, it, expect } = require('@jest/globals');
+const { classifyDeltaItems, DELTA_RESOURCES } = require('../sync');
+
+const isRemoved = item => Boolean(item['@removed']);
+
+describe('Delta sync', () => {
+  describe('classifyDeltaItems', () => {
+    it('should treat every item as added on a first sync', () => {
+      const knownIds = new Set();
+      const { added, changed, deleted } = classifyDeltaItems(
+        [{ id: 'a' }, { id: 'b' }],
+        knownIds,
+        isRemoved
+      );
+
+      expect(added.map(i => i.id)).toEqual(['a', 'b']);
+      expect(changed).toHaveLength(0);
+      expect(deleted).toHaveLength(0);
+      expect([...knownIds]).toEqual(['a', 'b']);
+    });
+
+    it('should split added, changed and deleted against known IDs', () => {
+      const knownIds = new Set(['a', 'b']);
+      const { added, changed, deleted } = classifyDeltaItems(
+        [{ id: 'a', subject: 'edited' }, { id: 'b', '@removed': { reason: 'deleted' } }, { id: 'c' }],
+        knownIds,
+        isRemoved
+      );
+
+      expect(added.map(i => i.id)).toEqual(['c']);
+      expect(changed.map(i => i.id)).toEqual(['a']);
+      expect(deleted.map(i => i.id)).toEqual(['b']);
+      expect([...knownIds].sort()).toEqual(['a', 'c']);
+    });
+
+    it('should ignore removals of items that were never seen', () => {
+      const { deleted } = classifyDeltaItems([{ id: 'x', '@removed': {} }], new Set(), isRemoved);
+      expect(deleted).toHaveLength(0);
+    });
+
+    it('should keep only the last occurrence of an item returned on several pages', () => {
+      const knownIds = new Set(['a']);
+      const { changed, deleted } = classifyDeltaItems(
+        [{ id: 'a', subject: 'first' }, { id: 'a', '@removed': { reason: 'deleted' } }],
+        knownIds,
+        isRemoved
+      );
+
+      expect(changed).toHaveLength(0);
+      expect(deleted.map(i => i.id)).toEqual(['a']);
+    });
+  });
+
+  describe('DELTA_RESOURCES', () => {
+    it('should detect deleted drive items by the deleted facet', () => {
+      expect(DELTA_RESOURCES.drive.isDeleted({ id: '1', deleted: { state: 'deleted' } })).toBe(true);
+      expect(DELTA_RESOURCES.drive.isDeleted({ id: '1', file: {} })).toBe(false);
+    });
+
+    it('should scope mail sync per folder', () => {
+      expect(DELTA_RESOURCES.mail.scope({})).toBe('mail:inbox');
+      expect(DELTA_RESOURCES.mail.scope({ folderId: 'archive' })).toBe('mail:archive');
+    });
+  });
+});
@@ -0,0 +1,92 @@
+const { describe, it, expect, beforeEach, afterEach } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const { readTokenFile, writeTokenFile, isEncryptedEnvelope } = require('../auth/token-store');
+
+describe('Encrypted token store', () => {
+  const originalSettings = config.TOKEN_STORE;
+  const tokens = { access_token: 'access-123', refresh_token: 'refresh-456', expires_at: 1700000000000 };
+  let tempDir;
+  let tokenPath;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-store-'));
+    tokenPath = path.join(tempDir, 'tokens.json');
+    config.TOKEN_STORE = {
+      encryption: true,
+      key: '',
+      passphrase: '',
+      keyFilePath: path.join(tempDir, 'token.key')
+    };
+  });
+
+  afterEach(() => {
+    config.TOKEN_STORE = originalSettings;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const readRaw = () => JSON.parse(fs.readFileSync(tokenPath, 'utf8'));
+
+  it('should encrypt with a generated key file and read the tokens back', () => {
+    writeTokenFile(tokenPath, tokens);
+
+    expect(fs.existsSync(config.TOKEN_STORE.keyFilePath)).toBe(true);
+    expect(isEncryptedEnvelope(readRaw())).toBe(true);
+    expect(fs.readFileSync(tokenPath, 'utf8')).not.toContain('refresh-456');
+    expect(readTokenFile(tokenPath)).toEqual(tokens);
+  });
+
+  it('should write owner-only files', () => {
+    writeTokenFile(tokenPath, tokens);
+
+    if (process.platform !== 'win32') {
+      expect(fs.statSync(tokenPath).mode & 0o777).toBe(0o600);
+      expect(fs.statSync(config.TOKEN_STORE.keyFilePath).mode & 0o777).toBe(0o600);
+    }
+  });
+
+  it('should use a key from the environment', () => {
+    config.TOKEN_STORE.key = crypto.randomBytes(32).toString('hex');
+    writeTokenFile(tokenPath, tokens);
+
+    expect(fs.existsSync(config.TOKEN_STORE.keyFilePath)).toBe(false);
+    expect(readTokenFile(tokenPath)).toEqual(tokens);
+
+    config.TOKEN_STORE.key = crypto.randomBytes(32).toString('hex');
+    expect(() => readTokenFile(tokenPath)).toThrow(/could not be decrypted/);
+  });
+
+  it('should derive the key from a passphrase', () => {
+    config.TOKEN_STORE.passphrase = 'correct horse battery staple';
+    writeTokenFile(tokenPath, tokens);
+
+    expect(readRaw()).toMatchObject({ kdf: 'scrypt' });
+    expect(readTokenFile(tokenPath)).toEqual(tokens);
+
+    config.TOKEN_STORE.passphrase = '';
+    expect(() => readTokenFile(tokenPath)).toThrow(/TOKEN_PASSPHRASE/);
+  });
+
+  it('should migrate a plaintext token file', () => {
+    fs.writeFileSync(tokenPath, JSON.stringify(tokens), { mode: 0o644 });
+
+    expect(readTokenFile(tokenPath)).toEqual(tokens);
+    expect(isEncryptedEnvelope(readRaw())).toBe(true);
+    expect(readTokenFile(tokenPath)).toEqual(tokens);
+  });
+
+  it('should keep plaintext when encryption is disabled', () => {
+    config.TOKEN_STORE.encryption = false;
+    writeTokenFile(tokenPath, tokens);
+
+    expect(readRaw()).toEqual(tokens);
+    expect(readTokenFile(tokenPath)).toEqual(tokens);
+  });
+
+  it('should return null for a missing file', () => {
+    expect(readTokenFile(tokenPath)).toBeNull();
+  });
+});
@@ -0,0 +1,165 @@
+const { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } = require('@jest/globals');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const https = require('https');
+const { EventEmitter } = require('events');
+const config = require('../config');
+const { runWithProgress } = require('../utils/progress');
+const { uploadWithSession, listUploadSessions, fileSource } = require('../files/upload-session');
+
+const UPLOAD_URL = 'https://upload.example.com/session-1';
+const FILE_SIZE = 250;
+
+/**
+ * Routes https.request calls to `handler(method, url, headers, body)`, which
+ * returns { status, body }; records every request
+ */
+function mockHttps(handler) {
+  const calls = [];
+  jest.spyOn(https, 'request').mockImplementation((url, options, callback) => {
+    const chunks = [];
+    const req = new EventEmitter();
+    req.write = (chunk) => chunks.push(Buffer.from(chunk));
+    req.end = () => {
+      const call = { method: options.method, url, headers: options.headers, body: Buffer.concat(chunks) };
+      calls.push(call);
+      const { status, body } = handler(call);
+
+      const res = new EventEmitter();
+      res.statusCode = status;
+      res.headers = { 'content-type': 'application/json' };
+      callback(res);
+      if (body !== undefined) res.emit('data', JSON.stringify(body));
+      res.emit('end');
+    };
+    return req;
+  });
+  return calls;
+}
+
+/**
+ * Simulates an upload session that accepts chunks in order and completes at FILE_SIZE bytes;
+ * `failAt` makes the chunk starting at that byte fail once
+ */
+function uploadSessionServer({ received = 0, failAt = null } = {}) {
+  const state = { received, failAt };
+  return (call) => {
+    if (call.method === 'POST' && call.url.includes('createUploadSession')) {
+      return { status: 200, body: { uploadUrl: UPLOAD_URL, expirationDateTime: new Date(Date.now() + 3600000).toISOString() } };
+    }
+    if (call.method === 'GET' && call.url === UPLOAD_URL) {
+      return { status: 200, body: { nextExpectedRanges: [`${state.received}-`] } };
+    }
+    if (call.method === 'PUT' && call.url === UPLOAD_URL) {
+      const [, start, end] = call.headers['Content-Range'].match(/bytes (\d+)-(\d+)\//).map(Number);
+      if (start === state.failAt) {
+        state.failAt = null;
+        return { status: 500, body: { error: { message: 'Internal error' } } };
+      }
+      state.received = end + 1;
+      return state.received === FILE_SIZE
+        ? { status: 201, body: { id: 'item-1', name: 'big.bin', size: FILE_SIZE } }
+        : { status: 202, body: { nextExpectedRanges: [`${state.received}-`] } };
+    }
+    return { status: 404, body: { error: { message: 'Unexpected request' } } };
+  };
+}
+
+describe('Upload sessions', () => {
+  const originals = {};
+  let tempDir;
+  let localPath;
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-session-'));
+    localPath = path.join(tempDir, 'big.bin');
+    fs.writeFileSync(localPath, Buffer.from(Array.from({ length: FILE_SIZE }, (_, i) => i % 256)));
+
+    for (const key of ['UPLOAD_CHUNK_SIZE', 'UPLOAD_SESSIONS_PATH']) originals[key] = config[key];
+    config.UPLOAD_CHUNK_SIZE = 100;
+    config.UPLOAD_SESSIONS_PATH = path.join(tempDir, 'uploads.json');
+  });
+
+  afterAll(() => {
+    Object.assign(config, originals);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    fs.rmSync(config.UPLOAD_SESSIONS_PATH, { force: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should upload in chunks with Content-Range and without the Graph token', async () => {
+    const calls = mockHttps(uploadSessionServer());
+
+    const result = await uploadWithSession('real-token', {
+      itemPath: '/me/drive/root:/big.bin:',
+      source: fileSource(localPath),
+      localPath
+    });
+
+    expect(result).toMatchObject({ item: { id: 'item-1' }, resumedFrom: 0, chunks: 3 });
+    const puts = calls.filter(call => call.method === 'PUT');
+    expect(puts.map(call => call.headers['Content-Range'])).toEqual(['bytes 0-99/250', 'bytes 100-199/250', 'bytes 200-249/250']);
+    expect(puts.every(call => call.headers.Authorization === undefined)).toBe(true);
+    expect(Buffer.concat(puts.map(call => call.body)).equals(fs.readFileSync(localPath))).toBe(true);
+    expect(calls[0].headers.Authorization).toBe('Bearer real-token');
+    expect(listUploadSessions()).toEqual([]);
+  });
+
+  it('should save the session when interrupted and resume from where Graph stopped', async () => {
+    const server = uploadSessionServer({ failAt: 100 });
+    mockHttps(server);
+    const options = { itemPath: '/me/drive/root:/big.bin:', source: fileSource(localPath), localPath };
+
+    await expect(uploadWithSession('real-token', options)).rejects.toThrow(/interrupted after 100 of 250 bytes.*resume/);
+    expect(listUploadSessions()).toEqual([expect.objectContaining({ localPath, uploadedBytes: 100, uploadUrl: UPLOAD_URL })]);
+
+    jest.restoreAllMocks();
+    const calls = mockHttps(server);
+    const result = await uploadWithSession('real-token', options);
+
+    expect(result).toMatchObject({ item: { id: 'item-1' }, resumedFrom: 100, chunks: 2 });
+    expect(calls.some(call => call.url.includes('createUploadSession'))).toBe(false);
+    expect(listUploadSessions()).toEqual([]);
+  });
+
+  it('should start over when the file changed since the interrupted upload', async () => {
+    mockHttps(uploadSessionServer({ failAt: 100 }));
+    const itemPath = '/me/drive/root:/big.bin:';
+    await expect(uploadWithSession('real-token', { itemPath, source: fileSource(localPath), localPath })).rejects.toThrow();
+
+    const touched = new Date(Date.now() + 5000);
+    fs.utimesSync(localPath, touched, touched);
+    jest.restoreAllMocks();
+    const calls = mockHttps(uploadSessionServer());
+
+    const result = await uploadWithSession('real-token', { itemPath, source: fileSource(localPath), localPath });
+    expect(result.resumedFrom).toBe(0);
+    expect(calls.map(call => call.method).slice(0, 2)).toEqual(['DELETE', 'POST']);
+  });
+
+  it('should send progress notifications to clients that asked for them', async () => {
+    mockHttps(uploadSessionServer());
+    const sendNotification = jest.fn().mockResolvedValue(undefined);
+
+    await runWithProgress('token-1', sendNotification, () => uploadWithSession('real-token', {
+      itemPath: '/me/drive/root:/big.bin:',
+      source: fileSource(localPath)
+    }));
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(sendNotification.mock.calls.map(([notification]) => [notification.method, notification.params.progress, notification.params.total]))
+      .toEqual([
+        ['notifications/progress', 100, 250],
+        ['notifications/progress', 200, 250],
+        ['notifications/progress', 250, 250]
+      ]);
+    expect(sendNotification.mock.calls[0][0].params.progressToken).toBe('token-1');
+  });
+});
@@ -4,7 +4,7 @@
  */
 
 const { ensureAuthenticated } = require('../auth');
-const { callGraphAPI } = require('../utils/graph-api');
+const { collectGraphItems, iterateGraphItems } = require('../utils/graph-api');
 const { processHtmlBody, extractSignature } = require('../utils/html-processor');
 const {
   extractContactFromEmailAddress,
@@ -19,30 +19,9 @@ const {
   writeContactsToCSV,
   getDefaultCSVPath
 } = require('../utils/csv-generator');
-const {
-  detectNewsletter,
-  applyWhitelistBlacklist
-} = require('../utils/newsletter-detector');
+const { createNewsletterDetector } = require('./newsletter-rules');
 const config = require('../config');
 const fs = require('fs');
-const path = require('path');
-
-/**
- * Load newsletter filtering rules
- * @returns {Object|null} - Newsletter rules or null if file doesn't exist
- */
-function loadNewsletterRules() {
-  try {
-    const rulesPath = path.join(__dirname, '../config/newsletter-rules.json');
-    if (fs.existsSync(rulesPath)) {
-      const content = fs.readFileSync(rulesPath, 'utf8');
-      return JSON.parse(content);
-    }
-  } catch (error) {
-    console.error('Error loading newsletter rules:', error.message);
-  }
-  return null;
-}
 
 /**
  * Parse date filter (supports ISO format or relative like "30d", "1w", "1m", "1y")
@@ -100,10 +79,7 @@ async function fetchEmails(accessToken, params) {
     endDate = null
   } = params;
 
-  const emails = [];
-  let currentUrl = 'me/messages';
   const queryParams = {
-    $top: Math.min(maxEmails, 100), // Batch size
     $select: 'id,from,toRecipients,ccRecipients,subject,bodyPreview,body,receivedDateTime'
   };
 
@@ -133,35 +109,11 @@ async function fetchEmails(accessToken, params) {
 
   console.error(`Fetching emails with query params:`, queryParams);
 
-  // Fetch emails with pagination
-  while (emails.length < maxEmails) {
-    const response = await callGraphAPI(
-      accessToken,
-      'GET',
-      currentUrl,
-      null,
-      queryParams
-    );
-
-    if (!response.value || response.value.length === 0) {
-      break;
-    }
-
-    emails.push(...response.value);
-
-    // Check if we have more pages
-    if (response['@odata.nextLink'] && emails.length < maxEmails) {
-      // Extract the next page URL
-      const nextUrl = new URL(response['@odata.nextLink']);
-      currentUrl = nextUrl.pathname.replace('/v1.0/', '') + nextUrl.search;
-      // Clear query params since they're in the URL
-      Object.keys(queryParams).forEach(key => delete queryParams[key]);
-    } else {
-      break;
-    }
-  }
-
-  return emails.slice(0, maxEmails);
+  // Fetch emails with pagination, 100 per page
+  return collectGraphItems(accessToken, 'me/messages', queryParams, {
+    maxItems: maxEmails,
+    pageSize: 100
+  });
 }
 
 /**
@@ -281,50 +233,26 @@ function extractContactsFromEmail(email, includeBody = true) {
  */
 async function fetchOutlookContactEmails(accessToken) {
   const outlookEmails = new Set();
-  let currentUrl = 'me/contacts';
-  const queryParams = {
-    $select: 'emailAddresses',
-    $top: 100
-  };
 
   console.error('Fetching Outlook contacts for cross-reference...');
 
-  while (true) {
-    try {
-      const response = await callGraphAPI(
-        accessToken,
-        'GET',
-        currentUrl,
-        null,
-        queryParams
-      );
-
-      if (!response.value || response.value.length === 0) {
-        break;
-      }
-
-      response.value.forEach(contact => {
-        if (Array.isArray(contact.emailAddresses)) {
-          contact.emailAddresses.forEach(emailObj => {
-            if (emailObj.address) {
-              outlookEmails.add(emailObj.address.toLowerCase().trim());
-            }
-          });
-        }
-      });
+  try {
+    const contacts = iterateGraphItems(accessToken, 'me/contacts', {
+      $select: 'emailAddresses',
+      $top: 100
+    });
 
-      // Check for next page
-      if (response['@odata.nextLink']) {
-        const nextUrl = new URL(response['@odata.nextLink']);
-        currentUrl = nextUrl.pathname.replace('/v1.0/', '') + nextUrl.search;
-        Object.keys(queryParams).forEach(key => delete queryParams[key]);
-      } else {
-        break;
+    for await (const contact of contacts) {
+      if (Array.isArray(contact.emailAddresses)) {
+        contact.emailAddresses.forEach(emailObj => {
+          if (emailObj.address) {
+            outlookEmails.add(emailObj.address.toLowerCase().trim());
+          }
+        });
       }
-    } catch (error) {
-      console.error('Error fetching Outlook contacts:', error.message);
-      break;
     }
+  } catch (error) {
+    console.error('Error fetching Outlook contacts:', error.message);
   }
 
   console.error(`Found ${outlookEmails.size} email addresses in Outlook contacts`);
@@ -383,12 +311,11 @@ async function extractContactsFromEmails(args) {
 
     if (excludeNewsletters) {
       console.error('Filtering newsletters...');
-      const rules = loadNewsletterRules();
+      const detect = createNewsletterDetector();
       const emailsToProcess = [];
 
       for (const email of emails) {
-        const detection = await detectNewsletter(email, newsletterThreshold);
-        const finalDetection = applyWhitelistBlacklist(email, detection, rules);
+        const finalDetection = await detect(email, newsletterThreshold);
 
         if (finalDetection.isNewsletter) {
           newsletterStats.totalNewsletters++;
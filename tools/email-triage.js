@@ -0,0 +1,386 @@
+/**
+ * Email Triage Tool
+ * Classifies the messages of a folder as newsletter, transactional, personal or
+ * automated, optionally moves or categorises each class, and reports the
+ * List-Unsubscribe targets of the senders for bulk unsubscribing
+ */
+
+const { ensureAuthenticated } = require('../auth');
+const { collectGraphItems } = require('../utils/graph-api');
+const { reportProgress } = require('../utils/progress');
+const { createNewsletterDetector } = require('./newsletter-rules');
+const { resolveLocalPath } = require('../utils/local-paths');
+const fs = require('fs');
+const path = require('path');
+
+const TRIAGE_CLASSES = ['newsletter', 'transactional', 'personal', 'automated'];
+
+// Messages listed per class in the report
+const MAX_LISTED_PER_CLASS = 20;
+
+// Receipts, orders, shipping, bookings and account security messages (English & French)
+const TRANSACTIONAL_SUBJECT = /(your order|order (confirmation|#|no\.?|number|shipped)|votre commande|commande (n°|no|confirm(é|e)e|exp(é|e)di(é|e)e)|receipt|re(ç|c)u de paiement|invoice|facture|payment (received|confirmation|confirmed)|paiement (re(ç|c)u|confirm(é|e))|has shipped|been shipped|exp(é|e)di(é|e)|out for delivery|en cours de livraison|booking (confirmation|confirmed)|r(é|e)servation (confirm(é|e)e|n°)|password reset|reset your password|r(é|e)initialis\w* (de )?(votre )?mot de passe|verification code|code de v(é|e)rification|security code|code de s(é|e)curit(é|e)|one-time (pass)?code|new sign-in|nouvelle connexion)/i;
+
+// Replies and reports generated by mail systems (English & French)
+const AUTOMATED_SUBJECT = /^(automatic reply|r(é|e)ponse automatique|out of office|absent du bureau|undeliverable|non remis|delivery status notification|accepted|accept(é|e)|declined|refus(é|e)|tentative|provisoire)\s*:/i;
+const AUTOMATED_SENDER = /^(mailer-daemon|postmaster|microsoft-noreply|calendar-notification|notifications?|alerts?|automated?|system|no-?reply|do-?not-?reply|ne-?pas-?repondre)@/i;
+
+/**
+ * Maps message headers by lower-case name, keeping the values as sent
+ * @param {Array} headers - Internet message headers
+ * @returns {object} - Header values by name
+ */
+function headerMap(headers) {
+  const map = {};
+  for (const header of headers || []) {
+    if (header.name && header.value) {
+      map[header.name.toLowerCase()] = header.value;
+    }
+  }
+  return map;
+}
+
+/**
+ * Parses the List-Unsubscribe headers of a message (RFC 2369, one-click per RFC 8058)
+ * @param {Array} headers - Internet message headers
+ * @returns {object|null} - { mailto, urls, oneClick } or null without List-Unsubscribe
+ */
+function parseListUnsubscribe(headers) {
+  const map = headerMap(headers);
+  const value = map['list-unsubscribe'];
+  if (!value) return null;
+
+  const targets = [...value.matchAll(/<([^>]+)>/g)].map(match => match[1].trim());
+  return {
+    mailto: targets.filter(target => /^mailto:/i.test(target)),
+    urls: targets.filter(target => /^https?:/i.test(target)),
+    oneClick: /list-unsubscribe=one-click/i.test(map['list-unsubscribe-post'] || '')
+  };
+}
+
+/**
+ * Classifies a message
+ * @param {Object} email - Email object from Graph API (with internetMessageHeaders)
+ * @param {Object} detection - Newsletter detection, after the rules and feedback (see createNewsletterDetector)
+ * @returns {Object} - { triageClass, reason }
+ */
+function classifyMessage(email, detection) {
+  const headers = headerMap(email.internetMessageHeaders);
+  const sender = (email.from?.emailAddress?.address || '').toLowerCase();
+  const subject = email.subject || '';
+
+  // Blacklisted senders and senders marked as newsletters win over every other signal
+  if (detection.isNewsletter && ['blacklisted', 'learned-sender'].includes(detection.reason)) {
+    return { triageClass: 'newsletter', reason: detection.reason };
+  }
+  if (TRANSACTIONAL_SUBJECT.test(subject)) {
+    return { triageClass: 'transactional', reason: 'transactional-subject' };
+  }
+  if (detection.isNewsletter) {
+    return { triageClass: 'newsletter', reason: detection.reason };
+  }
+
+  const autoSubmitted = (headers['auto-submitted'] || '').toLowerCase();
+  if (autoSubmitted && autoSubmitted !== 'no') {
+    return { triageClass: 'automated', reason: 'auto-submitted-header' };
+  }
+  if (AUTOMATED_SUBJECT.test(subject)) {
+    return { triageClass: 'automated', reason: 'automated-subject' };
+  }
+  if (AUTOMATED_SENDER.test(sender)) {
+    return { triageClass: 'automated', reason: 'automated-sender' };
+  }
+
+  return { triageClass: 'personal', reason: detection.reason === 'whitelisted' ? 'whitelisted' : 'no-bulk-signals' };
+}
+
+/**
+ * Fetches the messages of a folder and date range, with the headers the classification needs
+ * @param {string} accessToken - Access token
+ * @param {Object} params - { folderId, startDate, endDate, maxEmails }
+ * @returns {Promise<Array>} - Array of emails
+ */
+async function fetchTriageMessages(accessToken, params) {
+  const { parseRelativeDate } = require('../email');
+  const { folderId, startDate, endDate, maxEmails } = params;
+
+  const queryParams = {
+    $select: 'id,from,toRecipients,ccRecipients,bccRecipients,subject,body,receivedDateTime,categories,internetMessageHeaders',
+    $orderby: 'receivedDateTime desc'
+  };
+
+  const filters = [];
+  if (startDate) filters.push(`receivedDateTime ge ${new Date(parseRelativeDate(startDate)).toISOString()}`);
+  if (endDate) filters.push(`receivedDateTime le ${new Date(parseRelativeDate(endDate)).toISOString()}`);
+  if (filters.length > 0) {
+    queryParams.$filter = filters.join(' and ');
+  }
+
+  return collectGraphItems(accessToken, `me/mailFolders/${folderId}/messages`, queryParams, {
+    maxItems: maxEmails,
+    pageSize: 50
+  });
+}
+
+/**
+ * Groups the unsubscribe targets of the triaged messages by sender
+ * @param {Array} triaged - Triaged messages ({ from, unsubscribe, ... })
+ * @returns {Array} - [{ sender, messages, oneClick, urls, mailto, lastReceived }], most messages first
+ */
+function buildUnsubscribeReport(triaged) {
+  const bySender = new Map();
+
+  for (const message of triaged) {
+    if (!message.unsubscribe) continue;
+
+    const entry = bySender.get(message.from) || { sender: message.from, messages: 0, oneClick: false, urls: [], mailto: [], lastReceived: null };
+    entry.messages++;
+    entry.oneClick = entry.oneClick || message.unsubscribe.oneClick;
+    for (const url of message.unsubscribe.urls) {
+      if (!entry.urls.includes(url)) entry.urls.push(url);
+    }
+    for (const mailto of message.unsubscribe.mailto) {
+      if (!entry.mailto.includes(mailto)) entry.mailto.push(mailto);
+    }
+    if (!entry.lastReceived || message.receivedDateTime > entry.lastReceived) {
+      entry.lastReceived = message.receivedDateTime;
+    }
+    bySender.set(message.from, entry);
+  }
+
+  return [...bySender.values()].sort((a, b) => b.messages - a.messages);
+}
+
+/**
+ * Moves and categorises the triaged messages of each class
+ * @param {string} accessToken - Access token
+ * @param {Array} triaged - Triaged messages
+ * @param {Object} moveTo - Destination folder (name or ID) by class
+ * @param {Object} categorize - Category name by class
+ * @returns {Promise<Array<string>>} - One line per action
+ */
+async function applyTriageActions(accessToken, triaged, moveTo = {}, categorize = {}) {
+  const { batchMoveEmails, applyCategory, getFolderIdByName } = require('../email');
+  const lines = [];
+
+  const toCategorize = triaged.filter(message => categorize[message.triageClass]);
+  for (const [index, message] of toCategorize.entries()) {
+    const category = categorize[message.triageClass];
+    reportProgress(index, toCategorize.length, `Categorising ${message.subject}`);
+    if (message.categories.includes(category)) continue;
+
+    try {
+      // Categories are replaced as a whole, so keep the ones already set
+      await applyCategory(accessToken, { emailId: message.id, categories: [...message.categories, category] });
+    } catch (error) {
+      lines.push(`⚠️ Could not categorise "${message.subject}": ${error.message}`);
+    }
+  }
+  for (const [triageClass, category] of Object.entries(categorize)) {
+    const count = toCategorize.filter(message => message.triageClass === triageClass).length;
+    if (count > 0) lines.push(`🏷️ ${count} ${triageClass} message(s) categorised "${category}"`);
+  }
+
+  // Moves last: moved messages get new IDs. A failed class does not stop the others
+  for (const [triageClass, destination] of Object.entries(moveTo)) {
+    const emailIds = triaged.filter(message => message.triageClass === triageClass).map(message => message.id);
+    if (emailIds.length === 0) continue;
+
+    try {
+      const destinationFolderId = await getFolderIdByName(accessToken, destination) || destination;
+      const result = await batchMoveEmails(accessToken, { emailIds, destinationFolderId });
+      lines.push(`📁 ${triageClass} → ${destination}: ${result.content[0].text}`);
+    } catch (error) {
+      lines.push(`⚠️ Could not move the ${emailIds.length} ${triageClass} message(s) to ${destination}: ${error.message}`);
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Checks where a triage report may be written: a .json file allowed by
+ * LOCAL_FILES_ROOTS (see utils/local-paths), not replacing anything but a previous report
+ * @param {string} reportPath - Requested path
+ * @returns {string} - Absolute path of the report
+ */
+function resolveReportPath(reportPath) {
+  if (path.extname(String(reportPath)).toLowerCase() !== '.json') {
+    throw new Error('it must name a .json file');
+  }
+
+  const realTarget = resolveLocalPath(reportPath);
+  const target = path.resolve(String(reportPath));
+  if (fs.existsSync(realTarget)) {
+    let previous = null;
+    try {
+      previous = fs.lstatSync(realTarget).isFile() ? JSON.parse(fs.readFileSync(realTarget, 'utf8')) : null;
+    } catch (error) {
+      previous = null;
+    }
+    if (!previous?.generatedAt || !Array.isArray(previous.messages)) {
+      throw new Error(`${target} already exists and is not a triage report`);
+    }
+  }
+
+  return realTarget;
+}
+
+/**
+ * Formats the triage report
+ */
+function formatTriageReport(folder, triaged, unsubscribeReport, actionLines) {
+  const counts = TRIAGE_CLASSES.map(triageClass => `${triageClass}: ${triaged.filter(message => message.triageClass === triageClass).length}`);
+  let text = `📬 Triage of ${triaged.length} message(s) in ${folder}\n${counts.join(' | ')}`;
+
+  for (const triageClass of TRIAGE_CLASSES) {
+    const messages = triaged.filter(message => message.triageClass === triageClass);
+    if (messages.length === 0) continue;
+
+    text += `\n\n**${triageClass}** (${messages.length})\n`;
+    text += messages.slice(0, MAX_LISTED_PER_CLASS).map(message =>
+      `- ${message.subject} — ${message.from} (${new Date(message.receivedDateTime).toLocaleDateString()}) [${message.reason}]`
+    ).join('\n');
+    if (messages.length > MAX_LISTED_PER_CLASS) {
+      text += `\n... and ${messages.length - MAX_LISTED_PER_CLASS} more`;
+    }
+  }
+
+  if (unsubscribeReport.length > 0) {
+    text += `\n\n🔕 **Unsubscribe targets** (${unsubscribeReport.length} sender(s))\n`;
+    text += unsubscribeReport.map(entry => {
+      const targets = [
+        ...entry.urls.map(url => `${entry.oneClick ? 'one-click POST ' : ''}${url}`),
+        ...entry.mailto
+      ];
+      return `- ${entry.sender} (${entry.messages} message(s))\n  ${targets.join('\n  ')}`;
+    }).join('\n');
+  }
+
+  if (actionLines.length > 0) {
+    text += `\n\n✅ **Actions**\n${actionLines.join('\n')}`;
+  }
+
+  return text;
+}
+
+/**
+ * Main handler for email triage
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - Tool response
+ */
+async function triageEmails(args) {
+  const {
+    folderId = null,
+    folderName = 'inbox',
+    startDate = null,
+    endDate = null,
+    maxEmails = 100,
+    newsletterThreshold = 60,
+    moveTo = {},
+    categorize = {},
+    reportPath = null
+  } = args;
+
+  const invalidClass = [...Object.keys(moveTo), ...Object.keys(categorize)].find(key => !TRIAGE_CLASSES.includes(key));
+  if (invalidClass) {
+    return {
+      content: [{ type: "text", text: `Invalid class: ${invalidClass}. Valid classes are: ${TRIAGE_CLASSES.join(', ')}` }]
+    };
+  }
+
+  // Checked before anything is moved, so a bad path does not leave a half-done triage
+  let reportFile = null;
+  if (reportPath) {
+    try {
+      reportFile = resolveReportPath(reportPath);
+    } catch (error) {
+      return {
+        content: [{ type: "text", text: `Invalid reportPath: ${error.message}` }]
+      };
+    }
+  }
+
+  try {
+    const accessToken = await ensureAuthenticated();
+    const { getFolderIdByName } = require('../email');
+
+    const folder = folderId || await getFolderIdByName(accessToken, folderName);
+    if (!folder) {
+      return {
+        content: [{ type: "text", text: `Folder '${folderName}' not found. Check folder name or use folderId.` }]
+      };
+    }
+
+    const emails = await fetchTriageMessages(accessToken, {
+      folderId: folder,
+      startDate,
+      endDate,
+      maxEmails: Math.min(maxEmails, 1000)
+    });
+
+    if (emails.length === 0) {
+      return {
+        content: [{ type: "text", text: "No emails found matching the criteria." }]
+      };
+    }
+
+    const detect = createNewsletterDetector();
+    const triaged = [];
+    for (const email of emails) {
+      const detection = await detect(email, newsletterThreshold);
+      const { triageClass, reason } = classifyMessage(email, detection);
+      triaged.push({
+        id: email.id,
+        from: (email.from?.emailAddress?.address || 'unknown').toLowerCase(),
+        subject: email.subject || '(no subject)',
+        receivedDateTime: email.receivedDateTime,
+        categories: email.categories || [],
+        triageClass,
+        reason,
+        confidence: detection.confidence,
+        unsubscribe: parseListUnsubscribe(email.internetMessageHeaders)
+      });
+    }
+
+    const unsubscribeReport = buildUnsubscribeReport(triaged);
+    const actionLines = await applyTriageActions(accessToken, triaged, moveTo, categorize);
+
+    let text = formatTriageReport(folderId || folderName, triaged, unsubscribeReport, actionLines);
+
+    if (reportFile) {
+      try {
+        fs.writeFileSync(reportFile, JSON.stringify({
+          generatedAt: new Date().toISOString(),
+          folder: folderId || folderName,
+          threshold: newsletterThreshold,
+          counts: Object.fromEntries(TRIAGE_CLASSES.map(triageClass => [triageClass, triaged.filter(message => message.triageClass === triageClass).length])),
+          unsubscribe: unsubscribeReport,
+          messages: triaged.map(({ categories, ...message }) => message)
+        }, null, 2), 'utf8');
+        text += `\n\n📋 **Triage report saved to:** ${reportFile}`;
+      } catch (error) {
+        console.error('Error saving triage report:', error);
+        text += `\n\n⚠️ Could not save the triage report: ${error.message}`;
+      }
+    }
+
+    return {
+      content: [{ type: "text", text }]
+    };
+  } catch (error) {
+    console.error('Error in triageEmails:', error);
+    return {
+      content: [{ type: "text", text: `Error triaging emails: ${error.message}` }],
+      isError: true
+    };
+  }
+}
+
+module.exports = {
+  triageEmails,
+  classifyMessage,
+  parseListUnsubscribe,
+  buildUnsubscribeReport,
+  TRIAGE_CLASSES
+};
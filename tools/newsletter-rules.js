@@ -0,0 +1,408 @@
+/**
+ * Newsletter Rules Tool
+ * Views and edits the newsletter rules file (whitelist, blacklist, custom
+ * patterns) and learns from feedback: messages marked as newsletter or not
+ * give per-sender rules and per-signal weights (see trainSignalModel) that
+ * adjust the detection of extract_contacts_from_emails and email_triage
+ */
+
+const { ensureAuthenticated } = require('../auth');
+const { callGraphAPI } = require('../utils/graph-api');
+const { profileScopedPath } = require('../auth/profiles');
+const {
+  detectNewsletter,
+  applyWhitelistBlacklist,
+  trainSignalModel,
+  applySignalModel
+} = require('../utils/newsletter-detector');
+const config = require('../config');
+const fs = require('fs');
+
+const FEEDBACK_LABELS = ['newsletter', 'not_newsletter'];
+
+// Editable lists of the rules file
+const RULE_LISTS = [
+  'whitelist.domains',
+  'whitelist.senders',
+  'blacklist.domains',
+  'blacklist.senders',
+  'customPatterns.senderPatterns',
+  'customPatterns.subjectPatterns'
+];
+
+// Senders listed in the rules file keep their rule whatever the feedback; custom patterns give way to it
+const RULE_REASONS = ['whitelisted', 'blacklisted'];
+
+/**
+ * Load the newsletter filtering rules of the current profile; a profile
+ * that has not edited its rules yet uses the defaults shipped in config/
+ * @returns {Object|null} - Newsletter rules or null if neither file exists
+ */
+function loadNewsletterRules() {
+  for (const rulesPath of [profileScopedPath(config.NEWSLETTER_RULES_PATH), config.NEWSLETTER_RULES_DEFAULTS_PATH]) {
+    try {
+      if (fs.existsSync(rulesPath)) {
+        return JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+      }
+    } catch (error) {
+      console.error(`Error loading newsletter rules from ${rulesPath}:`, error.message);
+    }
+  }
+  return null;
+}
+
+/**
+ * Write the newsletter filtering rules of the current profile
+ * @param {Object} rules - Newsletter rules
+ */
+function saveNewsletterRules(rules) {
+  const rulesPath = profileScopedPath(config.NEWSLETTER_RULES_PATH);
+  const tempPath = `${rulesPath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(rules, null, 2) + '\n', { encoding: 'utf8', mode: 0o600 });
+  fs.renameSync(tempPath, rulesPath);
+}
+
+/**
+ * Load the newsletter feedback of the current profile
+ * @returns {Object} - { version, feedback: { messageId: { sender, subject, label, signals, markedAt } } }
+ */
+function loadNewsletterFeedback() {
+  const storePath = profileScopedPath(config.NEWSLETTER_FEEDBACK_PATH);
+
+  try {
+    if (fs.existsSync(storePath)) {
+      const store = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+      return { version: 1, feedback: store.feedback || {} };
+    }
+  } catch (error) {
+    console.error('Error loading newsletter feedback, starting fresh:', error.message);
+  }
+  return { version: 1, feedback: {} };
+}
+
+/**
+ * Write the newsletter feedback of the current profile
+ * @param {Object} store - Feedback store
+ */
+function saveNewsletterFeedback(store) {
+  const storePath = profileScopedPath(config.NEWSLETTER_FEEDBACK_PATH);
+  const tempPath = `${storePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(store, null, 2), { mode: 0o600 });
+  fs.renameSync(tempPath, storePath);
+}
+
+/**
+ * Derive per-sender rules from feedback: the label given most often to a
+ * sender's messages (the latest one on a tie)
+ * @param {Array} entries - Feedback entries
+ * @returns {Object} - { sender: { label, count } }
+ */
+function learnSenderRules(entries) {
+  const bySender = {};
+  const sorted = [...entries].sort((a, b) => String(a.markedAt).localeCompare(String(b.markedAt)));
+
+  for (const entry of sorted) {
+    const votes = bySender[entry.sender] = bySender[entry.sender] || { newsletter: 0, not_newsletter: 0, latest: null };
+    votes[entry.label]++;
+    votes.latest = entry.label;
+  }
+
+  return Object.fromEntries(Object.entries(bySender).map(([sender, votes]) => {
+    const label = votes.newsletter === votes.not_newsletter
+      ? votes.latest
+      : (votes.newsletter > votes.not_newsletter ? 'newsletter' : 'not_newsletter');
+    return [sender, { label, count: votes.newsletter + votes.not_newsletter }];
+  }));
+}
+
+/**
+ * Create a newsletter detector applying the rules file, then what was learned from feedback
+ * @returns {Function} - async (email, threshold) => detection result
+ */
+function createNewsletterDetector() {
+  const rules = loadNewsletterRules();
+  const entries = Object.values(loadNewsletterFeedback().feedback);
+  const senderRules = learnSenderRules(entries);
+  const model = trainSignalModel(entries);
+
+  return async (email, threshold = 60) => {
+    const detection = applyWhitelistBlacklist(email, await detectNewsletter(email, threshold), rules);
+    if (RULE_REASONS.includes(detection.reason)) {
+      return detection;
+    }
+
+    // Feedback on the sender wins over custom patterns and signals
+    const sender = (email?.from?.emailAddress?.address || '').toLowerCase();
+    const senderRule = senderRules[sender];
+    if (senderRule) {
+      const isNewsletter = senderRule.label === 'newsletter';
+      return {
+        ...detection,
+        isNewsletter,
+        confidence: isNewsletter ? 100 : 0,
+        signals: [...detection.signals, 'learned-sender'],
+        reason: 'learned-sender'
+      };
+    }
+    if (detection.reason.startsWith('custom-')) {
+      return detection;
+    }
+
+    return applySignalModel(detection, model, threshold);
+  };
+}
+
+/**
+ * Format the rules and what was learned from feedback
+ */
+function formatRules(rules, entries) {
+  const list = (values) => (values && values.length > 0 ? values.join(', ') : '(none)');
+  const rulesPath = profileScopedPath(config.NEWSLETTER_RULES_PATH);
+  const source = fs.existsSync(rulesPath) ? rulesPath : `defaults from ${config.NEWSLETTER_RULES_DEFAULTS_PATH}`;
+  let text = `📋 **Newsletter rules** (${source})\n`;
+  text += RULE_LISTS.map(rule => {
+    const [section, field] = rule.split('.');
+    return `- ${rule}: ${list(rules?.[section]?.[field])}`;
+  }).join('\n');
+
+  const model = trainSignalModel(entries);
+  text += `\n\n🧠 **Learned from ${entries.length} feedback message(s)** ` +
+    `(${model.examples.newsletter} newsletter, ${model.examples.not_newsletter} not newsletter)`;
+
+  const senderRules = Object.entries(learnSenderRules(entries));
+  if (senderRules.length > 0) {
+    text += '\n\nSender rules:\n' + senderRules
+      .map(([sender, rule]) => `- ${sender} → ${rule.label} (${rule.count} message(s))`)
+      .join('\n');
+  }
+
+  const weights = Object.entries(model.weights).sort((a, b) => b[1].present - a[1].present);
+  if (weights.length > 0) {
+    text += `\n\nSignal weights${model.trained ? '' : ' (not used yet: needs feedback on at least 3 newsletters and 3 other messages)'}:\n` +
+      weights.map(([signal, weight]) =>
+        `- ${signal}: ×${Math.exp(weight.present).toFixed(2)} when present, ×${Math.exp(weight.absent).toFixed(2)} when absent`
+      ).join('\n');
+  }
+
+  return text;
+}
+
+/**
+ * Add values to, or remove values from, a list of the rules file
+ */
+function editRuleList(operation, rule, values) {
+  if (!RULE_LISTS.includes(rule)) {
+    return { content: [{ type: "text", text: `Invalid rule: ${rule}. Valid rules are: ${RULE_LISTS.join(', ')}` }] };
+  }
+  if (!Array.isArray(values) || values.length === 0) {
+    return { content: [{ type: "text", text: "Missing required parameter: values" }] };
+  }
+
+  const [section, field] = rule.split('.');
+  const isPattern = section === 'customPatterns';
+  const normalized = values.map(value => (isPattern ? String(value) : String(value).trim().toLowerCase()));
+
+  if (isPattern && operation === 'add') {
+    for (const pattern of normalized) {
+      try {
+        new RegExp(pattern, 'i');
+      } catch (error) {
+        return { content: [{ type: "text", text: `Invalid pattern ${pattern}: ${error.message}` }] };
+      }
+    }
+  }
+
+  const rules = loadNewsletterRules() || {};
+  rules[section] = rules[section] || {};
+  const current = rules[section][field] || [];
+  const compare = value => (isPattern ? value : value.toLowerCase());
+
+  let changed;
+  if (operation === 'add') {
+    changed = normalized.filter(value => !current.map(compare).includes(value));
+    rules[section][field] = [...current, ...changed];
+  } else {
+    changed = current.filter(value => normalized.includes(compare(value)));
+    rules[section][field] = current.filter(value => !normalized.includes(compare(value)));
+  }
+
+  if (changed.length > 0) {
+    saveNewsletterRules(rules);
+  }
+
+  const verb = operation === 'add' ? 'Added to' : 'Removed from';
+  return {
+    content: [{
+      type: "text",
+      text: changed.length > 0
+        ? `${verb} ${rule}: ${changed.join(', ')}`
+        : `${rule} unchanged: ${operation === 'add' ? 'already listed' : 'not listed'}`
+    }]
+  };
+}
+
+/**
+ * Record feedback on messages, with the signals the detector finds in them
+ */
+async function recordFeedback(emailIds, label) {
+  if (!Array.isArray(emailIds) || emailIds.length === 0) {
+    return { content: [{ type: "text", text: "Missing required parameter: emailIds" }] };
+  }
+  if (!FEEDBACK_LABELS.includes(label)) {
+    return { content: [{ type: "text", text: `Invalid label: ${label}. Valid labels are: ${FEEDBACK_LABELS.join(', ')}` }] };
+  }
+
+  const accessToken = await ensureAuthenticated();
+  const store = loadNewsletterFeedback();
+  const recorded = [];
+  const failed = [];
+
+  for (const emailId of emailIds) {
+    try {
+      const email = await callGraphAPI(accessToken, 'GET', `me/messages/${emailId}`, null, {
+        $select: 'id,from,toRecipients,ccRecipients,bccRecipients,subject,body,receivedDateTime,internetMessageHeaders'
+      });
+      const detection = await detectNewsletter(email);
+      const entry = {
+        sender: (email.from?.emailAddress?.address || 'unknown').toLowerCase(),
+        subject: email.subject || '(no subject)',
+        label,
+        signals: detection.signals,
+        markedAt: new Date().toISOString()
+      };
+      store.feedback[emailId] = entry;
+      recorded.push(entry);
+    } catch (error) {
+      failed.push(`${emailId}: ${error.message}`);
+    }
+  }
+
+  if (recorded.length > 0) {
+    saveNewsletterFeedback(store);
+  }
+
+  const senderRules = learnSenderRules(Object.values(store.feedback));
+  let text = `Recorded ${recorded.length} message(s) as ${label}.`;
+  if (recorded.length > 0) {
+    text += '\n' + recorded.map(entry =>
+      `- ${entry.subject} — ${entry.sender} (sender rule: ${senderRules[entry.sender].label})`
+    ).join('\n');
+  }
+  if (failed.length > 0) {
+    text += `\n\n⚠️ ${failed.length} message(s) could not be read:\n${failed.join('\n')}`;
+  }
+
+  return { content: [{ type: "text", text }] };
+}
+
+/**
+ * Drop feedback given on messages or senders
+ */
+function forgetFeedback(emailIds = [], senders = []) {
+  if (emailIds.length === 0 && senders.length === 0) {
+    return { content: [{ type: "text", text: "Missing required parameter: emailIds or senders" }] };
+  }
+
+  const store = loadNewsletterFeedback();
+  const forgottenSenders = senders.map(sender => sender.toLowerCase());
+  const forgotten = Object.keys(store.feedback).filter(emailId =>
+    emailIds.includes(emailId) || forgottenSenders.includes(store.feedback[emailId].sender));
+
+  for (const emailId of forgotten) {
+    delete store.feedback[emailId];
+  }
+  if (forgotten.length > 0) {
+    saveNewsletterFeedback(store);
+  }
+
+  return {
+    content: [{ type: "text", text: `Forgot feedback on ${forgotten.length} message(s).` }]
+  };
+}
+
+/**
+ * Main handler for newsletter rules
+ * @param {Object} args - Tool arguments
+ * @returns {Promise<Object>} - Tool response
+ */
+async function handleNewsletterRules(args) {
+  const { operation, rule, values, emailIds, label, senders } = args;
+
+  try {
+    switch (operation) {
+      case 'view':
+        return {
+          content: [{ type: "text", text: formatRules(loadNewsletterRules(), Object.values(loadNewsletterFeedback().feedback)) }]
+        };
+      case 'add':
+      case 'remove':
+        return editRuleList(operation, rule, values);
+      case 'feedback':
+        return await recordFeedback(emailIds, label);
+      case 'forget':
+        return forgetFeedback(emailIds, senders);
+      default:
+        return {
+          content: [{ type: "text", text: `Invalid operation: ${operation}. Valid operations are: view, add, remove, feedback, forget` }]
+        };
+    }
+  } catch (error) {
+    console.error(`Error in newsletter_rules ${operation}:`, error);
+    return {
+      content: [{ type: "text", text: `Error in newsletter_rules ${operation}: ${error.message}` }],
+      isError: true
+    };
+  }
+}
+
+// Tool definitions
+const newsletterRulesTools = [
+  {
+    name: "newsletter_rules",
+    description: "Manage newsletter detection: view or edit the whitelist, blacklist and custom patterns (add/remove), and teach the detector by marking messages as newsletter or not (feedback). Feedback gives per-sender rules and per-signal weights used by extract_contacts_from_emails and email_triage",
+    inputSchema: {
+      type: "object",
+      properties: {
+        operation: {
+          type: "string",
+          enum: ["view", "add", "remove", "feedback", "forget"],
+          description: "The operation to perform"
+        },
+        rule: {
+          type: "string",
+          enum: RULE_LISTS,
+          description: "add/remove: rule list to edit"
+        },
+        values: {
+          type: "array",
+          items: { type: "string" },
+          description: "add/remove: domains, sender addresses or regex patterns"
+        },
+        emailIds: {
+          type: "array",
+          items: { type: "string" },
+          description: "feedback/forget: message IDs"
+        },
+        label: {
+          type: "string",
+          enum: FEEDBACK_LABELS,
+          description: "feedback: what the messages are"
+        },
+        senders: {
+          type: "array",
+          items: { type: "string" },
+          description: "forget: sender addresses whose feedback is dropped"
+        }
+      },
+      required: ["operation"]
+    },
+    handler: handleNewsletterRules
+  }
+];
+
+module.exports = {
+  newsletterRulesTools,
+  loadNewsletterRules,
+  createNewsletterDetector,
+  learnSenderRules
+};
@@ -5,10 +5,13 @@
  */
 
 const { callGraphAPI } = require('./graph-api');
+const { requestScheduler, parseRetryAfter } = require('./request-scheduler');
 
 class BatchRequestManager {
   constructor() {
     this.maxBatchSize = 20; // Microsoft Graph API limit
+    this.maxThrottleRetries = 3; // Resends of sub-requests throttled inside a batch
+    this.throttledStatuses = [429, 503];
   }
 
   /**
@@ -59,18 +62,35 @@ class BatchRequestManager {
    */
   async executeSingleBatch(chunk, accessToken) {
     try {
-      const batchResponse = await callGraphAPI(
-        accessToken,
-        'POST',
-        '$batch',
-        { requests: chunk }
-      );
+      const responses = new Map();
+      let pending = chunk;
       
-      // Extract responses from batch response
-      if (batchResponse && batchResponse.responses) {
-        return batchResponse.responses;
+      for (let attempt = 0; pending.length > 0; attempt++) {
+        const batchResponse = await callGraphAPI(
+          accessToken,
+          'POST',
+          '$batch',
+          { requests: pending }
+        );
+        
+        // Extract responses from batch response
+        (batchResponse?.responses || []).forEach(response => responses.set(String(response.id), response));
+        
+        // Sub-requests can be throttled even when the batch itself succeeds; resend only those
+        const throttled = pending.filter(req => this.throttledStatuses.includes(responses.get(req.id)?.status));
+        if (throttled.length === 0 || attempt >= this.maxThrottleRetries) break;
+        
+        const retryAfters = throttled.map(req => {
+          const headers = responses.get(req.id).headers || {};
+          return parseRetryAfter(headers['Retry-After'] ?? headers['retry-after']);
+        });
+        const delay = Math.max(...retryAfters.map(retryAfter => retryAfter ?? 1000 * Math.pow(2, attempt)));
+        console.error(`${throttled.length} batch sub-request(s) throttled. Retrying in ${delay}ms...`);
+        requestScheduler.reportThrottling(throttled[0].url, responses.get(throttled[0].id).status, delay, retryAfters.some(retryAfter => retryAfter !== null));
+        pending = throttled;
       }
-      return [];
+      
+      return chunk.map(req => responses.get(req.id)).filter(Boolean);
     } catch (error) {
       console.error('Batch request failed:', error);
       // Add error responses for failed batch
@@ -0,0 +1,515 @@
+/**
+ * Plain text extraction from Office documents and PDFs
+ *
+ * Word, PowerPoint and Excel files (docx, pptx, xlsx) are ZIP archives of XML
+ * parts: the archive is read with zlib and the text runs, slide texts and
+ * cell values are pulled out of the XML. For PDFs, the text shown by the page
+ * content streams is collected; PDFs whose fonts use custom encodings (or
+ * scanned PDFs) may give little or no text. Legacy binary formats (doc, ppt,
+ * xls) are not supported.
+ *
+ * Compressed data is never inflated past maxInflatedBytes per archive entry or
+ * stream, nor past maxTotalInflatedBytes for the whole document, so a small
+ * file cannot expand into gigabytes in memory. Extraction stops reading parts
+ * once maxChars of text have been collected.
+ */
+const zlib = require('zlib');
+
+// Default decompressed size allowed per archive entry or PDF stream
+const DEFAULT_MAX_INFLATED_BYTES = 16 * 1024 * 1024;
+// Default decompressed size allowed for all the entries or streams of a document
+const DEFAULT_MAX_TOTAL_INFLATED_BYTES = 64 * 1024 * 1024;
+
+const EXTRACTORS = {
+  docx: extractDocxText,
+  pptx: extractPptxText,
+  xlsx: extractXlsxText,
+  pdf: extractPdfText
+};
+
+/**
+ * Reads the entries of a ZIP archive
+ * @param {Buffer} buffer - Archive content
+ * @param {object} [options] - { maxInflatedBytes, budget }: largest entry content to read, and
+ *   the decompressed bytes left for the whole document ({ remaining }, shared by all reads)
+ * @returns {Map<string, Function>} - Entry name -> function returning the entry content
+ */
+function readZipEntries(buffer, options = {}) {
+  const { maxInflatedBytes = DEFAULT_MAX_INFLATED_BYTES } = options;
+  const budget = options.budget || inflateBudget(options);
+
+  // The end of central directory record is within the last 64 KiB (its comment is at most 65535 bytes)
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) throw new Error('not a ZIP archive');
+
+  const entries = new Map();
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+
+  for (let n = 0; n < count && offset + 46 <= end && buffer.readUInt32LE(offset) === 0x02014b50; n++) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const uncompressedSize = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    entries.set(name, () => {
+      if (localOffset + 30 > buffer.length) throw new Error(`corrupt ZIP archive: ${name} starts past the end of the file`);
+      const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      if (dataStart + compressedSize > buffer.length) throw new Error(`corrupt ZIP archive: ${name} ends past the end of the file`);
+      if (uncompressedSize > maxInflatedBytes) {
+        throw new Error(`${name} is too large once decompressed (${uncompressedSize} bytes, the limit is ${maxInflatedBytes})`);
+      }
+      const limit = Math.min(maxInflatedBytes, budget.remaining);
+      if (uncompressedSize > limit || limit === 0) {
+        throw new Error(`the document is too large once decompressed (over ${budget.total} bytes in total)`);
+      }
+
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+      if (method !== 0 && method !== 8) throw new Error(`unsupported ZIP compression method ${method} for ${name}`);
+      let content = data;
+      if (method === 8) {
+        try {
+          // The declared size can lie, so the output is capped as well
+          content = zlib.inflateRawSync(data, { maxOutputLength: limit });
+        } catch (error) {
+          if (error.code !== 'ERR_BUFFER_TOO_LARGE') throw new Error(`corrupt ZIP entry ${name}: ${error.message}`);
+          throw new Error(limit < maxInflatedBytes
+            ? `the document is too large once decompressed (over ${budget.total} bytes in total)`
+            : `${name} is too large once decompressed (over ${maxInflatedBytes} bytes)`);
+        }
+      }
+      budget.remaining = Math.max(0, budget.remaining - content.length);
+      return content;
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+/**
+ * Creates the decompression budget of one document
+ * @param {object} options - { maxTotalInflatedBytes }
+ * @returns {object} - { total, remaining }
+ */
+function inflateBudget({ maxTotalInflatedBytes = DEFAULT_MAX_TOTAL_INFLATED_BYTES } = {}) {
+  return { total: maxTotalInflatedBytes, remaining: maxTotalInflatedBytes };
+}
+
+/**
+ * Reads a ZIP entry as text
+ * @returns {string|null} - Entry content, or null if the archive has no such entry
+ */
+function readZipText(entries, name) {
+  const read = entries.get(name);
+  return read ? read().toString('utf8') : null;
+}
+
+/**
+ * Decodes the XML entities of a text node
+ */
+function decodeXmlEntities(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Collects the text runs of a DrawingML/WordprocessingML part, one line per paragraph
+ * @param {string} xml - Part content
+ * @param {string} prefix - Namespace prefix of the text elements ("w" or "a")
+ * @returns {string} - Text
+ */
+function collectRuns(xml, prefix) {
+  const pattern = new RegExp(`<${prefix}:t(?:\\s[^>]*)?>([^<]*)</${prefix}:t>|<${prefix}:(tab|br)\\s*/>|</${prefix}:p>`, 'g');
+  let text = '';
+  for (const [match, run, empty] of xml.matchAll(pattern)) {
+    if (run !== undefined) text += decodeXmlEntities(run);
+    else if (empty === 'tab') text += '\t';
+    else if (empty === 'br' || match.startsWith('</')) text += '\n';
+  }
+  return text.replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Extracts the text of a Word document (body, then headers, footers and footnotes)
+ * @param {Buffer} buffer - docx content
+ * @param {object} [options] - See readZipEntries
+ * @returns {string} - Text
+ */
+function extractDocxText(buffer, options = {}) {
+  const { maxChars = Infinity } = options;
+  const entries = readZipEntries(buffer, options);
+  const body = readZipText(entries, 'word/document.xml');
+  if (body === null) throw new Error('not a Word document');
+
+  const blocks = [collectRuns(body, 'w')];
+  let length = blocks[0].length;
+  const others = [...entries.keys()]
+    .filter(name => /^word\/(header|footer)\d*\.xml$|^word\/(footnotes|endnotes)\.xml$/.test(name))
+    .sort();
+  for (const name of others) {
+    if (length >= maxChars) break;
+    const text = collectRuns(readZipText(entries, name), 'w');
+    if (!text) continue;
+    blocks.push(text);
+    length += text.length;
+  }
+
+  return blocks.join('\n\n');
+}
+
+/**
+ * Extracts the text of a PowerPoint presentation, slide by slide (with speaker notes)
+ * @param {Buffer} buffer - pptx content
+ * @param {object} [options] - See readZipEntries
+ * @returns {string} - Text
+ */
+function extractPptxText(buffer, options = {}) {
+  const { maxChars = Infinity } = options;
+  const entries = readZipEntries(buffer, options);
+  const slideNumbers = [...entries.keys()]
+    .map(name => name.match(/^ppt\/slides\/slide(\d+)\.xml$/))
+    .filter(Boolean)
+    .map(match => Number(match[1]))
+    .sort((a, b) => a - b);
+  if (slideNumbers.length === 0 && !entries.has('ppt/presentation.xml')) throw new Error('not a PowerPoint presentation');
+
+  const blocks = [];
+  let length = 0;
+  for (const number of slideNumbers) {
+    if (length >= maxChars) break;
+    const slide = collectRuns(readZipText(entries, `ppt/slides/slide${number}.xml`), 'a');
+    const notesXml = readZipText(entries, `ppt/notesSlides/notesSlide${number}.xml`);
+    const notes = notesXml ? collectRuns(notesXml, 'a') : '';
+    const block = `--- Slide ${number} ---\n${slide}${notes ? `\nNotes: ${notes}` : ''}`;
+    blocks.push(block);
+    length += block.length;
+  }
+  return blocks.join('\n\n');
+}
+
+/**
+ * Converts a column number (0-based) to its letters
+ */
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * Extracts the cell values of an Excel workbook, sheet by sheet
+ * @param {Buffer} buffer - xlsx content
+ * @param {object} [options] - See readZipEntries
+ * @returns {string} - One block per sheet ("Sheet: name (A1:D20)"), one tab-separated line per row
+ */
+function extractXlsxText(buffer, options = {}) {
+  const { maxChars = Infinity } = options;
+  const entries = readZipEntries(buffer, options);
+  const workbook = readZipText(entries, 'xl/workbook.xml');
+  if (workbook === null) throw new Error('not an Excel workbook');
+
+  const sharedStrings = [...(readZipText(entries, 'xl/sharedStrings.xml') || '').matchAll(/<si>([\s\S]*?)<\/si>/g)]
+    .map(([, si]) => [...si.matchAll(/<t(?:\s[^>]*)?>([^<]*)<\/t>/g)].map(([, t]) => decodeXmlEntities(t)).join(''));
+
+  const targets = new Map([...(readZipText(entries, 'xl/_rels/workbook.xml.rels') || '').matchAll(/<Relationship\b[^>]*>/g)]
+    .map(([tag]) => [tag.match(/\bId="([^"]+)"/)?.[1], tag.match(/\bTarget="([^"]+)"/)?.[1]]));
+
+  const blocks = [];
+  let length = 0;
+  for (const [tag] of workbook.matchAll(/<sheet\b[^>]*>/g)) {
+    if (length >= maxChars) break;
+    const name = decodeXmlEntities(tag.match(/\bname="([^"]*)"/)?.[1] || '');
+    const target = targets.get(tag.match(/\br:id="([^"]+)"/)?.[1]);
+    if (!target) continue;
+
+    const xml = readZipText(entries, target.startsWith('/') ? target.slice(1) : `xl/${target}`);
+    if (!xml) continue;
+
+    const rows = [];
+    let minColumn = Infinity;
+    let maxColumn = -1;
+    for (const [, rowXml] of xml.matchAll(/<row\b[^>]*>([\s\S]*?)<\/row>/g)) {
+      const cells = [];
+      for (const [, attributes, content] of rowXml.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+        const [, letters, rowNumber] = attributes.match(/\br="([A-Z]+)(\d+)"/) || [];
+        if (!letters || !content) continue;
+
+        const type = attributes.match(/\bt="([^"]+)"/)?.[1];
+        const value = content.match(/<v>([^<]*)<\/v>/)?.[1];
+        let text;
+        if (type === 's') text = sharedStrings[Number(value)];
+        else if (type === 'inlineStr') text = [...content.matchAll(/<t(?:\s[^>]*)?>([^<]*)<\/t>/g)].map(([, t]) => decodeXmlEntities(t)).join('');
+        else if (type === 'b') text = value === '1' ? 'TRUE' : 'FALSE';
+        else text = value === undefined ? undefined : decodeXmlEntities(value);
+        if (text === undefined || text === '') continue;
+
+        const column = [...letters].reduce((total, letter) => total * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+        cells.push({ column, row: Number(rowNumber), text: text.replace(/[\t\r\n]+/g, ' ') });
+        minColumn = Math.min(minColumn, column);
+        maxColumn = Math.max(maxColumn, column);
+      }
+      if (cells.length > 0) rows.push(cells);
+    }
+
+    if (rows.length === 0) {
+      blocks.push(`Sheet: ${name} (empty)`);
+      continue;
+    }
+
+    const range = `${columnName(minColumn)}${rows[0][0].row}:${columnName(maxColumn)}${rows[rows.length - 1][0].row}`;
+    const lines = rows.map(cells => {
+      const values = new Array(maxColumn - minColumn + 1).fill('');
+      for (const cell of cells) values[cell.column - minColumn] = cell.text;
+      return `${cells[0].row}\t${values.join('\t').replace(/\t+$/, '')}`;
+    });
+    const block = `Sheet: ${name} (${range})\n${lines.join('\n')}`;
+    blocks.push(block);
+    length += block.length;
+  }
+  return blocks.join('\n\n');
+}
+
+/**
+ * Reads a PDF literal string starting after its opening parenthesis
+ * @returns {object} - { text, end } (end: index after the closing parenthesis)
+ */
+function readPdfLiteral(content, start) {
+  const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+  let text = '';
+  let depth = 1;
+  let i = start;
+
+  for (; i < content.length; i++) {
+    const char = content[i];
+    if (char === '\\') {
+      const next = content[++i];
+      if (escapes[next]) text += escapes[next];
+      else if (/[0-7]/.test(next)) {
+        const octal = content.substr(i, 3).match(/^[0-7]{1,3}/)[0];
+        text += String.fromCharCode(parseInt(octal, 8));
+        i += octal.length - 1;
+      } else if (next === '\r' || next === '\n') {
+        if (next === '\r' && content[i + 1] === '\n') i++;
+      } else text += next;
+    } else if (char === '(') {
+      depth++;
+      text += char;
+    } else if (char === ')') {
+      if (--depth === 0) break;
+      text += char;
+    } else {
+      text += char;
+    }
+  }
+  return { text, end: i + 1 };
+}
+
+/**
+ * Decodes a PDF hex string; two-byte strings with a zero high byte are read as UTF-16
+ */
+function decodePdfHex(hex) {
+  const bytes = Buffer.from(hex.replace(/\s+/g, '') + (hex.replace(/\s+/g, '').length % 2 ? '0' : ''), 'hex');
+  if (bytes.length >= 2 && bytes.length % 2 === 0 && bytes.every((byte, i) => i % 2 === 1 || byte === 0)) {
+    return bytes.swap16().toString('utf16le');
+  }
+  return bytes.toString('latin1');
+}
+
+/**
+ * Collects the text shown by a page content stream
+ * @param {string} content - Decoded content stream (latin1)
+ * @returns {string} - Text, one line per text line
+ */
+function textFromContentStream(content) {
+  let text = '';
+  let operands = [];
+  let arrayDepth = 0;
+  let array = [];
+
+  const newLine = () => {
+    if (text && !text.endsWith('\n')) text += '\n';
+  };
+
+  for (let i = 0; i < content.length;) {
+    const char = content[i];
+
+    if (char === '(') {
+      const { text: literal, end } = readPdfLiteral(content, i + 1);
+      (arrayDepth > 0 ? array : operands).push({ string: literal });
+      i = end;
+    } else if (char === '<' && content[i + 1] !== '<') {
+      const end = content.indexOf('>', i);
+      if (end === -1) break;
+      (arrayDepth > 0 ? array : operands).push({ string: decodePdfHex(content.slice(i + 1, end)) });
+      i = end + 1;
+    } else if (char === '[') {
+      arrayDepth++;
+      if (arrayDepth === 1) array = [];
+      i++;
+    } else if (char === ']') {
+      arrayDepth = Math.max(0, arrayDepth - 1);
+      if (arrayDepth === 0) operands.push({ array });
+      i++;
+    } else if (char === '%') {
+      const end = content.indexOf('\n', i);
+      i = end === -1 ? content.length : end + 1;
+    } else if (/\s/.test(char)) {
+      i++;
+    } else {
+      const token = content.slice(i).match(/^(?:[+-]?(?:\d+\.?\d*|\.\d+)|\/[^\s/[\]()<>{}%]*|<<|>>|[^\s/[\]()<>{}%]+)/);
+      if (!token) {
+        i++;
+        continue;
+      }
+      const word = token[0];
+      i += word.length;
+
+      if (/^[+-]?[\d.]/.test(word)) {
+        (arrayDepth > 0 ? array : operands).push({ number: Number(word) });
+        continue;
+      }
+      if (word.startsWith('/') || word === '<<' || word === '>>' || arrayDepth > 0) {
+        if (arrayDepth === 0) operands.push({ name: word });
+        continue;
+      }
+
+      // Operator
+      switch (word) {
+        case 'Tj':
+          text += operands[operands.length - 1]?.string || '';
+          break;
+        case "'":
+        case '"':
+          newLine();
+          text += operands[operands.length - 1]?.string || '';
+          break;
+        case 'TJ':
+          for (const part of operands[operands.length - 1]?.array || []) {
+            if (part.string !== undefined) text += part.string;
+            else if (part.number < -200 && !text.endsWith(' ')) text += ' ';
+          }
+          break;
+        case 'Td':
+        case 'TD':
+          if (operands[operands.length - 1]?.number) newLine();
+          else if (text && !/\s$/.test(text)) text += ' ';
+          break;
+        case 'T*':
+        case 'ET':
+          newLine();
+          break;
+        default:
+          break;
+      }
+      operands = [];
+    }
+  }
+  return text;
+}
+
+/**
+ * Extracts the text of a PDF
+ * @param {Buffer} buffer - PDF content
+ * @param {object} [options] - { maxInflatedBytes, budget, maxChars }: largest stream content to read
+ *   (larger streams are skipped); the streams after the budget runs out or maxChars is reached are not read
+ * @returns {string} - Text of the page content streams
+ */
+function extractPdfText(buffer, options = {}) {
+  const { maxInflatedBytes = DEFAULT_MAX_INFLATED_BYTES, maxChars = Infinity } = options;
+  const budget = options.budget || inflateBudget(options);
+  const source = buffer.toString('latin1');
+  if (!source.startsWith('%PDF')) throw new Error('not a PDF');
+
+  const parts = [];
+  let length = 0;
+  const streamPattern = /stream\r?\n/g;
+  let match;
+  while (length < maxChars && (match = streamPattern.exec(source)) !== null) {
+    const dataStart = match.index + match[0].length;
+    const dataEnd = source.indexOf('endstream', dataStart);
+    if (dataEnd === -1) break;
+    streamPattern.lastIndex = dataEnd + 9;
+
+    // The stream dictionary is between the object header and the stream keyword
+    const dictionary = source.slice(Math.max(source.lastIndexOf(' obj', match.index), match.index - 2000), match.index);
+    if (/\/Subtype\s*\/(Image|XML)|\/Type\s*\/(XRef|ObjStm|Metadata)|\/Length1/.test(dictionary)) continue;
+
+    let data = buffer.subarray(dataStart, dataEnd);
+    const filters = dictionary.match(/\/Filter\s*(\[[^\]]*\]|\/\w+)/)?.[1] || '';
+    if (filters && filters.replace(/\/FlateDecode|[[\]\s]/g, '') !== '') continue;
+    if (filters.includes('FlateDecode')) {
+      if (budget.remaining === 0) break;
+      try {
+        data = zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH, maxOutputLength: Math.min(maxInflatedBytes, budget.remaining) });
+      } catch (error) {
+        // A stream cut off by the budget would use it up: stop there
+        if (error.code === 'ERR_BUFFER_TOO_LARGE' && budget.remaining < maxInflatedBytes) break;
+        continue;
+      }
+      budget.remaining -= data.length;
+    }
+
+    const content = data.toString('latin1');
+    if (!/\bBT\b/.test(content)) continue;
+    const text = textFromContentStream(content).trim();
+    if (text) {
+      parts.push(text);
+      length += text.length;
+    }
+  }
+
+  return parts.join('\n\n')
+    .replace(/[^\S\n]+/g, ' ')
+    .replace(/[\0-\x08\x0b-\x1f]/g, '');
+}
+
+/**
+ * File type of a document, from its name
+ * @param {string} name - File name
+ * @returns {string|null} - 'docx', 'pptx', 'xlsx', 'pdf', or null if text cannot be extracted from it
+ */
+function documentType(name) {
+  const extension = String(name || '').toLowerCase().match(/\.([a-z]+)$/)?.[1];
+  const aliases = { docm: 'docx', pptm: 'pptx', xlsm: 'xlsx' };
+  const type = aliases[extension] || extension;
+  return EXTRACTORS[type] ? type : null;
+}
+
+/**
+ * Extracts the text of a document
+ * @param {Buffer} buffer - File content
+ * @param {string} type - 'docx', 'pptx', 'xlsx' or 'pdf'
+ * @param {object} [options] - { maxInflatedBytes, maxTotalInflatedBytes, maxChars }: decompressed size
+ *   allowed per archive entry or PDF stream and for the whole document, and text after which no
+ *   further parts are read (the text returned can be longer)
+ * @returns {string} - Text
+ */
+function extractDocumentText(buffer, type, options = {}) {
+  const extract = EXTRACTORS[type];
+  if (!extract) throw new Error(`Text extraction is not supported for ${type} files`);
+  return extract(buffer, { ...options, budget: inflateBudget(options) });
+}
+
+module.exports = {
+  documentType,
+  extractDocumentText,
+  readZipEntries
+};
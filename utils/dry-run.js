@@ -0,0 +1,141 @@
+/**
+ * Dry-run support
+ *
+ * When a tool is called with `dryRun: true`, the dispatcher runs its handler
+ * inside a dry-run context. Reads go to Microsoft Graph as usual, but every
+ * request that would change something (POST, PATCH, PUT, DELETE, and the
+ * writes inside a $batch, and writes to pre-authenticated upload URLs) is
+ * recorded here instead of being sent, and the handler receives a placeholder
+ * response.
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+
+const dryRunStorage = new AsyncLocalStorage();
+
+// POST endpoints whose path ends in an action on an existing item
+const ACTION_SEGMENT_PATTERN = /^(move|copy|send|cancel|forward|reply|replyAll|accept|decline|tentativelyAccept|dismissReminder|snoozeReminder|createLink|invite|checkin|checkout|restore|archive|unarchive|softDelete|permanentDelete)$/;
+
+/**
+ * Returns the path of the existing item a write targets, if any
+ * (the item itself for DELETE/PATCH/PUT, the parent for POST actions)
+ * @param {string} method - HTTP method
+ * @param {string} path - Graph path
+ * @returns {string|null} - Item path, or null for creates
+ */
+function getTargetPath(method, path) {
+  const cleanPath = path.split('?')[0].replace(/^\/+/, '').replace(/^v1\.0\//, '');
+
+  if (method === 'DELETE' || method === 'PATCH') return cleanPath;
+  if (method === 'PUT') return cleanPath.replace(/\/content$/, '').replace(/:$/, '');
+
+  const segments = cleanPath.split('/');
+  if (method === 'POST' && segments.length > 1 && ACTION_SEGMENT_PATTERN.test(segments[segments.length - 1])) {
+    return segments.slice(0, -1).join('/');
+  }
+  return null;
+}
+
+/**
+ * Records a write, or the writes of a $batch, instead of sending it
+ * @param {string} accessToken - Access token of the call (used later to describe targets)
+ * @param {string} method - HTTP method
+ * @param {string} path - Graph path
+ * @param {object} data - Request body
+ * @param {object} customHeaders - Request headers
+ * @returns {object|undefined} - Placeholder response, or undefined to send the request
+ */
+function interceptGraphRequest(accessToken, method, path, data, customHeaders = {}) {
+  const store = dryRunStorage.getStore();
+  if (!store || method === 'GET') return undefined;
+
+  store.accessToken = store.accessToken || accessToken;
+
+  if (path === '$batch') {
+    const requests = data?.requests || [];
+    const writes = requests.filter(request => request.method !== 'GET');
+    if (writes.length === 0) return undefined;
+
+    writes.forEach(request => recordWrite(store, request.method, request.url, request.body, request.headers));
+    return {
+      responses: requests.map(request => ({
+        id: request.id,
+        status: request.method === 'DELETE' ? 204 : 200,
+        body: placeholderResponse(store)
+      }))
+    };
+  }
+
+  recordWrite(store, method, path, data, customHeaders);
+  return method === 'DELETE' ? '' : placeholderResponse(store);
+}
+
+/**
+ * Records a write to a pre-authenticated URL (such as an upload session) instead of sending it
+ * @param {string} method - HTTP method
+ * @param {string} url - Absolute URL
+ * @param {*} body - Request body
+ * @returns {object|undefined} - Placeholder { statusCode, headers, body }, or undefined to send the request
+ */
+function interceptPreauthenticatedRequest(method, url, body) {
+  const store = dryRunStorage.getStore();
+  if (!store || method === 'GET') return undefined;
+
+  // The query string carries the URL's credentials, so only the path is recorded
+  const { origin, pathname } = new URL(url);
+  store.writes.push({
+    method,
+    path: `${origin}${pathname}`,
+    body: describeBody(body),
+    ifMatch: null,
+    targetPath: null
+  });
+  return { statusCode: method === 'DELETE' ? 204 : 201, headers: {}, body: placeholderResponse(store) };
+}
+
+/**
+ * Adds a write to the dry-run record
+ */
+function recordWrite(store, method, path, body, headers = {}) {
+  const cleanPath = path.replace(/^\/+/, '');
+  store.writes.push({
+    method,
+    path: cleanPath,
+    body: describeBody(body),
+    ifMatch: headers['If-Match'] || headers['if-match'] || null,
+    targetPath: getTargetPath(method, cleanPath)
+  });
+}
+
+/**
+ * Keeps JSON bodies as they are; binary and stream bodies are summarised
+ */
+function describeBody(body) {
+  if (Buffer.isBuffer(body) || body instanceof Uint8Array) return { binary: true, size: body.length };
+  if (body && typeof body.pipe === 'function') return { binary: true, stream: true };
+  return body || null;
+}
+
+/**
+ * Builds the object handed back to a handler in place of a Graph response
+ */
+function placeholderResponse(store) {
+  return { id: `dry-run-${store.writes.length}`, '@dryRun': true };
+}
+
+/**
+ * Runs a function in dry-run mode
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<object>} - { result, writes, accessToken }
+ */
+async function runDryRun(fn) {
+  const store = { writes: [], accessToken: null };
+  const result = await dryRunStorage.run(store, fn);
+  return { result, writes: store.writes, accessToken: store.accessToken };
+}
+
+module.exports = {
+  runDryRun,
+  interceptGraphRequest,
+  interceptPreauthenticatedRequest,
+  getTargetPath
+};
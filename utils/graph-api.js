@@ -2,23 +2,37 @@
  * Microsoft Graph API helper functions with enhanced error handling
  */
 const https = require('https');
+const fs = require('fs');
+const { dirname } = require('path');
 const config = require('../config');
 const mockData = require('./mock-data');
+const { recordGraphResponse } = require('./structured-output');
+const { interceptGraphRequest, interceptPreauthenticatedRequest } = require('./dry-run');
+const { traceGraphRequest, traceBatchResponse } = require('./graph-trace');
+const { requestScheduler, parseRetryAfter } = require('./request-scheduler');
+const { refreshAfterUnauthorized } = require('../auth/token-manager');
 
 // Retry configuration
 const RETRY_CONFIG = {
   maxRetries: 3,
   retryDelay: 1000, // Start with 1 second
   retryableErrors: [429, 503, 504], // Rate limit and service unavailable
-  exponentialBackoff: true
+  exponentialBackoff: true,
+  maxRetryAfter: 120000 // Longest Retry-After honoured before giving up
 };
 
+// Returned by a throttled attempt once its scheduler slot is released, so the retry queues again
+const RETRY_REQUEST = Symbol('retry');
+
+// Returned by an attempt Graph answered 401 to, so the request is replayed with a refreshed token
+const REFRESH_AND_RETRY = Symbol('refresh');
+
 // Error message enhancements
 const ERROR_SUGGESTIONS = {
   401: 'Authentication token may have expired. Please re-authenticate.',
   403: 'Insufficient permissions. Check if the app has the required Microsoft Graph permissions.',
   404: 'Resource not found. Verify the ID or path is correct.',
-  429: 'Rate limit exceeded. The request will be retried automatically.',
+  429: 'Rate limit exceeded. Wait before retrying, or reduce the number of items per call.',
   500: 'Microsoft Graph service error. Please try again later.',
   503: 'Service temporarily unavailable. The request will be retried automatically.'
 };
@@ -31,22 +45,191 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+// Statuses Graph answers /content and /$value requests with, pointing at a pre-authenticated URL
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Non-JSON content types returned to callers as text (transcripts, HTML, CSV...); anything else is binary
+const TEXT_CONTENT_TYPE = /^text\/|[/+]xml\b|^application\/(javascript|x-www-form-urlencoded)\b/i;
+
+/**
+ * Tells whether a request body is sent as is rather than serialised as JSON
+ * @param {*} data - Request body
+ * @returns {boolean}
+ */
+function isRawBody(data) {
+  return typeof data === 'string' || Buffer.isBuffer(data) || data instanceof Uint8Array || isReadableStream(data);
+}
+
 /**
- * Makes a request to the Microsoft Graph API with retry logic
+ * Tells whether a value is a readable stream
+ */
+function isReadableStream(data) {
+  return Boolean(data) && typeof data.pipe === 'function' && typeof data.on === 'function';
+}
+
+/**
+ * Sends one HTTP request. The response body is collected into a Buffer, or, for
+ * a 2xx response when `saveTo` is given, written to that file as it arrives
+ * (through a .part file, renamed once complete).
+ * @param {string} url - Absolute URL
+ * @param {object} request - { method, headers, body (Buffer, string or stream), saveTo }
+ * @returns {Promise<object>} - { statusCode, headers, body (Buffer), saved ({ path, size } when saved to disk) }
+ */
+function sendHttpRequest(url, { method, headers, body = null, saveTo = null }) {
+  return new Promise((resolve, reject) => {
+    const req = https.request(url, { method, headers }, (res) => {
+      const chunks = [];
+      const writeToFile = saveTo && res.statusCode >= 200 && res.statusCode < 300;
+      const tempPath = `${saveTo}.part`;
+      let file = null;
+      let size = 0;
+
+      // Stops the download, removes the partial file and rejects
+      const fail = (error) => {
+        res.destroy?.();
+        if (file) {
+          const removePartial = () => fs.rm(tempPath, { force: true }, () => {});
+          file.destroy();
+          if (file.closed) removePartial();
+          else file.once('close', removePartial);
+        }
+        reject(error);
+      };
+
+      if (writeToFile) {
+        try {
+          fs.mkdirSync(dirname(saveTo), { recursive: true });
+        } catch (error) {
+          fail(new Error(`Unable to write ${saveTo}: ${error.message}`));
+          return;
+        }
+        file = fs.createWriteStream(tempPath);
+        file.on('error', (error) => fail(new Error(`Unable to write ${saveTo}: ${error.message}`)));
+      }
+
+      res.on('data', (chunk) => {
+        const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+        size += buffer.length;
+        if (!file) {
+          chunks.push(buffer);
+        } else if (!file.write(buffer) && res.pause) {
+          // Let the disk catch up rather than buffering a large download in memory
+          res.pause();
+          file.once('drain', () => res.resume());
+        }
+      });
+
+      res.on('end', () => {
+        const response = { statusCode: res.statusCode, headers: res.headers || {}, body: Buffer.concat(chunks) };
+        if (!file) {
+          resolve(response);
+          return;
+        }
+        file.end(() => {
+          try {
+            fs.renameSync(tempPath, saveTo);
+          } catch (error) {
+            fail(new Error(`Unable to write ${saveTo}: ${error.message}`));
+            return;
+          }
+          resolve({ ...response, saved: { path: saveTo, size } });
+        });
+      });
+
+      res.on('error', (error) => {
+        fail(new Error(`Network error during API call: ${error.message}`));
+      });
+    });
+
+    req.on('error', (error) => {
+      reject(new Error(`Network error during API call: ${error.message}`));
+    });
+
+    if (isReadableStream(body)) {
+      body.on('error', (error) => req.destroy(error));
+      body.pipe(req);
+    } else {
+      if (body !== null) {
+        req.write(body);
+      }
+      req.end();
+    }
+  });
+}
+
+/**
+ * Turns a successful response body into what callGraphAPI returns
+ * @param {object} response - Response from sendHttpRequest
+ * @param {string} responseType - 'auto' (by content type), 'buffer' or 'text'
+ * @returns {*} - Parsed JSON, text, Buffer, or { path, size, contentType } for a saved file
+ */
+function decodeResponseBody(response, responseType) {
+  const contentType = response.headers['content-type'] || '';
+
+  if (response.saved) {
+    return { ...response.saved, contentType };
+  }
+  if (responseType === 'buffer') {
+    return response.body;
+  }
+  if (response.body.length === 0) {
+    return '';
+  }
+  if (responseType !== 'text' && contentType.includes('json')) {
+    try {
+      return JSON.parse(response.body.toString('utf8'));
+    } catch (error) {
+      throw new Error(`Error parsing API response: ${error.message}`);
+    }
+  }
+  // Transcripts (text/vtt) and other text come back as strings, binary content as a Buffer
+  if (responseType === 'text' || TEXT_CONTENT_TYPE.test(contentType)) {
+    return response.body.toString('utf8');
+  }
+  return response.body;
+}
+
+/**
+ * Makes a request to the Microsoft Graph API with retry logic.
+ *
+ * Objects are sent as JSON; Buffers, strings and readable streams are sent as
+ * is (as application/octet-stream unless a Content-Type header is given).
+ * JSON responses are parsed, text responses returned as strings and binary
+ * responses as Buffers. Redirects to pre-authenticated download URLs (as
+ * returned by /content endpoints) are followed.
  * @param {string} accessToken - The access token for authentication
  * @param {string} method - HTTP method (GET, POST, etc.)
  * @param {string} path - API endpoint path
- * @param {object} data - Data to send for POST/PUT requests
+ * @param {object|Buffer|string|stream.Readable} data - Data to send for POST/PUT requests
  * @param {object} queryParams - Query parameters
  * @param {object} customHeaders - Custom headers
- * @param {number} retryCount - Current retry attempt (internal use)
+ * @param {object} options - { responseType: 'auto' | 'buffer' | 'text', saveTo: file path to stream
+ *   a successful response to (the call then returns { path, size, contentType }) }
  * @returns {Promise<object>} - The API response
  */
-async function callGraphAPI(accessToken, method, path, data = null, queryParams = {}, customHeaders = {}, retryCount = 0) {
+async function callGraphAPI(accessToken, method, path, data = null, queryParams = {}, customHeaders = {}, options = {}) {
+  // Retry state (internal use)
+  const { responseType = 'auto', saveTo = null, retryCount = 0, tokenRefreshed = false } = options;
+
+  // In a dry run, writes are recorded instead of sent
+  const dryRunResponse = interceptGraphRequest(accessToken, method, path, data, customHeaders);
+  if (dryRunResponse !== undefined) {
+    console.error(`DRY RUN: Recorded ${method} ${path} without sending it`);
+    return dryRunResponse;
+  }
+
+  // Records the final status of this request for the audit log
+  const traceStatus = (status, body) => (path === '$batch'
+    ? traceBatchResponse(data?.requests, body, status)
+    : traceGraphRequest(method, path, status));
+
   // For test tokens, we'll simulate the API call
   if (config.USE_TEST_MODE && accessToken.startsWith('test_access_token_')) {
     console.error(`TEST MODE: Simulating ${method} ${path} API call`);
-    return mockData.simulateGraphAPIResponse(method, path, data, queryParams);
+    const mockResponse = mockData.simulateGraphAPIResponse(method, path, data, queryParams);
+    recordGraphResponse(method, path, mockResponse);
+    traceStatus(200, mockResponse);
+    return mockResponse;
   }
 
   try {
@@ -68,14 +251,12 @@ async function callGraphAPI(accessToken, method, path, data = null, queryParams
     let queryString = '';
     if (queryParams && Object.keys(queryParams).length > 0) {
       // Handle $filter parameter specially to ensure proper URI encoding
-      const filter = queryParams.$filter;
-      if (filter) {
-        delete queryParams.$filter; // Remove from regular params
-      }
+      // (queryParams is not modified, so a retry sends the same filter)
+      const { $filter: filter, ...otherParams } = queryParams;
       
       // Build query string with proper encoding for regular params
       const params = new URLSearchParams();
-      for (const [key, value] of Object.entries(queryParams)) {
+      for (const [key, value] of Object.entries(otherParams)) {
         params.append(key, value);
       }
       
@@ -100,104 +281,257 @@ async function callGraphAPI(accessToken, method, path, data = null, queryParams
     const url = `${config.GRAPH_API_ENDPOINT}${encodedPath}${queryString}`;
     console.error(`Full URL: ${url}`);
     
-    return new Promise((resolve, reject) => {
-      const options = {
-        method: method,
-        headers: {
-          'Authorization': `Bearer ${accessToken}`,
-          'Content-Type': 'application/json',
-          ...customHeaders
+    // Objects go as JSON, binary and text bodies as they are
+    const hasBody = data !== null && data !== undefined && (method === 'POST' || method === 'PATCH' || method === 'PUT');
+    const rawBody = hasBody && isRawBody(data);
+    const body = !hasBody ? null : (rawBody ? data : JSON.stringify(data));
+    const headers = {
+      'Authorization': `Bearer ${accessToken}`,
+      'Content-Type': rawBody ? 'application/octet-stream' : 'application/json',
+      ...(body !== null && !isReadableStream(body) ? { 'Content-Length': Buffer.byteLength(body) } : {}),
+      ...customHeaders
+    };
+    
+    // Wait for a free slot for this mailbox/drive/Teams resource
+    const schedulePath = path === '$batch' && data?.requests?.length ? data.requests[0].url : path;
+    const response = await requestScheduler.schedule(schedulePath, async () => {
+      let res;
+      try {
+        res = await sendHttpRequest(url, { method, headers, body, saveTo });
+        
+        // Download URLs are pre-authenticated: follow them without the Graph token
+        if (REDIRECT_STATUSES.includes(res.statusCode) && res.headers.location) {
+          console.error(`Following redirect for ${method} ${path}`);
+          res = await sendHttpRequest(res.headers.location, { method: 'GET', headers: {}, saveTo });
         }
-      };
+      } catch (error) {
+        traceStatus(null, null);
+        throw error;
+      }
       
-      const req = https.request(url, options, (res) => {
-        let responseData = '';
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        const result = decodeResponseBody(res, responseType);
         
-        res.on('data', (chunk) => {
-          responseData += chunk;
-        });
+        // A batch sent with an expired token fails inside: every sub-response is 401
+        const subResponses = path === '$batch' ? result?.responses || [] : [];
+        if (!tokenRefreshed && subResponses.length > 0 && subResponses.every(response => response.status === 401)) {
+          return REFRESH_AND_RETRY;
+        }
         
-        res.on('end', () => {
-          if (res.statusCode >= 200 && res.statusCode < 300) {
-            const contentType = res.headers['content-type'] || '';
-            
-            // Handle non-JSON responses (like WEBVTT transcripts)
-            if (contentType.includes('text/vtt') || contentType.includes('text/plain') || 
-                contentType.includes('application/vnd.openxmlformats') || 
-                !contentType.includes('json')) {
-              // Return raw text for transcript content and other non-JSON responses
-              resolve(responseData);
-            } else {
-              // Parse JSON responses
-              try {
-                const jsonResponse = JSON.parse(responseData);
-                resolve(jsonResponse);
-              } catch (error) {
-                reject(new Error(`Error parsing API response: ${error.message}`));
-              }
-            }
-          } else if (res.statusCode === 401) {
-            // Token expired or invalid
-            const suggestion = ERROR_SUGGESTIONS[401];
-            reject(new Error(`UNAUTHORIZED: ${suggestion}`));
-          } else {
-            // Handle other errors with retry logic
-            const shouldRetry = RETRY_CONFIG.retryableErrors.includes(res.statusCode) && 
-                              retryCount < RETRY_CONFIG.maxRetries;
-            
-            if (shouldRetry) {
-              // Calculate delay with exponential backoff
-              const delay = RETRY_CONFIG.exponentialBackoff 
-                ? RETRY_CONFIG.retryDelay * Math.pow(2, retryCount)
-                : RETRY_CONFIG.retryDelay;
-              
-              console.error(`Request failed with status ${res.statusCode}. Retrying in ${delay}ms... (Attempt ${retryCount + 1}/${RETRY_CONFIG.maxRetries})`);
-              
-              // Wait and retry
-              setTimeout(() => {
-                callGraphAPI(accessToken, method, path, data, queryParams, customHeaders, retryCount + 1)
-                  .then(resolve)
-                  .catch(reject);
-              }, delay);
-              return;
-            }
-            
-            // Parse error and add suggestions
-            try {
-              const errorData = JSON.parse(responseData);
-              const errorMessage = errorData.error?.message || responseData;
-              const suggestion = ERROR_SUGGESTIONS[res.statusCode] || '';
-              const fullMessage = suggestion 
-                ? `API call failed with status ${res.statusCode}: ${errorMessage}\nSuggestion: ${suggestion}`
-                : `API call failed with status ${res.statusCode}: ${errorMessage}`;
-              reject(new Error(fullMessage));
-            } catch (parseError) {
-              const suggestion = ERROR_SUGGESTIONS[res.statusCode] || '';
-              const fullMessage = suggestion
-                ? `API call failed with status ${res.statusCode}: ${responseData}\nSuggestion: ${suggestion}`
-                : `API call failed with status ${res.statusCode}: ${responseData}`;
-              reject(new Error(fullMessage));
-            }
-          }
-        });
-      });
+        recordGraphResponse(method, path, result);
+        traceStatus(res.statusCode, typeof result === 'object' && !Buffer.isBuffer(result) ? result : null);
+        return result;
+      }
       
-      req.on('error', (error) => {
-        reject(new Error(`Network error during API call: ${error.message}`));
-      });
+      if (res.statusCode === 401) {
+        // Token expired or invalid: refresh it once and replay the request
+        if (!tokenRefreshed) {
+          return REFRESH_AND_RETRY;
+        }
+        const suggestion = ERROR_SUGGESTIONS[401];
+        traceStatus(401, null);
+        throw new Error(`UNAUTHORIZED: ${suggestion}`);
+      }
+      
+      // Handle other errors with retry logic
+      const shouldRetry = RETRY_CONFIG.retryableErrors.includes(res.statusCode) && 
+                        retryCount < RETRY_CONFIG.maxRetries;
       
-      if (data && (method === 'POST' || method === 'PATCH' || method === 'PUT')) {
-        req.write(JSON.stringify(data));
+      // Honour Retry-After when Graph sends it, otherwise back off exponentially
+      const retryAfter = parseRetryAfter(res.headers['retry-after']);
+      
+      if (shouldRetry && (retryAfter === null || retryAfter <= RETRY_CONFIG.maxRetryAfter)) {
+        const delay = retryAfter !== null
+          ? retryAfter
+          : (RETRY_CONFIG.exponentialBackoff 
+            ? RETRY_CONFIG.retryDelay * Math.pow(2, retryCount)
+            : RETRY_CONFIG.retryDelay);
+        
+        console.error(`Request failed with status ${res.statusCode}. Retrying in ${delay}ms... (Attempt ${retryCount + 1}/${RETRY_CONFIG.maxRetries})`);
+        
+        // Pause every request to this resource, then queue the retry behind them
+        requestScheduler.reportThrottling(schedulePath, res.statusCode, delay, retryAfter !== null);
+        return RETRY_REQUEST;
       }
       
-      req.end();
+      traceStatus(res.statusCode, null);
+      
+      // Parse error and add suggestions
+      const responseData = res.body.toString('utf8');
+      const suggestion = ERROR_SUGGESTIONS[res.statusCode] || '';
+      let errorMessage = responseData;
+      try {
+        errorMessage = JSON.parse(responseData).error?.message || responseData;
+      } catch (parseError) {
+        // Not JSON: report the raw body
+      }
+      throw new Error(suggestion
+        ? `API call failed with status ${res.statusCode}: ${errorMessage}\nSuggestion: ${suggestion}`
+        : `API call failed with status ${res.statusCode}: ${errorMessage}`);
     });
+    
+    if ((response === RETRY_REQUEST || response === REFRESH_AND_RETRY) && isReadableStream(body)) {
+      throw new Error(`${method} ${path} must be sent again but its body is a stream that was already consumed`);
+    }
+    if (response === RETRY_REQUEST) {
+      return callGraphAPI(accessToken, method, path, data, queryParams, customHeaders, { ...options, retryCount: retryCount + 1 });
+    }
+    if (response === REFRESH_AND_RETRY) {
+      let newToken;
+      try {
+        newToken = await refreshAfterUnauthorized(accessToken);
+      } catch (refreshError) {
+        traceStatus(401, null);
+        throw new Error(`UNAUTHORIZED: Access token was rejected and could not be refreshed (${refreshError.message}). ${ERROR_SUGGESTIONS[401]}`);
+      }
+      console.error(`Access token refreshed after 401, replaying ${method} ${path}`);
+      return callGraphAPI(newToken, method, path, data, queryParams, customHeaders, { ...options, tokenRefreshed: true });
+    }
+    return response;
   } catch (error) {
     console.error('Error calling Graph API:', error);
     throw error;
   }
 }
 
+/**
+ * Sends a request to a pre-authenticated URL handed out by Graph (such as an
+ * upload session URL). These URLs must not receive the Graph token. The request
+ * queues with the resource of `schedulePath`, and throttled or unavailable
+ * responses are retried like Graph calls; any other status is returned.
+ * @param {string} method - HTTP method
+ * @param {string} url - Absolute URL
+ * @param {Buffer} body - Request body
+ * @param {object} headers - Request headers
+ * @param {string} schedulePath - Graph path of the item the URL belongs to
+ * @param {number} retryCount - Current retry attempt (internal use)
+ * @returns {Promise<object>} - { statusCode, headers, body (parsed JSON, text or Buffer) }
+ */
+async function callPreauthenticatedUrl(method, url, body = null, headers = {}, schedulePath = 'me/drive', retryCount = 0) {
+  // In a dry run, writes are recorded instead of sent
+  const dryRunResponse = interceptPreauthenticatedRequest(method, url, body);
+  if (dryRunResponse !== undefined) {
+    console.error(`DRY RUN: Recorded ${method} to a pre-authenticated URL without sending it`);
+    return dryRunResponse;
+  }
+
+  const requestHeaders = {
+    ...(body !== null ? { 'Content-Length': Buffer.byteLength(body) } : {}),
+    ...headers
+  };
+
+  const response = await requestScheduler.schedule(schedulePath, async () => {
+    const res = await sendHttpRequest(url, { method, headers: requestHeaders, body });
+
+    const retryAfter = parseRetryAfter(res.headers['retry-after']);
+    if (RETRY_CONFIG.retryableErrors.includes(res.statusCode) && retryCount < RETRY_CONFIG.maxRetries &&
+        (retryAfter === null || retryAfter <= RETRY_CONFIG.maxRetryAfter)) {
+      const delay = retryAfter !== null ? retryAfter : RETRY_CONFIG.retryDelay * Math.pow(2, retryCount);
+      console.error(`Request failed with status ${res.statusCode}. Retrying in ${delay}ms... (Attempt ${retryCount + 1}/${RETRY_CONFIG.maxRetries})`);
+      requestScheduler.reportThrottling(schedulePath, res.statusCode, delay, retryAfter !== null);
+      return RETRY_REQUEST;
+    }
+
+    let decoded = res.body;
+    try {
+      decoded = decodeResponseBody(res, 'auto');
+    } catch (error) {
+      // Keep the raw body of a malformed JSON response
+    }
+    return { statusCode: res.statusCode, headers: res.headers, body: decoded };
+  });
+
+  if (response === RETRY_REQUEST) {
+    return callPreauthenticatedUrl(method, url, body, headers, schedulePath, retryCount + 1);
+  }
+  return response;
+}
+
+/**
+ * Converts an absolute @odata.nextLink/@odata.deltaLink into a path for callGraphAPI
+ * @param {string} link - Absolute Graph URL
+ * @returns {string} - Relative path including the query string
+ */
+function toGraphPath(link) {
+  if (link.startsWith(config.GRAPH_API_ENDPOINT)) {
+    return link.substring(config.GRAPH_API_ENDPOINT.length);
+  }
+  const url = new URL(link);
+  return url.pathname.replace(/^\/(v1\.0|beta)\//, '') + url.search;
+}
+
+/**
+ * Iterates over the pages of a Graph collection, following @odata.nextLink.
+ * The query parameters apply to the first request only; later pages are
+ * requested with the nextLink as returned, with the same headers.
+ * @param {string} accessToken - The access token for authentication
+ * @param {string} path - Collection path
+ * @param {object} queryParams - Query parameters of the first request
+ * @param {object} customHeaders - Headers sent with every page request
+ * @returns {AsyncGenerator<object>} - Page responses ({ value, @odata.nextLink, ... })
+ */
+async function* iterateGraphPages(accessToken, path, queryParams = {}, customHeaders = {}) {
+  let nextPath = path;
+  let nextParams = { ...queryParams };
+  const seenLinks = new Set();
+
+  while (nextPath) {
+    const page = await callGraphAPI(accessToken, 'GET', nextPath, null, nextParams, customHeaders);
+    yield page;
+
+    const nextLink = page?.['@odata.nextLink'];
+    if (!nextLink || seenLinks.has(nextLink)) return;
+
+    seenLinks.add(nextLink);
+    nextPath = toGraphPath(nextLink);
+    nextParams = {};
+  }
+}
+
+/**
+ * Iterates over the items of a Graph collection across all its pages
+ * @param {string} accessToken - The access token for authentication
+ * @param {string} path - Collection path
+ * @param {object} queryParams - Query parameters of the first request
+ * @param {object} customHeaders - Headers sent with every page request
+ * @returns {AsyncGenerator<object>} - Collection items
+ */
+async function* iterateGraphItems(accessToken, path, queryParams = {}, customHeaders = {}) {
+  for await (const page of iterateGraphPages(accessToken, path, queryParams, customHeaders)) {
+    yield* (page?.value || []);
+  }
+}
+
+/**
+ * Collects up to maxItems items of a Graph collection, fetching as many pages as needed
+ * @param {string} accessToken - The access token for authentication
+ * @param {string} path - Collection path
+ * @param {object} queryParams - Query parameters of the first request
+ * @param {object} options - { maxItems (default: all), pageSize (sets $top, capped to maxItems), headers }
+ * @returns {Promise<Array<object>>} - Collection items
+ */
+async function collectGraphItems(accessToken, path, queryParams = {}, options = {}) {
+  const { maxItems = Infinity, pageSize = null, headers = {} } = options;
+  const params = { ...queryParams };
+  if (pageSize) {
+    params.$top = Math.min(maxItems, pageSize);
+  }
+
+  const items = [];
+  if (maxItems <= 0) return items;
+
+  for await (const item of iterateGraphItems(accessToken, path, params, headers)) {
+    items.push(item);
+    if (items.length >= maxItems) break;
+  }
+  return items;
+}
+
 module.exports = {
-  callGraphAPI
+  callGraphAPI,
+  callPreauthenticatedUrl,
+  toGraphPath,
+  iterateGraphPages,
+  iterateGraphItems,
+  collectGraphItems
 };
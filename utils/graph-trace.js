@@ -0,0 +1,55 @@
+/**
+ * Graph request tracing
+ *
+ * While a traced function runs, every Microsoft Graph write (anything but GET,
+ * including the writes inside a $batch) is recorded with its final HTTP
+ * status. The dispatcher uses this to put Graph status codes in the audit log.
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+
+const traceStorage = new AsyncLocalStorage();
+
+/**
+ * Records the outcome of a Graph request if a trace is in progress
+ * @param {string} method - HTTP method
+ * @param {string} path - Graph path
+ * @param {number|null} status - Final HTTP status (null for network errors)
+ */
+function traceGraphRequest(method, path, status) {
+  const store = traceStorage.getStore();
+  if (store && method !== 'GET') {
+    store.push({ method, path: path.replace(/^\/+/, ''), status });
+  }
+}
+
+/**
+ * Records the writes of a $batch with the status of each sub-response
+ * @param {Array} requests - Batch sub-requests
+ * @param {object|null} batchResponse - Parsed $batch response (null if the batch itself failed)
+ * @param {number|null} batchStatus - Status of the $batch request, used when a sub-response is missing
+ */
+function traceBatchResponse(requests = [], batchResponse, batchStatus) {
+  const statuses = new Map((batchResponse?.responses || []).map(response => [String(response.id), response.status]));
+  requests.forEach(request => traceGraphRequest(request.method, request.url, statuses.get(String(request.id)) ?? batchStatus));
+}
+
+/**
+ * Runs a function while recording the Graph writes it makes
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<object>} - { result, requests } (result is undefined if fn threw; error is set instead)
+ */
+async function traceGraphRequests(fn) {
+  const requests = [];
+  try {
+    const result = await traceStorage.run(requests, fn);
+    return { result, requests, error: null };
+  } catch (error) {
+    return { result: undefined, requests, error };
+  }
+}
+
+module.exports = {
+  traceGraphRequest,
+  traceBatchResponse,
+  traceGraphRequests
+};
@@ -0,0 +1,98 @@
+/**
+ * Local paths tools may read or write
+ *
+ * Downloads saved to disk, uploaded local files, synced folders and reports
+ * are confined to LOCAL_FILES_ROOTS (the home and temporary directories by
+ * default). Hidden files and directories are refused, as they hold the
+ * server's tokens and settings as well as SSH keys and other credentials, and
+ * so are the server's own data files wherever they are configured.
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+/**
+ * Data files of the server (tokens, key, profiles, policy, audit log...)
+ * @returns {string[]} - Absolute paths, without their per-profile copies
+ */
+function serverDataFiles() {
+  return [
+    config.AUTH_CONFIG.tokenStorePath,
+    config.TOKEN_STORE.keyFilePath,
+    config.PROFILES_PATH,
+    config.POLICY_PATH,
+    config.AUDIT_LOG_PATH,
+    config.DELTA_STORE_PATH,
+    config.MAIL_INDEX_PATH,
+    config.SAVED_SEARCHES_PATH,
+    config.NEWSLETTER_RULES_PATH,
+    config.NEWSLETTER_FEEDBACK_PATH,
+    config.UPLOAD_SESSIONS_PATH,
+    config.FILE_SYNC_MANIFEST_PATH
+  ].filter(Boolean).map(file => realLocation(path.resolve(file)));
+}
+
+/**
+ * Whether a path is a server data file or a per-profile copy of one ("<name>.<profile><ext>")
+ * @param {string} target - Real absolute path
+ * @returns {boolean}
+ */
+function isServerDataFile(target) {
+  return serverDataFiles().some(file => {
+    if (path.dirname(file) !== path.dirname(target)) return false;
+    const ext = path.extname(file);
+    const stem = path.basename(file, ext);
+    const name = path.basename(target);
+    return name === path.basename(file) || (name.startsWith(`${stem}.`) && name.endsWith(ext));
+  });
+}
+
+/**
+ * Resolves symbolic links in the part of a path that exists
+ * @param {string} target - Absolute path
+ * @returns {string} - Path with its deepest existing ancestor replaced by its real path
+ */
+function realLocation(target) {
+  const missing = [];
+  let existing = target;
+  while (!fs.existsSync(existing)) {
+    const parent = path.dirname(existing);
+    if (parent === existing) break;
+    missing.unshift(path.basename(existing));
+    existing = parent;
+  }
+  return path.join(fs.existsSync(existing) ? fs.realpathSync(existing) : existing, ...missing);
+}
+
+/**
+ * Checks a local path against LOCAL_FILES_ROOTS
+ * @param {string} requested - Path given to the tool
+ * @param {object} options - { overwrite: whether an existing file may be replaced (default true) }
+ * @returns {string} - Real absolute path
+ */
+function resolveLocalPath(requested, { overwrite = true } = {}) {
+  const target = path.resolve(String(requested));
+  const realTarget = realLocation(target);
+
+  const roots = config.LOCAL_FILES_ROOTS.filter(root => fs.existsSync(root));
+  const allowed = roots.some(root => {
+    const relative = path.relative(fs.realpathSync(root), realTarget);
+    return relative && !relative.startsWith('..') && !path.isAbsolute(relative) &&
+      relative.split(path.sep).every(segment => !segment.startsWith('.'));
+  });
+  if (!allowed) {
+    throw new Error(`${target} is not in an allowed directory (${config.LOCAL_FILES_ROOTS.join(', ')}), or is hidden`);
+  }
+  if (isServerDataFile(realTarget)) {
+    throw new Error(`${target} is a data file of this server`);
+  }
+
+  if (fs.existsSync(realTarget) && !overwrite) {
+    throw new Error(`${target} already exists; pass overwrite: true to replace it`);
+  }
+  return realTarget;
+}
+
+module.exports = {
+  resolveLocalPath
+};
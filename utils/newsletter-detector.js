@@ -458,6 +458,75 @@ function applyWhitelistBlacklist(email, detection, rules) {
   return detection;
 }
 
+// Feedback each class needs before the learned signal weights are used
+const MIN_FEEDBACK_PER_CLASS = 3;
+
+/**
+ * Learn per-signal weights from newsletter feedback (Bernoulli naive Bayes, Laplace smoothing)
+ * @param {Array} feedback - Feedback entries ({ label: 'newsletter'|'not_newsletter', signals })
+ * @returns {Object} - { examples, trained, weights } where weights[signal] = { present, absent } log-likelihood ratios
+ */
+function trainSignalModel(feedback) {
+  const examples = { newsletter: 0, not_newsletter: 0 };
+  const signalCounts = {};
+
+  for (const entry of feedback || []) {
+    if (!(entry.label in examples) || (entry.signals || []).includes('detection-error')) continue;
+    examples[entry.label]++;
+
+    for (const signal of new Set(entry.signals || [])) {
+      signalCounts[signal] = signalCounts[signal] || { newsletter: 0, not_newsletter: 0 };
+      signalCounts[signal][entry.label]++;
+    }
+  }
+
+  const weights = {};
+  for (const [signal, counts] of Object.entries(signalCounts)) {
+    const pNewsletter = (counts.newsletter + 1) / (examples.newsletter + 2);
+    const pOther = (counts.not_newsletter + 1) / (examples.not_newsletter + 2);
+    weights[signal] = {
+      present: Math.log(pNewsletter / pOther),
+      absent: Math.log((1 - pNewsletter) / (1 - pOther))
+    };
+  }
+
+  return {
+    examples,
+    trained: examples.newsletter >= MIN_FEEDBACK_PER_CLASS && examples.not_newsletter >= MIN_FEEDBACK_PER_CLASS,
+    weights
+  };
+}
+
+/**
+ * Adjust a detection with the learned signal weights. The heuristic confidence
+ * is the prior; each learned signal adds its evidence, present or absent.
+ * @param {Object} detection - Detection result
+ * @param {Object} model - Model from trainSignalModel
+ * @param {number} threshold - Confidence threshold (default: 60)
+ * @returns {Object} - Detection result, unchanged until the model is trained
+ */
+function applySignalModel(detection, model, threshold = 60) {
+  if (!model?.trained || detection.signals.includes('detection-error')) {
+    return detection;
+  }
+
+  const prior = Math.min(Math.max(detection.confidence / 100, 0.05), 0.95);
+  let logOdds = Math.log(prior / (1 - prior));
+  const present = new Set(detection.signals);
+  for (const [signal, weight] of Object.entries(model.weights)) {
+    logOdds += present.has(signal) ? weight.present : weight.absent;
+  }
+
+  const confidence = Math.round(100 / (1 + Math.exp(-logOdds)));
+  return {
+    ...detection,
+    isNewsletter: confidence >= threshold,
+    confidence,
+    signals: [...detection.signals, 'learned-weights'],
+    reason: detection.signals.length > 0 ? `learned-weights, ${detection.reason}` : 'learned-weights'
+  };
+}
+
 /**
  * Clear detection cache (for testing or memory management)
  */
@@ -474,6 +543,8 @@ module.exports = {
   checkEmailStructure,
   checkSubject,
   applyWhitelistBlacklist,
+  trainSignalModel,
+  applySignalModel,
   clearCache,
   NEWSLETTER_SIGNALS
 };
@@ -0,0 +1,49 @@
+/**
+ * Progress notifications for long-running tool calls
+ *
+ * When a client sends a progressToken in a tools/call request (params._meta),
+ * the dispatcher runs the handler in a progress context, and handlers report
+ * how far they are with reportProgress. Each report is sent to the client as
+ * an MCP notifications/progress message. Without a token, reports are no-ops.
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+
+const progressStorage = new AsyncLocalStorage();
+
+/**
+ * Runs a tool call so the progress it reports reaches the client
+ * @param {string|number|undefined} progressToken - Token from the request's _meta
+ * @param {Function|undefined} sendNotification - Sends a notification to the client
+ * @param {Function} fn - Runs the tool call
+ * @returns {Promise<*>} - Result of fn
+ */
+function runWithProgress(progressToken, sendNotification, fn) {
+  if (progressToken === undefined || progressToken === null || typeof sendNotification !== 'function') {
+    return fn();
+  }
+  return progressStorage.run({ progressToken, sendNotification }, fn);
+}
+
+/**
+ * Reports the progress of the current tool call
+ * @param {number} progress - Work done so far (e.g. bytes uploaded)
+ * @param {number} [total] - Total work, if known
+ * @param {string} [message] - Human-readable status
+ */
+function reportProgress(progress, total, message) {
+  const store = progressStorage.getStore();
+  if (!store) return;
+
+  const params = { progressToken: store.progressToken, progress };
+  if (total !== undefined) params.total = total;
+  if (message) params.message = message;
+
+  Promise.resolve()
+    .then(() => store.sendNotification({ method: 'notifications/progress', params }))
+    .catch(error => console.error('Error sending progress notification:', error.message));
+}
+
+module.exports = {
+  runWithProgress,
+  reportProgress
+};
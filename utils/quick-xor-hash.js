@@ -0,0 +1,83 @@
+/**
+ * QuickXorHash, the content hash OneDrive for Business and SharePoint report
+ * in file.hashes.quickXorHash
+ *
+ * Each input byte is XORed into a 160-bit circular register, 11 bits further
+ * along than the previous byte; the total length (64-bit little endian) is
+ * then XORed into the last 8 bytes. The digest is the register, base64-encoded.
+ */
+const fs = require('fs');
+const crypto = require('crypto');
+
+const WIDTH_IN_BITS = 160;
+const SHIFT = 11;
+
+class QuickXorHash {
+  constructor() {
+    this.register = Buffer.alloc(WIDTH_IN_BITS / 8);
+    this.shiftSoFar = 0;
+    this.length = 0;
+  }
+
+  /**
+   * Adds data to the hash
+   * @param {Buffer} data - Next chunk of content
+   * @returns {QuickXorHash} - this
+   */
+  update(data) {
+    const register = this.register;
+    let bitPosition = this.shiftSoFar;
+
+    for (let i = 0; i < data.length; i++) {
+      const byteIndex = bitPosition >> 3;
+      const value = data[i] << (bitPosition & 7);
+      register[byteIndex] ^= value & 0xff;
+      register[(byteIndex + 1) % register.length] ^= value >> 8;
+
+      bitPosition += SHIFT;
+      if (bitPosition >= WIDTH_IN_BITS) bitPosition -= WIDTH_IN_BITS;
+    }
+
+    this.shiftSoFar = bitPosition;
+    this.length += data.length;
+    return this;
+  }
+
+  /**
+   * Returns the hash of the data added so far
+   * @param {string} [encoding='base64'] - Output encoding
+   * @returns {string} - Digest
+   */
+  digest(encoding = 'base64') {
+    const result = Buffer.from(this.register);
+    const lengthBytes = Buffer.alloc(8);
+    lengthBytes.writeBigUInt64LE(BigInt(this.length));
+
+    for (let i = 0; i < lengthBytes.length; i++) {
+      result[result.length - lengthBytes.length + i] ^= lengthBytes[i];
+    }
+    return result.toString(encoding);
+  }
+}
+
+/**
+ * Hashes a local file without loading it in memory
+ * @param {string} filePath - File to hash
+ * @param {string} algorithm - 'quickXor', 'sha1' or 'sha256'
+ * @returns {Promise<string>} - quickXor: base64 digest; sha1/sha256: upper-case hex, as Graph reports them
+ */
+function hashFile(filePath, algorithm) {
+  return new Promise((resolve, reject) => {
+    const hash = algorithm === 'quickXor' ? new QuickXorHash() : crypto.createHash(algorithm);
+
+    fs.createReadStream(filePath)
+      .on('data', chunk => hash.update(chunk))
+      .on('error', reject)
+      .on('end', () => resolve(algorithm === 'quickXor' ? hash.digest('base64') : hash.digest('hex').toUpperCase()));
+  });
+}
+
+module.exports = {
+  QuickXorHash,
+  hashFile
+};
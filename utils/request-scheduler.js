@@ -0,0 +1,212 @@
+/**
+ * Central scheduler for Microsoft Graph requests
+ *
+ * Every real Graph request runs through here. Requests are grouped by the
+ * resource they hit (a mailbox, a drive, Teams, Planner) for the account
+ * making them, and each group runs at most config.GRAPH_CONCURRENCY requests
+ * at once. Waiting requests are served in turn across tools, so one tool
+ * looping over hundreds of items cannot starve another. When Graph throttles
+ * a request, the whole group pauses for the Retry-After delay, and the
+ * throttling is reported in the response of the tool call that hit it.
+ */
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+const config = require('../config');
+const { getCurrentProfileName } = require('../auth/profiles');
+
+const toolStorage = new AsyncLocalStorage();
+
+// Resource segments that follow me/ or users/{id}/
+const MAILBOX_SEGMENTS = /^(messages|mailFolders|events|calendar|calendars|calendarView|calendarGroups|contacts|contactFolders|inferenceClassification|mailboxSettings|outlook|sendMail|findMeetingTimes)\b/;
+const DRIVE_SEGMENTS = /^(drive|drives|followedSites)\b/;
+const TEAMS_SEGMENTS = /^(chats|joinedTeams|teamwork|onlineMeetings)\b/;
+
+/**
+ * Works out which throttling group a Graph path belongs to
+ * @param {string} path - Graph path (relative, optionally with query string)
+ * @returns {object} - { resource: mailbox|drive|teams|planner|other, owner }
+ */
+function classifyRequest(path) {
+  const cleanPath = String(path || '').replace(/^\/+/, '').split('?')[0];
+  const userMatch = cleanPath.match(/^(me|users\/[^/]+)\/(.*)$/);
+
+  if (userMatch) {
+    const owner = userMatch[1] === 'me' ? getCurrentProfileName() : userMatch[1];
+    const rest = userMatch[2];
+    if (MAILBOX_SEGMENTS.test(rest)) return { resource: 'mailbox', owner };
+    if (DRIVE_SEGMENTS.test(rest)) return { resource: 'drive', owner };
+    if (TEAMS_SEGMENTS.test(rest)) return { resource: 'teams', owner: getCurrentProfileName() };
+    if (/^planner\b/.test(rest)) return { resource: 'planner', owner: getCurrentProfileName() };
+    return { resource: 'other', owner: getCurrentProfileName() };
+  }
+
+  if (/^(drives|sites|shares)\//.test(cleanPath)) return { resource: 'drive', owner: cleanPath.split('/').slice(0, 2).join('/') };
+  if (/^(teams|chats|communications)\b/.test(cleanPath)) return { resource: 'teams', owner: getCurrentProfileName() };
+  if (/^planner\b/.test(cleanPath)) return { resource: 'planner', owner: getCurrentProfileName() };
+  return { resource: 'other', owner: getCurrentProfileName() };
+}
+
+/**
+ * Parses a Retry-After header (seconds or HTTP date)
+ * @param {string|undefined} value - Header value
+ * @returns {number|null} - Delay in milliseconds, or null if absent/invalid
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+class RequestScheduler {
+  constructor() {
+    this.groups = new Map();
+  }
+
+  /**
+   * Returns the queue state for a throttling group, creating it on first use
+   * @param {string} key - Group key
+   * @param {string} resource - Resource type (for the concurrency limit)
+   */
+  getGroup(key, resource) {
+    if (!this.groups.has(key)) {
+      this.groups.set(key, {
+        key,
+        resource,
+        active: 0,
+        pausedUntil: 0,
+        timer: null,
+        waiting: new Map(), // tool name -> queued tasks
+        servedAt: new Map(), // tool name -> turn number of its last started request
+        turn: 0
+      });
+    }
+    return this.groups.get(key);
+  }
+
+  /**
+   * Runs a request once its group has a free slot
+   * @param {string} path - Graph path, used to pick the group
+   * @param {Function} task - Sends the request and returns a promise
+   * @returns {Promise<*>} - Result of the task
+   */
+  schedule(path, task) {
+    const { resource, owner } = classifyRequest(path);
+    const group = this.getGroup(`${owner}:${resource}`, resource);
+    const tool = toolStorage.getStore()?.tool || 'unknown';
+
+    return new Promise((resolve, reject) => {
+      if (!group.waiting.has(tool)) {
+        group.waiting.set(tool, []);
+      }
+      // Queued tasks are started from whichever request frees the slot, so each one is
+      // bound to its caller's context (tool call, account, audit trace, captured responses)
+      group.waiting.get(tool).push({ task: AsyncResource.bind(task), resolve, reject });
+      this.dispatch(group);
+    });
+  }
+
+  /**
+   * Starts queued requests while the group has free slots and is not paused
+   * @param {object} group - Group state
+   */
+  dispatch(group) {
+    const limit = config.GRAPH_CONCURRENCY[group.resource] || config.GRAPH_CONCURRENCY.other;
+
+    while (group.active < limit && group.waiting.size > 0) {
+      const waitMs = group.pausedUntil - Date.now();
+      if (waitMs > 0) {
+        if (!group.timer) {
+          group.timer = setTimeout(() => {
+            group.timer = null;
+            this.dispatch(group);
+          }, waitMs);
+          group.timer.unref();
+        }
+        return;
+      }
+
+      // Serve the waiting tool that was served least recently
+      let tool = null;
+      for (const candidate of group.waiting.keys()) {
+        if (tool === null || (group.servedAt.get(candidate) || 0) < (group.servedAt.get(tool) || 0)) {
+          tool = candidate;
+        }
+      }
+      const queue = group.waiting.get(tool);
+      const entry = queue.shift();
+      if (queue.length === 0) {
+        group.waiting.delete(tool);
+      }
+      group.servedAt.set(tool, ++group.turn);
+
+      group.active++;
+      Promise.resolve()
+        .then(entry.task)
+        .then(entry.resolve, entry.reject)
+        .finally(() => {
+          group.active--;
+          this.dispatch(group);
+        });
+    }
+  }
+
+  /**
+   * Pauses a request's group after Graph throttled it, and records the event
+   * for the tool call that made the request
+   * @param {string} path - Graph path that was throttled
+   * @param {number} status - HTTP status (429, 503 or 504)
+   * @param {number} delayMs - How long the group waits before sending again
+   * @param {boolean} retryAfterHeader - Whether the delay came from Retry-After
+   */
+  reportThrottling(path, status, delayMs, retryAfterHeader) {
+    const { resource, owner } = classifyRequest(path);
+    const group = this.getGroup(`${owner}:${resource}`, resource);
+    group.pausedUntil = Math.max(group.pausedUntil, Date.now() + delayMs);
+
+    const store = toolStorage.getStore();
+    if (store) {
+      store.throttling.push({ resource, status, delayMs, retryAfterHeader });
+    }
+  }
+
+}
+
+const requestScheduler = new RequestScheduler();
+
+/**
+ * Runs a tool call so its Graph requests are queued under the tool's name, and
+ * adds a note to the MCP response if any of them were throttled
+ * @param {string} toolName - Tool name
+ * @param {Function} fn - Runs the tool call and returns the MCP response
+ * @returns {Promise<object>} - MCP response
+ */
+async function runToolRequests(toolName, fn) {
+  const store = { tool: toolName, throttling: [] };
+  const result = await toolStorage.run(store, fn);
+
+  if (store.throttling.length === 0 || !Array.isArray(result?.content)) {
+    return result;
+  }
+
+  const waitedSeconds = store.throttling.reduce((total, event) => total + event.delayMs, 0) / 1000;
+  const resources = [...new Set(store.throttling.map(event => event.resource))].join(', ');
+  const note = `Note: Microsoft Graph throttled ${store.throttling.length} request(s) for this call (${resources}); ` +
+    `waited ${waitedSeconds.toFixed(1)}s before retrying${store.throttling.some(event => event.retryAfterHeader) ? ' as asked by Retry-After' : ''}.`;
+
+  return {
+    ...result,
+    content: [...result.content, { type: "text", text: note }],
+    ...(result.structuredContent ? { structuredContent: { ...result.structuredContent, throttling: store.throttling } } : {})
+  };
+}
+
+module.exports = {
+  requestScheduler,
+  runToolRequests,
+  classifyRequest,
+  parseRetryAfter,
+  RequestScheduler
+};
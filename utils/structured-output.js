@@ -0,0 +1,162 @@
+/**
+ * Structured output support
+ *
+ * Tool handlers render Graph responses as prose. When a caller asks for
+ * `format: "json"`, the dispatcher runs the handler inside a capture context;
+ * every Graph response received during the call is recorded here and returned
+ * as MCP `structuredContent` alongside the handler's message.
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+
+const OUTPUT_FORMATS = ['text', 'json'];
+
+// Schema fragment added to every tool's inputSchema
+const FORMAT_PROPERTY = {
+  type: 'string',
+  enum: OUTPUT_FORMATS,
+  description: 'Response format: "text" (default, human-readable) or "json" (structuredContent with the normalised Microsoft Graph objects)'
+};
+
+const captureStorage = new AsyncLocalStorage();
+
+/**
+ * Adds the `format` argument to a tool input schema
+ * @param {object} inputSchema - Tool input schema
+ * @returns {object} - Schema including the format property
+ */
+function withFormatProperty(inputSchema = { type: 'object', properties: {} }) {
+  return {
+    ...inputSchema,
+    properties: {
+      ...(inputSchema.properties || {}),
+      format: FORMAT_PROPERTY
+    }
+  };
+}
+
+/**
+ * Splits the output format from the arguments passed to the handler.
+ * Values other than text/json are left in place for handlers that use a
+ * `format` argument of their own (e.g. transcript formats).
+ * @param {object} args - Tool call arguments
+ * @returns {object} - { format, handlerArgs }
+ */
+function extractOutputFormat(args = {}) {
+  if (!OUTPUT_FORMATS.includes(args.format)) {
+    return { format: 'text', handlerArgs: args };
+  }
+
+  const { format, ...handlerArgs } = args;
+  return { format, handlerArgs };
+}
+
+/**
+ * Records a Graph response if a capture is in progress
+ * @param {string} method - HTTP method
+ * @param {string} path - Graph path
+ * @param {*} response - Parsed response body
+ */
+function recordGraphResponse(method, path, response) {
+  const store = captureStorage.getStore();
+  if (store) {
+    store.push({ method, path, response });
+  }
+}
+
+/**
+ * Runs a function while recording the Graph responses it receives
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<object>} - { result, responses }
+ */
+async function captureGraphResponses(fn) {
+  const responses = [];
+  const result = await captureStorage.run(responses, fn);
+  // A capture inside another one (e.g. a tool rerunning another tool) also records for the outer one
+  captureStorage.getStore()?.push(...responses);
+  return { result, responses };
+}
+
+/**
+ * Removes OData envelope annotations from a Graph object
+ * @param {object} item - Graph object
+ * @returns {object} - Object without @odata.context
+ */
+function stripEnvelope(item) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) return item;
+  const { '@odata.context': _context, ...rest } = item;
+  return rest;
+}
+
+/**
+ * Normalises a single Graph response into items, item or raw text
+ * @param {object} entry - Recorded response
+ * @returns {object} - Normalised result
+ */
+function normalizeGraphResponse({ method, path, response }) {
+  const result = { method, path };
+
+  if (response === null || response === undefined || response === '') {
+    return result;
+  }
+
+  if (Buffer.isBuffer(response)) {
+    result.binary = { size: response.length };
+    return result;
+  }
+
+  if (typeof response !== 'object') {
+    result.text = String(response);
+    return result;
+  }
+
+  if (Array.isArray(response.value)) {
+    result.items = response.value.map(stripEnvelope);
+    if (response['@odata.nextLink']) result.nextLink = response['@odata.nextLink'];
+    if (response['@odata.deltaLink']) result.deltaLink = response['@odata.deltaLink'];
+    if (response['@odata.count'] !== undefined) result.count = response['@odata.count'];
+    return result;
+  }
+
+  result.item = stripEnvelope(response);
+  return result;
+}
+
+/**
+ * Builds the JSON-mode tool result
+ * @param {string} toolName - Tool that was called
+ * @param {object} args - Arguments passed to the handler
+ * @param {object} result - Handler result (text content)
+ * @param {Array} responses - Graph responses recorded during the call
+ * @returns {object} - MCP tool result with structuredContent
+ */
+function buildStructuredResult(toolName, args, result, responses) {
+  const message = (result?.content || [])
+    .filter(item => item.type === 'text')
+    .map(item => item.text)
+    .join('\n');
+
+  const structuredContent = {
+    tool: toolName,
+    operation: args.operation || null,
+    message,
+    results: responses.map(normalizeGraphResponse)
+  };
+
+  const structured = {
+    content: [{ type: 'text', text: JSON.stringify(structuredContent, null, 2) }],
+    structuredContent
+  };
+
+  if (result?.isError) structured.isError = true;
+  return structured;
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  withFormatProperty,
+  extractOutputFormat,
+  recordGraphResponse,
+  captureGraphResponses,
+  normalizeGraphResponse,
+  buildStructuredResult
+};